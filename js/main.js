@@ -2,11 +2,27 @@
  * Beam Path Optimizer - Main Application Entry Point
  */
 
-import { Component, ComponentType, ComponentNames } from './models/Component.js';
-import { BeamSegment, BeamPath } from './models/BeamPath.js';
-import { Store, actions, createInitialState, APP_VERSION, needsMigration } from './state.js';
+import { Component, ComponentType, ComponentNames, ComponentDefaults, isCustomType, getPortRule, getPhysicalPort } from './models/Component.js';
+import { BeamSegment, BeamPath, CrossingType, NEAR_MISS_DISTANCE, NEAR_PARALLEL_ANGLE } from './models/BeamPath.js';
+import { BreadboardUnits, setBreadboardUnits, snapToHoles, countBoltedScrews } from './models/Breadboard.js';
+import { PartsCatalog, fetchCatalog } from './models/PartsCatalog.js';
+import { ASSEMBLY_FORMAT_VERSION, createGroup, getGroupOfComponent, expandToGroups, getSelectedGroups, getGroupBounds, rotateGroup, createAssembly, validateAssembly, instantiateAssembly, GROUP_PADDING } from './models/Assembly.js';
+import { EXAMPLE_COMPONENT_TYPES, registerComponentType, registerComponentTypes, unregisterComponentType, describePorts } from './models/CustomTypes.js';
+import { LAYOUT_TEMPLATES, getTemplate, buildTemplate } from './models/Templates.js';
+import { buildAlignmentProcedure, formatProcedureMarkdown, formatProcedureHtml } from './models/AlignmentProcedure.js';
+import { createPathLengthConstraint, evaluatePathLengthConstraint, solveDelayLine, DEFAULT_OPL_TOLERANCE } from './physics/OpticalPath.js';
+import { GeometricConstraintType, createGeometricConstraint, describeConstraint, collectConstraints } from './physics/ConstraintSolver.js';
+import { DEFAULT_TOLERANCES, analyzeTolerances } from './physics/Tolerance.js';
+import { Severity, DesignRuleType, DESIGN_RULES, CONSTRAINT_RULE_NAME, getRule, createRuleSet } from './physics/DesignRules.js';
+import { PATH_POINT_SNAP_RADIUS, lockToAxis, buildDrawnPath, splitSegment, planPathPointReplacement } from './physics/PathDrawing.js';
+import { PlateShape, getPlateOutline, getPlateBounds, setPlateOutline, formatPlatePoints } from './models/Workspace.js';
+import { DimensionType, createLinearDimension, createAngleDimensionForSegments, getDimensionDragUpdate, findDimensionAt, measureDimension, formatDimension, createDrivingConstraint } from './models/Dimensions.js';
+import { Store, actions, createInitialState, APP_VERSION, needsMigration, serializeDocument, deserializeLayout, findWorkspaceBoundaryIntersection } from './state.js';
 import { Renderer } from './render/Renderer.js';
 import * as BeamPhysics from './physics/BeamPhysics.js';
+import { ResultsGraph, GraphMode } from './render/ResultsGraph.js';
+import { OptimizationRunner } from './optimization/OptimizationRunner.js';
+import { getZoneRect, rectContainsPoint, rayRectIntersection, ZoneShape, getZoneOutline, shapeContainsPoint, createPolygonZoneGeometry, resizeZone } from './physics/Geometry.js';
 
 /**
  * Main Application Class
@@ -24,19 +40,39 @@ class BeamPathOptimizerApp {
         this.isDragging = false;
         this.dragStart = null;
         this.dragComponent = null;
+        this.dragSlideContext = null;  // Beam-preserving slide for single component drags
         this.dragZone = null;          // Zone being dragged
         this.dragZoneOffset = null;    // Offset from zone top-left to click point
         this.isPanning = false;
         this.panStart = null;
         this.isSelectionBoxDragging = false;
         this.selectionBoxStart = null;
+        this.polygonZonePoints = null;  // Vertices of the polygon keep-out being drawn
+        this.drawPathPoints = null;     // Points of the beam path being drawn (Draw Path mode)
+        this.dimensionPick = null;      // First pick of the Dimension tool: { componentId?, x, y } or { segment }
+        this.dragDimension = null;      // Dimension whose line or arc is being dragged
 
         // Drag from palette state
         this.isDraggingFromPalette = false;
         this.dragComponentType = null;
+        this.dragPartId = null;        // Catalog part being dragged (null for generic components)
+        this.dragAssemblyId = null;    // Library assembly being dragged
         this.dragPreviewElement = null;
         this.paletteMouseStart = null;
 
+        // Parts catalog (built-in catalog/parts.json plus any loaded team catalog)
+        this.partsCatalog = new PartsCatalog();
+
+        // Saved sub-assemblies, kept in this browser across projects
+        this.assemblyLibrary = [];
+
+        // Optimizer and results view
+        this.optimizer = new OptimizationRunner();  // Runs in a Web Worker when available
+        this.resultsGraph = null;
+        this.previewSnapshot = null;     // Snapshot shown instead of the live layout
+        this.isSplitScreenMode = false;
+        this.isResultsViewOpen = false;
+
         // Bind methods
         this.render = this.render.bind(this);
         this.handleMouseDown = this.handleMouseDown.bind(this);
@@ -145,11 +181,52 @@ class BeamPathOptimizerApp {
         // Grid controls
         this.setupGridControls();
 
+        // Parts catalog panel
+        this.setupPartsCatalog();
+
+        // User-defined component types
+        this.setupComponentTypes();
+
+        // Template gallery
+        this.setupTemplates();
+
+        // Alignment procedure export
+        this.setupAlignmentProcedure();
+
+        // Groups and the assembly library
+        this.setupAssemblies();
+
+        // Path length matching constraints
+        this.setupPathLengthConstraints();
+
+        // Monte Carlo tolerance analysis
+        this.setupToleranceAnalysis();
+
+        // Design rule check panel and rule set
+        this.setupDesignRuleCheck();
+
+        // Beam crossing report
+        this.setupBeamCrossings();
+
         // Label visibility toggle
         document.getElementById('btn-toggle-labels')?.addEventListener('click', () => {
             this.store.dispatch(actions.toggleLabels());
         });
 
+        // Dimension layer toggle (D)
+        document.getElementById('btn-toggle-dimensions')?.addEventListener('click', () => {
+            this.store.dispatch(actions.toggleDimensions());
+        });
+
+        // Gaussian beam envelope display
+        document.getElementById('show-beam-envelopes')?.addEventListener('change', () => {
+            this.store.dispatch(actions.toggleBeamEnvelopes());
+        });
+        document.getElementById('beam-envelope-scale')?.addEventListener('change', (e) => {
+            const scale = parseFloat(e.target.value);
+            if (!isNaN(scale)) this.store.dispatch(actions.setBeamEnvelopeScale(scale));
+        });
+
         // Laser On toggle
         document.getElementById('auto-propagate-beams')?.addEventListener('change', (e) => {
             this.store.dispatch(actions.toggleAutoPropagate());
@@ -205,6 +282,12 @@ class BeamPathOptimizerApp {
 
         // Segment property inputs
         this.setupSegmentPropertyInputs();
+
+        // Dimension property inputs
+        this.setupDimensionPropertyInputs();
+
+        // Layout optimizer
+        this.setupOptimizerControls();
     }
 
     /**
@@ -429,6 +512,21 @@ class BeamPathOptimizerApp {
             }));
         });
 
+        // Mount screw footprint ("x,y; x,y" in the component frame)
+        document.getElementById('prop-mount-footprint')?.addEventListener('change', (e) => {
+            const state = this.store.getState();
+            const selectedId = state.ui.selection.selectedIds[0];
+            if (!selectedId) return;
+
+            const points = this.parsePointList(e.target.value);
+            if (points.length === 0) {
+                this.showToast('Enter screw positions as "x,y; x,y" (mm)', 'warning');
+                this.updateUI();
+                return;
+            }
+            this.store.dispatch(actions.updateComponent(selectedId, { mountFootprint: points }));
+        });
+
         // === Beam Physics Controls ===
         this.setupBeamPhysicsControls();
     }
@@ -488,6 +586,82 @@ class BeamPathOptimizerApp {
             this.store.dispatch(actions.updateComponent(selectedId, { shallowAngle }));
         });
 
+        // Source output power
+        document.getElementById('prop-output-power')?.addEventListener('change', (e) => {
+            const state = this.store.getState();
+            const selectedId = state.ui.selection.selectedIds[0];
+            if (!selectedId) return;
+
+            const outputPower = parseFloat(e.target.value);
+            if (isNaN(outputPower) || outputPower < 0) {
+                this.updateUI();
+                return;
+            }
+            this.store.dispatch(actions.updateComponent(selectedId, { outputPower }));
+        });
+
+        // Source polarization
+        document.getElementById('prop-polarization')?.addEventListener('change', (e) => {
+            const state = this.store.getState();
+            const selectedId = state.ui.selection.selectedIds[0];
+            if (!selectedId) return;
+
+            this.store.dispatch(actions.updateComponent(selectedId, { polarization: e.target.value }));
+        });
+
+        // Waveplate retardance
+        document.getElementById('prop-retardance')?.addEventListener('change', (e) => {
+            const state = this.store.getState();
+            const selectedId = state.ui.selection.selectedIds[0];
+            if (!selectedId) return;
+
+            this.store.dispatch(actions.updateComponent(selectedId, { retardance: parseFloat(e.target.value) }));
+        });
+
+        // Polarization angles and PBS extinction ratio
+        const polarizationInputs = {
+            'prop-polarization-angle': 'polarizationAngle',
+            'prop-fast-axis': 'fastAxisAngle',
+            'prop-extinction-ratio': 'extinctionRatio'
+        };
+        Object.entries(polarizationInputs).forEach(([inputId, prop]) => {
+            document.getElementById(inputId)?.addEventListener('change', (e) => {
+                const state = this.store.getState();
+                const selectedId = state.ui.selection.selectedIds[0];
+                if (!selectedId) return;
+
+                const value = parseFloat(e.target.value);
+                // Extinction ratio is Tp:Ts, so at least 1:1
+                if (isNaN(value) || (prop === 'extinctionRatio' && value < 1)) {
+                    this.updateUI();
+                    return;
+                }
+                this.store.dispatch(actions.updateComponent(selectedId, { [prop]: value }));
+            });
+        });
+
+        // Gaussian beam parameters (sources) and focal length (lenses)
+        const gaussianInputs = {
+            'prop-waist-radius': 'waistRadius',
+            'prop-waist-position': 'waistPosition',
+            'prop-focal-length': 'focalLength'
+        };
+        Object.entries(gaussianInputs).forEach(([inputId, prop]) => {
+            document.getElementById(inputId)?.addEventListener('change', (e) => {
+                const state = this.store.getState();
+                const selectedId = state.ui.selection.selectedIds[0];
+                if (!selectedId) return;
+
+                const value = parseFloat(e.target.value);
+                // Waist radius must be positive and a lens needs a non-zero focal length
+                if (isNaN(value) || (prop !== 'waistPosition' && value === 0) || (prop === 'waistRadius' && value < 0)) {
+                    this.updateUI();
+                    return;
+                }
+                this.store.dispatch(actions.updateComponent(selectedId, { [prop]: value }));
+            });
+        });
+
         // Grid snap toggle
         document.getElementById('prop-snap-grid')?.addEventListener('change', (e) => {
             const state = this.store.getState();
@@ -510,189 +684,1624 @@ class BeamPathOptimizerApp {
             }));
         });
 
+        // Geometric constraints between the selected components
+        document.getElementById('btn-constrain-distance')?.addEventListener('click', () => {
+            this.constrainSelected(GeometricConstraintType.DISTANCE);
+        });
+        document.getElementById('btn-constrain-spacing')?.addEventListener('click', () => {
+            this.constrainSelected(GeometricConstraintType.EQUAL_SPACING);
+        });
+        document.getElementById('btn-constrain-symmetry')?.addEventListener('click', () => {
+            this.constrainSelected(GeometricConstraintType.SYMMETRY);
+        });
+
     }
 
     /**
-     * Set up grid controls
+     * Set up the parts catalog panel
+     * Loads the built-in catalog plus the last team catalog loaded in this browser.
      */
-    setupGridControls() {
-        const btnGridSettings = document.getElementById('btn-grid-settings');
-        const gridModal = document.getElementById('grid-modal');
-        const closeModal = document.getElementById('close-grid-modal');
+    async setupPartsCatalog() {
+        const searchInput = document.getElementById('catalog-search');
+        const fileInput = document.getElementById('catalog-file-input');
 
-        // Open modal
-        btnGridSettings?.addEventListener('click', () => {
-            this.syncGridModalFromState();
-            gridModal?.classList.remove('hidden');
-        });
+        searchInput?.addEventListener('input', () => this.renderCatalogList());
 
-        // Close modal
-        closeModal?.addEventListener('click', () => {
-            gridModal?.classList.add('hidden');
-        });
+        document.getElementById('btn-load-catalog')?.addEventListener('click', () => fileInput?.click());
+        fileInput?.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
 
-        // Close on backdrop click
-        gridModal?.addEventListener('click', (e) => {
-            if (e.target === gridModal) {
-                gridModal.classList.add('hidden');
+            try {
+                const text = await file.text();
+                const count = this.loadTeamCatalog(JSON.parse(text));
+                localStorage.setItem('partsCatalog', text);
+                this.showToast(`Loaded ${count} parts from ${file.name}`, 'success');
+            } catch (err) {
+                console.error('Failed to load catalog:', err);
+                this.showToast('Failed to load catalog: ' + err.message, 'danger');
             }
+            fileInput.value = '';
         });
 
-        // Grid visible toggle
-        const gridVisibleCheckbox = document.getElementById('grid-visible-modal');
-        gridVisibleCheckbox?.addEventListener('change', (e) => {
-            this.store.dispatch(actions.setGridSettings({ visible: e.target.checked }));
-        });
-
-        // Grid enabled toggle
-        const gridEnabledCheckbox = document.getElementById('grid-enabled-modal');
-        gridEnabledCheckbox?.addEventListener('change', (e) => {
-            this.store.dispatch(actions.setGridSettings({ enabled: e.target.checked }));
-        });
-
-        // Grid size slider
-        const gridSizeSlider = document.getElementById('grid-size-slider-modal');
-        const gridSizeInput = document.getElementById('grid-size-input-modal');
-        const gridSizeValue = document.getElementById('grid-size-value-modal');
+        try {
+            this.partsCatalog.load(await fetchCatalog());
+        } catch (err) {
+            console.warn('Built-in parts catalog unavailable:', err.message);
+        }
 
-        gridSizeSlider?.addEventListener('input', (e) => {
-            const size = parseInt(e.target.value, 10);
-            if (gridSizeInput) gridSizeInput.value = size;
-            if (gridSizeValue) gridSizeValue.textContent = size;
-            this.store.dispatch(actions.setGridSettings({ size }));
-        });
+        const savedCatalog = localStorage.getItem('partsCatalog');
+        if (savedCatalog) {
+            try {
+                this.loadTeamCatalog(JSON.parse(savedCatalog));
+            } catch (err) {
+                console.warn('Ignoring saved parts catalog:', err.message);
+                localStorage.removeItem('partsCatalog');
+            }
+        }
 
-        // Grid size input
-        gridSizeInput?.addEventListener('change', (e) => {
-            let size = parseInt(e.target.value, 10);
-            size = Math.max(1, Math.min(50, size)); // Clamp to 1-50
-            e.target.value = size;
-            if (gridSizeSlider) gridSizeSlider.value = size;
-            if (gridSizeValue) gridSizeValue.textContent = size;
-            this.store.dispatch(actions.setGridSettings({ size }));
-        });
+        this.renderCatalogList();
     }
 
-    syncGridModalFromState() {
-        const grid = this.store.getState().grid;
-        const gridVisibleCheckbox = document.getElementById('grid-visible-modal');
-        const gridEnabledCheckbox = document.getElementById('grid-enabled-modal');
-        const gridSizeSlider = document.getElementById('grid-size-slider-modal');
-        const gridSizeInput = document.getElementById('grid-size-input-modal');
-        const gridSizeValue = document.getElementById('grid-size-value-modal');
-
-        if (gridVisibleCheckbox) gridVisibleCheckbox.checked = grid.visible;
-        if (gridEnabledCheckbox) gridEnabledCheckbox.checked = grid.enabled;
-        if (gridSizeSlider) gridSizeSlider.value = grid.size;
-        if (gridSizeInput) gridSizeInput.value = grid.size;
-        if (gridSizeValue) gridSizeValue.textContent = grid.size;
+    /**
+     * Add a team catalog on top of the loaded parts
+     * The catalog is validated as a whole first, so a bad file changes nothing.
+     * @returns {number} Number of parts added
+     */
+    loadTeamCatalog(json) {
+        new PartsCatalog().load(json);
+        const count = this.partsCatalog.load(json);
+        this.renderCatalogList();
+        return count;
     }
 
     /**
-     * Set up panel resize handle
+     * Render the catalog parts matching the search box, grouped by category
      */
-    setupPanelResize() {
-        const handle = document.getElementById('panel-resize-handle');
-        const panel = document.getElementById('properties-panel');
-        if (!handle || !panel) return;
+    renderCatalogList() {
+        const list = document.getElementById('catalog-list');
+        if (!list) return;
 
-        let isResizing = false;
-        let startX = 0;
-        let startWidth = 0;
+        const query = document.getElementById('catalog-search')?.value || '';
+        const parts = this.partsCatalog.search(query);
+        list.innerHTML = '';
 
-        // Load saved width from localStorage
-        const savedWidth = localStorage.getItem('panelWidth');
-        if (savedWidth) {
-            const width = parseInt(savedWidth, 10);
-            if (width >= 180 && width <= 400) {
-                panel.style.width = `${width}px`;
-            }
+        if (parts.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'catalog-empty';
+            empty.textContent = this.partsCatalog.parts.size === 0 ? 'No catalog loaded' : 'No matching parts';
+            list.appendChild(empty);
+            return;
         }
 
-        handle.addEventListener('mousedown', (e) => {
-            isResizing = true;
-            startX = e.clientX;
-            startWidth = panel.offsetWidth;
-            handle.classList.add('resizing');
-            document.body.classList.add('resizing-panel');
-            e.preventDefault();
+        let category = null;
+        parts.forEach(part => {
+            if (part.category !== category) {
+                category = part.category;
+                const heading = document.createElement('div');
+                heading.className = 'catalog-category';
+                heading.textContent = category || 'Other';
+                list.appendChild(heading);
+            }
+
+            // Part names come from user files, so build the DOM instead of using innerHTML
+            const item = document.createElement('div');
+            item.className = 'catalog-part';
+            item.title = `${part.name}\n${ComponentNames[part.type]} · ${part.mass} g · ` +
+                `${part.size.width} × ${part.size.height} mm` +
+                (part.tags.length ? `\n${part.tags.join(', ')}` : '');
+
+            const icon = this.createComponentIcon(part.type);
+            const name = document.createElement('span');
+            name.className = 'catalog-part-name';
+            name.textContent = part.name;
+            const mass = document.createElement('span');
+            mass.className = 'catalog-part-mass';
+            mass.textContent = `${part.mass} g`;
+            item.append(icon, name, mass);
+
+            // Drag onto the canvas like the component palette
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.paletteMouseStart = { x: e.clientX, y: e.clientY };
+                this.dragComponentType = part.type;
+                this.dragPartId = part.id;
+            });
+
+            list.appendChild(item);
         });
+    }
 
-        document.addEventListener('mousemove', (e) => {
-            if (!isResizing) return;
+    /**
+     * Component properties of the catalog part being dragged ({} for generic components)
+     */
+    getDragPartProps() {
+        const part = this.partsCatalog.get(this.dragPartId);
+        return part ? this.partsCatalog.toComponentProps(part) : {};
+    }
 
-            // Calculate new width (inverted because we're resizing from left edge of panel)
-            const deltaX = startX - e.clientX;
-            let newWidth = startWidth + deltaX;
+    /**
+     * Set up the custom component types palette and editor
+     */
+    setupComponentTypes() {
+        const modal = document.getElementById('component-types-modal');
+        const exampleSelect = document.getElementById('component-type-example');
+        const editor = document.getElementById('component-type-json');
 
-            // Clamp to min/max
-            newWidth = Math.max(180, Math.min(400, newWidth));
+        EXAMPLE_COMPONENT_TYPES.forEach(example => {
+            const option = document.createElement('option');
+            option.value = example.id;
+            option.textContent = example.name;
+            exampleSelect?.appendChild(option);
+        });
 
-            panel.style.width = `${newWidth}px`;
+        document.getElementById('btn-define-types')?.addEventListener('click', () => {
+            this.renderComponentTypeList();
+            modal?.classList.remove('hidden');
         });
 
-        document.addEventListener('mouseup', () => {
-            if (isResizing) {
-                isResizing = false;
-                handle.classList.remove('resizing');
-                document.body.classList.remove('resizing-panel');
+        document.getElementById('close-component-types-modal')?.addEventListener('click', () => {
+            modal?.classList.add('hidden');
+        });
 
-                // Save to localStorage
-                localStorage.setItem('panelWidth', panel.offsetWidth);
+        modal?.addEventListener('click', (e) => {
+            if (e.target === modal) modal.classList.add('hidden');
+        });
 
-                // Re-render canvas to adjust for new size
-                this.renderer.handleResize();
-                this.render();
+        // Load an example into the editor
+        exampleSelect?.addEventListener('change', () => {
+            const example = EXAMPLE_COMPONENT_TYPES.find(t => t.id === exampleSelect.value);
+            if (example && editor) {
+                editor.value = JSON.stringify(example, null, 2);
             }
+            exampleSelect.value = '';
+        });
+
+        document.getElementById('btn-save-component-type')?.addEventListener('click', () => {
+            this.saveComponentType(editor?.value || '');
         });
+
+        // Keep the registry and palette in step with the document (open, new, undo/redo)
+        this.store.subscribe(() => this.syncComponentTypes());
+        this.syncComponentTypes();
     }
 
     /**
-     * Set up panel text size control
+     * Register the document's component types and refresh the palette when they change
      */
-    setupPanelTextSize() {
-        const slider = document.getElementById('panel-text-size');
-        const valueDisplay = document.getElementById('panel-text-size-value');
-        if (!slider) return;
+    syncComponentTypes() {
+        const { componentTypes } = this.store.getState();
+        if (componentTypes === this.syncedComponentTypes) return;
+        this.syncedComponentTypes = componentTypes;
+
+        registerComponentTypes(componentTypes);
+        this.renderCustomTypePalette();
+        if (!document.getElementById('component-types-modal')?.classList.contains('hidden')) {
+            this.renderComponentTypeList();
+        }
+    }
 
-        // Load saved value from localStorage
-        const savedSize = localStorage.getItem('panelTextSize');
-        if (savedSize) {
-            const size = parseInt(savedSize, 10);
-            if (size >= 80 && size <= 150) {
-                slider.value = size;
-                if (valueDisplay) valueDisplay.textContent = size;
-                document.documentElement.style.setProperty('--panel-text-scale', size / 100);
-            }
+    /**
+     * Validate, register and store a type definition from the editor
+     * @param {string} text - Type definition JSON
+     */
+    saveComponentType(text) {
+        let type;
+        try {
+            type = registerComponentType(JSON.parse(text));
+        } catch (err) {
+            this.showToast('Invalid component type: ' + err.message, 'danger');
+            return;
         }
 
-        slider.addEventListener('input', (e) => {
-            const size = parseInt(e.target.value, 10);
-            if (valueDisplay) valueDisplay.textContent = size;
-            document.documentElement.style.setProperty('--panel-text-scale', size / 100);
-            localStorage.setItem('panelTextSize', size);
-        });
+        this.store.dispatch(actions.setComponentType(type));
+        this.showToast(`Saved component type: ${type.name}`, 'success');
     }
 
     /**
-     * Set up settings modal
+     * Delete a component type that no component uses any more
      */
-    setupSettingsModal() {
-        const modal = document.getElementById('settings-modal');
-        const btnSettings = document.getElementById('btn-settings');
-        const btnClose = document.getElementById('close-settings');
-        const bgTypeRadios = document.querySelectorAll('input[name="bg-type"]');
-        const bgColorInput = document.getElementById('bg-color');
-        const bgColorValue = document.getElementById('bg-color-value');
-        const bgImageInput = document.getElementById('bg-image');
-        const btnChooseImage = document.getElementById('btn-choose-image');
-        const bgImageName = document.getElementById('bg-image-name');
+    deleteComponentType(id) {
+        const state = this.store.getState();
+        const inUse = Array.from(state.components.values()).filter(c => c.type === id).length;
+        if (inUse > 0) {
+            this.showToast(`${ComponentNames[id]} is used by ${inUse} component(s) - delete them first`, 'warning');
+            return;
+        }
 
-        // Open modal
-        btnSettings?.addEventListener('click', () => {
-            // Sync UI with current state
-            const state = this.store.getState();
-            const bg = state.background || {};
+        this.store.dispatch(actions.deleteComponentType(id));
+        unregisterComponentType(id);
+    }
+
+    /**
+     * Render the palette buttons of the document's component types
+     */
+    renderCustomTypePalette() {
+        const palette = document.getElementById('custom-type-palette');
+        if (!palette) return;
+
+        const { componentTypes } = this.store.getState();
+        palette.innerHTML = '';
+
+        if (componentTypes.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'catalog-empty';
+            empty.textContent = 'No custom types';
+            palette.appendChild(empty);
+            return;
+        }
+
+        // Type names come from user files, so build the DOM instead of using innerHTML
+        componentTypes.forEach(type => {
+            const btn = document.createElement('button');
+            btn.className = 'component-btn';
+            btn.dataset.component = type.id;
+            btn.title = type.description ? `${type.name}\n${type.description}` : type.name;
+
+            const label = document.createElement('span');
+            label.className = 'comp-label';
+            label.textContent = type.name;
+            btn.append(this.createComponentIcon(type.id), label);
+
+            btn.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.paletteMouseStart = { x: e.clientX, y: e.clientY };
+                this.dragComponentType = type.id;
+            });
+
+            palette.appendChild(btn);
+        });
+    }
+
+    /**
+     * Render the defined types in the component types modal
+     */
+    renderComponentTypeList() {
+        const list = document.getElementById('component-type-list');
+        if (!list) return;
+
+        const { componentTypes } = this.store.getState();
+        list.innerHTML = '';
+
+        if (componentTypes.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'catalog-empty';
+            empty.textContent = 'No custom types yet - start from an example below';
+            list.appendChild(empty);
+            return;
+        }
+
+        componentTypes.forEach(type => {
+            const item = document.createElement('div');
+            item.className = 'component-type-item';
+
+            const info = document.createElement('div');
+            info.className = 'component-type-info';
+            const name = document.createElement('span');
+            name.className = 'component-type-name';
+            name.textContent = `${type.name} (${type.id})`;
+            const ports = document.createElement('span');
+            ports.className = 'component-type-ports';
+            ports.textContent = describePorts(type);
+            info.append(name, ports);
+
+            const editBtn = document.createElement('button');
+            editBtn.className = 'action-btn small';
+            editBtn.textContent = 'Edit';
+            editBtn.addEventListener('click', () => {
+                const editor = document.getElementById('component-type-json');
+                if (editor) editor.value = JSON.stringify(type, null, 2);
+            });
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'action-btn small danger';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', () => this.deleteComponentType(type.id));
+
+            item.append(this.createComponentIcon(type.id), info, editBtn, deleteBtn);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Create a palette icon for a component type
+     * User-defined types are drawn in their own color and shape.
+     */
+    createComponentIcon(type) {
+        const icon = document.createElement('span');
+        if (isCustomType(type)) {
+            const defaults = ComponentDefaults[type];
+            icon.className = `comp-icon custom ${defaults.shape}`;
+            icon.style.background = defaults.color;
+        } else {
+            icon.className = `comp-icon ${type}`;
+        }
+        return icon;
+    }
+
+    /**
+     * Set up the template gallery (New from a standard layout)
+     */
+    setupTemplates() {
+        const modal = document.getElementById('templates-modal');
+
+        document.getElementById('btn-templates')?.addEventListener('click', () => {
+            this.renderTemplateGallery();
+            modal?.classList.remove('hidden');
+        });
+
+        document.getElementById('close-templates-modal')?.addEventListener('click', () => {
+            modal?.classList.add('hidden');
+        });
+
+        modal?.addEventListener('click', (e) => {
+            if (e.target === modal) modal.classList.add('hidden');
+        });
+
+        document.getElementById('btn-create-from-template')?.addEventListener('click', () => {
+            this.createFromTemplate();
+        });
+
+        this.selectedTemplateId = LAYOUT_TEMPLATES[0].id;
+    }
+
+    /**
+     * Set up the alignment procedure preview and export
+     */
+    setupAlignmentProcedure() {
+        const modal = document.getElementById('procedure-modal');
+
+        document.getElementById('btn-procedure')?.addEventListener('click', () => {
+            this.openAlignmentProcedure();
+        });
+
+        document.getElementById('close-procedure-modal')?.addEventListener('click', () => {
+            modal?.classList.add('hidden');
+        });
+
+        modal?.addEventListener('click', (e) => {
+            if (e.target === modal) modal.classList.add('hidden');
+        });
+
+        document.getElementById('btn-procedure-markdown')?.addEventListener('click', () => {
+            this.exportAlignmentProcedure('md');
+        });
+        document.getElementById('btn-procedure-html')?.addEventListener('click', () => {
+            this.exportAlignmentProcedure('html');
+        });
+        document.getElementById('btn-procedure-print')?.addEventListener('click', () => {
+            document.getElementById('procedure-preview')?.contentWindow?.print();
+        });
+    }
+
+    /**
+     * Alignment procedure of the current layout
+     */
+    getAlignmentProcedure() {
+        const state = this.store.getState();
+        const name = document.getElementById('file-name-input')?.value.trim() || state.document.name;
+        return buildAlignmentProcedure(state.components, state.beamPath, { name });
+    }
+
+    /**
+     * Show the alignment procedure of the current layout
+     */
+    openAlignmentProcedure() {
+        const state = this.store.getState();
+        if (![...state.components.values()].some(c => c.type === ComponentType.SOURCE) || state.beamPath.getAllSegments().length === 0) {
+            this.showToast('Add a source and connect its beam path first', 'warning');
+            return;
+        }
+
+        document.getElementById('procedure-preview').srcdoc = formatProcedureHtml(this.getAlignmentProcedure());
+        document.getElementById('procedure-modal')?.classList.remove('hidden');
+    }
+
+    /**
+     * Download the alignment procedure
+     * @param {string} format - 'md' (Markdown) or 'html'
+     */
+    exportAlignmentProcedure(format) {
+        const procedure = this.getAlignmentProcedure();
+        const content = format === 'html' ? formatProcedureHtml(procedure) : formatProcedureMarkdown(procedure);
+        const blob = new Blob([content], { type: format === 'html' ? 'text/html' : 'text/markdown' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${procedure.name}-alignment.${format}`;
+        a.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Render the template list and the parameters of the selected template
+     */
+    renderTemplateGallery() {
+        const list = document.getElementById('template-list');
+        const form = document.getElementById('template-params');
+        if (!list || !form) return;
+
+        list.innerHTML = '';
+        LAYOUT_TEMPLATES.forEach(template => {
+            const item = document.createElement('button');
+            item.className = 'template-item' + (template.id === this.selectedTemplateId ? ' active' : '');
+
+            const name = document.createElement('span');
+            name.className = 'template-name';
+            name.textContent = template.name;
+            const description = document.createElement('span');
+            description.className = 'template-description';
+            description.textContent = template.description;
+            item.append(name, description);
+
+            item.addEventListener('click', () => {
+                this.selectedTemplateId = template.id;
+                this.renderTemplateGallery();
+            });
+            list.appendChild(item);
+        });
+
+        const template = getTemplate(this.selectedTemplateId);
+        form.innerHTML = '';
+        template.params.forEach(param => {
+            const group = document.createElement('div');
+            group.className = 'property-group';
+
+            const label = document.createElement('label');
+            label.className = 'property-label';
+            label.textContent = param.label;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.className = 'property-input small';
+            input.dataset.param = param.key;
+            input.value = param.value;
+            input.min = param.min;
+            input.max = param.max;
+            input.step = param.step;
+
+            group.append(label, input, ` ${param.unit}`);
+            form.appendChild(group);
+        });
+    }
+
+    /**
+     * Start a new document from the selected template and its parameters
+     */
+    createFromTemplate() {
+        const values = {};
+        document.querySelectorAll('#template-params input[data-param]').forEach(input => {
+            values[input.dataset.param] = input.value;
+        });
+
+        let layout;
+        try {
+            layout = buildTemplate(this.selectedTemplateId, values, createInitialState().wavelengths);
+        } catch (err) {
+            this.showToast('Cannot build template: ' + err.message, 'danger');
+            return;
+        }
+
+        if (this.newDocument(layout)) {
+            document.getElementById('templates-modal')?.classList.add('hidden');
+            this.showToast(`New project from template: ${layout.name}`, 'success');
+        }
+    }
+
+    /**
+     * Set up the group properties and the assembly library panel
+     * The library lives in localStorage so assemblies can be reused in other projects.
+     */
+    setupAssemblies() {
+        const fileInput = document.getElementById('assembly-file-input');
+
+        document.getElementById('btn-create-group')?.addEventListener('click', () => this.groupSelected());
+        document.getElementById('btn-ungroup')?.addEventListener('click', () => this.ungroupSelected());
+        document.getElementById('btn-save-assembly')?.addEventListener('click', () => this.saveSelectedAssembly());
+
+        document.getElementById('prop-group-name')?.addEventListener('change', (e) => {
+            const group = this.getSelectedGroup();
+            const name = e.target.value.trim();
+            if (group && name) {
+                this.store.dispatch(actions.updateGroup(group.id, { name }));
+            }
+        });
+
+        document.getElementById('prop-group-collapsed')?.addEventListener('change', (e) => {
+            const group = this.getSelectedGroup();
+            if (group) {
+                this.store.dispatch(actions.updateGroup(group.id, { collapsed: e.target.checked }));
+            }
+        });
+
+        document.getElementById('btn-export-assemblies')?.addEventListener('click', () => this.exportAssemblyLibrary());
+        document.getElementById('btn-import-assemblies')?.addEventListener('click', () => fileInput?.click());
+        fileInput?.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                const count = this.importAssemblies(JSON.parse(await file.text()));
+                this.showToast(`Imported ${count} assemblies from ${file.name}`, 'success');
+            } catch (err) {
+                console.error('Failed to import assemblies:', err);
+                this.showToast('Failed to import assemblies: ' + err.message, 'danger');
+            }
+            fileInput.value = '';
+        });
+
+        const savedLibrary = localStorage.getItem('assemblyLibrary');
+        if (savedLibrary) {
+            try {
+                const assemblies = JSON.parse(savedLibrary);
+                assemblies.forEach(validateAssembly);
+                this.assemblyLibrary = assemblies;
+            } catch (err) {
+                console.warn('Ignoring saved assembly library:', err.message);
+                localStorage.removeItem('assemblyLibrary');
+            }
+        }
+
+        this.renderAssemblyList();
+    }
+
+    /**
+     * The single group that makes up the current selection (null otherwise)
+     */
+    getSelectedGroup() {
+        const state = this.store.getState();
+        const groups = getSelectedGroups(state.groups, state.ui.selection.selectedIds);
+        return groups.length === 1 ? groups[0] : null;
+    }
+
+    /**
+     * Persist the assembly library and refresh its panel
+     */
+    saveAssemblyLibrary() {
+        localStorage.setItem('assemblyLibrary', JSON.stringify(this.assemblyLibrary));
+        this.renderAssemblyList();
+    }
+
+    /**
+     * Save the selected group to the assembly library
+     */
+    saveSelectedAssembly() {
+        const group = this.getSelectedGroup();
+        if (!group) {
+            this.showToast('Select a single group to save it as an assembly', 'warning');
+            return;
+        }
+
+        this.assemblyLibrary.push(createAssembly(group, this.store.getState()));
+        this.saveAssemblyLibrary();
+        this.showToast(`Saved assembly: ${group.name}`, 'success');
+    }
+
+    /**
+     * Add assemblies from a library file (or a single exported assembly)
+     * Everything is validated first, so a bad file changes nothing.
+     * @returns {number} Number of assemblies added
+     */
+    importAssemblies(json) {
+        const assemblies = Array.isArray(json?.assemblies) ? json.assemblies : [json];
+        assemblies.forEach(validateAssembly);
+
+        assemblies.forEach(assembly => {
+            const index = this.assemblyLibrary.findIndex(a => a.id && a.id === assembly.id);
+            if (index >= 0) {
+                this.assemblyLibrary[index] = assembly;
+            } else {
+                this.assemblyLibrary.push(assembly);
+            }
+        });
+        this.saveAssemblyLibrary();
+        return assemblies.length;
+    }
+
+    /**
+     * Download the assembly library as a JSON file
+     */
+    exportAssemblyLibrary() {
+        if (this.assemblyLibrary.length === 0) {
+            this.showToast('The assembly library is empty', 'info');
+            return;
+        }
+
+        const json = JSON.stringify({ formatVersion: ASSEMBLY_FORMAT_VERSION, assemblies: this.assemblyLibrary }, null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'assemblies.json';
+        a.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Render the saved assemblies; drag one onto the canvas to insert it
+     */
+    renderAssemblyList() {
+        const list = document.getElementById('assembly-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        if (this.assemblyLibrary.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'catalog-empty';
+            empty.textContent = 'No saved assemblies - group components and save them here';
+            list.appendChild(empty);
+            return;
+        }
+
+        // Assembly names come from user files, so build the DOM instead of using innerHTML
+        this.assemblyLibrary.forEach(assembly => {
+            const item = document.createElement('div');
+            item.className = 'catalog-part';
+            item.title = `${assembly.name}\n${assembly.components.map(c => c.name).join(', ')}`;
+
+            const name = document.createElement('span');
+            name.className = 'catalog-part-name';
+            name.textContent = assembly.name;
+            const count = document.createElement('span');
+            count.className = 'catalog-part-mass';
+            count.textContent = `${assembly.components.length} parts`;
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'assembly-delete';
+            deleteBtn.textContent = '×';
+            deleteBtn.title = 'Remove from library';
+            deleteBtn.addEventListener('mousedown', (e) => e.stopPropagation());
+            deleteBtn.addEventListener('click', () => {
+                if (confirm(`Remove "${assembly.name}" from the assembly library?`)) {
+                    this.assemblyLibrary = this.assemblyLibrary.filter(a => a !== assembly);
+                    this.saveAssemblyLibrary();
+                }
+            });
+
+            item.append(this.createComponentIcon('assembly'), name, count, deleteBtn);
+
+            // Drag onto the canvas like the component palette
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.paletteMouseStart = { x: e.clientX, y: e.clientY };
+                this.dragComponentType = 'assembly';
+                this.dragAssemblyId = assembly.id;
+            });
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Insert a library assembly as a new group centered at a position
+     * Component types the assembly needs are added to the document first.
+     */
+    insertAssembly(assembly, position) {
+        let state = this.store.getState();
+
+        try {
+            const known = new Set(state.componentTypes.map(type => type.id));
+            (assembly.componentTypes || []).forEach(definition => {
+                if (known.has(definition.id)) return;
+                this.store.dispatch(actions.setComponentType(registerComponentType(definition)));
+            });
+        } catch (err) {
+            this.showToast('Cannot insert assembly: ' + err.message, 'danger');
+            return;
+        }
+
+        state = this.store.getState();
+        const { components, segments, group } = instantiateAssembly(assembly, position);
+
+        // Snap the whole group by the shift that snaps its first component
+        const first = components[0];
+        const snapped = this.snapComponentPosition(first, first.position, state);
+        const shift = { x: snapped.x - first.position.x, y: snapped.y - first.position.y };
+
+        // Keep names unique in this project
+        const names = new Map(state.components);
+        components.forEach(component => {
+            component.position = { x: component.position.x + shift.x, y: component.position.y + shift.y };
+            if (Array.from(names.values()).some(c => c.name === component.name)) {
+                component.name = this.generateIncrementedName(component.name, names);
+            }
+            names.set(component.id, component);
+        });
+
+        this.store.dispatch(actions.insertAssembly(components, segments, group));
+        this.setTool('select');
+        if (this.store.getState().ui.autoPropagate) {
+            this.propagateAllBeams();
+        }
+        this.showToast(`Inserted assembly: ${assembly.name}`, 'success');
+    }
+
+    /**
+     * Set up the path length matching panel and its editor
+     */
+    setupPathLengthConstraints() {
+        const modal = document.getElementById('path-length-modal');
+
+        document.getElementById('btn-add-path-length')?.addEventListener('click', () => {
+            this.openPathLengthEditor();
+        });
+
+        document.getElementById('close-path-length-modal')?.addEventListener('click', () => {
+            modal?.classList.add('hidden');
+        });
+
+        modal?.addEventListener('click', (e) => {
+            if (e.target === modal) modal.classList.add('hidden');
+        });
+
+        document.getElementById('btn-save-path-length')?.addEventListener('click', () => {
+            this.savePathLengthConstraint();
+        });
+
+        this.editingPathLengthId = null;
+    }
+
+    /**
+     * Set up the tolerance analysis panel
+     */
+    setupToleranceAnalysis() {
+        document.getElementById('btn-run-tolerance')?.addEventListener('click', () => {
+            this.runToleranceAnalysis();
+        });
+        document.getElementById('btn-clear-tolerance')?.addEventListener('click', () => {
+            this.toleranceRun = null;
+            document.getElementById('tolerance-results')?.classList.add('hidden');
+            this.setToleranceHighlights(null);
+        });
+
+        this.toleranceRun = null;
+    }
+
+    /**
+     * Run the Monte Carlo tolerance analysis with the panel's tolerances
+     */
+    runToleranceAnalysis() {
+        const state = this.store.getState();
+        const read = (id, fallback) => {
+            const value = parseFloat(document.getElementById(id)?.value);
+            return Number.isFinite(value) && value >= 0 ? value : fallback;
+        };
+        const options = {
+            angle: read('tolerance-angle', DEFAULT_TOLERANCES.angle),
+            position: read('tolerance-position', DEFAULT_TOLERANCES.position),
+            trials: Math.min(10000, Math.max(10, read('tolerance-trials', DEFAULT_TOLERANCES.trials)))
+        };
+
+        const result = analyzeTolerances(state.components, state.beamPath, options);
+        if (result.detectors.length === 0) {
+            this.showToast('No beam reaches a detector - connect the beam path first', 'warning');
+            return;
+        }
+
+        this.toleranceRun = { result, components: state.components, beamPath: state.beamPath };
+        this.showToleranceResults(result);
+
+        // Ring the components behind most of the walk
+        const offenders = result.sensitivities.slice(0, 3).filter(s => s.walk > 0);
+        this.setToleranceHighlights(offenders.map(s => ({ componentId: s.componentId, share: s.share })));
+    }
+
+    /**
+     * Fill the tolerance panel with an analysis result
+     */
+    showToleranceResults(result) {
+        const body = document.getElementById('tolerance-body');
+        const offenders = document.getElementById('tolerance-offenders');
+        if (!body || !offenders) return;
+
+        body.innerHTML = '';
+        result.detectors.forEach(detector => {
+            const row = document.createElement('tr');
+            row.title = `Walk σ ${detector.position.std.toFixed(3)} mm, max ${detector.position.max.toFixed(3)} mm\n` +
+                `Angle σ ${detector.angle.std.toFixed(3)} mrad, max ${detector.angle.max.toFixed(3)} mrad`;
+
+            const name = document.createElement('td');
+            name.textContent = detector.name;
+            const walk = document.createElement('td');
+            walk.textContent = detector.position.p95.toFixed(3);
+            const angle = document.createElement('td');
+            angle.textContent = detector.angle.p95.toFixed(2);
+
+            row.append(name, walk, angle);
+            body.appendChild(row);
+        });
+
+        offenders.innerHTML = '';
+        result.sensitivities.slice(0, 5).forEach((sensitivity, index) => {
+            const item = document.createElement('div');
+            item.className = 'tolerance-offender' + (index === 0 ? ' worst' : '');
+            item.title = `At the edge of its tolerances ${sensitivity.name} walks the beam ` +
+                `${sensitivity.walk.toFixed(3)} mm and tilts it ${sensitivity.angle.toFixed(2)} mrad - click to select`;
+
+            const name = document.createElement('span');
+            name.textContent = sensitivity.name;
+            const walk = document.createElement('span');
+            walk.textContent = `${sensitivity.walk.toFixed(3)} mm (${Math.round(sensitivity.share * 100)}%)`;
+
+            item.append(name, walk);
+            item.addEventListener('click', () => {
+                this.store.dispatch(actions.selectComponent(sensitivity.componentId));
+            });
+            offenders.appendChild(item);
+        });
+
+        document.getElementById('tolerance-results')?.classList.remove('hidden');
+        this.updateTolerancePanel(this.store.getState());
+    }
+
+    /**
+     * Note on the tolerance results whether the layout changed since the run
+     */
+    updateTolerancePanel(state) {
+        const summary = document.getElementById('tolerance-summary');
+        if (!summary || !this.toleranceRun) return;
+
+        const { result, components, beamPath } = this.toleranceRun;
+        const stale = components !== state.components || beamPath !== state.beamPath;
+        summary.textContent = stale
+            ? 'Layout changed since this run - run again'
+            : `${result.trials} trials at ±${result.tolerances.angle} mrad, ±${result.tolerances.position} mm (95th percentile)` +
+              (result.lost > 0 ? `, ${result.lost} rays missed an optic` : '');
+    }
+
+    /**
+     * Show (or clear) the tolerance offender rings
+     * Transient like the path draft, so it bypasses the reducer.
+     * @param {Array|null} toleranceHighlights - [{ componentId, share }]
+     */
+    setToleranceHighlights(toleranceHighlights) {
+        this.store.state = {
+            ...this.store.state,
+            ui: { ...this.store.state.ui, toleranceHighlights }
+        };
+        this.render();
+    }
+
+    /**
+     * Set up the design rule check panel and the rule set editor
+     */
+    setupDesignRuleCheck() {
+        const ruleFilter = document.getElementById('drc-rule-filter');
+        [...Object.values(DESIGN_RULES).map(rule => rule.name), CONSTRAINT_RULE_NAME].forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            ruleFilter?.appendChild(option);
+        });
+
+        this.drcFilter = { severity: '', ruleName: '' };
+        this.drcShown = null;
+        document.getElementById('drc-severity-filter')?.addEventListener('change', (e) => {
+            this.drcFilter = { ...this.drcFilter, severity: e.target.value };
+            this.updateDesignRulePanel(this.store.getState());
+        });
+        ruleFilter?.addEventListener('change', (e) => {
+            this.drcFilter = { ...this.drcFilter, ruleName: e.target.value };
+            this.updateDesignRulePanel(this.store.getState());
+        });
+
+        const modal = document.getElementById('design-rules-modal');
+        document.getElementById('btn-edit-design-rules')?.addEventListener('click', () => {
+            this.fillDesignRuleList();
+            modal?.classList.remove('hidden');
+        });
+        document.getElementById('close-design-rules-modal')?.addEventListener('click', () => {
+            modal?.classList.add('hidden');
+        });
+        modal?.addEventListener('click', (e) => {
+            if (e.target === modal) modal.classList.add('hidden');
+        });
+        document.getElementById('btn-reset-design-rules')?.addEventListener('click', () => {
+            this.store.dispatch(actions.setDesignRules(createRuleSet()));
+            this.fillDesignRuleList();
+        });
+    }
+
+    /**
+     * List the current violations that pass the panel's filters
+     */
+    updateDesignRulePanel(state) {
+        const list = document.getElementById('drc-list');
+        const summary = document.getElementById('drc-summary');
+        if (!list || !summary) return;
+
+        // Rebuilding on every render would drop hover states while dragging
+        const violations = state.calculated.constraintViolations;
+        if (this.drcShown?.violations === violations && this.drcShown.filter === this.drcFilter) return;
+        this.drcShown = { violations, filter: this.drcFilter };
+
+        const { severity, ruleName } = this.drcFilter;
+        const shown = violations.filter(v =>
+            (!severity || v.severity === severity) && (!ruleName || v.ruleName === ruleName));
+
+        list.innerHTML = '';
+        shown.forEach(violation => {
+            const item = document.createElement('div');
+            item.className = `drc-item ${violation.severity}`;
+            item.title = 'Click to show';
+
+            const message = document.createElement('span');
+            message.textContent = violation.message;
+            const rule = document.createElement('span');
+            rule.className = 'drc-rule';
+            rule.textContent = `${violation.ruleName} · ${violation.severity}`;
+
+            item.append(message, rule);
+            item.addEventListener('click', () => this.showViolation(violation));
+            list.appendChild(item);
+        });
+
+        const count = severityKey => violations.filter(v => v.severity === severityKey).length;
+        summary.textContent = violations.length === 0
+            ? 'No violations'
+            : `${count(Severity.ERROR)} errors, ${count(Severity.WARNING)} warnings, ${count(Severity.INFO)} info` +
+              (shown.length < violations.length ? ` (${shown.length} shown)` : '');
+    }
+
+    /**
+     * Select the offender of a violation and zoom the view onto it
+     */
+    showViolation(violation) {
+        const state = this.store.getState();
+        const points = [];
+        const componentIds = [violation.componentId, violation.otherComponentId, ...(violation.otherComponentIds || [])]
+            .filter(id => state.components.has(id));
+
+        componentIds.forEach(id => {
+            const bbox = state.components.get(id).getBoundingBox();
+            points.push({ x: bbox.minX, y: bbox.minY }, { x: bbox.maxX, y: bbox.maxY });
+        });
+        [violation.segmentId, violation.otherSegmentId].forEach(id => {
+            const segment = id && state.beamPath.getSegment(id);
+            if (!segment) return;
+            points.push(state.components.get(segment.sourceId)?.position);
+            points.push(segment.targetId ? state.components.get(segment.targetId)?.position : segment.endPoint);
+        });
+        const zone = state.constraints.keepOutZones.find(z => z.id === violation.zoneId);
+        if (zone) {
+            points.push({ x: zone.bounds.x, y: zone.bounds.y },
+                { x: zone.bounds.x + zone.bounds.width, y: zone.bounds.y + zone.bounds.height });
+        }
+        if (violation.point) points.push(violation.point);
+
+        if (componentIds.length > 0) {
+            this.store.dispatch(componentIds.length > 1 ? actions.selectMultiple(componentIds) : actions.selectComponent(componentIds[0]));
+        } else {
+            const segmentIds = [violation.segmentId, violation.otherSegmentId].filter(id => id && state.beamPath.getSegment(id));
+            if (segmentIds.length > 0) this.store.dispatch(actions.selectMultipleSegments(segmentIds));
+        }
+
+        const known = points.filter(Boolean);
+        if (known.length === 0) return;
+
+        // Fit the offender with a margin, but no further in than 400%
+        const margin = 30;
+        const minX = Math.min(...known.map(p => p.x)) - margin;
+        const maxX = Math.max(...known.map(p => p.x)) + margin;
+        const minY = Math.min(...known.map(p => p.y)) - margin;
+        const maxY = Math.max(...known.map(p => p.y)) + margin;
+        const zoom = Math.min((this.renderer.width - 100) / (maxX - minX), (this.renderer.height - 100) / (maxY - minY), 4);
+        this.store.dispatch(actions.setViewport({ zoom, panX: -(minX + maxX) / 2 * zoom, panY: -(minY + maxY) / 2 * zoom }));
+
+        document.getElementById('zoom-level').textContent = Math.round(zoom * 100) + '%';
+        document.getElementById('zoom-percent').textContent = Math.round(zoom * 100) + '%';
+    }
+
+    /**
+     * Set up the beam crossing report and the forbidden wavelength pairs
+     */
+    setupBeamCrossings() {
+        this.crossingsShown = null;
+
+        document.getElementById('show-beam-crossings')?.addEventListener('change', () => {
+            this.store.dispatch(actions.toggleBeamCrossings());
+        });
+
+        document.getElementById('btn-add-crossing-pair')?.addEventListener('click', () => {
+            const state = this.store.getState();
+            const first = document.getElementById('crossing-pair-a')?.value;
+            const second = document.getElementById('crossing-pair-b')?.value;
+            if (!first || !second) return;
+
+            const rule = getRule(state.constraints.designRules, DesignRuleType.BEAM_CROSSING);
+            this.store.dispatch(actions.setDesignRule(DesignRuleType.BEAM_CROSSING, {
+                enabled: true,
+                wavelengthPairs: [...rule.wavelengthPairs, [first, second]]
+            }));
+            if (!rule.enabled) {
+                this.showToast('Beam crossings rule enabled', 'info');
+            }
+        });
+    }
+
+    /**
+     * Wavelength names of a beam, e.g. "633nm HeNe + 532nm Nd:YAG"
+     */
+    describeBeamWavelengths(wavelengthIds, segment, wavelengths) {
+        const names = wavelengthIds.map(id => wavelengths.find(w => w.id === id)?.name).filter(Boolean);
+        return names.length > 0 ? names.join(' + ') : `${segment.wavelength} nm`;
+    }
+
+    /**
+     * List the beam crossings and near misses, and the forbidden wavelength pairs
+     */
+    updateCrossingPanel(state) {
+        const list = document.getElementById('crossing-list');
+        const summary = document.getElementById('crossing-summary');
+        const pairList = document.getElementById('crossing-pairs');
+        if (!list || !summary || !pairList) return;
+
+        const checkbox = document.getElementById('show-beam-crossings');
+        if (checkbox) checkbox.checked = state.ui.showBeamCrossings !== false;
+
+        // Rebuild only when something listed changed (render runs on every mouse move)
+        const { beamCrossings, constraintViolations } = state.calculated;
+        const ruleSet = state.constraints.designRules;
+        const shown = this.crossingsShown;
+        if (shown?.crossings === beamCrossings && shown.violations === constraintViolations &&
+            shown.wavelengths === state.wavelengths && shown.ruleSet === ruleSet) return;
+        this.crossingsShown = { crossings: beamCrossings, violations: constraintViolations, wavelengths: state.wavelengths, ruleSet };
+
+        const forbidden = new Map(constraintViolations
+            .filter(v => v.type === DesignRuleType.BEAM_CROSSING)
+            .map(v => [`${v.segmentId}|${v.otherSegmentId}`, v]));
+
+        list.innerHTML = '';
+        beamCrossings.forEach(crossing => {
+            const segments = crossing.segmentIds.map(id => state.beamPath.getSegment(id));
+            const violation = forbidden.get(crossing.segmentIds.join('|'));
+            const item = document.createElement('div');
+            item.className = 'drc-item' + (violation ? ` ${violation.severity}` : '');
+            item.title = 'Click to show';
+
+            const kind = document.createElement('span');
+            kind.textContent = crossing.type === CrossingType.CROSSING
+                ? `Crossing at ${crossing.angle.toFixed(1)}°` + (violation ? ' (forbidden)' : '')
+                : `Near miss: ${crossing.distance.toFixed(1)} mm apart at ${crossing.angle.toFixed(1)}°`;
+
+            const beams = document.createElement('span');
+            beams.className = 'drc-rule';
+            beams.textContent = segments.map(segment => {
+                const source = state.components.get(segment.sourceId)?.name ?? '?';
+                const target = segment.targetId ? state.components.get(segment.targetId)?.name ?? '?' : 'edge';
+                return `${source} → ${target} (${segment.id})`;
+            }).join(' × ');
+
+            const colors = document.createElement('span');
+            colors.className = 'drc-rule';
+            colors.textContent = segments.map((segment, i) =>
+                this.describeBeamWavelengths(crossing.wavelengthIds[i], segment, state.wavelengths)).join(' × ');
+
+            item.append(kind, beams, colors);
+            item.addEventListener('click', () => this.showViolation({
+                segmentId: crossing.segmentIds[0],
+                otherSegmentId: crossing.segmentIds[1],
+                point: crossing.point
+            }));
+            list.appendChild(item);
+        });
+
+        const count = type => beamCrossings.filter(c => c.type === type).length;
+        summary.textContent = beamCrossings.length === 0
+            ? 'No beams cross'
+            : `${count(CrossingType.CROSSING)} crossings, ${count(CrossingType.NEAR_MISS)} near misses ` +
+              `(closer than ${NEAR_MISS_DISTANCE} mm within ${NEAR_PARALLEL_ANGLE}°)`;
+
+        // Forbidden wavelength pairs of the beam crossing rule
+        const rule = getRule(ruleSet, DesignRuleType.BEAM_CROSSING);
+        const nameOf = id => state.wavelengths.find(w => w.id === id)?.name ?? id;
+        pairList.innerHTML = '';
+        rule.wavelengthPairs.forEach(pair => {
+            const item = document.createElement('div');
+            item.className = 'crossing-pair';
+            const label = document.createElement('span');
+            label.textContent = `${nameOf(pair[0])} × ${nameOf(pair[1])}`;
+            const remove = document.createElement('button');
+            remove.className = 'crossing-pair-remove';
+            remove.textContent = '×';
+            remove.title = 'Allow these crossings again';
+            remove.addEventListener('click', () => {
+                this.store.dispatch(actions.setDesignRule(DesignRuleType.BEAM_CROSSING, {
+                    wavelengthPairs: rule.wavelengthPairs.filter(p => p !== pair)
+                }));
+            });
+            item.append(label, remove);
+            pairList.appendChild(item);
+        });
+        if (rule.wavelengthPairs.length === 0) {
+            const hint = document.createElement('div');
+            hint.className = 'hint-text';
+            hint.textContent = rule.enabled
+                ? 'None - the Beam crossings rule flags every crossing'
+                : 'None - crossings are allowed';
+            pairList.appendChild(hint);
+        }
+
+        ['crossing-pair-a', 'crossing-pair-b'].forEach(id => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            const value = select.value;
+            select.innerHTML = '';
+            state.wavelengths.forEach(w => {
+                const option = document.createElement('option');
+                option.value = w.id;
+                option.textContent = w.name;
+                select.appendChild(option);
+            });
+            if (state.wavelengths.some(w => w.id === value)) select.value = value;
+        });
+    }
+
+    /**
+     * Fill the rule set editor from the document's rule set
+     */
+    fillDesignRuleList() {
+        const list = document.getElementById('design-rule-list');
+        if (!list) return;
+        const ruleSet = this.store.getState().constraints.designRules;
+
+        list.innerHTML = '';
+        Object.entries(DESIGN_RULES).forEach(([type, definition]) => {
+            const rule = getRule(ruleSet, type);
+            const row = document.createElement('div');
+            row.className = 'design-rule' + (rule.enabled ? '' : ' disabled');
+
+            const enabled = document.createElement('input');
+            enabled.type = 'checkbox';
+            enabled.checked = rule.enabled;
+            enabled.addEventListener('change', () => {
+                row.classList.toggle('disabled', !enabled.checked);
+                this.store.dispatch(actions.setDesignRule(type, { enabled: enabled.checked }));
+            });
+
+            const name = document.createElement('label');
+            name.className = 'design-rule-name';
+            name.append(enabled, ` ${definition.name}`);
+
+            const severity = document.createElement('select');
+            severity.className = 'property-select';
+            Object.values(Severity).forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value.charAt(0).toUpperCase() + value.slice(1);
+                severity.appendChild(option);
+            });
+            severity.value = rule.severity;
+            severity.addEventListener('change', () => {
+                this.store.dispatch(actions.setDesignRule(type, { severity: severity.value }));
+            });
+
+            row.append(name, severity);
+
+            Object.entries(definition.params).forEach(([key, param]) => {
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.className = 'property-input small';
+                input.min = param.min;
+                input.value = rule.params[key];
+                input.addEventListener('change', () => {
+                    const value = Math.max(param.min, parseFloat(input.value) || 0);
+                    input.value = value;
+                    this.store.dispatch(actions.setDesignRule(type, { params: { [key]: value } }));
+                });
+
+                const label = document.createElement('label');
+                label.append(`${param.label}: `, input, ` ${param.unit}`);
+                row.appendChild(label);
+            });
+
+            const description = document.createElement('p');
+            description.className = 'hint-text';
+            description.textContent = definition.description;
+            row.appendChild(description);
+
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Open the constraint editor
+     * @param {string|null} constraintId - Constraint to edit, or null for a new one
+     */
+    openPathLengthEditor(constraintId = null) {
+        const state = this.store.getState();
+        if (state.components.size < 2) {
+            this.showToast('Place the components of both beam paths first', 'warning');
+            return;
+        }
+
+        const constraint = state.constraints.pathLengthConstraints.find(c => c.id === constraintId)
+            || createPathLengthConstraint();
+        this.editingPathLengthId = constraintId;
+
+        const components = Array.from(state.components.values()).sort((a, b) => a.name.localeCompare(b.name));
+        const fillSelect = (id, value, emptyLabel) => {
+            const select = document.getElementById(id);
+            select.innerHTML = '';
+            const empty = document.createElement('option');
+            empty.value = '';
+            empty.textContent = emptyLabel;
+            select.appendChild(empty);
+            components.forEach(component => {
+                const option = document.createElement('option');
+                option.value = component.id;
+                option.textContent = component.name;
+                select.appendChild(option);
+            });
+            select.value = value || '';
+        };
+
+        const sources = components.filter(c => c.type === ComponentType.SOURCE);
+        ['a', 'b'].forEach(key => {
+            const path = key === 'a' ? constraint.pathA : constraint.pathB;
+            fillSelect(`path-length-${key}-from`, path.fromId || (sources.length === 1 ? sources[0].id : ''), 'Select...');
+            fillSelect(`path-length-${key}-to`, path.toId, 'Select...');
+            fillSelect(`path-length-${key}-via`, path.viaId, '(any route)');
+        });
+        fillSelect('path-length-mirror-1', constraint.delayMirrorIds[0], '(none)');
+        fillSelect('path-length-mirror-2', constraint.delayMirrorIds[1], '(none)');
+
+        document.getElementById('path-length-name').value = constraint.name;
+        document.getElementById('path-length-offset').value = constraint.offset;
+        document.getElementById('path-length-tolerance').value = constraint.tolerance;
+        document.getElementById('path-length-modal')?.classList.remove('hidden');
+    }
+
+    /**
+     * Store the constraint from the editor
+     */
+    savePathLengthConstraint() {
+        const value = id => document.getElementById(id).value || null;
+        const readPath = key => ({
+            fromId: value(`path-length-${key}-from`),
+            toId: value(`path-length-${key}-to`),
+            viaId: value(`path-length-${key}-via`)
+        });
+
+        const pathA = readPath('a');
+        const pathB = readPath('b');
+        if (!pathA.fromId || !pathA.toId || !pathB.fromId || !pathB.toId) {
+            this.showToast('Choose start and end of both paths', 'warning');
+            return;
+        }
+
+        const offset = parseFloat(value('path-length-offset'));
+        const tolerance = parseFloat(value('path-length-tolerance'));
+        const updates = {
+            name: value('path-length-name')?.trim() || 'Path match',
+            pathA,
+            pathB,
+            offset: Number.isFinite(offset) ? offset : 0,
+            tolerance: tolerance >= 0 ? tolerance : DEFAULT_OPL_TOLERANCE,
+            delayMirrorIds: [value('path-length-mirror-1'), value('path-length-mirror-2')].filter(Boolean)
+        };
+
+        if (this.editingPathLengthId) {
+            this.store.dispatch(actions.updatePathLengthConstraint(this.editingPathLengthId, updates));
+        } else {
+            this.store.dispatch(actions.addPathLengthConstraint(createPathLengthConstraint(updates)));
+        }
+        document.getElementById('path-length-modal')?.classList.add('hidden');
+    }
+
+    /**
+     * Move the constraint's delay mirror pair so both paths match
+     */
+    solvePathLengthConstraint(constraintId) {
+        const state = this.store.getState();
+        const constraint = state.constraints.pathLengthConstraints.find(c => c.id === constraintId);
+        if (!constraint) return;
+
+        const result = solveDelayLine(constraint, state.beamPath, state.components);
+        if (!result.valid) {
+            this.showToast('Cannot solve: ' + result.error, 'danger');
+            return;
+        }
+
+        this.store.dispatch(actions.applyLayout(result.positions));
+        this.showToast(`Delay line moved ${result.shift.toFixed(2)} mm`, 'success');
+    }
+
+    /**
+     * Update the path length constraint list (lengths, difference, status)
+     */
+    updatePathLengthPanel(state) {
+        const list = document.getElementById('path-length-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+        const constraints = state.constraints.pathLengthConstraints;
+        if (constraints.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'catalog-empty';
+            empty.textContent = 'No path length constraints';
+            list.appendChild(empty);
+            return;
+        }
+
+        constraints.forEach(constraint => {
+            const result = evaluatePathLengthConstraint(constraint, state.beamPath, state.components);
+
+            const item = document.createElement('div');
+            item.className = 'path-length-item' + (result.satisfied ? ' ok' : ' fail');
+
+            const name = document.createElement('span');
+            name.className = 'path-length-name';
+            name.textContent = constraint.name;
+
+            const detail = document.createElement('span');
+            detail.className = 'path-length-detail';
+            const format = length => length === null ? '-' : length.toFixed(1);
+            detail.textContent = result.difference === null
+                ? result.message
+                : `A ${format(result.lengthA)} / B ${format(result.lengthB)} mm, ` +
+                  `A - B = ${result.difference.toFixed(2)} (want ${constraint.offset} ± ${constraint.tolerance})`;
+
+            const buttons = document.createElement('div');
+            buttons.className = 'path-length-actions';
+            const addButton = (label, title, handler, className = 'action-btn small') => {
+                const button = document.createElement('button');
+                button.className = className;
+                button.textContent = label;
+                button.title = title;
+                button.addEventListener('click', handler);
+                buttons.appendChild(button);
+            };
+            if (constraint.delayMirrorIds.length === 2) {
+                addButton('Solve', 'Move the delay mirror pair to match the paths',
+                    () => this.solvePathLengthConstraint(constraint.id));
+            }
+            addButton('Edit', 'Edit this constraint', () => this.openPathLengthEditor(constraint.id));
+            addButton('Delete', 'Delete this constraint', () => {
+                this.store.dispatch(actions.deletePathLengthConstraint(constraint.id));
+            }, 'action-btn small danger');
+
+            item.append(name, detail, buttons);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Set up grid controls
+     */
+    setupGridControls() {
+        const btnGridSettings = document.getElementById('btn-grid-settings');
+        const gridModal = document.getElementById('grid-modal');
+        const closeModal = document.getElementById('close-grid-modal');
+
+        // Open modal
+        btnGridSettings?.addEventListener('click', () => {
+            this.syncGridModalFromState();
+            gridModal?.classList.remove('hidden');
+        });
+
+        // Close modal
+        closeModal?.addEventListener('click', () => {
+            gridModal?.classList.add('hidden');
+        });
+
+        // Close on backdrop click
+        gridModal?.addEventListener('click', (e) => {
+            if (e.target === gridModal) {
+                gridModal.classList.add('hidden');
+            }
+        });
+
+        // Grid visible toggle
+        const gridVisibleCheckbox = document.getElementById('grid-visible-modal');
+        gridVisibleCheckbox?.addEventListener('change', (e) => {
+            this.store.dispatch(actions.setGridSettings({ visible: e.target.checked }));
+        });
+
+        // Grid enabled toggle
+        const gridEnabledCheckbox = document.getElementById('grid-enabled-modal');
+        gridEnabledCheckbox?.addEventListener('change', (e) => {
+            this.store.dispatch(actions.setGridSettings({ enabled: e.target.checked }));
+        });
+
+        // Grid size slider
+        const gridSizeSlider = document.getElementById('grid-size-slider-modal');
+        const gridSizeInput = document.getElementById('grid-size-input-modal');
+        const gridSizeValue = document.getElementById('grid-size-value-modal');
+
+        gridSizeSlider?.addEventListener('input', (e) => {
+            const size = parseInt(e.target.value, 10);
+            if (gridSizeInput) gridSizeInput.value = size;
+            if (gridSizeValue) gridSizeValue.textContent = size;
+            this.store.dispatch(actions.setGridSettings({ size }));
+        });
+
+        // Grid size input
+        gridSizeInput?.addEventListener('change', (e) => {
+            let size = parseInt(e.target.value, 10);
+            size = Math.max(1, Math.min(50, size)); // Clamp to 1-50
+            e.target.value = size;
+            if (gridSizeSlider) gridSizeSlider.value = size;
+            if (gridSizeValue) gridSizeValue.textContent = size;
+            this.store.dispatch(actions.setGridSettings({ size }));
+        });
+
+        // Breadboard toggles
+        document.getElementById('breadboard-enabled-modal')?.addEventListener('change', (e) => {
+            this.store.dispatch(actions.setBreadboard({ enabled: e.target.checked }));
+        });
+        document.getElementById('breadboard-snap-modal')?.addEventListener('change', (e) => {
+            this.store.dispatch(actions.setBreadboard({ snapToHoles: e.target.checked }));
+        });
+
+        // Hole pattern standard (sets pitch, offsets and thread)
+        document.getElementById('breadboard-units-modal')?.addEventListener('change', (e) => {
+            const units = e.target.value === BreadboardUnits.IMPERIAL ? BreadboardUnits.IMPERIAL : BreadboardUnits.METRIC;
+            this.store.dispatch(actions.setBreadboard(setBreadboardUnits(this.store.getState().breadboard, units)));
+            this.syncGridModalFromState();
+        });
+
+        // Hole pitch and offsets
+        const breadboardNumbers = [
+            ['breadboard-pitch-modal', 'pitch', 1],
+            ['breadboard-offset-x-modal', 'offsetX', 0],
+            ['breadboard-offset-y-modal', 'offsetY', 0]
+        ];
+        breadboardNumbers.forEach(([inputId, key, min]) => {
+            document.getElementById(inputId)?.addEventListener('change', (e) => {
+                const value = Math.max(min, parseFloat(e.target.value) || 0);
+                e.target.value = value;
+                this.store.dispatch(actions.setBreadboard({ [key]: value }));
+            });
+        });
+
+        // Beam clearance from bodies and mounts
+        document.getElementById('beam-clearance-modal')?.addEventListener('change', (e) => {
+            const value = Math.max(0, parseFloat(e.target.value) || 0);
+            e.target.value = value;
+            this.store.dispatch(actions.setBeamClearance(value));
+        });
+    }
+
+    syncGridModalFromState() {
+        const grid = this.store.getState().grid;
+        const gridVisibleCheckbox = document.getElementById('grid-visible-modal');
+        const gridEnabledCheckbox = document.getElementById('grid-enabled-modal');
+        const gridSizeSlider = document.getElementById('grid-size-slider-modal');
+        const gridSizeInput = document.getElementById('grid-size-input-modal');
+        const gridSizeValue = document.getElementById('grid-size-value-modal');
+
+        if (gridVisibleCheckbox) gridVisibleCheckbox.checked = grid.visible;
+        if (gridEnabledCheckbox) gridEnabledCheckbox.checked = grid.enabled;
+        if (gridSizeSlider) gridSizeSlider.value = grid.size;
+        if (gridSizeInput) gridSizeInput.value = grid.size;
+        if (gridSizeValue) gridSizeValue.textContent = grid.size;
+
+        const breadboard = this.store.getState().breadboard;
+        const setValue = (id, value) => {
+            const el = document.getElementById(id);
+            if (el) el.value = value;
+        };
+        const enabledCheckbox = document.getElementById('breadboard-enabled-modal');
+        const snapCheckbox = document.getElementById('breadboard-snap-modal');
+        if (enabledCheckbox) enabledCheckbox.checked = breadboard.enabled;
+        if (snapCheckbox) snapCheckbox.checked = breadboard.snapToHoles;
+        setValue('breadboard-units-modal', breadboard.units);
+        setValue('breadboard-pitch-modal', breadboard.pitch);
+        setValue('breadboard-offset-x-modal', breadboard.offsetX);
+        setValue('breadboard-offset-y-modal', breadboard.offsetY);
+        setValue('beam-clearance-modal', getRule(this.store.getState().constraints.designRules, DesignRuleType.BEAM_CLEARANCE).params.clearance);
+    }
+
+    /**
+     * Set up panel resize handle
+     */
+    setupPanelResize() {
+        const handle = document.getElementById('panel-resize-handle');
+        const panel = document.getElementById('properties-panel');
+        if (!handle || !panel) return;
+
+        let isResizing = false;
+        let startX = 0;
+        let startWidth = 0;
+
+        // Load saved width from localStorage
+        const savedWidth = localStorage.getItem('panelWidth');
+        if (savedWidth) {
+            const width = parseInt(savedWidth, 10);
+            if (width >= 180 && width <= 400) {
+                panel.style.width = `${width}px`;
+            }
+        }
+
+        handle.addEventListener('mousedown', (e) => {
+            isResizing = true;
+            startX = e.clientX;
+            startWidth = panel.offsetWidth;
+            handle.classList.add('resizing');
+            document.body.classList.add('resizing-panel');
+            e.preventDefault();
+        });
+
+        document.addEventListener('mousemove', (e) => {
+            if (!isResizing) return;
+
+            // Calculate new width (inverted because we're resizing from left edge of panel)
+            const deltaX = startX - e.clientX;
+            let newWidth = startWidth + deltaX;
+
+            // Clamp to min/max
+            newWidth = Math.max(180, Math.min(400, newWidth));
+
+            panel.style.width = `${newWidth}px`;
+        });
+
+        document.addEventListener('mouseup', () => {
+            if (isResizing) {
+                isResizing = false;
+                handle.classList.remove('resizing');
+                document.body.classList.remove('resizing-panel');
+
+                // Save to localStorage
+                localStorage.setItem('panelWidth', panel.offsetWidth);
+
+                // Re-render canvas to adjust for new size
+                this.renderer.handleResize();
+                this.render();
+            }
+        });
+    }
+
+    /**
+     * Set up panel text size control
+     */
+    setupPanelTextSize() {
+        const slider = document.getElementById('panel-text-size');
+        const valueDisplay = document.getElementById('panel-text-size-value');
+        if (!slider) return;
+
+        // Load saved value from localStorage
+        const savedSize = localStorage.getItem('panelTextSize');
+        if (savedSize) {
+            const size = parseInt(savedSize, 10);
+            if (size >= 80 && size <= 150) {
+                slider.value = size;
+                if (valueDisplay) valueDisplay.textContent = size;
+                document.documentElement.style.setProperty('--panel-text-scale', size / 100);
+            }
+        }
+
+        slider.addEventListener('input', (e) => {
+            const size = parseInt(e.target.value, 10);
+            if (valueDisplay) valueDisplay.textContent = size;
+            document.documentElement.style.setProperty('--panel-text-scale', size / 100);
+            localStorage.setItem('panelTextSize', size);
+        });
+    }
+
+    /**
+     * Set up settings modal
+     */
+    setupSettingsModal() {
+        const modal = document.getElementById('settings-modal');
+        const btnSettings = document.getElementById('btn-settings');
+        const btnClose = document.getElementById('close-settings');
+        const bgTypeRadios = document.querySelectorAll('input[name="bg-type"]');
+        const bgColorInput = document.getElementById('bg-color');
+        const bgColorValue = document.getElementById('bg-color-value');
+        const bgImageInput = document.getElementById('bg-image');
+        const btnChooseImage = document.getElementById('btn-choose-image');
+        const bgImageName = document.getElementById('bg-image-name');
+
+        // Open modal
+        btnSettings?.addEventListener('click', () => {
+            // Sync UI with current state
+            const state = this.store.getState();
+            const bg = state.background || {};
 
             // Set radio button
             bgTypeRadios.forEach(radio => {
@@ -710,6 +2319,7 @@ class BeamPathOptimizerApp {
                 bgImageName.textContent = bg.imagePath || 'No image selected';
             }
 
+            this.syncPlateOutlineInputs();
             modal?.classList.remove('hidden');
         });
 
@@ -788,16 +2398,82 @@ class BeamPathOptimizerApp {
             }));
         });
 
-        // Sync opacity from state when modal opens
-        this.store.subscribe(() => {
-            const bg = this.store.getState().background;
-            if (bgOpacitySlider && bg.opacity !== undefined) {
-                bgOpacitySlider.value = bg.opacity;
-            }
-            if (bgOpacityValue && bg.opacity !== undefined) {
-                bgOpacityValue.textContent = bg.opacity;
-            }
-        });
+        // Sync opacity from state when modal opens
+        this.store.subscribe(() => {
+            const bg = this.store.getState().background;
+            if (bgOpacitySlider && bg.opacity !== undefined) {
+                bgOpacitySlider.value = bg.opacity;
+            }
+            if (bgOpacityValue && bg.opacity !== undefined) {
+                bgOpacityValue.textContent = bg.opacity;
+            }
+        });
+
+        // Plate outline: the corners only matter for a polygon plate
+        document.getElementById('plate-shape')?.addEventListener('change', (e) => {
+            const polygon = e.target.value === PlateShape.POLYGON;
+            document.getElementById('plate-points-group')?.classList.toggle('hidden', !polygon);
+
+            // Start a new polygon from the current rectangle
+            const pointsInput = document.getElementById('plate-points');
+            if (polygon && pointsInput && !pointsInput.value.trim()) {
+                pointsInput.value = formatPlatePoints(getPlateOutline(this.store.getState().constraints.workspace));
+            }
+        });
+        document.getElementById('btn-apply-plate')?.addEventListener('click', () => this.applyPlateOutline());
+    }
+
+    /**
+     * Fill the plate outline inputs from the state
+     */
+    syncPlateOutlineInputs() {
+        const workspace = this.store.getState().constraints.workspace;
+        const shapeSelect = document.getElementById('plate-shape');
+        const pointsInput = document.getElementById('plate-points');
+        const cutoutsInput = document.getElementById('plate-cutouts');
+
+        if (shapeSelect) shapeSelect.value = workspace.shape;
+        if (pointsInput) pointsInput.value = workspace.shape === PlateShape.POLYGON ? formatPlatePoints(workspace.points) : '';
+        if (cutoutsInput) cutoutsInput.value = (workspace.cutouts || []).map(c => formatPlatePoints(c.points)).join('\n');
+        document.getElementById('plate-points-group')?.classList.toggle('hidden', workspace.shape !== PlateShape.POLYGON);
+    }
+
+    /**
+     * Parse "x,y; x,y" into points (pairs that are not two numbers are skipped)
+     */
+    parsePointList(text) {
+        return text.split(';')
+            .map(pair => pair.split(',').map(v => parseFloat(v)))
+            .filter(([x, y]) => Number.isFinite(x) && Number.isFinite(y))
+            .map(([x, y]) => ({ x, y }));
+    }
+
+    /**
+     * Apply the plate outline and cut-outs from the settings inputs
+     */
+    applyPlateOutline() {
+        const current = this.store.getState().constraints.workspace;
+        const shape = document.getElementById('plate-shape')?.value;
+        const points = this.parsePointList(document.getElementById('plate-points')?.value || '');
+
+        // One cut-out per line; lines keep the id and name of the cut-out they replace
+        const cutouts = (document.getElementById('plate-cutouts')?.value || '').split('\n')
+            .filter(line => line.trim())
+            .map((line, i) => ({ ...(current.cutouts[i] || {}), points: this.parsePointList(line) }));
+
+        let workspace;
+        try {
+            workspace = setPlateOutline(current, { shape, points, cutouts });
+        } catch (error) {
+            this.showToast(error.message, 'danger');
+            return;
+        }
+
+        this.store.dispatch(actions.setWorkspaceOutline(workspace));
+        document.getElementById('workspace-width').value = Math.round(workspace.width);
+        document.getElementById('workspace-height').value = Math.round(workspace.height);
+        this.syncPlateOutlineInputs();
+        this.showToast(`Plate outline updated (${workspace.cutouts.length} cut-out(s))`, 'success');
     }
 
     /**
@@ -1207,9 +2883,8 @@ class BeamPathOptimizerApp {
                 const id = zoneId.replace('keepout:', '');
                 const zone = state.constraints.keepOutZones.find(z => z.id === id);
                 if (zone) {
-                    this.store.dispatch(actions.updateKeepOutZone(id, {
-                        bounds: { ...zone.bounds, width }
-                    }));
+                    // Circles stay round; polygon vertices scale with the bounds
+                    this.store.dispatch(actions.updateKeepOutZone(id, resizeZone(zone, { width })));
                 }
             }
         });
@@ -1227,9 +2902,8 @@ class BeamPathOptimizerApp {
                 const id = zoneId.replace('keepout:', '');
                 const zone = state.constraints.keepOutZones.find(z => z.id === id);
                 if (zone) {
-                    this.store.dispatch(actions.updateKeepOutZone(id, {
-                        bounds: { ...zone.bounds, height }
-                    }));
+                    // Circles stay round; polygon vertices scale with the bounds
+                    this.store.dispatch(actions.updateKeepOutZone(id, resizeZone(zone, { height })));
                 }
             }
         });
@@ -1271,33 +2945,611 @@ class BeamPathOptimizerApp {
             const wavelengthId = selectEl?.value;
             if (!wavelengthId) return;
 
-            // Add wavelength to all selected segments
-            selectedSegmentIds.forEach(segmentId => {
-                const segment = state.beamPath.segments.get(segmentId);
-                if (segment) {
-                    const currentWavelengthIds = segment.wavelengthIds || [];
-                    if (!currentWavelengthIds.includes(wavelengthId)) {
-                        const newWavelengthIds = [...currentWavelengthIds, wavelengthId];
-                        this.store.dispatch(actions.updateSegmentWavelengths(segmentId, newWavelengthIds));
-                    }
-                }
-            });
+            // Add wavelength to all selected segments
+            selectedSegmentIds.forEach(segmentId => {
+                const segment = state.beamPath.segments.get(segmentId);
+                if (segment) {
+                    const currentWavelengthIds = segment.wavelengthIds || [];
+                    if (!currentWavelengthIds.includes(wavelengthId)) {
+                        const newWavelengthIds = [...currentWavelengthIds, wavelengthId];
+                        this.store.dispatch(actions.updateSegmentWavelengths(segmentId, newWavelengthIds));
+                    }
+                }
+            });
+
+            // Reset dropdown
+            selectEl.value = '';
+        });
+
+        // Delete segment button
+        document.getElementById('btn-delete-segment')?.addEventListener('click', () => {
+            this.deleteSelected();
+        });
+
+        // Lock the segment length (a segmentLength constraint between its components)
+        document.getElementById('segment-prop-lock-length')?.addEventListener('change', (e) => {
+            const state = this.store.getState();
+            const segment = state.beamPath.segments.get(state.ui.selection.selectedSegmentIds?.[0]);
+            if (!segment) return;
+
+            const locked = this.getSegmentLengthConstraint(state, segment);
+            if (e.target.checked && !locked) {
+                this.store.dispatch(actions.addGeometricConstraint(createGeometricConstraint(
+                    GeometricConstraintType.SEGMENT_LENGTH,
+                    [segment.sourceId, segment.targetId],
+                    { value: Math.round(segment.pathLength * 10) / 10 }
+                ), [segment.sourceId]));
+            } else if (!e.target.checked && locked) {
+                this.store.dispatch(actions.deleteGeometricConstraint(locked.id));
+            }
+        });
+
+        document.getElementById('segment-prop-length')?.addEventListener('change', (e) => {
+            const segmentId = this.store.getState().ui.selection.selectedSegmentIds?.[0];
+            const value = parseFloat(e.target.value);
+            if (segmentId && value > 0) {
+                this.setSegmentLength(segmentId, value);
+            }
+            this.updateUI();
+        });
+
+        document.getElementById('segment-prop-name')?.addEventListener('change', (e) => {
+            const segmentId = this.store.getState().ui.selection.selectedSegmentIds?.[0];
+            if (segmentId) {
+                this.store.dispatch(actions.updateBeamSegment(segmentId, { name: e.target.value.trim() }));
+            }
+        });
+    }
+
+    /**
+     * Set the length of a beam segment
+     * A locked segment gets a new locked length; otherwise its target slides
+     * along the beam, carrying the downstream components with it.
+     */
+    setSegmentLength(segmentId, length) {
+        const state = this.store.getState();
+        const segment = state.beamPath.segments.get(segmentId);
+        const source = state.components.get(segment?.sourceId);
+        const target = state.components.get(segment?.targetId);
+        if (!source || !target) return;
+
+        const locked = this.getSegmentLengthConstraint(state, segment);
+        if (locked) {
+            this.store.dispatch(actions.updateGeometricConstraint(locked.id, { value: length }, [segment.sourceId]));
+            return;
+        }
+
+        const current = Math.hypot(target.position.x - source.position.x, target.position.y - source.position.y);
+        if (current === 0) return;
+        const stretch = (length - current) / current;
+        const delta = {
+            x: (target.position.x - source.position.x) * stretch,
+            y: (target.position.y - source.position.y) * stretch
+        };
+
+        const plan = BeamPhysics.planConstrainedMove(target.id, delta, state.beamPath, state.components);
+        if (!plan.valid) {
+            this.showToast(`Cannot change the length: ${plan.error}`, 'warning');
+            return;
+        }
+        this.store.dispatch(actions.applyLayout(plan.positions));
+    }
+
+    /**
+     * Set up dimension property inputs
+     */
+    setupDimensionPropertyInputs() {
+        const selectedDimension = () => {
+            const state = this.store.getState();
+            return state.ui.selection.type === 'dimension'
+                ? state.dimensions.find(d => d.id === state.ui.selection.selectedDimensionId) || null
+                : null;
+        };
+
+        // Typing a value makes the dimension driving
+        document.getElementById('dimension-prop-value')?.addEventListener('change', (e) => {
+            const dimension = selectedDimension();
+            const value = parseFloat(e.target.value);
+            if (dimension && Number.isFinite(value)) {
+                this.driveDimension(dimension, value);
+            }
+        });
+
+        document.getElementById('dimension-prop-driving')?.addEventListener('change', (e) => {
+            const dimension = selectedDimension();
+            if (!dimension) return;
+
+            if (e.target.checked) {
+                this.driveDimension(dimension, measureDimension(dimension, this.store.getState().components));
+            } else if (dimension.constraintId) {
+                this.store.dispatch(actions.deleteGeometricConstraint(dimension.constraintId));
+            }
+        });
+
+        document.getElementById('dimension-prop-orientation')?.addEventListener('change', (e) => {
+            const dimension = selectedDimension();
+            if (!dimension) return;
+
+            const updates = { orientation: e.target.value, offset: dimension.offset };
+            if (!dimension.constraintId) {
+                this.store.dispatch(actions.updateDimension(dimension.id, updates));
+                return;
+            }
+            // A driving dimension keeps driving, with the length it now measures
+            const reoriented = { ...dimension, ...updates };
+            const value = measureDimension(reoriented, this.store.getState().components);
+            try {
+                this.store.dispatch(actions.driveDimension(dimension.id,
+                    { ...createDrivingConstraint(reoriented, value), id: dimension.constraintId }, updates));
+            } catch (error) {
+                this.showToast(error.message, 'warning');
+                this.updateUI();
+            }
+        });
+
+        document.getElementById('btn-delete-dimension')?.addEventListener('click', () => {
+            const dimension = selectedDimension();
+            if (dimension) {
+                this.store.dispatch(actions.deleteDimension(dimension.id));
+            }
+        });
+    }
+
+    /**
+     * Make a dimension driving (or change its value) and move the layout to match
+     * The first component keeps its place: for a length the start, for an
+     * angle the vertex and first arm, so the second arm swings round.
+     * @param {Object} dimension - Document dimension
+     * @param {number} value - Wanted value (mm, or degrees for angles)
+     */
+    driveDimension(dimension, value) {
+        const state = this.store.getState();
+        let constraint;
+        try {
+            constraint = createDrivingConstraint(dimension, value);
+        } catch (error) {
+            this.showToast(error.message, 'warning');
+            this.updateUI();
+            return;
+        }
+
+        const existing = state.constraints.geometricConstraints.find(c => c.id === dimension.constraintId);
+        if (existing) constraint.id = existing.id;
+        const pinnedIds = dimension.type === DimensionType.ANGLE
+            ? [dimension.vertexId, dimension.armIds[0]]
+            : [dimension.ends[0].componentId];
+        this.store.dispatch(actions.driveDimension(dimension.id, constraint, {}, pinnedIds));
+
+        const after = this.store.getState();
+        if (after.calculated.constraintViolations.some(v => v.constraintId === constraint.id)) {
+            this.showToast(`Cannot reach ${formatDimension(dimension, value)}: ${describeConstraint(constraint, after.components)} conflicts with other constraints`, 'warning');
+        }
+    }
+
+    /**
+     * Set up optimizer control bindings
+     */
+    setupOptimizerControls() {
+        // Weight sliders
+        ['weight-com', 'weight-footprint', 'weight-path'].forEach(id => {
+            const slider = document.getElementById(id);
+            if (slider) {
+                slider.addEventListener('input', () => {
+                    slider.nextElementSibling.textContent = slider.value + '%';
+                });
+            }
+        });
+
+        document.getElementById('btn-optimize')?.addEventListener('click', () => this.startOptimization());
+        document.getElementById('btn-pause-optimize')?.addEventListener('click', () => this.pauseOptimization());
+        document.getElementById('btn-resume-optimize')?.addEventListener('click', () => this.resumeOptimization());
+        document.getElementById('btn-stop-optimize')?.addEventListener('click', () => this.stopOptimization());
+        document.getElementById('btn-stop-optimize-2')?.addEventListener('click', () => this.stopOptimization());
+        document.getElementById('btn-accept-optimize')?.addEventListener('click', () => this.acceptOptimization());
+        document.getElementById('btn-revert-optimize')?.addEventListener('click', () => this.revertOptimization());
+        document.getElementById('btn-view-results')?.addEventListener('click', () => this.openResultsView());
+        document.getElementById('btn-show-optimizer')?.addEventListener('click', () => this.showOptimizerSection());
+        document.getElementById('btn-hide-optimizer')?.addEventListener('click', () => this.hideOptimizerSection());
+
+        // Results view controls
+        document.getElementById('btn-preview-selected')?.addEventListener('click', () => this.previewSelectedSnapshot());
+        document.getElementById('btn-apply-selected')?.addEventListener('click', () => this.applySelectedSnapshot());
+        document.getElementById('btn-close-results')?.addEventListener('click', () => this.closeResultsView());
+        document.getElementById('results-split-screen')?.addEventListener('change', (e) => {
+            this.isSplitScreenMode = e.target.checked;
+            this.render();
+        });
+        ['results-view-mode', 'results-axis-x', 'results-axis-y'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.updateResultsGraphMode());
+        });
+
+        // Optimizer callbacks - the optimizer works on a serialized copy, so
+        // live progress is shown as a preview instead of mutating the store
+        this.optimizer.onProgress = (progress) => this.updateOptimizerProgress(progress);
+        this.optimizer.onStep = (snapshot) => {
+            this.previewSnapshot = snapshot;
+            this.render();
+        };
+        this.optimizer.onComplete = (result) => this.onOptimizationComplete(result);
+    }
+
+    /**
+     * Get current optimization weights from sliders (normalized to sum to 1)
+     */
+    getOptimizationWeights() {
+        const com = parseFloat(document.getElementById('weight-com')?.value || 50);
+        const footprint = parseFloat(document.getElementById('weight-footprint')?.value || 25);
+        const pathLength = parseFloat(document.getElementById('weight-path')?.value || 25);
+
+        const total = com + footprint + pathLength || 1;
+        return {
+            com: com / total,
+            footprint: footprint / total,
+            pathLength: pathLength / total
+        };
+    }
+
+    /**
+     * Show optimizer section
+     */
+    showOptimizerSection() {
+        document.getElementById('optimizer-section')?.classList.remove('hidden');
+        document.getElementById('optimizer-toggle-container')?.classList.add('hidden');
+        document.getElementById('selection-info')?.classList.add('hidden');
+    }
+
+    /**
+     * Hide optimizer section
+     */
+    hideOptimizerSection() {
+        document.getElementById('optimizer-section')?.classList.add('hidden');
+        this.updateUI();
+    }
+
+    /**
+     * Start optimization
+     */
+    startOptimization() {
+        const state = this.store.getState();
+
+        const movableCount = Array.from(state.components.values()).filter(c => !c.isFixed).length;
+        if (movableCount === 0) {
+            this.showToast('No movable components to optimize. Uncheck "Fixed Position" on components you want to move.', 'warning');
+            return;
+        }
+
+        this.closeResultsView();
+        this.optimizer.start(state, this.getOptimizationWeights());
+
+        this.showOptimizerButtons('running');
+        document.getElementById('optimizer-progress')?.classList.remove('hidden');
+    }
+
+    /**
+     * Pause optimization
+     */
+    pauseOptimization() {
+        this.optimizer.pause();
+        this.showOptimizerButtons('paused');
+    }
+
+    /**
+     * Resume optimization
+     */
+    resumeOptimization() {
+        this.optimizer.resume();
+        this.showOptimizerButtons('running');
+    }
+
+    /**
+     * Stop optimization (best layout found so far stays in preview)
+     */
+    stopOptimization() {
+        this.optimizer.stop();
+    }
+
+    /**
+     * Accept optimization results - apply the best layout as one undoable step
+     */
+    acceptOptimization() {
+        const best = this.optimizer.getBestSnapshot();
+        this.previewSnapshot = null;
+
+        if (best) {
+            this.store.dispatch(actions.applyLayout(best.positions, best.angles));
+        }
+
+        this.showOptimizerButtons('start');
+        document.getElementById('optimizer-progress')?.classList.add('hidden');
+        this.render();
+    }
+
+    /**
+     * Revert optimization results - the store was never changed, so just drop the preview
+     */
+    revertOptimization() {
+        this.previewSnapshot = null;
+        this.closeResultsView();
+        this.showOptimizerButtons('start');
+        document.getElementById('optimizer-progress')?.classList.add('hidden');
+        this.render();
+    }
+
+    /**
+     * Discard any optimizer run and its results (e.g. when the document changes)
+     */
+    resetOptimization() {
+        this.optimizer.cancel();
+        this.revertOptimization();
+    }
+
+    /**
+     * Update optimizer progress UI
+     */
+    updateOptimizerProgress(progress) {
+        const progressBar = document.getElementById('opt-progress-bar');
+        if (progressBar) progressBar.value = progress.progress * 100;
+
+        const statusText = document.getElementById('opt-status-text');
+        if (statusText) {
+            if (progress.iterationsSinceImprovement > 100) {
+                statusText.textContent = `Searching... (${progress.iterationsSinceImprovement} since improvement)`;
+            } else if (progress.improvement > 0) {
+                statusText.textContent = `Optimizing... found ${progress.improvement.toFixed(1)}% improvement`;
+            } else {
+                statusText.textContent = `Optimizing... (${Math.round(progress.progress * 100)}% complete)`;
+            }
+        }
+
+        const improvementEl = document.getElementById('opt-improvement');
+        if (improvementEl) {
+            improvementEl.textContent = `${progress.improvement.toFixed(1)}%`;
+            improvementEl.className = 'opt-stat-value' + (progress.improvement > 5 ? ' good' : '');
+        }
+
+        const iterationEl = document.getElementById('opt-iteration');
+        if (iterationEl) iterationEl.textContent = `${progress.iteration}/${progress.maxIterations}`;
+
+        const comEl = document.getElementById('opt-com-cost');
+        if (comEl && progress.objectives) {
+            const comDist = progress.objectives.com;
+            comEl.textContent = comDist < 1 ? 'In zone' : `${comDist.toFixed(0)}mm`;
+            comEl.className = 'opt-stat-value' + (comDist < 1 ? ' good' : '');
+        }
+
+        const penaltyEl = document.getElementById('opt-penalty');
+        if (penaltyEl && progress.objectives) {
+            const violations = progress.objectives.violations;
+            penaltyEl.textContent = violations.toString();
+            penaltyEl.className = 'opt-stat-value' + (violations > 0 ? ' bad' : ' good');
+        }
+    }
+
+    /**
+     * Handle optimization complete
+     */
+    onOptimizationComplete(result) {
+        const statusText = document.getElementById('opt-status-text');
+
+        if (result.reason === 'noMovable') {
+            this.revertOptimization();
+            return;
+        }
+
+        if (result.reason === 'error') {
+            this.revertOptimization();
+            this.showToast(`Optimization failed: ${result.error}`, 'danger');
+            return;
+        }
+
+        this.previewSnapshot = result.bestSnapshot;
+        this.render();
+
+        if (statusText) {
+            if (result.reason === 'earlyStop') {
+                statusText.textContent = `Done! (converged after ${result.iteration} iterations)`;
+            } else if (result.reason === 'stopped') {
+                statusText.textContent = `Stopped (${result.improvement.toFixed(1)}% improvement)`;
+            } else {
+                statusText.textContent = `Done! (${result.improvement.toFixed(1)}% improvement)`;
+            }
+        }
+
+        this.showOptimizerButtons('finished');
+    }
+
+    /**
+     * Show appropriate optimizer buttons for state
+     */
+    showOptimizerButtons(state) {
+        const groups = {
+            start: document.getElementById('opt-buttons-start'),
+            running: document.getElementById('opt-buttons-running'),
+            paused: document.getElementById('opt-buttons-paused'),
+            finished: document.getElementById('opt-buttons-finished')
+        };
+
+        Object.entries(groups).forEach(([name, el]) => {
+            if (el) el.classList.toggle('hidden', name !== state);
+        });
+    }
+
+    /**
+     * Open the results view panel
+     */
+    openResultsView() {
+        const snapshots = this.optimizer.getSnapshots();
+        if (snapshots.length === 0) {
+            this.showToast('No optimization data available.', 'warning');
+            return;
+        }
+
+        document.getElementById('results-section')?.classList.remove('hidden');
+        this.isResultsViewOpen = true;
+
+        const graphCanvas = document.getElementById('results-graph');
+        if (graphCanvas && !this.resultsGraph) {
+            this.resultsGraph = new ResultsGraph(graphCanvas);
+
+            this.resultsGraph.onHover = (snapshot) => this.updateResultsTooltip(snapshot);
+            this.resultsGraph.onClick = (snapshot, index) => {
+                this.selectResultsSnapshot(snapshot, index);
+                // Pareto points are alternatives to compare - preview straight away
+                if (this.resultsGraph.mode === GraphMode.PARETO) {
+                    this.previewSnapshot = snapshot;
+                    this.render();
+                }
+            };
+            this.resultsGraph.onDoubleClick = (snapshot) => {
+                this.previewSnapshot = snapshot;
+                this.render();
+            };
+        }
+
+        if (this.resultsGraph) {
+            this.resultsGraph.setData(snapshots);
+            this.updateResultsGraphMode();
+        }
+
+        this.selectResultsSnapshot(null);
+    }
+
+    /**
+     * Apply the results view mode / Pareto axes selected in the panel
+     */
+    updateResultsGraphMode() {
+        const mode = document.getElementById('results-view-mode')?.value || GraphMode.COST;
+        const xObjective = document.getElementById('results-axis-x')?.value;
+        const yObjective = document.getElementById('results-axis-y')?.value;
+
+        document.getElementById('results-pareto-axes')?.classList.toggle('hidden', mode !== GraphMode.PARETO);
+        this.resultsGraph?.setMode(mode, xObjective, yObjective);
+    }
+
+    /**
+     * Short description of a snapshot for the results panel
+     */
+    describeSnapshot(snapshot) {
+        const text = `Iteration ${snapshot.iteration}, Cost: ${snapshot.cost.toFixed(1)}`;
+        if (this.resultsGraph?.mode !== GraphMode.PARETO || !snapshot.objectives) return text;
+
+        const { com, footprint, pathLength, violations } = snapshot.objectives;
+        return `${text} - CoM ${com.toFixed(1)}, footprint ${footprint.toFixed(1)}, path ${pathLength.toFixed(1)} mm` +
+            (violations > 0 ? ` (${violations} violation${violations === 1 ? '' : 's'})` : '');
+    }
+
+    /**
+     * Close the results view panel
+     */
+    closeResultsView() {
+        if (!this.isResultsViewOpen) return;
+
+        document.getElementById('results-section')?.classList.add('hidden');
+        this.isResultsViewOpen = false;
+        this.isSplitScreenMode = false;
+
+        const splitScreen = document.getElementById('results-split-screen');
+        if (splitScreen) splitScreen.checked = false;
+
+        this.render();
+    }
+
+    /**
+     * Update the tooltip when hovering over graph
+     */
+    updateResultsTooltip(snapshot) {
+        const tooltipEl = document.getElementById('results-tooltip');
+        if (!tooltipEl) return;
+
+        if (snapshot) {
+            tooltipEl.textContent = this.describeSnapshot(snapshot);
+            tooltipEl.classList.add('active');
+        } else {
+            tooltipEl.textContent = 'Hover over graph to see iteration details';
+            tooltipEl.classList.remove('active');
+        }
+    }
+
+    /**
+     * Select a snapshot from the results graph
+     */
+    selectResultsSnapshot(snapshot) {
+        const selectedInfoEl = document.getElementById('selected-iteration-info');
+        const previewBtn = document.getElementById('btn-preview-selected');
+        const applyBtn = document.getElementById('btn-apply-selected');
+
+        if (selectedInfoEl) {
+            selectedInfoEl.textContent = snapshot
+                ? `Iteration ${snapshot.iteration} (Cost: ${snapshot.cost.toFixed(1)})`
+                : 'None';
+        }
+        if (previewBtn) previewBtn.disabled = !snapshot;
+        if (applyBtn) applyBtn.disabled = !snapshot;
+    }
+
+    /**
+     * Preview the selected snapshot
+     */
+    previewSelectedSnapshot() {
+        const snapshot = this.resultsGraph?.getSelectedSnapshot();
+        if (snapshot) {
+            this.previewSnapshot = snapshot;
+            this.render();
+        }
+    }
+
+    /**
+     * Apply the selected snapshot to the actual state
+     */
+    applySelectedSnapshot() {
+        const snapshot = this.resultsGraph?.getSelectedSnapshot();
+        if (!snapshot) return;
 
-            // Reset dropdown
-            selectEl.value = '';
-        });
+        this.previewSnapshot = null;
+        this.store.dispatch(actions.applyLayout(snapshot.positions, snapshot.angles));
 
-        // Delete segment button
-        document.getElementById('btn-delete-segment')?.addEventListener('click', () => {
-            this.deleteSelected();
-        });
+        this.closeResultsView();
+        this.showOptimizerButtons('start');
+        document.getElementById('optimizer-progress')?.classList.add('hidden');
     }
 
     /**
      * Set the current tool
      */
     setTool(tool) {
+        // Switching tools abandons an unfinished polygon keep-out
+        if (tool !== 'keepout-polygon' && this.polygonZonePoints) {
+            this.cancelPolygonZone();
+        }
+        // ...and a beam path that was never finished
+        if (tool !== 'draw' && this.drawPathPoints) {
+            this.cancelDrawPath();
+        }
+        // ...and the first pick of a dimension
+        if (tool !== 'dimension' && this.dimensionPick) {
+            this.cancelDimensionPick();
+        }
+        if (tool === 'dimension' && this.store.getState().ui.tool !== 'dimension') {
+            if (this.store.getState().ui.dimensionsVisible === false) {
+                this.store.dispatch(actions.toggleDimensions());
+            }
+            this.showToast('Dimension: pick two components or points for a length, two beams meeting at a component for an angle', 'info');
+        }
+
+        // Draw Path mode starts with grid snap on (G toggles it)
+        const wasDrawing = this.store.getState().ui.tool === 'draw';
+        if (tool === 'draw' && !wasDrawing) {
+            if (this.store.getState().grid?.enabled === false) {
+                this.store.dispatch(actions.setGridSettings({ enabled: true }));
+                this.syncGridModalFromState();
+            }
+            this.showToast('Draw Path: click to place points, Esc finishes the path, Esc again exits', 'info');
+        }
+
         this.store.dispatch(actions.setTool(tool));
+        if (wasDrawing && tool !== 'draw') {
+            this.setPathDraft(null);
+        }
 
         // Update UI
         document.querySelectorAll('.tool-btn[data-tool]').forEach(btn => {
@@ -1336,6 +3588,12 @@ class BeamPathOptimizerApp {
         const clickedComponent = this.getComponentAtPosition(worldPos.x, worldPos.y);
         // Check if clicking on a zone
         const clickedZone = this.getZoneAtPosition(worldPos.x, worldPos.y);
+        // Beam segments are picked in empty space only (they end at component centers)
+        const clickedSegment = tool === 'select' && !clickedComponent
+            ? this.getSegmentAtPosition(worldPos.x, worldPos.y)
+            : null;
+        // Dimensions are drawn on top, so they are picked first
+        const clickedDimension = tool === 'select' ? this.getDimensionAtPosition(worldPos.x, worldPos.y) : null;
 
         if (e.button === 2) {
             // Start panning (right mouse button only)
@@ -1343,21 +3601,35 @@ class BeamPathOptimizerApp {
             this.panStart = { x: screenX, y: screenY };
             this.canvas.style.cursor = 'grabbing';
         } else if (tool === 'select') {
-            if (clickedComponent) {
+            if (clickedDimension) {
+                // Select the dimension and drag its line; double-click edits its value
+                this.store.dispatch(actions.selectDimension(clickedDimension.id));
+                this.dragDimension = clickedDimension;
+                if (e.detail >= 2) {
+                    const valueInput = document.getElementById('dimension-prop-value');
+                    valueInput?.focus();
+                    valueInput?.select();
+                }
+            } else if (clickedComponent) {
                 const wasAlreadySelected = state.ui.selection.selectedIds.includes(clickedComponent.id);
 
+                // Clicking a group member picks the whole group; Alt+click picks just the member
+                const group = e.altKey ? null : getGroupOfComponent(state.groups, clickedComponent.id);
+                const clickedIds = group ? group.componentIds : [clickedComponent.id];
+
                 // Ctrl+click for multi-select
                 if (e.ctrlKey || e.metaKey) {
-                    const currentSelected = [...state.ui.selection.selectedIds];
-                    const idx = currentSelected.indexOf(clickedComponent.id);
-                    if (idx > -1) {
+                    let currentSelected = [...state.ui.selection.selectedIds];
+                    if (wasAlreadySelected) {
                         // Deselect if already selected
-                        currentSelected.splice(idx, 1);
+                        currentSelected = currentSelected.filter(id => !clickedIds.includes(id));
                     } else {
                         // Add to selection
-                        currentSelected.push(clickedComponent.id);
+                        currentSelected.push(...clickedIds.filter(id => !currentSelected.includes(id)));
                     }
                     this.store.dispatch(actions.selectMultiple(currentSelected));
+                } else if (group && !wasAlreadySelected) {
+                    this.store.dispatch(actions.selectMultiple([...clickedIds]));
                 } else if (!wasAlreadySelected) {
                     // Regular click on unselected component - select just this one
                     this.store.dispatch(actions.selectComponent(clickedComponent.id));
@@ -1378,17 +3650,57 @@ class BeamPathOptimizerApp {
 
                 // For multi-select drag: if Ctrl was held OR if the clicked component was already selected,
                 // include other previously selected components
-                if ((e.ctrlKey || e.metaKey) || wasAlreadySelected) {
-                    state.ui.selection.selectedIds.forEach(id => {
-                        if (id !== clickedComponent.id) {
-                            const comp = state.components.get(id);
-                            if (comp) {
-                                this.dragOriginalPositions.set(id, { ...comp.position });
-                            }
+                const draggedIds = ((e.ctrlKey || e.metaKey) || wasAlreadySelected)
+                    ? [...state.ui.selection.selectedIds, ...clickedIds]
+                    : clickedIds;
+                draggedIds.forEach(id => {
+                    if (!this.dragOriginalPositions.has(id)) {
+                        const comp = state.components.get(id);
+                        if (comp) {
+                            this.dragOriginalPositions.set(id, { ...comp.position });
                         }
-                    });
+                    }
+                });
+
+                // Groups move as rigid bodies: one snapped shift for everything, and not at all
+                // if any member of a dragged group is fixed
+                this.dragRigid = !!group || getSelectedGroups(state.groups, draggedIds).length > 0;
+                if (this.dragRigid && draggedIds.some(id => state.components.get(id)?.isFixed)) {
+                    this.dragOriginalPositions = new Map();
+                    this.dragRigid = false;
+                    this.isDragging = false;
+                    this.showToast('Cannot move: the group contains fixed components', 'warning');
+                }
+
+                // A lone component on the beam slides along its beam axis, carrying the
+                // downstream chain with it, instead of being rejected on mouse up
+                this.dragSlideContext = null;
+                if (this.dragOriginalPositions.size === 1 && !this.isComponentConstrained(state, clickedComponent.id)) {
+                    const axis = BeamPhysics.getSlideAxis(clickedComponent.id, state.beamPath, state.components);
+                    if (!axis.free) {
+                        this.dragSlideContext = {
+                            components: state.components,  // Positions at drag start (state is immutable)
+                            beamPath: state.beamPath,
+                            lastDelta: { x: 0, y: 0 },
+                            warned: false
+                        };
+                    }
                 }
 
+            } else if (clickedSegment) {
+                // Clicked on a beam segment - Ctrl+click adds or removes it
+                if (e.ctrlKey || e.metaKey) {
+                    const currentSelected = [...(state.ui.selection.selectedSegmentIds || [])];
+                    const idx = currentSelected.indexOf(clickedSegment.id);
+                    if (idx > -1) {
+                        currentSelected.splice(idx, 1);
+                    } else {
+                        currentSelected.push(clickedSegment.id);
+                    }
+                    this.store.dispatch(actions.selectMultipleSegments(currentSelected));
+                } else {
+                    this.store.dispatch(actions.selectSegment(clickedSegment.id));
+                }
             } else if (clickedZone) {
                 // Clicked on a zone
                 this.store.dispatch(actions.selectZone(clickedZone.id));
@@ -1422,80 +3734,34 @@ class BeamPathOptimizerApp {
                     }
                 };
             }
-        } else if (tool === 'connect') {
-            // Beam connection mode - can select segments or create new connections
-            // IMPORTANT: Prioritize component clicks over segment clicks
-            // (segments end at components, so clicking a component would otherwise select the segment)
-
-            if (clickedComponent && clickedComponent.canOutputBeam()) {
-                // Start creating new connection from this component
-                this.connectingFrom = clickedComponent;
-                console.log('Connecting from:', clickedComponent.name);
-            } else if (clickedComponent && clickedComponent.canReceiveBeam()) {
-                // Clicked on a component that can only receive (like detector with no outgoing)
-                // Check for segment selection instead
-                const clickedSegment = this.getSegmentAtPosition(worldPos.x, worldPos.y);
-                if (clickedSegment) {
-                    if (e.ctrlKey || e.metaKey) {
-                        const currentSelected = [...(state.ui.selection.selectedSegmentIds || [])];
-                        const idx = currentSelected.indexOf(clickedSegment.id);
-                        if (idx > -1) {
-                            currentSelected.splice(idx, 1);
-                        } else {
-                            currentSelected.push(clickedSegment.id);
-                        }
-                        this.store.dispatch(actions.selectMultipleSegments(currentSelected));
-                    } else {
-                        this.store.dispatch(actions.selectSegment(clickedSegment.id));
-                    }
-                }
+        } else if (tool === 'draw') {
+            // Double-click finishes the path; otherwise each click adds a point
+            if (e.detail >= 2) {
+                this.finishDrawPath();
             } else {
-                // No component clicked - check for segment selection
-                const clickedSegment = this.getSegmentAtPosition(worldPos.x, worldPos.y);
-                if (clickedSegment) {
-                    // Ctrl+click for multi-select segments
-                    if (e.ctrlKey || e.metaKey) {
-                        const currentSelected = [...(state.ui.selection.selectedSegmentIds || [])];
-                        const idx = currentSelected.indexOf(clickedSegment.id);
-                        if (idx > -1) {
-                            currentSelected.splice(idx, 1);
-                        } else {
-                            currentSelected.push(clickedSegment.id);
-                        }
-                        this.store.dispatch(actions.selectMultipleSegments(currentSelected));
-                    } else {
-                        // Regular click - select single segment
-                        this.store.dispatch(actions.selectSegment(clickedSegment.id));
-                    }
-                } else {
-                    // Clicked on empty area in connect mode - start selection box for segments
-                    this.store.dispatch(actions.clearSelection());
-                    this.isSelectionBoxDragging = true;
-                    this.selectionBoxStart = worldPos;
-                    const freshState = this.store.getState();
-                    this.store.state = {
-                        ...freshState,
-                        ui: {
-                            ...freshState.ui,
-                            selectionBox: {
-                                startX: worldPos.x,
-                                startY: worldPos.y,
-                                endX: worldPos.x,
-                                endY: worldPos.y
-                            }
-                        }
-                    };
-                }
+                this.addDrawPathPoint(worldPos);
             }
-        } else if (tool === 'keepout') {
-            // Start drawing global keep-out zone
+        } else if (tool === 'dimension') {
+            this.addDimensionPick(worldPos);
+        } else if (tool === 'keepout' || tool === 'keepout-circle') {
+            // Start drawing global keep-out zone (circles are dragged out from their center)
             this.zoneStart = worldPos;
+        } else if (tool === 'keepout-polygon') {
+            // Double-click closes the polygon; otherwise each click adds a vertex
+            if (e.detail >= 2) {
+                this.finishPolygonZone();
+            } else {
+                this.addPolygonZonePoint(worldPos);
+            }
         } else if (tool === 'mounting') {
             // Start drawing mounting zone
             this.zoneStart = worldPos;
         } else if (Object.values(ComponentType).includes(tool)) {
-            // Placing a new component
-            this.placeComponent(tool, worldPos);
+            // Placing a new component (bolted onto the nearest holes on a breadboard)
+            const position = this.isHoleSnapActive(state)
+                ? this.snapPlacementPosition(tool, worldPos, state)
+                : worldPos;
+            this.placeComponent(tool, position);
         }
     }
 
@@ -1542,12 +3808,33 @@ class BeamPathOptimizerApp {
             };
             this.store.state = newState;
             this.render();
+        } else if (this.zoneStart && state.ui.tool === 'keepout-circle') {
+            // Preview circular keep-out
+            this.setZoneDraft({
+                shape: ZoneShape.CIRCLE,
+                center: this.zoneStart,
+                radius: Math.hypot(worldPos.x - this.zoneStart.x, worldPos.y - this.zoneStart.y)
+            });
+        } else if (this.polygonZonePoints) {
+            // Preview polygon keep-out with a rubber-band edge to the cursor
+            this.setZoneDraft({ shape: ZoneShape.POLYGON, points: this.polygonZonePoints, cursor: worldPos });
+        } else if (state.ui.tool === 'draw') {
+            // Preview where the next path point goes
+            const next = this.resolveDrawPathPoint(worldPos, state);
+            this.setPathDraft({
+                points: this.drawPathPoints || [],
+                cursor: { x: next.x, y: next.y },
+                snapId: next.componentId,
+                splitsSegment: !!next.segment
+            });
         } else if (this.isDragging && this.dragComponent) {
             // Move component(s)
             if (!this.dragComponent.isFixed) {
                 // If multiple components selected, move all of them
                 const selectedIds = state.ui.selection.selectedIds;
-                if (selectedIds.length > 1 && selectedIds.includes(this.dragComponent.id) && this.dragOriginalPositions) {
+                if (this.dragRigid) {
+                    this.handleRigidDrag(worldPos, state);
+                } else if (selectedIds.length > 1 && selectedIds.includes(this.dragComponent.id) && this.dragOriginalPositions) {
                     // Calculate total delta from ORIGINAL drag start position
                     const dx = worldPos.x - this.dragStart.x;
                     const dy = worldPos.y - this.dragStart.y;
@@ -1561,22 +3848,17 @@ class BeamPathOptimizerApp {
                                 x: origPos.x + dx,
                                 y: origPos.y + dy
                             };
-                            // Apply grid snapping if enabled globally and for this component
-                            const gridEnabled = state.grid?.enabled !== false;
-                            if (gridEnabled && comp.snapToGrid !== false) {
-                                newPos = BeamPhysics.snapToGrid(newPos, state.grid?.size || 25);
-                            }
+                            // Snap mount screws to breadboard holes, or to the grid
+                            newPos = this.snapComponentPosition(comp, newPos, state);
                             this.store.dispatch(actions.moveComponent(id, newPos));
                         }
                     });
                     // NOTE: Don't update dragStart - we use original positions and total delta
+                } else if (this.dragSlideContext) {
+                    this.handleSlideDrag(worldPos, state);
                 } else {
                     // Single component drag - position follows mouse directly
-                    let newPos = { x: worldPos.x, y: worldPos.y };
-                    const gridEnabled = state.grid?.enabled !== false;
-                    if (gridEnabled && this.dragComponent.snapToGrid !== false) {
-                        newPos = BeamPhysics.snapToGrid(newPos, state.grid?.size || 25);
-                    }
+                    const newPos = this.snapComponentPosition(this.dragComponent, { x: worldPos.x, y: worldPos.y }, state);
                     this.store.dispatch(actions.moveComponent(this.dragComponent.id, newPos));
                 }
             }
@@ -1585,22 +3867,33 @@ class BeamPathOptimizerApp {
             const newX = worldPos.x - this.dragZoneOffset.x;
             const newY = worldPos.y - this.dragZoneOffset.y;
             this.store.dispatch(actions.moveZone(this.dragZone.id, { x: newX, y: newY }));
+        } else if (this.dragDimension) {
+            // Slide the dimension line (or arc) through the cursor
+            this.store.dispatch(actions.updateDimension(this.dragDimension.id,
+                getDimensionDragUpdate(this.dragDimension, state.components, worldPos)));
+        } else if (state.ui.tool === 'dimension' && this.dimensionPick && !this.dimensionPick.segment) {
+            // Rubber band from the first pick to where the second would go
+            const next = this.resolveDimensionPoint(worldPos, state);
+            this.setDimensionDraft({ start: { x: this.dimensionPick.x, y: this.dimensionPick.y }, cursor: next });
         } else {
-            // Hover detection for components, zones, and segments
+            // Hover detection for components, zones, segments and dimensions
             const hovered = this.getComponentAtPosition(worldPos.x, worldPos.y);
             const hoveredZone = !hovered ? this.getZoneAtPosition(worldPos.x, worldPos.y) : null;
-            // Only check for segment hover in connect mode
-            const hoveredSegment = (state.ui.tool === 'connect' && !hovered && !hoveredZone)
+            // Segments are only picked with the select and dimension tools
+            const hoveredSegment = (['select', 'dimension'].includes(state.ui.tool) && !hovered)
                 ? this.getSegmentAtPosition(worldPos.x, worldPos.y)
                 : null;
+            const hoveredDimension = state.ui.tool === 'select' ? this.getDimensionAtPosition(worldPos.x, worldPos.y) : null;
 
             const currentHovered = state.ui.selection.hoveredId;
             const currentHoveredZone = state.ui.selection.hoveredZoneId;
             const currentHoveredSegment = state.ui.selection.hoveredSegmentId;
+            const currentHoveredDimension = state.ui.selection.hoveredDimensionId;
 
             if (hovered?.id !== currentHovered ||
                 hoveredZone?.id !== currentHoveredZone ||
-                hoveredSegment?.id !== currentHoveredSegment) {
+                hoveredSegment?.id !== currentHoveredSegment ||
+                (hoveredDimension?.id ?? null) !== (currentHoveredDimension ?? null)) {
                 // Update hover state (without adding to history)
                 const newState = {
                     ...state,
@@ -1610,7 +3903,8 @@ class BeamPathOptimizerApp {
                             ...state.ui.selection,
                             hoveredId: hovered?.id || null,
                             hoveredZoneId: hoveredZone?.id || null,
-                            hoveredSegmentId: hoveredSegment?.id || null
+                            hoveredSegmentId: hoveredSegment?.id || null,
+                            hoveredDimensionId: hoveredDimension?.id || null
                         }
                     }
                 };
@@ -1639,6 +3933,8 @@ class BeamPathOptimizerApp {
             this.canvas.style.cursor = 'default';
         }
 
+        this.dragDimension = null;
+
         if (this.isDragging) {
             // Validate beam constraints before finalizing drag
             if (this.dragOriginalPositions && this.dragOriginalPositions.size > 0) {
@@ -1665,6 +3961,8 @@ class BeamPathOptimizerApp {
             this.dragZone = null;
             this.dragZoneOffset = null;
             this.dragOriginalPositions = null;
+            this.dragSlideContext = null;
+            this.dragRigid = false;
         }
 
         // Handle selection box completion
@@ -1678,17 +3976,13 @@ class BeamPathOptimizerApp {
 
                 // Only select components if user actually dragged (not just clicked)
                 if (!isClick) {
-                    // In connect mode, select segments; otherwise select components
-                    if (state.ui.tool === 'connect') {
-                        const selectedSegmentIds = this.getSegmentsInBox(box);
-                        if (selectedSegmentIds.length > 0) {
-                            this.store.dispatch(actions.selectMultipleSegments(selectedSegmentIds));
-                        }
-                    } else {
-                        const selectedIds = this.getComponentsInBox(box);
-                        if (selectedIds.length > 0) {
-                            this.store.dispatch(actions.selectMultiple(selectedIds));
-                        }
+                    // Select the components in the box, or its beam segments if it holds none
+                    const selectedIds = expandToGroups(state.groups, this.getComponentsInBox(box));
+                    const selectedSegmentIds = selectedIds.length === 0 ? this.getSegmentsInBox(box) : [];
+                    if (selectedIds.length > 0) {
+                        this.store.dispatch(actions.selectMultiple(selectedIds));
+                    } else if (selectedSegmentIds.length > 0) {
+                        this.store.dispatch(actions.selectMultipleSegments(selectedSegmentIds));
                     }
                 }
                 // If it was just a click (isClick = true), selection was already cleared in mouseDown
@@ -1706,14 +4000,31 @@ class BeamPathOptimizerApp {
             this.render();
         }
 
-        // Handle beam connection completion
-        if (this.connectingFrom) {
-            const clickedComponent = this.getComponentAtPosition(worldPos.x, worldPos.y);
-            if (clickedComponent && clickedComponent.id !== this.connectingFrom.id &&
-                clickedComponent.canReceiveBeam()) {
-                this.createBeamConnection(this.connectingFrom, clickedComponent);
+        // Handle circular keep-out completion
+        if (this.zoneStart && state.ui.tool === 'keepout-circle') {
+            const radius = Math.hypot(worldPos.x - this.zoneStart.x, worldPos.y - this.zoneStart.y);
+            if (radius > 2) {
+                const zone = {
+                    id: `zone_${Date.now()}`,
+                    name: 'Circular Keep-Out',
+                    shape: ZoneShape.CIRCLE,
+                    bounds: {
+                        x: this.zoneStart.x - radius,
+                        y: this.zoneStart.y - radius,
+                        width: radius * 2,
+                        height: radius * 2
+                    },
+                    rotation: 0,
+                    isFixed: false
+                };
+                this.store.dispatch(actions.addKeepOutZone(zone));
+                this.store.dispatch(actions.selectZone(`keepout:${zone.id}`));
             }
-            this.connectingFrom = null;
+
+            this.zoneStart = null;
+            this.setZoneDraft(null);
+            this.setTool('select');
+            return;
         }
 
         // Handle zone drawing completion
@@ -1770,7 +4081,31 @@ class BeamPathOptimizerApp {
             case 'Backspace':
                 this.deleteSelected();
                 break;
+            case 'Enter':
+                // Close the polygon keep-out being drawn, or finish the beam path
+                if (this.polygonZonePoints) {
+                    this.finishPolygonZone();
+                } else if (this.drawPathPoints) {
+                    this.finishDrawPath();
+                }
+                break;
             case 'Escape':
+                // First Esc finishes the beam path being drawn, the next one leaves Draw Path mode
+                if (this.drawPathPoints) {
+                    this.finishDrawPath();
+                    break;
+                }
+                // Drop the first pick of a dimension, the next Esc leaves the Dimension tool
+                if (this.dimensionPick) {
+                    this.cancelDimensionPick();
+                    break;
+                }
+                // Cancel a polygon keep-out in progress
+                if (this.polygonZonePoints) {
+                    this.cancelPolygonZone();
+                    this.setTool('select');
+                    break;
+                }
                 // Exit preview mode if active
                 if (this.previewSnapshot) {
                     this.previewSnapshot = null;
@@ -1801,10 +4136,6 @@ class BeamPathOptimizerApp {
                     this.alignComponentsHorizontally();
                 }
                 break;
-            case 'c':
-            case 'C':
-                this.setTool('connect');
-                break;
             case 'o':
             case 'O':
                 this.toggleLaser();
@@ -1847,6 +4178,10 @@ class BeamPathOptimizerApp {
             case 'B':
                 this.startPlacingComponent(ComponentType.BEAM_SPLITTER);
                 break;
+            case 'p':
+            case 'P':
+                this.startPlacingComponent(ComponentType.POLARIZING_BEAM_SPLITTER);
+                break;
             case 'w':
             case 'W':
                 this.startPlacingComponent(ComponentType.WAVEPLATE);
@@ -1861,6 +4196,17 @@ class BeamPathOptimizerApp {
                 break;
             case 'd':
             case 'D':
+                if (e.ctrlKey || e.metaKey) {
+                    e.preventDefault();
+                    this.setTool(state.ui.tool === 'draw' ? 'select' : 'draw');
+                } else if (e.shiftKey) {
+                    this.setTool(state.ui.tool === 'dimension' ? 'select' : 'dimension');
+                } else {
+                    this.store.dispatch(actions.toggleDimensions());
+                }
+                break;
+            case 'e':
+            case 'E':
                 this.startPlacingComponent(ComponentType.DETECTOR);
                 break;
             case 'a':
@@ -1891,6 +4237,20 @@ class BeamPathOptimizerApp {
                     this.redo();
                 }
                 break;
+            case 'g':
+            case 'G':
+                // Ctrl+G groups the selection, Ctrl+Shift+G ungroups it; G toggles grid snap
+                if (e.ctrlKey || e.metaKey) {
+                    e.preventDefault();
+                    if (e.shiftKey) {
+                        this.ungroupSelected();
+                    } else {
+                        this.groupSelected();
+                    }
+                } else {
+                    this.toggleGridSnap();
+                }
+                break;
             case '+':
             case '=':
                 this.zoom(1.2);
@@ -1902,19 +4262,395 @@ class BeamPathOptimizerApp {
     }
 
     /**
-     * Get component at world position
+     * Get component at world position
+     */
+    getComponentAtPosition(x, y) {
+        const state = this.store.getState();
+        const components = Array.from(state.components.values());
+
+        // A collapsed group is hit anywhere inside its block
+        for (const group of state.groups) {
+            if (!group.collapsed) continue;
+            const bounds = getGroupBounds(group, state.components, GROUP_PADDING);
+            if (bounds && x >= bounds.minX && x <= bounds.maxX && y >= bounds.minY && y <= bounds.maxY) {
+                return state.components.get(group.componentIds[0]);
+            }
+        }
+
+        // Check in reverse order (top-most first)
+        for (let i = components.length - 1; i >= 0; i--) {
+            if (components[i].containsPoint(x, y)) {
+                return components[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Show (or clear) the circle/polygon keep-out being drawn
+     * Transient like the selection box, so it bypasses the reducer.
+     */
+    setZoneDraft(zoneDraft) {
+        this.store.state = {
+            ...this.store.state,
+            ui: { ...this.store.state.ui, zoneDraft }
+        };
+        this.render();
+    }
+
+    /**
+     * Add a vertex to the polygon keep-out being drawn
+     * Clicking near the first vertex closes the polygon.
+     */
+    addPolygonZonePoint(worldPos) {
+        const points = this.polygonZonePoints || [];
+
+        if (points.length >= 3) {
+            const zoom = this.store.getState().ui.viewport.zoom;
+            const first = points[0];
+            if (Math.hypot(worldPos.x - first.x, worldPos.y - first.y) * zoom <= 8) {
+                this.finishPolygonZone();
+                return;
+            }
+        }
+
+        this.polygonZonePoints = [...points, { x: worldPos.x, y: worldPos.y }];
+        this.setZoneDraft({ shape: ZoneShape.POLYGON, points: this.polygonZonePoints, cursor: worldPos });
+    }
+
+    /**
+     * Close the polygon keep-out being drawn and add it as a zone
+     * Polygons with fewer than 3 vertices are discarded.
+     */
+    finishPolygonZone() {
+        const points = this.polygonZonePoints || [];
+        this.polygonZonePoints = null;
+        this.setZoneDraft(null);
+
+        if (points.length >= 3) {
+            const { bounds, points: localPoints } = createPolygonZoneGeometry(points);
+            const zone = {
+                id: `zone_${Date.now()}`,
+                name: 'Polygon Keep-Out',
+                shape: ZoneShape.POLYGON,
+                bounds,
+                points: localPoints,
+                rotation: 0,
+                isFixed: false
+            };
+            this.store.dispatch(actions.addKeepOutZone(zone));
+            this.store.dispatch(actions.selectZone(`keepout:${zone.id}`));
+        }
+
+        this.setTool('select');
+    }
+
+    /**
+     * Abandon the polygon keep-out being drawn
+     */
+    cancelPolygonZone() {
+        this.polygonZonePoints = null;
+        this.setZoneDraft(null);
+    }
+
+    /**
+     * Turn grid snap on or off (G)
+     */
+    toggleGridSnap() {
+        const enabled = this.store.getState().grid?.enabled === false;
+        this.store.dispatch(actions.setGridSettings({ enabled }));
+        this.syncGridModalFromState();
+        this.showToast(`Grid snap ${enabled ? 'on' : 'off'}`, 'info');
+    }
+
+    /**
+     * Show (or clear) the beam path being drawn
+     * Transient like the zone draft, so it bypasses the reducer.
+     * @param {Object|null} pathDraft - { points, cursor, snapId, splitsSegment }
+     */
+    setPathDraft(pathDraft) {
+        this.store.state = {
+            ...this.store.state,
+            ui: { ...this.store.state.ui, pathDraft }
+        };
+        this.render();
+    }
+
+    /**
+     * Where the next path point goes for a cursor position
+     * A component under the cursor catches the point at its center and a beam
+     * segment catches it on the beam (splitting the segment). Otherwise, with
+     * grid snap on, the point snaps to the grid on a horizontal or vertical
+     * line from the previous point.
+     * @returns {Object} { x, y, componentId, segment }
+     */
+    resolveDrawPathPoint(worldPos, state) {
+        const points = this.drawPathPoints || [];
+        const previous = points[points.length - 1] || null;
+        const gridEnabled = state.grid?.enabled !== false;
+
+        const component = this.getComponentAtPosition(worldPos.x, worldPos.y);
+        if (component) {
+            return { x: component.position.x, y: component.position.y, componentId: component.id, segment: null };
+        }
+
+        const segment = this.getSegmentAtPosition(worldPos.x, worldPos.y);
+        if (segment) {
+            const a = state.components.get(segment.sourceId).position;
+            const b = state.components.get(segment.targetId).position;
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const t = ((worldPos.x - a.x) * dx + (worldPos.y - a.y) * dy) / (dx * dx + dy * dy);
+            let point = { x: a.x + t * dx, y: a.y + t * dy };
+
+            // Keep the new leg horizontal or vertical where it meets the beam
+            if (gridEnabled && previous) {
+                const crossings = [];
+                if (Math.abs(dy) > 1e-9) crossings.push((previous.y - a.y) / dy);
+                if (Math.abs(dx) > 1e-9) crossings.push((previous.x - a.x) / dx);
+                const onBeam = crossings
+                    .filter(u => u > 0 && u < 1)
+                    .map(u => ({ x: a.x + u * dx, y: a.y + u * dy }))
+                    .sort((p, q) => Math.hypot(p.x - worldPos.x, p.y - worldPos.y) - Math.hypot(q.x - worldPos.x, q.y - worldPos.y));
+                if (onBeam.length > 0) point = onBeam[0];
+            }
+            return { ...point, componentId: null, segment };
+        }
+
+        let point = { x: worldPos.x, y: worldPos.y };
+        if (gridEnabled) {
+            point = BeamPhysics.snapToGrid(point, state.grid?.size || 25);
+            if (previous) point = lockToAxis(previous, point);
+        }
+        return { ...point, componentId: null, segment: null };
+    }
+
+    /**
+     * Add a point to the beam path being drawn
+     */
+    addDrawPathPoint(worldPos) {
+        const state = this.store.getState();
+        let point = this.resolveDrawPathPoint(worldPos, state);
+
+        if (point.segment) {
+            const pathPoint = this.splitBeamSegment(point.segment, point);
+            if (!pathPoint) return;
+            point = { x: pathPoint.position.x, y: pathPoint.position.y, componentId: pathPoint.id };
+        }
+
+        this.drawPathPoints = [
+            ...(this.drawPathPoints || []),
+            { x: point.x, y: point.y, componentId: point.componentId }
+        ];
+        this.setPathDraft({ points: this.drawPathPoints, cursor: null, snapId: point.componentId, splitsSegment: false });
+    }
+
+    /**
+     * Split a beam segment with a path point
+     * Length and angle constraints on the segment no longer apply to either
+     * half, so they are erased - after asking.
+     * @returns {Object|null} The new path point, or null if cancelled
+     */
+    splitBeamSegment(segment, point) {
+        const state = this.store.getState();
+        const onLine = (a, b) => (a === segment.sourceId && b === segment.targetId) ||
+            (a === segment.targetId && b === segment.sourceId);
+        const lineConstraints = state.constraints.geometricConstraints.filter(c =>
+            (c.type === GeometricConstraintType.SEGMENT_LENGTH && onLine(c.componentIds[0], c.componentIds[1])) ||
+            (c.type === GeometricConstraintType.ANGLE && c.componentIds.slice(1).some(id => onLine(c.componentIds[0], id)))
+        );
+
+        if (lineConstraints.length > 0 &&
+            !confirm('Placing this point will erase the existing distance/angle constraint(s) on this line. Continue?')) {
+            return null;
+        }
+
+        const split = splitSegment(segment, point, state.components);
+        if (!split) return null;
+
+        this.store.dispatch(actions.drawBeamPath(
+            [split.component],
+            split.segments,
+            [segment.id],
+            lineConstraints.map(c => c.id)
+        ));
+        return split.component;
+    }
+
+    /**
+     * Finish the beam path being drawn
+     * New points become a source, mirrors at the corners and path points
+     * (see physics/PathDrawing.js); the path is added as one undoable step.
+     */
+    finishDrawPath() {
+        const points = this.drawPathPoints || [];
+        this.drawPathPoints = null;
+        this.setPathDraft(null);
+        if (points.length < 2) return;
+
+        const state = this.store.getState();
+        const path = buildDrawnPath(points, state.beamPath, state.components, {
+            wavelengthIds: state.activeWavelengthId ? [state.activeWavelengthId] : []
+        });
+        if (!path.valid) {
+            this.showToast(`Cannot draw path: ${path.error}`, 'danger');
+            return;
+        }
+
+        this.store.dispatch(actions.drawBeamPath(path.components, path.segments));
+
+        // A new beam running into a neighbouring component is worth a warning right away
+        const newIds = new Set(path.segments.map(s => s.id));
+        const clip = this.store.getState().calculated.constraintViolations
+            .find(v => v.type === 'beamClip' && newIds.has(v.segmentId));
+        if (clip) {
+            this.showToast(clip.message, 'warning');
+        } else {
+            this.showToast(`Drew ${path.segments.length} beam segment(s)`, 'success');
+        }
+
+        if (state.ui.autoPropagate) {
+            this.propagateAllBeams();
+        }
+    }
+
+    /**
+     * Abandon the beam path being drawn
+     */
+    cancelDrawPath() {
+        this.drawPathPoints = null;
+        this.setPathDraft(null);
+    }
+
+    /**
+     * Drawn path point at a position (within PATH_POINT_SNAP_RADIUS)
+     */
+    getPathPointAt(position) {
+        const state = this.store.getState();
+        let closest = null;
+        let closestDistance = PATH_POINT_SNAP_RADIUS;
+        state.components.forEach(component => {
+            if (component.type !== ComponentType.PATH_POINT) return;
+            const distance = Math.hypot(component.position.x - position.x, component.position.y - position.y);
+            if (distance <= closestDistance) {
+                closest = component;
+                closestDistance = distance;
+            }
+        });
+        return closest;
+    }
+
+    /**
+     * Put a component in place of a drawn path point, oriented for its beam
+     */
+    replacePathPoint(pathPoint, type, props = {}) {
+        const state = this.store.getState();
+        const plan = planPathPointReplacement(pathPoint, type, state.beamPath, state.components, props);
+        if (!plan.valid) {
+            this.showToast(`Cannot replace ${pathPoint.name}: ${plan.error}`, 'warning');
+            return;
+        }
+
+        const dropsBeam = !plan.outputPort && state.beamPath.getOutgoingSegments(pathPoint.id).length > 0;
+        this.store.dispatch(actions.replaceComponent(plan.component, plan.outputPort));
+        this.showToast(dropsBeam
+            ? `${plan.component.name} replaced ${pathPoint.name} - the beam now ends there`
+            : `${plan.component.name} replaced ${pathPoint.name}`, dropsBeam ? 'warning' : 'success');
+    }
+
+    /**
+     * Dimension under a world position (only while the dimension layer is shown)
+     */
+    getDimensionAtPosition(x, y) {
+        const state = this.store.getState();
+        if (state.ui.dimensionsVisible === false) return null;
+        return findDimensionAt(state.dimensions, state.components, { x, y }, 6 / state.ui.viewport.zoom);
+    }
+
+    /**
+     * Show (or clear) the rubber band of the Dimension tool
+     * Transient like the path draft, so it bypasses the reducer.
+     * @param {Object|null} dimensionDraft - { start, cursor }
+     */
+    setDimensionDraft(dimensionDraft) {
+        this.store.state = {
+            ...this.store.state,
+            ui: { ...this.store.state.ui, dimensionDraft }
+        };
+        this.render();
+    }
+
+    /**
+     * What a Dimension tool click picks: a component (at its center), or a
+     * point in empty space (on the grid when grid snap is on)
+     * @returns {Object} { x, y, componentId }
+     */
+    resolveDimensionPoint(worldPos, state) {
+        const component = this.getComponentAtPosition(worldPos.x, worldPos.y);
+        if (component) {
+            return { x: component.position.x, y: component.position.y, componentId: component.id };
+        }
+        const point = state.grid?.enabled !== false
+            ? BeamPhysics.snapToGrid(worldPos, state.grid?.size || 25)
+            : { x: worldPos.x, y: worldPos.y };
+        return { ...point, componentId: null };
+    }
+
+    /**
+     * Handle a Dimension tool click
+     * Two components or points make a length dimension. A beam segment picked
+     * first measures its length (the second click places the dimension line)
+     * or, with a second beam meeting it at a component, the angle between them.
+     */
+    addDimensionPick(worldPos) {
+        const state = this.store.getState();
+        const first = this.dimensionPick;
+        const segment = !this.getComponentAtPosition(worldPos.x, worldPos.y)
+            ? this.getSegmentAtPosition(worldPos.x, worldPos.y)
+            : null;
+
+        if (!first) {
+            if (segment && !segment.targetId) {
+                this.showToast('This beam does not end on a component - pick its components instead', 'info');
+                return;
+            }
+            this.dimensionPick = segment ? { segment } : this.resolveDimensionPoint(worldPos, state);
+            if (segment) this.store.dispatch(actions.selectSegment(segment.id));
+            return;
+        }
+
+        let dimension = null;
+        if (first.segment && segment && segment.id !== first.segment.id) {
+            dimension = createAngleDimensionForSegments(first.segment, segment);
+            if (!dimension) {
+                this.showToast('Pick two beams that meet at a component', 'info');
+                return;
+            }
+        } else if (first.segment) {
+            dimension = createLinearDimension(
+                { componentId: first.segment.sourceId },
+                { componentId: first.segment.targetId }
+            );
+            dimension.offset = getDimensionDragUpdate(dimension, state.components, worldPos).offset;
+        } else {
+            const second = this.resolveDimensionPoint(worldPos, state);
+            const samePick = first.componentId
+                ? first.componentId === second.componentId
+                : !second.componentId && Math.hypot(second.x - first.x, second.y - first.y) < 1e-6;
+            if (samePick) return;
+            dimension = createLinearDimension(first, second);
+        }
+
+        this.cancelDimensionPick();
+        this.store.dispatch(actions.addDimension(dimension));
+    }
+
+    /**
+     * Forget the first pick of the Dimension tool
      */
-    getComponentAtPosition(x, y) {
-        const state = this.store.getState();
-        const components = Array.from(state.components.values());
-
-        // Check in reverse order (top-most first)
-        for (let i = components.length - 1; i >= 0; i--) {
-            if (components[i].containsPoint(x, y)) {
-                return components[i];
-            }
-        }
-        return null;
+    cancelDimensionPick() {
+        this.dimensionPick = null;
+        this.setDimensionDraft(null);
     }
 
     /**
@@ -1926,17 +4662,13 @@ class BeamPathOptimizerApp {
 
         // Check mounting zone first (higher priority)
         const mountingZone = state.constraints.mountingZone;
-        if (mountingZone) {
-            const b = mountingZone.bounds;
-            if (x >= b.x && x <= b.x + b.width && y >= b.y && y <= b.y + b.height) {
-                return { type: 'mounting', id: 'mounting', zone: mountingZone };
-            }
+        if (mountingZone && rectContainsPoint(getZoneRect(mountingZone), { x, y })) {
+            return { type: 'mounting', id: 'mounting', zone: mountingZone };
         }
 
-        // Check global keep-out zones
+        // Check global keep-out zones (true outline: rotated rect, circle or polygon)
         for (const zone of state.constraints.keepOutZones) {
-            const b = zone.bounds;
-            if (x >= b.x && x <= b.x + b.width && y >= b.y && y <= b.y + b.height) {
+            if (shapeContainsPoint(getZoneOutline(zone), { x, y })) {
                 return { type: 'keepout', id: `keepout:${zone.id}`, zone };
             }
         }
@@ -2071,6 +4803,70 @@ class BeamPathOptimizerApp {
         return selected;
     }
 
+    /**
+     * Drag a group (or a selection holding groups) as a rigid body
+     * The clicked component is snapped and every other component gets the same
+     * shift, so the members keep their relative positions and internal beams.
+     */
+    handleRigidDrag(worldPos, state) {
+        const origin = this.dragOriginalPositions.get(this.dragComponent.id);
+        const target = {
+            x: origin.x + worldPos.x - this.dragStart.x,
+            y: origin.y + worldPos.y - this.dragStart.y
+        };
+        const snapped = this.snapComponentPosition(this.dragComponent, target, state);
+        const shift = { x: snapped.x - origin.x, y: snapped.y - origin.y };
+
+        const positions = new Map();
+        this.dragOriginalPositions.forEach((origPos, id) => {
+            positions.set(id, { x: origPos.x + shift.x, y: origPos.y + shift.y });
+        });
+        positions.forEach((position, id) => this.store.dispatch(actions.moveComponent(id, position)));
+    }
+
+    /**
+     * Drag a single beam-connected component along its slide axis
+     * The mouse offset is projected onto the axis and the downstream components
+     * are carried along (BeamPhysics.constrainMoveToSlideAxis), so the drag can
+     * never break a beam connection.
+     */
+    handleSlideDrag(worldPos, state) {
+        const ctx = this.dragSlideContext;
+        const id = this.dragComponent.id;
+        const origin = ctx.components.get(id).position;
+        const plan = BeamPhysics.constrainMoveToSlideAxis(
+            id,
+            { x: worldPos.x - origin.x, y: worldPos.y - origin.y },
+            ctx.beamPath,
+            ctx.components,
+            this.getSlideStep(this.dragComponent, state)
+        );
+
+        if (!plan.valid) {
+            // Stay at the last valid position
+            if (!ctx.warned && plan.error) {
+                ctx.warned = true;
+                this.showMovementWarning(plan.error);
+            }
+            return;
+        }
+
+        if (plan.delta.x === ctx.lastDelta.x && plan.delta.y === ctx.lastDelta.y) return;
+        ctx.lastDelta = plan.delta;
+
+        // Components carried earlier in this drag but not now go back to where they started
+        const positions = new Map();
+        this.dragOriginalPositions.forEach((origPos, compId) => positions.set(compId, { ...origPos }));
+        plan.positions.forEach((pos, compId) => {
+            positions.set(compId, pos);
+            if (!this.dragOriginalPositions.has(compId)) {
+                this.dragOriginalPositions.set(compId, { ...ctx.components.get(compId).position });
+            }
+        });
+
+        this.store.dispatch(actions.applyLayout(positions));
+    }
+
     /**
      * Validate if component movement maintains valid beam constraints
      * @param {Map} originalPositions - Map of component IDs to their original positions
@@ -2179,6 +4975,52 @@ class BeamPathOptimizerApp {
         return { valid: true, error: null };
     }
 
+    /**
+     * Format an optical power for display
+     */
+    formatPower(mw) {
+        if (mw === 0) return '0 mW';
+        if (mw < 0.01) return `${(mw * 1000).toFixed(2)} \u00B5W`;
+        return `${mw.toFixed(mw < 1 ? 3 : 2)} mW`;
+    }
+
+    /**
+     * Update the power budget table (power delivered to each detector)
+     */
+    updatePowerBudget(state) {
+        const section = document.getElementById('power-budget-section');
+        const body = document.getElementById('power-budget-body');
+        const budget = state.calculated.powerBudget;
+        if (!section || !body) return;
+
+        if (!budget || budget.detectors.length === 0) {
+            section.classList.add('hidden');
+            return;
+        }
+        section.classList.remove('hidden');
+
+        body.innerHTML = '';
+        [...budget.detectors]
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(detector => {
+                const row = document.createElement('tr');
+                if (detector.power <= 0) row.className = 'no-light';
+
+                const name = document.createElement('td');
+                name.textContent = detector.name;
+                const power = document.createElement('td');
+                power.textContent = this.formatPower(detector.power);
+                const percent = document.createElement('td');
+                percent.textContent = (detector.fraction * 100).toFixed(1);
+
+                row.append(name, power, percent);
+                body.appendChild(row);
+            });
+
+        document.getElementById('power-budget-total').textContent =
+            `Total source power: ${this.formatPower(budget.totalSourcePower)}`;
+    }
+
     /**
      * Show a warning toast for movement constraint violation
      */
@@ -2247,7 +5089,10 @@ class BeamPathOptimizerApp {
         if (!this.isDraggingFromPalette && distance > 5) {
             // Start dragging - create preview element
             this.isDraggingFromPalette = true;
-            this.createDragPreview(this.dragComponentType);
+            const label = this.dragAssemblyId
+                ? this.assemblyLibrary.find(a => a.id === this.dragAssemblyId)?.name
+                : this.partsCatalog.get(this.dragPartId)?.name;
+            this.createDragPreview(this.dragComponentType, label);
         }
 
         if (this.isDraggingFromPalette && this.dragPreviewElement) {
@@ -2263,9 +5108,9 @@ class BeamPathOptimizerApp {
                 const screenX = e.clientX - rect.left;
                 const screenY = e.clientY - rect.top;
                 const worldPos = this.renderer.screenToWorld(screenX, screenY, state.ui.viewport);
-                const gridSize = state.grid?.size || 25;
-                const gridEnabled = state.grid?.enabled !== false;
-                const snappedPos = gridEnabled ? BeamPhysics.snapToGrid(worldPos, gridSize) : worldPos;
+                const snappedPos = this.dragAssemblyId
+                    ? worldPos
+                    : this.snapPlacementPosition(this.dragComponentType, worldPos, state, this.getDragPartProps());
 
                 // Update preview to show snapped position hint
                 this.dragPreviewElement.classList.add('over-canvas');
@@ -2289,11 +5134,15 @@ class BeamPathOptimizerApp {
                 const screenX = e.clientX - rect.left;
                 const screenY = e.clientY - rect.top;
                 const worldPos = this.renderer.screenToWorld(screenX, screenY, state.ui.viewport);
-                const gridSize = state.grid?.size || 25;
-                const gridEnabled = state.grid?.enabled !== false;
-                const snappedPos = gridEnabled ? BeamPhysics.snapToGrid(worldPos, gridSize) : worldPos;
+                const assembly = this.assemblyLibrary.find(a => a.id === this.dragAssemblyId);
 
-                this.placeComponent(this.dragComponentType, snappedPos);
+                if (assembly) {
+                    this.insertAssembly(assembly, worldPos);
+                } else {
+                    const partProps = this.getDragPartProps();
+                    const snappedPos = this.snapPlacementPosition(this.dragComponentType, worldPos, state, partProps);
+                    this.placeComponent(this.dragComponentType, snappedPos, partProps);
+                }
             }
         }
 
@@ -2301,21 +5150,23 @@ class BeamPathOptimizerApp {
         this.removeDragPreview();
         this.isDraggingFromPalette = false;
         this.dragComponentType = null;
+        this.dragPartId = null;
+        this.dragAssemblyId = null;
         this.paletteMouseStart = null;
     }
 
     /**
      * Create a visual preview element for dragging
      */
-    createDragPreview(componentType) {
+    createDragPreview(componentType, label = null) {
         this.removeDragPreview(); // Clean up any existing preview
 
         const preview = document.createElement('div');
         preview.className = 'component-drag-preview';
-        preview.innerHTML = `
-            <span class="comp-icon ${componentType}"></span>
-            <span class="comp-name">${ComponentNames[componentType] || componentType}</span>
-        `;
+        const name = document.createElement('span');
+        name.className = 'comp-name';
+        name.textContent = label || ComponentNames[componentType] || componentType;
+        preview.append(this.createComponentIcon(componentType), name);
         document.body.appendChild(preview);
         this.dragPreviewElement = preview;
     }
@@ -2331,157 +5182,69 @@ class BeamPathOptimizerApp {
     }
 
     /**
-     * Place a new component
+     * Check if placement snaps mount screws to breadboard holes
      */
-    placeComponent(type, position) {
-        const component = Component.create(type, position);
-        this.store.dispatch(actions.addComponent(component));
-        this.setTool('select');
+    isHoleSnapActive(state) {
+        return state.breadboard?.enabled && state.breadboard.snapToHoles;
+    }
 
-        // Trigger beam propagation if enabled
-        const state = this.store.getState();
-        if (state.ui.autoPropagate) {
-            this.propagateAllBeams();
+    /**
+     * Snap a component position for placement or dragging
+     * With the breadboard active, mount screws snap onto holes; otherwise
+     * the center snaps to the grid (when enabled for the component).
+     */
+    snapComponentPosition(component, position, state) {
+        if (this.isHoleSnapActive(state)) {
+            return snapToHoles(state.breadboard, state.constraints.workspace, component, position);
+        }
+        if (state.grid?.enabled !== false && component.snapToGrid !== false) {
+            return BeamPhysics.snapToGrid(position, state.grid?.size || 25);
         }
+        return position;
     }
 
     /**
-     * Create beam connection between components
-     * Validates physics constraints before creating the connection
+     * Snap the drop position of a new component of the given type
      */
-    createBeamConnection(source, target) {
-        const state = this.store.getState();
-
-        // Determine output port
-        let sourcePort = 'output';
-        if (source.type === ComponentType.MIRROR) {
-            sourcePort = 'reflected';
-        } else if (source.type === ComponentType.BEAM_SPLITTER) {
-            // Determine available ports based on reflectance/transmittance
-            const reflectance = source.reflectance ?? 0.5;
-            const transmittance = source.transmittance ?? (1 - reflectance);
-
-            const existingSegments = state.beamPath.getOutgoingSegments(source.id);
-            const usedPorts = existingSegments.map(s => s.sourcePort);
-
-            // Prefer reflected port if available and reflectance > 0
-            if (!usedPorts.includes('reflected') && reflectance > 0) {
-                sourcePort = 'reflected';
-            } else if (!usedPorts.includes('transmitted') && transmittance > 0) {
-                sourcePort = 'transmitted';
-            } else if (reflectance > 0) {
-                sourcePort = 'reflected';
-            } else if (transmittance > 0) {
-                sourcePort = 'transmitted';
-            } else {
-                // Both are zero - shouldn't happen but default to reflected
-                sourcePort = 'reflected';
-            }
-        } else if (source.splitsBeam && source.splitsBeam()) {
-            sourcePort = 'transmitted';
-        }
-
-        // === Physics Validation ===
-
-        // Determine incoming beam angle for non-source components
-        let incomingBeamAngle = null;
-        if (source.type !== ComponentType.SOURCE) {
-            const incomingSegments = state.beamPath.getIncomingSegments(source.id);
-            if (incomingSegments.length > 0) {
-                // Get the incoming beam direction
-                const incomingSegment = incomingSegments[0];
-                const prevComponent = state.components.get(incomingSegment.sourceId);
-                if (prevComponent) {
-                    incomingBeamAngle = BeamPhysics.calculateBeamAngle(
-                        prevComponent.position,
-                        source.position
-                    );
-                }
-            }
+    snapPlacementPosition(type, position, state, props = {}) {
+        if (this.isHoleSnapActive(state)) {
+            return snapToHoles(state.breadboard, state.constraints.workspace, Component.create(type, position, props), position);
         }
+        return state.grid?.enabled !== false
+            ? BeamPhysics.snapToGrid(position, state.grid?.size || 25)
+            : position;
+    }
 
-        // Build component map for validation
-        const componentMap = state.components;
-
-        // Validate the connection using physics
-        const validation = BeamPhysics.validateConnection(
-            source,
-            target,
-            sourcePort,
-            incomingBeamAngle,
-            componentMap
-        );
+    /**
+     * Step for beam-preserving slides: whole hole pitches on a breadboard,
+     * so a bolted-down component stays on holes along a cardinal beam
+     */
+    getSlideStep(component, state) {
+        if (this.isHoleSnapActive(state)) return state.breadboard.pitch;
+        const gridEnabled = state.grid?.enabled !== false && component.snapToGrid !== false;
+        return gridEnabled ? (state.grid?.size || 25) : 0;
+    }
 
-        if (!validation.valid) {
-            // Show error message to user
-            this.showConnectionError(validation.error);
-            console.warn(`Connection blocked: ${validation.error}`);
-            return;
+    /**
+     * Place a new component
+     */
+    placeComponent(type, position, props = {}) {
+        // Placed on a drawn path point, the component takes its place on the beam
+        const pathPoint = this.getPathPointAt(position);
+        if (pathPoint) {
+            this.replacePathPoint(pathPoint, type, props);
+        } else {
+            this.store.dispatch(actions.addComponent(Component.create(type, position, props)));
         }
+        this.setTool('select');
 
-        // Get active wavelength for new beam
-        const activeWavelengthId = state.activeWavelengthId;
-
-        // Create the segment with physics data
-        const segment = new BeamSegment({
-            sourceId: source.id,
-            targetId: target.id,
-            sourcePort,
-            targetPort: 'input',
-            direction: validation.beamDirection,
-            directionAngle: validation.beamAngle,
-            isValid: true,
-            wavelengthIds: activeWavelengthId ? [activeWavelengthId] : []
-        });
-
-
-        this.store.dispatch(actions.addBeamSegment(segment));
-        console.log(`Connected ${source.name} -> ${target.name} (angle: ${validation.beamAngle?.toFixed(1)}°)`);
-
-        // Trigger beam propagation from target if enabled
+        // Trigger beam propagation if enabled
+        const state = this.store.getState();
         if (state.ui.autoPropagate) {
             this.propagateAllBeams();
         }
     }
 
-    /**
-     * Show connection error message to user
-     */
-    showConnectionError(message) {
-        // Create toast notification
-        const toast = document.createElement('div');
-        toast.className = 'connection-error-toast';
-        toast.innerHTML = `
-            <span class="error-icon">⚠️</span>
-            <span class="error-message">Invalid connection: ${message}</span>
-        `;
-        toast.style.cssText = `
-            position: fixed;
-            top: 20px;
-            left: 50%;
-            transform: translateX(-50%);
-            background: #dc2626;
-            color: white;
-            padding: 12px 24px;
-            border-radius: 8px;
-            z-index: 10000;
-            display: flex;
-            align-items: center;
-            gap: 8px;
-            font-weight: 500;
-            box-shadow: 0 4px 12px rgba(0,0,0,0.3);
-            animation: slideDown 0.3s ease-out;
-        `;
-
-        document.body.appendChild(toast);
-
-        // Remove after 4 seconds
-        setTimeout(() => {
-            toast.style.animation = 'fadeOut 0.3s ease-out forwards';
-            setTimeout(() => toast.remove(), 300);
-        }, 4000);
-    }
-
     /**
      * Delete selected components, zones, or beam segments
      */
@@ -2506,6 +5269,11 @@ class BeamPathOptimizerApp {
             }
         }
 
+        // Delete selected dimension
+        if (state.ui.selection.type === 'dimension' && state.ui.selection.selectedDimensionId) {
+            this.store.dispatch(actions.deleteDimension(state.ui.selection.selectedDimensionId));
+        }
+
         // Delete selected beam segments
         if (state.ui.selection.type === 'segment') {
             const segmentIds = state.ui.selection.selectedSegmentIds || [];
@@ -2574,6 +5342,69 @@ class BeamPathOptimizerApp {
         return candidateName;
     }
 
+    /**
+     * Show the group block of the properties panel
+     * A selected group can be renamed, collapsed, ungrouped or saved; a selection
+     * of ungrouped components offers to group them.
+     */
+    updateGroupProperties(state) {
+        const groupProps = document.getElementById('group-properties');
+        if (!groupProps) return;
+
+        const selectedIds = state.ui.selection.selectedIds;
+        const groups = getSelectedGroups(state.groups, selectedIds);
+        const group = groups.length === 1 ? groups[0] : null;
+        const canGroup = !group && selectedIds.length >= 2;
+
+        groupProps.style.display = group || canGroup ? 'block' : 'none';
+        document.getElementById('group-details').style.display = group ? 'block' : 'none';
+        document.getElementById('btn-create-group').style.display = canGroup ? 'block' : 'none';
+
+        if (group) {
+            const nameInput = document.getElementById('prop-group-name');
+            if (document.activeElement !== nameInput) {
+                nameInput.value = group.name;
+            }
+            document.getElementById('prop-group-collapsed').checked = group.collapsed;
+            document.getElementById('prop-group-count').textContent = `${group.componentIds.length} components`;
+        }
+    }
+
+    /**
+     * Group the selected components into a sub-assembly
+     * Members of other groups move to the new group.
+     */
+    groupSelected() {
+        const state = this.store.getState();
+        const ids = state.ui.selection.type === 'component' ? state.ui.selection.selectedIds : [];
+        if (ids.length < 2) {
+            this.showToast('Select at least 2 components to group', 'info');
+            return;
+        }
+
+        let number = state.groups.length + 1;
+        while (state.groups.some(g => g.name === `Group ${number}`)) number++;
+
+        const group = createGroup(`Group ${number}`, ids);
+        this.store.dispatch(actions.addGroup(group));
+        this.store.dispatch(actions.selectMultiple([...ids]));
+        this.showToast(`Created ${group.name} (${ids.length} components)`, 'success');
+    }
+
+    /**
+     * Dissolve the selected groups (the components stay)
+     */
+    ungroupSelected() {
+        const state = this.store.getState();
+        const groups = state.groups.filter(group =>
+            group.componentIds.some(id => state.ui.selection.selectedIds.includes(id)));
+
+        groups.forEach(group => this.store.dispatch(actions.deleteGroup(group.id)));
+        if (groups.length > 0) {
+            this.showToast(`Ungrouped ${groups.length} group(s)`, 'info');
+        }
+    }
+
     /**
      * Select all components
      */
@@ -2748,6 +5579,32 @@ class BeamPathOptimizerApp {
         // Determine rotation angle: 90° clockwise, -90° with Shift
         const angleDelta = event && event.shiftKey ? -90 : 90;
 
+        // Selected groups turn as rigid bodies about their own centers
+        const selectedGroups = getSelectedGroups(state.groups, state.ui.selection.selectedIds);
+        if (selectedGroups.length > 0) {
+            const blocked = state.ui.selection.selectedIds.some(id => {
+                const component = state.components.get(id);
+                return component && (component.isFixed || component.isAngleFixed);
+            });
+            if (blocked) {
+                this.showToast('Cannot rotate: the group contains fixed components', 'warning');
+                return;
+            }
+
+            const positions = new Map();
+            const angles = new Map();
+            selectedGroups.forEach(group => {
+                const rotated = rotateGroup(group, state.components, angleDelta);
+                rotated.positions.forEach((position, id) => positions.set(id, position));
+                rotated.angles.forEach((angle, id) => angles.set(id, angle));
+            });
+            this.store.dispatch(actions.applyLayout(positions, angles));
+            if (state.ui.autoPropagate) {
+                this.propagateAllBeams();
+            }
+            return;
+        }
+
         let fixedCount = 0;
         let rotatedCount = 0;
 
@@ -2958,6 +5815,168 @@ class BeamPathOptimizerApp {
         }
     }
 
+    /**
+     * Add a geometric constraint between the selected components
+     * Distance and symmetry take the current layout as their target, so nothing
+     * jumps; equal spacing moves the inner components (selection order).
+     * @param {string} type - GeometricConstraintType
+     */
+    constrainSelected(type) {
+        const state = this.store.getState();
+        const ids = state.ui.selection.type === 'component' ? [...state.ui.selection.selectedIds] : [];
+        const positions = ids.map(id => state.components.get(id).position);
+
+        let constraint;
+        if (type === GeometricConstraintType.DISTANCE && ids.length === 2) {
+            const distance = Math.hypot(positions[1].x - positions[0].x, positions[1].y - positions[0].y);
+            constraint = createGeometricConstraint(type, ids, { value: Math.round(distance * 10) / 10 });
+        } else if (type === GeometricConstraintType.EQUAL_SPACING && ids.length >= 3) {
+            constraint = createGeometricConstraint(type, ids);
+        } else if (type === GeometricConstraintType.SYMMETRY && ids.length === 3) {
+            // The first selected component carries the axis; it runs across the wider offset of the pair
+            const dx = Math.abs(positions[2].x - positions[1].x);
+            const dy = Math.abs(positions[2].y - positions[1].y);
+            constraint = createGeometricConstraint(type, ids, { axis: dx >= dy ? 'vertical' : 'horizontal' });
+        } else {
+            const needed = {
+                [GeometricConstraintType.DISTANCE]: 'exactly 2 components',
+                [GeometricConstraintType.EQUAL_SPACING]: '3 or more components',
+                [GeometricConstraintType.SYMMETRY]: 'the axis component, then the 2 mirrored components'
+            };
+            this.showToast(`Select ${needed[type]}`, 'info');
+            return;
+        }
+
+        this.store.dispatch(actions.addGeometricConstraint(constraint, [ids[0]]));
+        this.showToast(`Added constraint: ${describeConstraint(constraint, state.components)}`, 'success');
+    }
+
+    /**
+     * Segment length constraint locking a beam segment, if any
+     */
+    getSegmentLengthConstraint(state, segment) {
+        return state.constraints.geometricConstraints.find(c =>
+            c.type === GeometricConstraintType.SEGMENT_LENGTH &&
+            c.componentIds[0] === segment.sourceId && c.componentIds[1] === segment.targetId
+        ) || null;
+    }
+
+    /**
+     * Whether any alignment or geometric constraint involves a component
+     */
+    isComponentConstrained(state, componentId) {
+        return state.components.get(componentId)?.alignmentConstraints?.length > 0 ||
+            state.constraints.geometricConstraints.some(c => c.componentIds.includes(componentId));
+    }
+
+    /**
+     * List the constraints of a component and the status of its constraint set
+     */
+    updateConstraintList(component, state) {
+        const list = document.getElementById('alignment-constraints-list');
+        const status = document.getElementById('constraint-status');
+        if (!list) return;
+
+        const alignments = collectConstraints(state.components)
+            .filter(c => c.componentIds.includes(component.id));
+        const geometric = state.constraints.geometricConstraints
+            .filter(c => c.componentIds.includes(component.id));
+
+        list.innerHTML = '';
+        [...alignments, ...geometric].forEach(constraint => {
+            const item = document.createElement('div');
+            item.className = 'alignment-constraint-item';
+
+            const info = document.createElement('div');
+            info.className = 'alignment-constraint-info';
+
+            const type = document.createElement('span');
+            type.className = 'alignment-constraint-type';
+            const label = document.createElement('span');
+            label.className = 'alignment-constraint-component';
+
+            if (constraint.alignment) {
+                const otherId = constraint.componentIds.find(id => id !== component.id);
+                type.textContent = constraint.type === 'vertical' ? '↕ Vertical' : '↔ Horizontal';
+                label.textContent = `with ${state.components.get(otherId).name}`;
+            } else {
+                label.textContent = describeConstraint(constraint, state.components);
+                type.textContent = {
+                    [GeometricConstraintType.DISTANCE]: '↔ Distance',
+                    [GeometricConstraintType.SEGMENT_LENGTH]: '⟶ Beam',
+                    [GeometricConstraintType.EQUAL_SPACING]: '⋯ Spacing',
+                    [GeometricConstraintType.SYMMETRY]: '⇋ Symmetry',
+                    [GeometricConstraintType.ANGLE]: '∠ Angle'
+                }[constraint.type] ?? constraint.type;
+            }
+            info.append(type, label);
+
+            // Distances can be edited in place
+            if (constraint.value !== undefined) {
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.className = 'property-input small';
+                input.min = 0;
+                input.step = 0.1;
+                input.value = constraint.value;
+                input.title = constraint.type === GeometricConstraintType.ANGLE ? 'Target angle (°)' : 'Target length (mm)';
+                input.addEventListener('change', () => {
+                    const value = parseFloat(input.value);
+                    if (value > 0) {
+                        this.store.dispatch(actions.updateGeometricConstraint(constraint.id, { value }, [component.id]));
+                    }
+                });
+                info.appendChild(input);
+            }
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'alignment-constraint-remove';
+            removeBtn.textContent = '×';
+            removeBtn.title = 'Remove constraint';
+            removeBtn.addEventListener('click', () => {
+                if (constraint.alignment) {
+                    const otherId = constraint.componentIds.find(id => id !== component.id);
+                    this.removeAlignmentConstraint(component.id, otherId, constraint.type);
+                } else {
+                    this.store.dispatch(actions.deleteGeometricConstraint(constraint.id));
+                }
+            });
+
+            item.append(info, removeBtn);
+            list.appendChild(item);
+        });
+
+        if (list.children.length === 0) {
+            const emptyMsg = document.createElement('div');
+            emptyMsg.className = 'alignment-constraints-empty';
+            emptyMsg.textContent = 'No constraints';
+            list.appendChild(emptyMsg);
+        }
+
+        // Degrees of freedom of the connected constraint set
+        const cluster = state.calculated.constraintClusters.find(c => c.componentIds.includes(component.id));
+        if (status) {
+            if (!cluster) {
+                status.textContent = '';
+                status.className = 'constraint-status';
+            } else {
+                const text = {
+                    conflicting: `Conflicting: ${cluster.unsatisfied.length} constraint(s) cannot be met`,
+                    over: `Over-constrained: ${cluster.redundant} redundant constraint(s)`,
+                    under: `Under-constrained: ${cluster.freedom} free degree(s) of freedom`,
+                    well: 'Fully constrained'
+                };
+                status.textContent = text[cluster.status];
+                status.className = `constraint-status ${cluster.status}`;
+            }
+        }
+
+        const count = state.ui.selection.selectedIds.length;
+        document.getElementById('btn-constrain-distance').disabled = count !== 2;
+        document.getElementById('btn-constrain-spacing').disabled = count < 3;
+        document.getElementById('btn-constrain-symmetry').disabled = count !== 3;
+    }
+
     /**
      * Create a direct beam segment between two components
      */
@@ -2978,7 +5997,7 @@ class BeamPathOptimizerApp {
         return new BeamSegment({
             sourceId: sourceId,
             targetId: targetId,
-            sourcePort: 'output',
+            sourcePort: source.getOutputPorts()[0] ?? 'output',
             targetPort: 'input',
             direction: beamDirection,
             directionAngle: beamAngle,
@@ -3020,7 +6039,12 @@ class BeamPathOptimizerApp {
         const zoomY = (canvasHeight - 100) / workspace.height;
         const zoom = Math.min(zoomX, zoomY, 2);
 
-        this.store.dispatch(actions.setViewport({ zoom, panX: 0, panY: 0 }));
+        // Center the plate (a polygon outline need not be centered on the origin)
+        const plate = getPlateBounds(workspace);
+        const panX = -(plate.minX + plate.maxX) / 2 * zoom;
+        const panY = -(plate.minY + plate.maxY) / 2 * zoom;
+
+        this.store.dispatch(actions.setViewport({ zoom, panX, panY }));
 
         document.getElementById('zoom-level').textContent = Math.round(zoom * 100) + '%';
         document.getElementById('zoom-percent').textContent = Math.round(zoom * 100) + '%';
@@ -3042,14 +6066,17 @@ class BeamPathOptimizerApp {
 
     /**
      * Create new document
+     * @param {Object|null} layout - Template layout to start from (see buildTemplate)
+     * @returns {boolean} False if the user kept the current document
      */
-    newDocument() {
+    newDocument(layout = null) {
         if (this.store.getState().document.isDirty) {
             if (!confirm('You have unsaved changes. Create new document anyway?')) {
-                return;
+                return false;
             }
         }
-        this.store.dispatch(actions.newDocument());
+        this.resetOptimization();
+        this.store.dispatch(actions.newDocument(layout));
 
         // Update file name input to match new document
         const fileNameInput = document.getElementById('file-name-input');
@@ -3059,6 +6086,7 @@ class BeamPathOptimizerApp {
         }
 
         this.zoomFit();
+        return true;
     }
 
     /**
@@ -3143,26 +6171,8 @@ class BeamPathOptimizerApp {
                     return;
                 }
 
-                // Reconstruct components as a Map
-                const components = new Map();
-                if (json.components && Array.isArray(json.components)) {
-                    json.components.forEach(compJson => {
-                        const component = Component.fromJSON(compJson);
-                        components.set(component.id, component);
-                    });
-                }
-
-                // Reconstruct beam path
-                const beamPath = json.beamPaths
-                    ? BeamPath.fromJSON(json.beamPaths)
-                    : new BeamPath();
-
-                // Reconstruct constraints
-                const constraints = {
-                    workspace: json.workspace || { width: 600, height: 600 },
-                    keepOutZones: json.constraints?.keepOutZones || [],
-                    mountingZone: json.constraints?.mountingZone || null
-                };
+                // Reconstruct components, beam path and constraints
+                const { components, beamPath, constraints, grid, breadboard, componentTypes, groups, dimensions } = deserializeLayout(json);
 
                 // Build the new state (merge with defaults for missing properties)
                 const newState = {
@@ -3184,21 +6194,27 @@ class BeamPathOptimizerApp {
                             selectedIds: [],
                             selectedZoneId: null,
                             selectedSegmentIds: [],
+                            selectedDimensionId: null,
                             hoveredId: null,
                             hoveredZoneId: null,
-                            hoveredSegmentId: null
+                            hoveredSegmentId: null,
+                            hoveredDimensionId: null
                         },
                         selectionBox: null,
                         placingComponent: null,
-                        connectingFrom: null,
+                        pathDraft: null,
                         labelsVisible: json.ui?.labelsVisible ?? true,
-                        autoPropagate: json.ui?.autoPropagate ?? false
-                    },
-                    grid: json.grid || {
-                        enabled: true,
-                        visible: false,
-                        size: 25
+                        dimensionsVisible: json.ui?.dimensionsVisible ?? true,
+                        autoPropagate: json.ui?.autoPropagate ?? false,
+                        showBeamEnvelopes: json.ui?.showBeamEnvelopes ?? false,
+                        showBeamCrossings: json.ui?.showBeamCrossings ?? true,
+                        beamEnvelopeScale: json.ui?.beamEnvelopeScale ?? 10
                     },
+                    grid,
+                    breadboard,
+                    componentTypes,
+                    groups,
+                    dimensions,
                     background: json.background || {
                         type: 'color',
                         color: '#0d1117',
@@ -3221,11 +6237,14 @@ class BeamPathOptimizerApp {
                         totalMass: 0,
                         isCoMInMountingZone: false,
                         constraintViolations: [],
-                        totalPathLength: 0
+                        totalPathLength: 0,
+                        gaussianBeams: null,
+                        powerBudget: null
                     }
                 };
 
                 // Load the document
+                this.resetOptimization();
                 this.store.dispatch(actions.loadDocument(newState));
 
                 // Recreate background image from data URL if present
@@ -3306,33 +6325,7 @@ class BeamPathOptimizerApp {
     saveDocument() {
         const state = this.store.getState();
 
-        const document = {
-            formatVersion: APP_VERSION.toFileFormat(),
-            appVersion: APP_VERSION.toString(),
-            document: state.document,
-            workspace: state.constraints.workspace,
-            components: Array.from(state.components.values()).map(c => c.toJSON()),
-            beamPaths: state.beamPath.toJSON(),
-            constraints: {
-                keepOutZones: state.constraints.keepOutZones,
-                mountingZone: state.constraints.mountingZone
-            },
-            ui: {
-                labelsVisible: state.ui.labelsVisible,
-                autoPropagate: state.ui.autoPropagate
-            },
-            grid: state.grid,
-            background: {
-                type: state.background.type,
-                color: state.background.color,
-                imagePath: state.background.imagePath,
-                imageDataURL: state.background.imageDataURL, // Save data URL for persistence
-                opacity: state.background.opacity
-                // Note: imageData (Image object) is runtime only, not saved
-            },
-            wavelengths: state.wavelengths,
-            activeWavelengthId: state.activeWavelengthId
-        };
+        const document = serializeDocument(state);
 
         const json = JSON.stringify(document, null, 2);
         const blob = new Blob([json], { type: 'application/json' });
@@ -3362,6 +6355,24 @@ class BeamPathOptimizerApp {
             autoPropagateCheckbox.checked = state.ui.autoPropagate;
         }
 
+        // Update beam envelope controls
+        const envelopeCheckbox = document.getElementById('show-beam-envelopes');
+        if (envelopeCheckbox) {
+            envelopeCheckbox.checked = !!state.ui.showBeamEnvelopes;
+        }
+        const envelopeScale = document.getElementById('beam-envelope-scale');
+        if (envelopeScale && document.activeElement !== envelopeScale) {
+            envelopeScale.value = state.ui.beamEnvelopeScale ?? 10;
+        }
+
+        this.updatePowerBudget(state);
+        this.updatePathLengthPanel(state);
+        this.updateTolerancePanel(state);
+        this.updateDesignRulePanel(state);
+        this.updateCrossingPanel(state);
+
+        document.getElementById('btn-toggle-dimensions')?.classList.toggle('active', state.ui.dimensionsVisible !== false);
+
         // Update status bar
         const com = state.calculated.centerOfMass;
         document.getElementById('com-position').textContent =
@@ -3383,6 +6394,8 @@ class BeamPathOptimizerApp {
         const violationCount = document.getElementById('violation-count');
         violationCount.textContent = violations.toString();
         violationCount.className = violations > 0 ? 'status-value has-violations' : 'status-value';
+        document.getElementById('status-violations').title =
+            state.calculated.constraintViolations.map(v => v.message).join('\n');
 
         document.getElementById('component-count').textContent = state.components.size.toString();
 
@@ -3396,6 +6409,10 @@ class BeamPathOptimizerApp {
         const componentProps = document.getElementById('component-properties');
         const zoneProps = document.getElementById('zone-properties');
         const segmentProps = document.getElementById('segment-properties');
+        const dimensionProps = document.getElementById('dimension-properties');
+        const selectedDimension = selectionType === 'dimension'
+            ? state.dimensions.find(d => d.id === state.ui.selection.selectedDimensionId)
+            : null;
         const selectionSection = document.getElementById('selection-info');
         const optimizerSection = document.getElementById('optimizer-section');
 
@@ -3404,11 +6421,13 @@ class BeamPathOptimizerApp {
         componentProps.classList.add('hidden');
         zoneProps.classList.add('hidden');
         segmentProps.classList.add('hidden');
+        dimensionProps.classList.add('hidden');
 
         // Toggle between properties and optimizer sections
         const hasSelection = (selectionType === 'component' && selectedId && state.components.has(selectedId)) ||
                              (selectionType === 'zone' && selectedZoneId) ||
-                             (selectionType === 'segment' && selectedSegmentIds.length > 0);
+                             (selectionType === 'segment' && selectedSegmentIds.length > 0) ||
+                             !!selectedDimension;
 
         const optimizerToggleContainer = document.getElementById('optimizer-toggle-container');
 
@@ -3431,6 +6450,7 @@ class BeamPathOptimizerApp {
             const component = state.components.get(selectedId);
 
             componentProps.classList.remove('hidden');
+            this.updateGroupProperties(state);
 
             document.getElementById('prop-name').value = component.name;
             document.getElementById('prop-label-position').value = component.labelPosition || 'auto';
@@ -3453,6 +6473,14 @@ class BeamPathOptimizerApp {
             document.getElementById('prop-angle-slider').value = displayAngle;
 
             document.getElementById('prop-mass').value = component.mass;
+
+            // Catalog part the component was placed from
+            const partGroup = document.getElementById('part-group');
+            if (partGroup) {
+                const part = component.partId ? this.partsCatalog.get(component.partId) : null;
+                partGroup.style.display = component.partId ? 'block' : 'none';
+                document.getElementById('prop-part').textContent = part ? part.name : component.partId || '';
+            }
             document.getElementById('prop-width').value = component.size.width;
             document.getElementById('prop-height').value = component.size.height;
             document.getElementById('prop-fixed').checked = component.isFixed;
@@ -3486,6 +6514,20 @@ class BeamPathOptimizerApp {
                 mountDetailsControls.style.display = mountEnabled ? 'flex' : 'none';
             }
 
+            // Mount screws, and how many sit on breadboard holes
+            document.getElementById('prop-mount-footprint').value = (component.mountFootprint || [])
+                .map(p => `${p.x},${p.y}`)
+                .join('; ');
+            const boltedHint = document.getElementById('prop-mount-bolted');
+            if (boltedHint) {
+                if (state.breadboard?.enabled) {
+                    const { bolted, total } = countBoltedScrews(state.breadboard, state.constraints.workspace, component);
+                    boltedHint.textContent = `${bolted}/${total} screws on ${state.breadboard.thread} holes`;
+                } else {
+                    boltedHint.textContent = '';
+                }
+            }
+
             // === Beam Physics Controls ===
 
             // Emit light toggle (only for sources)
@@ -3493,6 +6535,7 @@ class BeamPathOptimizerApp {
             if (component.type === ComponentType.SOURCE) {
                 emitLightGroup.style.display = 'block';
                 document.getElementById('prop-emit-light').checked = component.emitLight !== false;
+                document.getElementById('prop-output-power').value = component.outputPower ?? 5;
             } else {
                 emitLightGroup.style.display = 'none';
             }
@@ -3509,58 +6552,76 @@ class BeamPathOptimizerApp {
                 shallowAngleGroup.style.display = 'none';
             }
 
-            // Grid snap toggle
-            document.getElementById('prop-snap-grid').checked = component.snapToGrid !== false;
-
-            // Allow any angle toggle
-            document.getElementById('prop-allow-any-angle').checked = component.allowAnyAngle || false;
-
-            // Alignment Constraints
-            const alignmentConstraintsList = document.getElementById('alignment-constraints-list');
-            if (alignmentConstraintsList) {
-                alignmentConstraintsList.innerHTML = '';
+            // Gaussian beam (sources)
+            const gaussianSourceGroup = document.getElementById('gaussian-source-group');
+            if (component.type === ComponentType.SOURCE) {
+                gaussianSourceGroup.style.display = 'block';
+                document.getElementById('prop-waist-radius').value = component.waistRadius ?? 0.5;
+                document.getElementById('prop-waist-position').value = component.waistPosition ?? 0;
+            } else {
+                gaussianSourceGroup.style.display = 'none';
+            }
 
-                if (component.alignmentConstraints && component.alignmentConstraints.length > 0) {
-                    component.alignmentConstraints.forEach(constraint => {
-                        const constrainedComp = state.components.get(constraint.componentId);
-                        if (!constrainedComp) return; // Component might have been deleted
+            // Polarization (sources)
+            const polarizationSourceGroup = document.getElementById('polarization-source-group');
+            if (component.type === ComponentType.SOURCE) {
+                polarizationSourceGroup.style.display = 'block';
+                const polarization = component.polarization ?? 'linear';
+                document.getElementById('prop-polarization').value = polarization;
+                document.getElementById('prop-polarization-angle').value = component.polarizationAngle ?? 0;
+                document.getElementById('polarization-angle-row').style.display =
+                    polarization === 'linear' ? 'flex' : 'none';
+            } else {
+                polarizationSourceGroup.style.display = 'none';
+            }
 
-                        const item = document.createElement('div');
-                        item.className = 'alignment-constraint-item';
+            // Retardance and fast axis (waveplates)
+            const waveplateGroup = document.getElementById('waveplate-group');
+            if (component.type === ComponentType.WAVEPLATE) {
+                waveplateGroup.style.display = 'block';
+                document.getElementById('prop-retardance').value = String(component.retardance ?? 0.5);
+                document.getElementById('prop-fast-axis').value = component.fastAxisAngle ?? 0;
+            } else {
+                waveplateGroup.style.display = 'none';
+            }
 
-                        const info = document.createElement('div');
-                        info.className = 'alignment-constraint-info';
+            // Extinction ratio (polarizing beam splitters)
+            const pbsGroup = document.getElementById('pbs-group');
+            if (component.type === ComponentType.POLARIZING_BEAM_SPLITTER) {
+                pbsGroup.style.display = 'block';
+                document.getElementById('prop-extinction-ratio').value = component.extinctionRatio ?? 1000;
+            } else {
+                pbsGroup.style.display = 'none';
+            }
 
-                        const type = document.createElement('span');
-                        type.className = 'alignment-constraint-type';
-                        type.textContent = constraint.type === 'vertical' ? '↕ Vertical' : '↔ Horizontal';
+            // Focal length (lenses)
+            const focalLengthGroup = document.getElementById('focal-length-group');
+            if (component.type === ComponentType.LENS) {
+                focalLengthGroup.style.display = 'block';
+                document.getElementById('prop-focal-length').value = component.focalLength ?? 100;
+            } else {
+                focalLengthGroup.style.display = 'none';
+            }
 
-                        const compName = document.createElement('span');
-                        compName.className = 'alignment-constraint-component';
-                        compName.textContent = `with ${constrainedComp.name}`;
+            // Spot size of the beam arriving at the component
+            const spot = state.calculated.gaussianBeams?.components.get(component.id);
+            const spotSizeGroup = document.getElementById('spot-size-group');
+            if (spot) {
+                spotSizeGroup.style.display = 'block';
+                document.getElementById('prop-spot-size').textContent =
+                    `${(spot.spotRadius * 2).toFixed(3)} mm @ ${spot.wavelength} nm`;
+            } else {
+                spotSizeGroup.style.display = 'none';
+            }
 
-                        info.appendChild(type);
-                        info.appendChild(compName);
+            // Grid snap toggle
+            document.getElementById('prop-snap-grid').checked = component.snapToGrid !== false;
 
-                        const removeBtn = document.createElement('button');
-                        removeBtn.className = 'alignment-constraint-remove';
-                        removeBtn.textContent = '×';
-                        removeBtn.title = 'Remove constraint';
-                        removeBtn.addEventListener('click', () => {
-                            this.removeAlignmentConstraint(component.id, constraint.componentId, constraint.type);
-                        });
+            // Allow any angle toggle
+            document.getElementById('prop-allow-any-angle').checked = component.allowAnyAngle || false;
 
-                        item.appendChild(info);
-                        item.appendChild(removeBtn);
-                        alignmentConstraintsList.appendChild(item);
-                    });
-                } else {
-                    const emptyMsg = document.createElement('div');
-                    emptyMsg.className = 'alignment-constraints-empty';
-                    emptyMsg.textContent = 'No alignment constraints';
-                    alignmentConstraintsList.appendChild(emptyMsg);
-                }
-            }
+            // Alignment and geometric constraints
+            this.updateConstraintList(component, state);
 
         } else if (selectionType === 'zone' && selectedZoneId) {
             // Show zone properties
@@ -3573,7 +6634,9 @@ class BeamPathOptimizerApp {
             } else if (selectedZoneId.startsWith('keepout:')) {
                 const id = selectedZoneId.replace('keepout:', '');
                 zone = state.constraints.keepOutZones.find(z => z.id === id);
-                zoneType = 'Keep-Out Zone';
+                zoneType = zone?.shape === ZoneShape.CIRCLE ? 'Circular Keep-Out Zone'
+                    : zone?.shape === ZoneShape.POLYGON ? `Polygon Keep-Out Zone (${zone.points?.length ?? 0} vertices)`
+                    : 'Keep-Out Zone';
             }
 
             if (zone) {
@@ -3608,7 +6671,21 @@ class BeamPathOptimizerApp {
 
                 document.getElementById('segment-prop-source').textContent = sourceComp ? sourceComp.name : 'Unknown';
                 document.getElementById('segment-prop-target').textContent = targetComp ? targetComp.name : 'Unknown';
-                document.getElementById('segment-prop-length').textContent = segment.pathLength.toFixed(1) + ' mm';
+                const nameInput = document.getElementById('segment-prop-name');
+                if (document.activeElement !== nameInput) {
+                    nameInput.value = segment.name || '';
+                }
+                const lockedLength = this.getSegmentLengthConstraint(state, segment);
+                const lengthInput = document.getElementById('segment-prop-length');
+                document.getElementById('segment-prop-lock-length').checked = !!lockedLength;
+                if (document.activeElement !== lengthInput) {
+                    lengthInput.value = lockedLength ? lockedLength.value : segment.pathLength.toFixed(1);
+                }
+                document.getElementById('segment-prop-power').textContent = this.formatPower(segment.powerMw ?? 0);
+                const polarization = state.calculated.powerBudget?.polarization.get(segment.id);
+                document.getElementById('segment-prop-polarization').textContent = polarization
+                    ? `${this.formatPower(polarization.h)} / ${this.formatPower(polarization.v)}`
+                    : '-';
 
                 // Populate wavelengths list
                 this.updateSegmentWavelengthsList(segment, state.wavelengths);
@@ -3618,6 +6695,29 @@ class BeamPathOptimizerApp {
             } else {
                 noSelection.classList.remove('hidden');
             }
+        } else if (selectedDimension) {
+            // Show dimension properties
+            dimensionProps.classList.remove('hidden');
+            const isAngle = selectedDimension.type === DimensionType.ANGLE;
+            const names = isAngle
+                ? [selectedDimension.armIds[0], selectedDimension.vertexId, selectedDimension.armIds[1]]
+                    .map(id => state.components.get(id)?.name ?? '?')
+                : selectedDimension.ends.map(end => end.componentId
+                    ? state.components.get(end.componentId)?.name ?? '?'
+                    : `(${end.x.toFixed(1)}, ${end.y.toFixed(1)})`);
+
+            document.getElementById('dimension-prop-type').textContent = isAngle ? 'Angle Dimension' : 'Length Dimension';
+            document.getElementById('dimension-prop-between').textContent = names.join(isAngle ? ' - ' : ' → ');
+            document.getElementById('dimension-prop-unit').textContent = isAngle ? '°' : 'mm';
+            const valueInput = document.getElementById('dimension-prop-value');
+            if (document.activeElement !== valueInput) {
+                valueInput.value = measureDimension(selectedDimension, state.components).toFixed(1);
+            }
+            document.getElementById('dimension-prop-driving').checked = !!selectedDimension.constraintId;
+            document.getElementById('dimension-orientation-row').style.display = isAngle ? 'none' : 'flex';
+            if (!isAngle) {
+                document.getElementById('dimension-prop-orientation').value = selectedDimension.orientation;
+            }
         } else {
             noSelection.classList.remove('hidden');
         }
@@ -3702,7 +6802,7 @@ class BeamPathOptimizerApp {
         const state = this.store.getState();
 
         // Check if we're in preview mode or split-screen mode
-        if (this.isSplitScreenMode && this.previewSnapshot) {
+        if (this.isSplitScreenMode && this.previewSnapshot && this.optimizer.getOriginalLayout()) {
             // Split-screen comparison: original vs selected
             const originalLayout = this.optimizer.getOriginalLayout();
             this.renderer.renderComparison(state, originalLayout, this.previewSnapshot);
@@ -3715,68 +6815,6 @@ class BeamPathOptimizerApp {
         }
     }
 
-    /**
-     * Calculate where a ray intersects the workspace boundary
-     * @param {Object} origin - Ray origin position {x, y}
-     * @param {number} angle - Ray direction angle (degrees)
-     * @param {Object} workspace - Workspace bounds {width, height}
-     * @returns {Object} Intersection point {x, y}
-     */
-    findWorkspaceBoundaryIntersection(origin, angle, workspace) {
-        const rayDir = BeamPhysics.angleToVector(angle);
-
-        // Calculate intersections with all four workspace boundaries
-        const intersections = [];
-
-        // Right boundary (x = workspace.width)
-        if (rayDir.x > 0) {
-            const t = (workspace.width - origin.x) / rayDir.x;
-            const y = origin.y + t * rayDir.y;
-            if (y >= 0 && y <= workspace.height && t > 0) {
-                intersections.push({ x: workspace.width, y, distance: t });
-            }
-        }
-
-        // Left boundary (x = 0)
-        if (rayDir.x < 0) {
-            const t = (0 - origin.x) / rayDir.x;
-            const y = origin.y + t * rayDir.y;
-            if (y >= 0 && y <= workspace.height && t > 0) {
-                intersections.push({ x: 0, y, distance: t });
-            }
-        }
-
-        // Bottom boundary (y = workspace.height)
-        if (rayDir.y > 0) {
-            const t = (workspace.height - origin.y) / rayDir.y;
-            const x = origin.x + t * rayDir.x;
-            if (x >= 0 && x <= workspace.width && t > 0) {
-                intersections.push({ x, y: workspace.height, distance: t });
-            }
-        }
-
-        // Top boundary (y = 0)
-        if (rayDir.y < 0) {
-            const t = (0 - origin.y) / rayDir.y;
-            const x = origin.x + t * rayDir.x;
-            if (x >= 0 && x <= workspace.width && t > 0) {
-                intersections.push({ x, y: 0, distance: t });
-            }
-        }
-
-        // Return the closest intersection
-        if (intersections.length === 0) {
-            // Shouldn't happen, but return a far point in the ray direction
-            return {
-                x: origin.x + rayDir.x * 1000,
-                y: origin.y + rayDir.y * 1000
-            };
-        }
-
-        intersections.sort((a, b) => a.distance - b.distance);
-        return { x: intersections[0].x, y: intersections[0].y };
-    }
-
     /**
      * Find the first component that a ray intersects
      * @param {Object} origin - Ray origin position {x, y}
@@ -3792,47 +6830,18 @@ class BeamPathOptimizerApp {
         let closestComponent = null;
         let closestDistance = maxDistance;
 
-        // Check each component for intersection
+        // Check each component's rotated body for intersection
         for (const [id, component] of state.components) {
             if (id === excludeId) continue;
 
-            // Calculate component bounds (axis-aligned bounding box)
-            const hw = component.size.width / 2;
-            const hh = component.size.height / 2;
-            const cx = component.position.x;
-            const cy = component.position.y;
-
-            // Use a simple line-rectangle intersection test
-            // We'll use a rotated rectangle if needed, but for simplicity start with AABB
-            const bounds = {
-                minX: cx - hw,
-                maxX: cx + hw,
-                minY: cy - hh,
-                maxY: cy + hh
-            };
-
-            // Ray-AABB intersection test
-            const tMinX = (bounds.minX - origin.x) / rayDir.x;
-            const tMaxX = (bounds.maxX - origin.x) / rayDir.x;
-            const tMinY = (bounds.minY - origin.y) / rayDir.y;
-            const tMaxY = (bounds.maxY - origin.y) / rayDir.y;
-
-            const tMin = Math.max(
-                Math.min(tMinX, tMaxX),
-                Math.min(tMinY, tMaxY)
-            );
-            const tMax = Math.min(
-                Math.max(tMinX, tMaxX),
-                Math.max(tMinY, tMaxY)
-            );
+            const hit = rayRectIntersection(origin, rayDir, component.getRect());
+            if (!hit) continue;
 
-            // Check if ray intersects and is in front of origin
-            if (tMax >= tMin && tMax > 0 && tMin < closestDistance) {
-                const distance = tMin > 0 ? tMin : tMax;
-                if (distance < closestDistance && distance > 1) { // Minimum distance of 1mm
-                    closestDistance = distance;
-                    closestComponent = component;
-                }
+            // Distance to the entry point, or the exit point if the ray starts inside
+            const distance = hit.entry > 0 ? hit.entry : hit.exit;
+            if (distance < closestDistance && distance > 1) { // Minimum distance of 1mm
+                closestDistance = distance;
+                closestComponent = component;
             }
         }
 
@@ -3908,7 +6917,10 @@ class BeamPathOptimizerApp {
 
         // Determine output ports based on component type and reflectance
         let outputPorts = [];
-        if (component.type === ComponentType.BEAM_SPLITTER) {
+        if (component.type === ComponentType.POLARIZING_BEAM_SPLITTER) {
+            // The split follows the beam's polarization - always create both beams
+            outputPorts = ['reflected', 'transmitted'];
+        } else if (component.type === ComponentType.BEAM_SPLITTER) {
             // Only create beams based on reflectance/transmittance values
             const reflectance = component.reflectance ?? 0.5;
             const transmittance = component.transmittance ?? (1 - reflectance);
@@ -3919,8 +6931,13 @@ class BeamPathOptimizerApp {
             if (transmittance > 0) {
                 outputPorts.push('transmitted');
             }
+        } else if (isCustomType(component.type)) {
+            // User-defined types: every port that passes some light
+            outputPorts = component.getOutputPorts()
+                .filter(port => getPortRule(component.type, port).fraction > 0);
         } else if (component.canOutputBeam()) {
-            outputPorts = ['output'];
+            // Mirrors reflect, lenses and other optics transmit, sources emit
+            outputPorts = [component.getOutputPorts()[0]];
         }
 
         for (const sourcePort of outputPorts) {
@@ -3936,14 +6953,21 @@ class BeamPathOptimizerApp {
             processed.add(portKey);
 
             // Check if segment already exists for this output
-            const existingSegments = state.beamPath.getOutgoingSegments(componentId);
-            const hasSegmentForPort = existingSegments.some(seg => seg.sourcePort === sourcePort);
-            if (hasSegmentForPort) {
+            // (beams saved with the generic 'output' port count for the physical one)
+            const existingSegment = state.beamPath.getOutgoingSegments(componentId)
+                .find(seg => getPhysicalPort(component.type, seg.sourcePort) === sourcePort);
+            if (existingSegment) {
                 // Continue propagation from existing target
-                const existingSegment = existingSegments.find(seg => seg.sourcePort === sourcePort);
                 const targetComp = state.components.get(existingSegment.targetId);
                 if (targetComp && targetComp.canOutputBeam()) {
-                    const beamAngle = BeamPhysics.calculateBeamAngle(component.position, targetComp.position);
+                    // Follow the exact ray when the connection is valid (free-angle components),
+                    // otherwise the center-to-center direction
+                    const validation = BeamPhysics.validateConnection(
+                        component, targetComp, sourcePort, incomingAngle, state.components
+                    );
+                    const beamAngle = validation.valid
+                        ? validation.beamAngle
+                        : BeamPhysics.calculateBeamAngle(component.position, targetComp.position);
                     this.propagateBeamFrom(targetComp.id, beamAngle, processed);
                 }
                 continue;
@@ -3954,8 +6978,8 @@ class BeamPathOptimizerApp {
             if (outputAngle === null) continue;
 
             // Find max distance to workspace boundary
-            const workspace = state.constraints.workspace;
-            const maxDist = Math.max(workspace.width, workspace.height) * 2;
+            const plate = getPlateBounds(state.constraints.workspace);
+            const maxDist = Math.hypot(plate.maxX - plate.minX, plate.maxY - plate.minY) * 2;
 
             // Find first component in beam path
             const intersection = this.findRayComponentIntersection(
@@ -4005,7 +7029,7 @@ class BeamPathOptimizerApp {
 
             // If no valid component hit, create beam to workspace boundary
             if (!segmentCreated) {
-                const boundaryPoint = this.findWorkspaceBoundaryIntersection(
+                const boundaryPoint = findWorkspaceBoundaryIntersection(
                     component.position,
                     outputAngle,
                     state.constraints.workspace
@@ -0,0 +1,465 @@
+/**
+ * Alignment Procedure
+ *
+ * Writes the order in which a layout is aligned on the table, from the beam
+ * graph. Each path from a source (BeamPath.traceFromSource, following the
+ * ports the beam really takes) is cut into legs at the steering optics -
+ * mirrors, reflecting splitter ports and reflecting custom types. Every leg
+ * gets two irises, as far apart as its optics allow, and is aligned by
+ * walking the last two steering optics before it: the first one centers the
+ * beam on the near iris, the second on the far iris. Lenses, waveplates and
+ * other optics the beam passes go in afterwards, one at a time, centered so
+ * the beam goes through the far iris again.
+ *
+ * Spacings fixed on beam segments and components with a fixed position are
+ * set before anything is aligned. Legs a later path shares with an earlier
+ * one are not aligned again, and steering optics that serve an earlier path
+ * are left alone.
+ *
+ * The procedure is plain data ({ name, prerequisites, paths: [{ title, steps }] },
+ * a step is { text, details }) and can be written as Markdown or HTML.
+ */
+
+import { ComponentType, ComponentNames, PortRule, isBeamSplitterType, getPortRule } from './Component.js';
+import { ANGLE_TOLERANCE, calculateBeamAngle, getOutputDirection, normalizeAngleDiff } from '../physics/BeamPhysics.js';
+
+/**
+ * Closest an iris is placed to an optic along the beam (mm)
+ */
+export const IRIS_CLEARANCE = 15;
+
+/**
+ * Format a position, e.g. "(120, -45.5) mm"
+ */
+function formatPoint(point) {
+    return `(${+point.x.toFixed(1)}, ${+point.y.toFixed(1)}) mm`;
+}
+
+/**
+ * Check if a component sets the direction of the beam leaving over a port
+ * (adjusting it walks the beam; a deflected order is tuned, e.g. an AOM)
+ */
+function isSteering(component, port) {
+    if (component.type === ComponentType.SOURCE || component.type === ComponentType.MIRROR) return true;
+    if (isBeamSplitterType(component.type)) return port !== 'transmitted';
+    const rule = getPortRule(component.type, port);
+    return rule?.rule === PortRule.REFLECT || (rule?.rule === PortRule.DEFLECT && rule.angle !== 0);
+}
+
+/**
+ * Check if a steering optic can be walked in a pair - a tilt screw, not a
+ * source or a tuned deflection
+ */
+function isWalkable(component, port) {
+    return component.type !== ComponentType.SOURCE && isSteering(component, port) &&
+        getPortRule(component.type, port)?.rule !== PortRule.DEFLECT;
+}
+
+/**
+ * Filter for BeamPath.traceFromSource: follow only the segments a beam
+ * arriving over the previous segment feeds
+ */
+function createPortFilter(componentMap) {
+    return (previous, segment) => {
+        if (!previous) return true;
+        const from = componentMap.get(previous.sourceId);
+        const component = componentMap.get(segment.sourceId);
+        const end = segment.targetId ? componentMap.get(segment.targetId)?.position : segment.endPoint;
+        if (!from || !component || !end) return false;
+
+        const output = getOutputDirection(component, calculateBeamAngle(from.position, component.position), segment.sourcePort);
+        const angle = calculateBeamAngle(component.position, end);
+        return output !== null && angle !== null && Math.abs(normalizeAngleDiff(output - angle)) <= ANGLE_TOLERANCE;
+    };
+}
+
+/**
+ * Cut a path into legs at its steering optics
+ * @returns {Array} [{ steerer, segments: [{ segment, start, end, offset, length }],
+ *   inline: [{ component, port, distance }], end, endPoint, length }]
+ */
+function splitIntoLegs(segments, componentMap) {
+    const legs = [];
+    let leg = null;
+
+    segments.forEach(segment => {
+        const component = componentMap.get(segment.sourceId);
+        if (!leg || isSteering(component, segment.sourcePort)) {
+            leg = { steerer: component, port: segment.sourcePort, segments: [], inline: [], length: 0 };
+            legs.push(leg);
+        } else if (component.type !== ComponentType.PATH_POINT) {
+            leg.inline.push({ component, port: segment.sourcePort, distance: leg.length });
+        }
+
+        const start = component.position;
+        const end = segment.targetId ? componentMap.get(segment.targetId).position : segment.endPoint;
+        leg.segments.push({ segment, start, end, offset: leg.length, length: Math.hypot(end.x - start.x, end.y - start.y) });
+        leg.length += leg.segments[leg.segments.length - 1].length;
+        leg.end = segment.targetId ? componentMap.get(segment.targetId) : null;
+        leg.endPoint = end;
+    });
+
+    return legs;
+}
+
+/**
+ * Point a distance along a leg
+ */
+function pointAlongLeg(leg, distance) {
+    let remaining = distance;
+    for (const part of leg.segments) {
+        if (remaining <= part.length || part === leg.segments[leg.segments.length - 1]) {
+            const t = part.length > 0 ? Math.min(1, remaining / part.length) : 0;
+            return { x: part.start.x + t * (part.end.x - part.start.x), y: part.start.y + t * (part.end.y - part.start.y) };
+        }
+        remaining -= part.length;
+    }
+    return { ...leg.endPoint };
+}
+
+/**
+ * Distance along a leg to a point on it
+ * @returns {number|null} null if the point is more than 1 mm off the leg
+ */
+function locateOnLeg(leg, point) {
+    for (const part of leg.segments) {
+        const dx = part.end.x - part.start.x;
+        const dy = part.end.y - part.start.y;
+        if (part.length === 0) continue;
+        const along = ((point.x - part.start.x) * dx + (point.y - part.start.y) * dy) / part.length;
+        const across = Math.abs((point.y - part.start.y) * dx - (point.x - part.start.x) * dy) / part.length;
+        if (along >= 0 && along <= part.length && across < 1) return part.offset + along;
+    }
+    return null;
+}
+
+/**
+ * Place the irises of a stretch of beam: near the start of the first free
+ * part and near the end of the last, clear of the optics on it
+ * @param {number} length - Length of the stretch (mm)
+ * @param {Array<number>} optics - Distances of the optics on it
+ * @returns {Array} Distances along the stretch (two, one if it is short, or none)
+ */
+function placeIrises(length, optics) {
+    const stations = [0, ...optics, length];
+    const gaps = [];
+    for (let i = 1; i < stations.length; i++) {
+        if (stations[i] - stations[i - 1] >= 2 * IRIS_CLEARANCE) gaps.push([stations[i - 1], stations[i]]);
+    }
+    if (gaps.length === 0) return [];
+
+    const inset = ([a, b]) => Math.min((b - a) / 2, Math.max(IRIS_CLEARANCE, (b - a) / 4));
+    const near = gaps[0][0] + inset(gaps[0]);
+    const last = gaps[gaps.length - 1];
+    const far = last[1] - inset(last);
+    return far - near >= IRIS_CLEARANCE ? [near, far] : [(near + far) / 2];
+}
+
+/**
+ * What to do with an optic the beam passes on a leg
+ */
+function describeInline({ component, port }, check) {
+    const type = ComponentNames[component.type] || component.type;
+    const at = `at ${formatPoint(component.position)}`;
+
+    if (component.type === ComponentType.LENS) {
+        return `Insert ${component.name} (${type}, f = ${component.focalLength ?? 100} mm) ${at} and move it across the beam until the beam ${check} again`;
+    }
+    if (isBeamSplitterType(component.type)) {
+        return `Insert ${component.name} (${type}) ${at}; the transmitted beam must still pass ${check.replace(/^goes through /, '')}`;
+    }
+    return `Insert ${component.name} (${type}) ${at}; tilt it slightly so its back-reflection misses the source, and check the beam ${check}`;
+}
+
+/**
+ * Build the alignment procedure of a layout
+ * @param {Map} componentMap - Components by ID
+ * @param {Object} beamPath - BeamPath graph
+ * @param {Object} options - { name } (document name for the title)
+ * @returns {Object} { name, prerequisites: [step], paths: [{ title, steps: [step] }] }, step = { text, details: [string] }
+ */
+export function buildAlignmentProcedure(componentMap, beamPath, options = {}) {
+    const procedure = { name: options.name || 'Untitled', prerequisites: [], paths: [] };
+    const canFollow = createPortFilter(componentMap);
+    const name = id => componentMap.get(id)?.name ?? '?';
+
+    const sources = [...componentMap.values()]
+        .filter(c => c.type === ComponentType.SOURCE)
+        .sort((a, b) => a.name.localeCompare(b.name));
+    const chains = sources.flatMap(source => beamPath.traceFromSource(source.id, 50, canFollow)
+        .map(ids => ids.map(id => beamPath.getSegment(id))));
+
+    // Fixed spacings and positions come first - aligning moves nothing after them
+    const fixedSegments = new Set();
+    const fixedComponents = new Set();
+    chains.flat().forEach(segment => {
+        [segment.sourceId, segment.targetId].forEach(id => {
+            if (id && componentMap.get(id)?.isFixed && !fixedComponents.has(id)) {
+                fixedComponents.add(id);
+                procedure.prerequisites.push({
+                    text: `Bolt down ${name(id)} at ${formatPoint(componentMap.get(id).position)} - it is fixed in position`,
+                    details: []
+                });
+            }
+        });
+        if (segment.isFixedLength && segment.fixedLength !== null && !fixedSegments.has(segment.id)) {
+            fixedSegments.add(segment.id);
+            procedure.prerequisites.push({
+                text: `Set ${name(segment.sourceId)} → ${name(segment.targetId)} to ${segment.fixedLength.toFixed(1)} mm (fixed length) and clamp both mounts`,
+                details: []
+            });
+        }
+    });
+
+    const alignedSegments = new Map();  // Segment ID -> number of the path that aligned it
+    const placed = new Set();           // Components already on the table
+    const irises = [];                  // { label, point }, shared by all paths
+    const findIris = point => irises.find(iris => Math.hypot(iris.point.x - point.x, iris.point.y - point.y) < 1);
+
+    const legAngle = leg => calculateBeamAngle(leg.segments[0].start, leg.endPoint);
+
+    chains.forEach(segments => {
+        const pathNumber = procedure.paths.length + 1;
+        const last = segments[segments.length - 1];
+        const path = {
+            title: `${name(segments[0].sourceId)} → ${last.targetId ? name(last.targetId) : 'plate edge'}`,
+            steps: []
+        };
+        const legs = splitIntoLegs(segments, componentMap);
+        const isReturn = legs.map((leg, i) => i > 0 &&
+            Math.abs(normalizeAngleDiff(legAngle(leg) - legAngle(legs[i - 1]))) > 180 - ANGLE_TOLERANCE);
+
+        // Consecutive legs aligned by an earlier path collapse into one note
+        let sharedStep = null;
+        const noteShared = (earlierPath, upTo) => {
+            const text = `Already aligned in Path ${earlierPath} up to ${upTo} - do not adjust`;
+            if (sharedStep && path.steps[path.steps.length - 1] === sharedStep) {
+                sharedStep.text = text;
+            } else {
+                sharedStep = { text, details: [] };
+                path.steps.push(sharedStep);
+            }
+        };
+
+        legs.forEach((leg, index) => {
+            const steerer = leg.steerer;
+            const target = leg.end ? leg.end.name : 'the plate edge';
+            const sharedCount = leg.segments.findIndex(part => !alignedSegments.has(part.segment.id));
+
+            if (sharedCount === -1) {
+                noteShared(alignedSegments.get(leg.segments[leg.segments.length - 1].segment.id), target);
+                return;
+            }
+
+            // The start of the leg may be set already (the beam continues through a splitter)
+            let start = 0;
+            let from = steerer;
+            if (sharedCount > 0) {
+                const part = leg.segments[sharedCount];
+                from = componentMap.get(part.segment.sourceId);
+                start = part.offset;
+                noteShared(alignedSegments.get(leg.segments[sharedCount - 1].segment.id), from.name);
+            }
+            // A retro-reflecting mirror is set by its own leg and is not walked
+            const upstream = sharedCount === 0 && index > 0 && !isReturn[index - 1] &&
+                isWalkable(legs[index - 1].steerer, legs[index - 1].port)
+                ? legs[index - 1].steerer
+                : null;
+            const upstreamPath = upstream ? alignedSegments.get(legs[index - 1].segments[0].segment.id) : null;
+            leg.segments.forEach(part => {
+                if (!alignedSegments.has(part.segment.id)) alignedSegments.set(part.segment.id, pathNumber);
+            });
+            const inline = leg.inline.filter(item => item.distance > start);
+
+            // Irises define the leg; a return pass reuses the irises of the way out
+            // if they reach past the optics on it
+            const lastOptic = Math.max(0, ...inline.map(item => item.distance - start));
+            const onLeg = irises
+                .map(iris => ({ ...iris, distance: (locateOnLeg(leg, iris.point) ?? -1) - start, reused: true }))
+                .filter(iris => iris.distance >= 0)
+                .sort((a, b) => a.distance - b.distance);
+            const legIrises = onLeg.length >= 2 && onLeg[onLeg.length - 1].distance > lastOptic
+                ? [onLeg[0], onLeg[onLeg.length - 1]]
+                : placeIrises(leg.length - start, inline.map(item => item.distance - start)).map(distance => {
+                    const point = pointAlongLeg(leg, start + distance);
+                    const existing = findIris(point);
+                    if (existing) return { ...existing, distance, reused: true };
+                    const iris = { label: `Iris ${irises.length + 1}`, point };
+                    irises.push(iris);
+                    return { ...iris, distance, reused: false };
+                });
+            const fresh = legIrises.filter(iris => !iris.reused);
+            const reused = legIrises.filter(iris => iris.reused);
+            const listIrises = list => list.map(iris => iris.label).join(' and ');
+            const legName = `${from.name} → ${target}`;
+
+            if (legIrises.length === 0) {
+                path.steps.push({ text: `The leg ${legName} is too short for irises - use the center of ${target}`, details: [] });
+            } else if (fresh.length === 0) {
+                path.steps.push({ text: `Use ${listIrises(legIrises)} on the leg ${legName}`, details: [] });
+            } else {
+                path.steps.push({
+                    text: `Place ${listIrises(fresh)} on the leg ${legName}` +
+                        (reused.length > 0 ? ` (${listIrises(reused)} already on it)` : ''),
+                    details: fresh.map(iris =>
+                        `${iris.label} at ${formatPoint(iris.point)}, ${iris.distance.toFixed(0)} mm after ${from.name}`)
+                });
+            }
+
+            const near = legIrises[0]?.label;
+            const far = legIrises[legIrises.length - 1]?.label;
+            const both = legIrises.length === 2;
+            const check = far ? `goes through ${far}` : `hits the center of ${target}`;
+
+            if (sharedCount > 0) {
+                path.steps.push({
+                    text: `Check that the beam ${both ? `goes through ${near} and ${far}` : check} - if not, recheck Path ${alignedSegments.get(leg.segments[0].segment.id)}`,
+                    details: []
+                });
+            } else if (steerer.type === ComponentType.SOURCE) {
+                path.steps.push({
+                    text: both
+                        ? `Point ${steerer.name}: translate it to center the beam on ${near}, tilt it to center the beam on ${far}; repeat until both are centered`
+                        : `Point ${steerer.name} so the beam ${check}`,
+                    details: []
+                });
+            } else if (getPortRule(steerer.type, leg.port)?.rule === PortRule.DEFLECT) {
+                const rule = getPortRule(steerer.type, leg.port);
+                path.steps.push({
+                    text: `${placed.has(steerer.id) ? 'Tune' : `Insert ${steerer.name} at ${formatPoint(steerer.position)} and tune`} ` +
+                        `${placed.has(steerer.id) ? steerer.name : 'it'} for the ${leg.port} output (${rule.angle}°) so the beam ` +
+                        (both ? `goes through ${near} and ${far}` : check),
+                    details: []
+                });
+            } else if (isReturn[index]) {
+                // A retro-reflection only needs the mirror that sends the beam back
+                path.steps.push({
+                    text: `Adjust ${steerer.name} so the beam goes back through ${both ? `${near} and ${far}` : (far ?? `the center of ${target}`)}`,
+                    details: []
+                });
+            } else if (upstream && upstreamPath === pathNumber && both) {
+                path.steps.push({
+                    text: `Walk ${upstream.name} and ${steerer.name}: ${upstream.name} centers the beam on ${near}, ${steerer.name} on ${far}; repeat until both are centered`,
+                    details: []
+                });
+            } else {
+                path.steps.push({
+                    text: both
+                        ? `Adjust ${steerer.name} so the beam goes through ${near} and ${far}; if it cannot, the beam is off-center on ${steerer.name}`
+                        : `Adjust ${steerer.name} so the beam ${check}`,
+                    details: upstream && upstreamPath !== pathNumber
+                        ? [`Do not touch ${upstream.name} - it is set for Path ${upstreamPath}`]
+                        : []
+                });
+            }
+            placed.add(steerer.id);
+
+            // Then the optics the beam passes, one at a time
+            inline.forEach(item => {
+                path.steps.push({
+                    text: placed.has(item.component.id)
+                        ? `${item.component.name} is already in place - check the beam still ${check}`
+                        : describeInline(item, check),
+                    details: []
+                });
+                placed.add(item.component.id);
+            });
+
+            if (leg.end?.type === ComponentType.DETECTOR) {
+                path.steps.push({ text: `Center the beam on ${leg.end.name}`, details: [] });
+            } else if (!leg.end) {
+                path.steps.push({ text: `The beam leaves the plate at ${formatPoint(leg.endPoint)} - block it there`, details: [] });
+            }
+        });
+
+        procedure.paths.push(path);
+    });
+
+    return procedure;
+}
+
+/**
+ * Write a procedure as Markdown
+ */
+export function formatProcedureMarkdown(procedure) {
+    const lines = [`# Alignment Procedure - ${procedure.name}`, ''];
+    const writeSteps = steps => {
+        steps.forEach((step, i) => {
+            lines.push(`${i + 1}. ${step.text}`);
+            step.details.forEach(detail => lines.push(`   - ${detail}`));
+        });
+        lines.push('');
+    };
+
+    if (procedure.prerequisites.length > 0) {
+        lines.push('## Before You Start', '');
+        writeSteps(procedure.prerequisites);
+    }
+    if (procedure.paths.length === 0) {
+        lines.push('No beam path starts at a source yet.', '');
+    }
+    procedure.paths.forEach((path, i) => {
+        lines.push(`## Path ${i + 1}: ${path.title}`, '');
+        writeSteps(path.steps);
+    });
+    lines.push('Leave the irises in place - they make realignment quick.', '');
+    return lines.join('\n');
+}
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+/**
+ * Write a procedure as a printable HTML page
+ */
+export function formatProcedureHtml(procedure) {
+    const steps = list => '<ol>\n' + list.map(step =>
+        `  <li>${escapeHtml(step.text)}` +
+        (step.details.length > 0
+            ? `\n    <ul>${step.details.map(d => `<li>${escapeHtml(d)}</li>`).join('')}</ul>\n  `
+            : '') +
+        '</li>').join('\n') + '\n</ol>';
+
+    const sections = [];
+    if (procedure.prerequisites.length > 0) {
+        sections.push(`<h2>Before You Start</h2>\n${steps(procedure.prerequisites)}`);
+    }
+    if (procedure.paths.length === 0) {
+        sections.push('<p>No beam path starts at a source yet.</p>');
+    }
+    procedure.paths.forEach((path, i) => {
+        sections.push(`<h2>Path ${i + 1}: ${escapeHtml(path.title)}</h2>\n${steps(path.steps)}`);
+    });
+
+    const title = `Alignment Procedure - ${escapeHtml(procedure.name)}`;
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${title}</title>
+<style>
+  body { font-family: sans-serif; max-width: 48em; margin: 2em auto; line-height: 1.5; }
+  h2 { border-bottom: 1px solid #ccc; page-break-after: avoid; }
+  li { margin: 0.3em 0; }
+  ul { color: #555; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+${sections.join('\n')}
+<p><em>Leave the irises in place - they make realignment quick.</em></p>
+</body>
+</html>
+`;
+}
+
+export default {
+    IRIS_CLEARANCE,
+    buildAlignmentProcedure,
+    formatProcedureMarkdown,
+    formatProcedureHtml
+};
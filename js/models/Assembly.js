@@ -0,0 +1,234 @@
+/**
+ * Sub-Assemblies
+ *
+ * A group ties components (telescope, periscope, ...) into one module that
+ * is selected, moved and rotated as a rigid body. Its internal beams are the
+ * segments running between two members; they are not stored with the group,
+ * so re-propagated beams stay part of it.
+ *
+ * Groups live in the document (state.groups):
+ *   { id, name, componentIds, collapsed }
+ *
+ * Groups can be saved to an assembly library and inserted into other
+ * projects. An assembly is plain JSON:
+ *   { formatVersion: 1, id, name, createdAt, componentTypes,
+ *     components (positions relative to the group center), segments }
+ */
+
+import { Component, generateId } from './Component.js';
+import { BeamSegment } from './BeamPath.js';
+import { getRectBounds } from '../physics/Geometry.js';
+
+/**
+ * Assembly file format version
+ */
+export const ASSEMBLY_FORMAT_VERSION = 1;
+
+/**
+ * Margin around the members when a group is outlined or collapsed (mm)
+ */
+export const GROUP_PADDING = 6;
+
+/**
+ * Create a group
+ * @param {string} name - Group name
+ * @param {Array<string>} componentIds - Member component IDs
+ */
+export function createGroup(name, componentIds) {
+    return {
+        id: generateId('group'),
+        name,
+        componentIds: [...componentIds],
+        collapsed: false  // Draw as a single labeled block
+    };
+}
+
+/**
+ * Find the group a component belongs to
+ * @returns {Object|null}
+ */
+export function getGroupOfComponent(groups, componentId) {
+    return groups.find(group => group.componentIds.includes(componentId)) || null;
+}
+
+/**
+ * Add the other members of every group touched by a selection
+ * @param {Array} groups - Document groups
+ * @param {Array<string>} componentIds - Selected component IDs
+ * @returns {Array<string>} Selection including whole groups
+ */
+export function expandToGroups(groups, componentIds) {
+    const expanded = new Set(componentIds);
+    componentIds.forEach(id => {
+        getGroupOfComponent(groups, id)?.componentIds.forEach(memberId => expanded.add(memberId));
+    });
+    return Array.from(expanded);
+}
+
+/**
+ * Groups whose members are exactly the given components
+ * @returns {Array} Groups fully covered by the IDs (empty if the IDs also hold ungrouped components)
+ */
+export function getSelectedGroups(groups, componentIds) {
+    const ids = new Set(componentIds);
+    const selected = groups.filter(group => group.componentIds.every(id => ids.has(id)));
+    const covered = selected.reduce((count, group) => count + group.componentIds.length, 0);
+    return covered === ids.size ? selected : [];
+}
+
+/**
+ * Beam segments running between two members (the group's internal beams)
+ */
+export function getInternalSegments(beamPath, componentIds) {
+    const ids = new Set(componentIds);
+    return beamPath.getAllSegments().filter(seg => ids.has(seg.sourceId) && ids.has(seg.targetId));
+}
+
+/**
+ * Axis-aligned bounds enclosing the rotated bodies of the members
+ * @param {number} padding - Margin added on every side (mm)
+ * @returns {Object|null} { minX, minY, maxX, maxY, center }
+ */
+export function getGroupBounds(group, components, padding = 0) {
+    const members = group.componentIds.map(id => components.get(id)).filter(Boolean);
+    if (members.length === 0) return null;
+
+    const bounds = members
+        .map(member => getRectBounds(member.getRect()))
+        .reduce((acc, b) => ({
+            minX: Math.min(acc.minX, b.minX - padding),
+            minY: Math.min(acc.minY, b.minY - padding),
+            maxX: Math.max(acc.maxX, b.maxX + padding),
+            maxY: Math.max(acc.maxY, b.maxY + padding)
+        }), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+
+    return {
+        ...bounds,
+        center: { x: (bounds.minX + bounds.maxX) / 2, y: (bounds.minY + bounds.maxY) / 2 }
+    };
+}
+
+/**
+ * Positions and angles of a group rotated as a rigid body about its center
+ * Multiples of 90° keep cardinal beams cardinal, so internal beams stay valid.
+ * @param {number} angleDelta - Rotation (degrees, clockwise)
+ * @returns {Object} { positions: Map(id -> {x, y}), angles: Map(id -> degrees) } (see actions.applyLayout)
+ */
+export function rotateGroup(group, components, angleDelta) {
+    const positions = new Map();
+    const angles = new Map();
+    const bounds = getGroupBounds(group, components);
+    if (!bounds) return { positions, angles };
+
+    const rad = (angleDelta * Math.PI) / 180;
+    const cos = Math.round(Math.cos(rad) * 1e12) / 1e12;
+    const sin = Math.round(Math.sin(rad) * 1e12) / 1e12;
+    const { center } = bounds;
+
+    group.componentIds.forEach(id => {
+        const component = components.get(id);
+        if (!component) return;
+
+        const dx = component.position.x - center.x;
+        const dy = component.position.y - center.y;
+        positions.set(id, {
+            x: center.x + dx * cos - dy * sin,
+            y: center.y + dx * sin + dy * cos
+        });
+        angles.set(id, ((component.angle + angleDelta) % 360 + 360) % 360);
+    });
+
+    return { positions, angles };
+}
+
+/**
+ * Build a library assembly from a group
+ * @param {Object} group - Group to save
+ * @param {Object} state - Store state (components, beamPath, componentTypes)
+ * @returns {Object} Assembly JSON
+ */
+export function createAssembly(group, state) {
+    const bounds = getGroupBounds(group, state.components);
+    const center = bounds ? bounds.center : { x: 0, y: 0 };
+    const members = group.componentIds.map(id => state.components.get(id)).filter(Boolean);
+    const memberTypes = new Set(members.map(member => member.type));
+
+    return {
+        formatVersion: ASSEMBLY_FORMAT_VERSION,
+        id: generateId('assembly'),
+        name: group.name,
+        createdAt: new Date().toISOString(),
+        // User-defined types the members need in another project
+        componentTypes: (state.componentTypes || []).filter(type => memberTypes.has(type.id)),
+        components: members.map(member => ({
+            ...member.toJSON(),
+            position: { x: member.position.x - center.x, y: member.position.y - center.y }
+        })),
+        segments: getInternalSegments(state.beamPath, group.componentIds).map(seg => seg.toJSON())
+    };
+}
+
+/**
+ * Validate an assembly (e.g. from an imported library file)
+ * @throws {Error} If the assembly is unusable
+ */
+export function validateAssembly(assembly) {
+    if (!assembly || typeof assembly.name !== 'string' || !Array.isArray(assembly.components)) {
+        throw new Error('Invalid assembly: needs a name and a "components" array');
+    }
+    if (assembly.components.length === 0) {
+        throw new Error(`Assembly "${assembly.name}" has no components`);
+    }
+    if (assembly.formatVersion > ASSEMBLY_FORMAT_VERSION) {
+        throw new Error(`Assembly "${assembly.name}" was saved by a newer version`);
+    }
+}
+
+/**
+ * Create fresh components, beams and a group from an assembly
+ * Every component gets a new ID; internal beams and alignment constraints
+ * are remapped to them. Register assembly.componentTypes first.
+ * @param {Object} assembly - Assembly JSON
+ * @param {Object} position - Where to put the group center (world mm)
+ * @returns {Object} { components: Component[], segments: BeamSegment[], group }
+ */
+export function instantiateAssembly(assembly, position) {
+    const idMap = new Map();
+    assembly.components.forEach(json => idMap.set(json.id, generateId(json.type)));
+
+    const components = assembly.components.map(json => new Component({
+        ...json,
+        id: idMap.get(json.id),
+        position: { x: position.x + json.position.x, y: position.y + json.position.y },
+        alignmentConstraints: (json.alignmentConstraints || [])
+            .filter(c => idMap.has(c.componentId))
+            .map(c => ({ ...c, componentId: idMap.get(c.componentId) }))
+    }));
+
+    const segments = (assembly.segments || [])
+        .filter(json => idMap.has(json.sourceId) && idMap.has(json.targetId))
+        .map(json => new BeamSegment({
+            ...json,
+            id: null,
+            sourceId: idMap.get(json.sourceId),
+            targetId: idMap.get(json.targetId)
+        }));
+
+    const group = createGroup(assembly.name, components.map(c => c.id));
+    return { components, segments, group };
+}
+
+export default {
+    ASSEMBLY_FORMAT_VERSION,
+    GROUP_PADDING,
+    createGroup,
+    getGroupOfComponent,
+    expandToGroups,
+    getSelectedGroups,
+    getInternalSegments,
+    getGroupBounds,
+    rotateGroup,
+    createAssembly,
+    validateAssembly,
+    instantiateAssembly
+};
@@ -1,3 +1,6 @@
+import { lineIntersection } from '../physics/Geometry.js';
+import { getOnAxisComponentIds } from '../physics/BeamPhysics.js';
+
 /**
  * Beam segment representing a connection between two components
  */
@@ -8,13 +11,15 @@ export class BeamSegment {
         this.targetId = props.targetId || null; // Can be null if beam terminates at workspace boundary
         this.sourcePort = props.sourcePort || 'output'; // output, reflected, transmitted
         this.targetPort = props.targetPort || 'input';
+        this.name = props.name || '';  // Optional label, e.g. "Reference arm"
 
         // Optional endpoint for beams that terminate at workspace boundary
         this.endPoint = props.endPoint || null; // { x, y } - used when targetId is null
 
         // Beam properties (can be inherited/calculated)
         this.wavelength = props.wavelength || 632.8; // nm (HeNe default)
-        this.power = props.power || 1.0; // relative power (0-1)
+        this.power = props.power || 1.0; // relative power (0-1), see PowerBudget.applyPowerToSegments
+        this.powerMw = props.powerMw ?? null; // absolute power (mW), calculated from the sources
         this.pathLength = props.pathLength || 0; // calculated from positions
 
         // Visual properties
@@ -85,9 +90,11 @@ export class BeamSegment {
             targetId: this.targetId,
             sourcePort: this.sourcePort,
             targetPort: this.targetPort,
+            name: this.name,
             endPoint: this.endPoint ? { ...this.endPoint } : null, // Workspace boundary endpoint
             wavelength: this.wavelength,
             power: this.power,
+            powerMw: this.powerMw,
             pathLength: this.pathLength,
             branchIndex: this.branchIndex,
             wavelengthIds: this.wavelengthIds,
@@ -118,6 +125,64 @@ export const BRANCH_COLORS = [
     '#0088ff', // 5th split - blue
 ];
 
+/**
+ * Kinds of beam encounters found by BeamPath.findCrossings()
+ */
+export const CrossingType = {
+    CROSSING: 'crossing',
+    NEAR_MISS: 'nearMiss'
+};
+
+/**
+ * Beams closer than this without crossing are a near miss (mm)
+ */
+export const NEAR_MISS_DISTANCE = 5;
+
+/**
+ * Beams within this angle of each other count as near-parallel (degrees)
+ */
+export const NEAR_PARALLEL_ANGLE = 10;
+
+/**
+ * Angle between two beam lines, ignoring direction (0-90 degrees)
+ */
+function getLineAngle(first, second) {
+    const angleOf = beam => Math.atan2(beam.end.y - beam.start.y, beam.end.x - beam.start.x);
+    const diff = Math.abs(angleOf(first) - angleOf(second)) * 180 / Math.PI % 180;
+    return diff > 90 ? 180 - diff : diff;
+}
+
+/**
+ * Closest point to a point on the segment a-b
+ */
+function closestPointOnSegment(point, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0
+        ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSq))
+        : 0;
+    return { x: a.x + t * dx, y: a.y + t * dy };
+}
+
+/**
+ * Closest approach of two beams that do not cross (at an end of one of them)
+ * @returns {Object} { distance (mm), point: midway between the beams }
+ */
+function getClosestApproach(first, second) {
+    let best = { distance: Infinity, point: null };
+    [[first, second], [second, first]].forEach(([beam, other]) => {
+        [beam.start, beam.end].forEach(p => {
+            const q = closestPointOnSegment(p, other.start, other.end);
+            const distance = Math.hypot(q.x - p.x, q.y - p.y);
+            if (distance < best.distance) {
+                best = { distance, point: { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 } };
+            }
+        });
+    });
+    return best;
+}
+
 /**
  * BeamPath graph managing all beam segments
  */
@@ -288,16 +353,25 @@ export class BeamPath {
     /**
      * Trace beam path from a source component
      * Returns array of paths, each path is array of segment IDs
+     * Without a filter a path never visits a component twice. With
+     * canFollow(previousSegment, segment) - false if a beam arriving over the
+     * previous segment (null at the source) does not leave over the segment -
+     * a path may pass a component again (a Michelson splitter, a double pass)
+     * but not a segment.
      */
-    traceFromSource(sourceId, maxDepth = 50) {
+    traceFromSource(sourceId, maxDepth = 50, canFollow = null) {
         const paths = [];
         const visited = new Set();
 
         const trace = (currentId, currentPath, depth) => {
             if (depth > maxDepth) return;
-            if (visited.has(currentId)) return; // Prevent cycles
+            if (!canFollow && visited.has(currentId)) return; // Prevent cycles
 
-            const outgoing = this.outgoing.get(currentId) || [];
+            const previous = this.segments.get(currentPath[currentPath.length - 1]) || null;
+            const outgoing = (this.outgoing.get(currentId) || []).filter(segId => {
+                const segment = this.segments.get(segId);
+                return segment && (!canFollow || (!currentPath.includes(segId) && canFollow(previous, segment)));
+            });
 
             if (outgoing.length === 0) {
                 // End of path
@@ -309,7 +383,6 @@ export class BeamPath {
 
             for (const segId of outgoing) {
                 const segment = this.segments.get(segId);
-                if (!segment) continue;
 
                 visited.add(currentId);
                 currentPath.push(segId);
@@ -522,6 +595,65 @@ export class BeamPath {
         });
     }
 
+    /**
+     * Find beams that cross each other or pass close to each other nearly parallel
+     * Segments that share a component meet there by design and are skipped, as
+     * are segments on the same axis (the return pass of a retro arm or a double
+     * pass runs over the forward beam, see getOnAxisComponentIds).
+     * @param {Map|Array} components - Components (Map by ID or array)
+     * @param {Object} options - { nearMissDistance (mm), nearParallelAngle (degrees) }
+     * @returns {Array} [{ type: CrossingType, segmentIds: [a, b], wavelengthIds: [[...], [...]],
+     *   angle (degrees, 0-90), distance (mm, 0 for a crossing), point: { x, y } }]
+     */
+    findCrossings(components, options = {}) {
+        const nearMissDistance = options.nearMissDistance ?? NEAR_MISS_DISTANCE;
+        const nearParallelAngle = options.nearParallelAngle ?? NEAR_PARALLEL_ANGLE;
+        const componentMap = new Map();
+        components.forEach(c => componentMap.set(c.id, c));
+
+        const beams = [];
+        this.segments.forEach(segment => {
+            const source = componentMap.get(segment.sourceId);
+            const end = segment.targetId ? componentMap.get(segment.targetId)?.position : segment.endPoint;
+            if (source && end) {
+                beams.push({ segment, start: source.position, end });
+            }
+        });
+
+        const crossings = [];
+        beams.forEach((first, i) => {
+            const ends = [first.segment.sourceId, first.segment.targetId].filter(Boolean);
+            const onAxis = getOnAxisComponentIds(first.start, first.end, this, componentMap);
+            beams.slice(i + 1).forEach(second => {
+                if (ends.includes(second.segment.sourceId) || ends.includes(second.segment.targetId)) return;
+                if (onAxis.has(second.segment.sourceId) && onAxis.has(second.segment.targetId)) return;
+
+                const encounter = {
+                    segmentIds: [first.segment.id, second.segment.id],
+                    wavelengthIds: [[...first.segment.wavelengthIds], [...second.segment.wavelengthIds]],
+                    angle: getLineAngle(first, second)
+                };
+
+                const point = lineIntersection(
+                    first.start.x, first.start.y, first.end.x, first.end.y,
+                    second.start.x, second.start.y, second.end.x, second.end.y
+                );
+                if (point) {
+                    crossings.push({ type: CrossingType.CROSSING, ...encounter, distance: 0, point });
+                    return;
+                }
+
+                if (encounter.angle > nearParallelAngle) return;
+                const closest = getClosestApproach(first, second);
+                if (closest.distance <= nearMissDistance) {
+                    crossings.push({ type: CrossingType.NEAR_MISS, ...encounter, ...closest });
+                }
+            });
+        });
+
+        return crossings;
+    }
+
     /**
      * Clear all segments
      */
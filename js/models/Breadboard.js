@@ -0,0 +1,253 @@
+/**
+ * Breadboard
+ *
+ * Optical breadboard definition: a plate with a square pattern of tapped
+ * holes. Components carry a mount footprint (the post/base screw positions
+ * in the component's rotated frame, mm from its center), and placement
+ * snaps so those screws land on holes rather than snapping the center.
+ *
+ * The plate is the workspace plate (see Workspace.js). Holes sit at
+ * minX + offsetX + i * pitch, minY + offsetY + j * pitch from the top-left
+ * corner of its bounds, and only exist on the plate outline, clear of the
+ * cut-outs.
+ */
+
+import { ComponentDefaults } from './Component.js';
+import { getPlateOutline, getPlateBounds } from './Workspace.js';
+import { pointInPolygon } from '../physics/Geometry.js';
+
+/**
+ * Hole pattern standards
+ */
+export const BreadboardUnits = {
+    METRIC: 'metric',
+    IMPERIAL: 'imperial'
+};
+
+/**
+ * Standard hole patterns
+ * - Metric: M6 holes on a 25 mm pitch, first hole 12.5 mm from the edge
+ * - Imperial: 1/4-20 holes on a 1" pitch, first hole 0.5" from the edge
+ */
+export const BREADBOARD_PRESETS = {
+    [BreadboardUnits.METRIC]: { pitch: 25, offsetX: 12.5, offsetY: 12.5, thread: 'M6' },
+    [BreadboardUnits.IMPERIAL]: { pitch: 25.4, offsetX: 12.7, offsetY: 12.7, thread: '1/4-20' }
+};
+
+/**
+ * Screws within this distance (mm) of a hole count as bolted down
+ */
+export const HOLE_TOLERANCE = 0.5;
+
+/**
+ * Create a breadboard definition
+ * @param {Object} props - Overrides (the plate outline of older documents is
+ *   dropped - holes follow the workspace plate)
+ */
+export function createBreadboard(props = {}) {
+    const { outline, ...settings } = props;
+    const units = settings.units ?? BreadboardUnits.METRIC;
+    const preset = BREADBOARD_PRESETS[units] || BREADBOARD_PRESETS[BreadboardUnits.METRIC];
+
+    return {
+        enabled: false,      // Show the plate and hole pattern
+        snapToHoles: true,   // Snap mount screws to holes while enabled
+        units,
+        ...preset,
+        ...settings
+    };
+}
+
+/**
+ * Apply a hole pattern standard
+ */
+export function setBreadboardUnits(breadboard, units) {
+    return { ...breadboard, units, ...(BREADBOARD_PRESETS[units] || {}) };
+}
+
+/**
+ * Hole grid of a breadboard on the workspace plate
+ * @returns {Object|null} { originX, originY, pitch, maxI, maxJ, isHole(point) }, null without holes
+ */
+function getHoleGrid(breadboard, workspace) {
+    const { pitch, offsetX, offsetY } = breadboard;
+    if (!(pitch > 0)) return null;
+
+    const bounds = getPlateBounds(workspace);
+    const maxI = Math.floor((bounds.maxX - bounds.minX - offsetX) / pitch + 1e-9);
+    const maxJ = Math.floor((bounds.maxY - bounds.minY - offsetY) / pitch + 1e-9);
+    if (maxI < 0 || maxJ < 0) return null;
+
+    const outline = getPlateOutline(workspace);
+    const cutouts = workspace.cutouts || [];
+    return {
+        originX: bounds.minX + offsetX,
+        originY: bounds.minY + offsetY,
+        pitch,
+        maxI,
+        maxJ,
+        isHole: point => pointInPolygon(point, outline) &&
+            !cutouts.some(cutout => pointInPolygon(point, cutout.points))
+    };
+}
+
+/**
+ * Nearest hole to a point (null if the plate has no holes)
+ * Searches rings of grid positions around the nearest one until no further
+ * ring can hold a closer hole, so holes off the plate or in a cut-out are skipped.
+ * @param {Object} workspace - Workspace plate
+ */
+export function getNearestHole(breadboard, workspace, point) {
+    const grid = getHoleGrid(breadboard, workspace);
+    if (!grid) return null;
+
+    const { originX, originY, pitch, maxI, maxJ } = grid;
+    const i0 = Math.max(0, Math.min(maxI, Math.round((point.x - originX) / pitch)));
+    const j0 = Math.max(0, Math.min(maxJ, Math.round((point.y - originY) / pitch)));
+    const startDistance = Math.hypot(originX + i0 * pitch - point.x, originY + j0 * pitch - point.y);
+
+    let best = null;
+    const consider = (i, j) => {
+        if (i < 0 || i > maxI || j < 0 || j > maxJ) return;
+        const hole = { x: roundMm(originX + i * pitch), y: roundMm(originY + j * pitch) };
+        if (!grid.isHole(hole)) return;
+        const distance = Math.hypot(hole.x - point.x, hole.y - point.y);
+        if (!best || distance < best.distance) best = { hole, distance };
+    };
+
+    for (let ring = 0; ring <= Math.max(maxI, maxJ); ring++) {
+        // Holes on this ring are at least ring * pitch from the start position
+        if (best && ring * pitch - startDistance > best.distance) break;
+        if (ring === 0) {
+            consider(i0, j0);
+            continue;
+        }
+        for (let k = -ring; k <= ring; k++) {
+            consider(i0 + k, j0 - ring);
+            consider(i0 + k, j0 + ring);
+            if (Math.abs(k) < ring) {
+                consider(i0 - ring, j0 + k);
+                consider(i0 + ring, j0 + k);
+            }
+        }
+    }
+    return best ? best.hole : null;
+}
+
+/**
+ * Strip floating point noise from inch-based hole positions
+ */
+function roundMm(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * All holes inside an area (for rendering)
+ * @param {Object} workspace - Workspace plate
+ * @param {Object} area - { minX, minY, maxX, maxY } (world mm)
+ * @returns {Array} Hole positions {x, y}
+ */
+export function getHolesInArea(breadboard, workspace, area) {
+    const grid = getHoleGrid(breadboard, workspace);
+    if (!grid) return [];
+
+    const { originX, originY, pitch, maxI, maxJ } = grid;
+    const minI = Math.max(0, Math.ceil((area.minX - originX) / pitch));
+    const minJ = Math.max(0, Math.ceil((area.minY - originY) / pitch));
+    const lastI = Math.min(maxI, Math.floor((area.maxX - originX) / pitch));
+    const lastJ = Math.min(maxJ, Math.floor((area.maxY - originY) / pitch));
+
+    const holes = [];
+    for (let i = minI; i <= lastI; i++) {
+        for (let j = minJ; j <= lastJ; j++) {
+            const hole = { x: roundMm(originX + i * pitch), y: roundMm(originY + j * pitch) };
+            if (grid.isHole(hole)) holes.push(hole);
+        }
+    }
+    return holes;
+}
+
+/**
+ * Mount footprint of a component (screw positions in its rotated frame)
+ * Falls back to the type default, then to a single post under the center.
+ */
+export function getMountFootprint(component) {
+    return component.mountFootprint ?? ComponentDefaults[component.type]?.mountFootprint ?? [{ x: 0, y: 0 }];
+}
+
+/**
+ * World positions of a component's mount screws
+ * @param {Object} component - Component (angle, mountFootprint)
+ * @param {Object} position - Component center to evaluate at (defaults to its position)
+ */
+export function getMountScrewPositions(component, position = component.position) {
+    const rad = ((component.angle || 0) * Math.PI) / 180;
+    const cos = Math.cos(rad);
+    const sin = Math.sin(rad);
+
+    return getMountFootprint(component).map(p => ({
+        x: position.x + p.x * cos - p.y * sin,
+        y: position.y + p.x * sin + p.y * cos
+    }));
+}
+
+/**
+ * Snap a component position so its mount screws land on holes
+ * Each screw in turn is moved onto its nearest hole; the shift that bolts
+ * down the most screws (then the smallest shift) wins. Components without a
+ * footprint keep the position unchanged.
+ * @param {Object} workspace - Workspace plate
+ * @returns {Object} Snapped component center {x, y}
+ */
+export function snapToHoles(breadboard, workspace, component, position) {
+    const screws = getMountScrewPositions(component, position);
+    if (screws.length === 0) return { ...position };
+
+    let best = null;
+    screws.forEach(screw => {
+        const hole = getNearestHole(breadboard, workspace, screw);
+        if (!hole) return;
+
+        const shift = { x: hole.x - screw.x, y: hole.y - screw.y };
+        const bolted = screws.filter(s => {
+            const target = getNearestHole(breadboard, workspace, { x: s.x + shift.x, y: s.y + shift.y });
+            return target && Math.hypot(target.x - s.x - shift.x, target.y - s.y - shift.y) <= HOLE_TOLERANCE;
+        }).length;
+        const distance = Math.hypot(shift.x, shift.y);
+
+        if (!best || bolted > best.bolted || (bolted === best.bolted && distance < best.distance)) {
+            best = { shift, bolted, distance };
+        }
+    });
+
+    if (!best) return { ...position };
+    return { x: roundMm(position.x + best.shift.x), y: roundMm(position.y + best.shift.y) };
+}
+
+/**
+ * Count how many of a component's screws sit on a hole
+ * @param {Object} workspace - Workspace plate
+ * @returns {Object} { bolted, total }
+ */
+export function countBoltedScrews(breadboard, workspace, component) {
+    const screws = getMountScrewPositions(component);
+    const bolted = screws.filter(screw => {
+        const hole = getNearestHole(breadboard, workspace, screw);
+        return hole && Math.hypot(hole.x - screw.x, hole.y - screw.y) <= HOLE_TOLERANCE;
+    }).length;
+    return { bolted, total: screws.length };
+}
+
+export default {
+    BreadboardUnits,
+    BREADBOARD_PRESETS,
+    HOLE_TOLERANCE,
+    createBreadboard,
+    setBreadboardUnits,
+    getNearestHole,
+    getHolesInArea,
+    getMountFootprint,
+    getMountScrewPositions,
+    snapToHoles,
+    countBoltedScrews
+};
@@ -1,3 +1,5 @@
+import { getComponentRect, getMountZoneRect, getRectBounds, rectsOverlap, rectContainsPoint } from '../physics/Geometry.js';
+
 /**
  * Component types and their default properties
  */
@@ -5,28 +7,34 @@ export const ComponentType = {
     SOURCE: 'source',
     MIRROR: 'mirror',
     BEAM_SPLITTER: 'beam_splitter',
+    POLARIZING_BEAM_SPLITTER: 'pbs',
     LENS: 'lens',
     WAVEPLATE: 'waveplate',
     FILTER: 'filter',
-    DETECTOR: 'detector'
+    DETECTOR: 'detector',
+    PATH_POINT: 'path_point'
 };
 
 /**
  * Valid angles per component type for beam physics
  * - Mirrors: 45 or 135 degrees (reflects beam by 90 degrees)
  * - Beam Splitters: 45 or 135 by default, or custom shallow angle
+ * - Polarizing Beam Splitters: 45 or 135 (cube, no shallow angle)
  * - Transmission components (lens, waveplate, filter): 0, 90, 180, 270
  * - Sources: 0, 90, 180, 270 (emits in cardinal direction)
  * - Detectors: Any (accepts beam from any direction)
+ * - Path points: Any (the beam passes straight through)
  */
 export const VALID_ANGLES = {
     [ComponentType.SOURCE]: [0, 90, 180, 270],
     [ComponentType.MIRROR]: [45, 135],
     [ComponentType.BEAM_SPLITTER]: [45, 135],
+    [ComponentType.POLARIZING_BEAM_SPLITTER]: [45, 135],
     [ComponentType.LENS]: [0, 90, 180, 270],
     [ComponentType.WAVEPLATE]: [0, 90, 180, 270],
     [ComponentType.FILTER]: [0, 90, 180, 270],
-    [ComponentType.DETECTOR]: [0, 45, 90, 135, 180, 225, 270, 315]
+    [ComponentType.DETECTOR]: [0, 45, 90, 135, 180, 225, 270, 315],
+    [ComponentType.PATH_POINT]: [0, 45, 90, 135, 180, 225, 270, 315]
 };
 
 /**
@@ -38,12 +46,73 @@ export const DEFAULT_ANGLES = {
     [ComponentType.SOURCE]: 0,
     [ComponentType.MIRROR]: 45,
     [ComponentType.BEAM_SPLITTER]: 0,
+    [ComponentType.POLARIZING_BEAM_SPLITTER]: 0,
     [ComponentType.LENS]: 0,
     [ComponentType.WAVEPLATE]: 0,
     [ComponentType.FILTER]: 0,
-    [ComponentType.DETECTOR]: 0
+    [ComponentType.DETECTOR]: 0,
+    [ComponentType.PATH_POINT]: 0
+};
+
+/**
+ * Check if a component type splits the beam into reflected and transmitted ports
+ * (beam splitters and polarizing beam splitters)
+ */
+export function isBeamSplitterType(type) {
+    return type === ComponentType.BEAM_SPLITTER || type === ComponentType.POLARIZING_BEAM_SPLITTER;
+}
+
+/**
+ * Check if a component type reflects the beam off its surface
+ */
+export function isReflectiveType(type) {
+    return type === ComponentType.MIRROR || isBeamSplitterType(type);
+}
+
+/**
+ * Output rules for the ports of user-defined component types (see CustomTypes.js)
+ * and path points
+ * - transmit: the beam continues in its incoming direction
+ * - reflect: the beam reflects off the component surface, like a mirror
+ * - deflect: the beam turns by the port's angle (degrees, clockwise)
+ * - terminate: the beam ends (absorbed, coupled into a fiber, ...)
+ */
+export const PortRule = {
+    TRANSMIT: 'transmit',
+    REFLECT: 'reflect',
+    DEFLECT: 'deflect',
+    TERMINATE: 'terminate'
 };
 
+/**
+ * Get the output rule of a port of a user-defined component type or path point
+ * @returns {Object|null} { rule, angle, fraction } or null for other built-in types/ports
+ */
+export function getPortRule(type, port) {
+    return ComponentDefaults[type]?.portRules?.[port] || null;
+}
+
+/**
+ * Resolve the generic 'output' port to the physical port of a built-in type
+ * Beams created before ports were tracked leave mirrors and lenses through
+ * 'output'; reflective types reflect it, other optics transmit it.
+ * @param {string} type - Component type
+ * @param {string} port - Port name
+ * @returns {string} 'reflected', 'transmitted' or the port unchanged
+ */
+export function getPhysicalPort(type, port) {
+    if (port !== 'output' || getPortRule(type, port) || type === ComponentType.SOURCE) return port;
+    return isReflectiveType(type) ? 'reflected' : 'transmitted';
+}
+
+/**
+ * Check if a component type's outputs follow port rules - types defined by
+ * the user (see CustomTypes.js) and path points
+ */
+export function isCustomType(type) {
+    return !!ComponentDefaults[type]?.portRules;
+}
+
 /**
  * Default properties for each component type
  * Mount zone properties:
@@ -52,6 +121,8 @@ export const DEFAULT_ANGLES = {
  *   - paddingY: padding in the Y direction (top and bottom)
  *   - offsetX: offset of the zone center from the component center (X)
  *   - offsetY: offset of the zone center from the component center (Y)
+ * Mount footprint: post/base screw positions {x, y} in the component's rotated
+ * frame (mm from its center), used to bolt it to breadboard holes (see Breadboard.js)
  */
 export const ComponentDefaults = {
     [ComponentType.SOURCE]: {
@@ -62,7 +133,13 @@ export const ComponentDefaults = {
         color: '#ef4444',
         ports: { output: true },
         mountZone: { enabled: false, paddingX: 15, paddingY: 15, offsetX: 0, offsetY: 0 },
-        emitLight: true
+        mountFootprint: [{ x: -12.5, y: 0 }, { x: 12.5, y: 0 }],  // Two base screws
+        emitLight: true,
+        outputPower: 5,      // Optical output power (mW)
+        polarization: 'linear',  // 'linear', 'circular-right', 'circular-left' or 'unpolarized'
+        polarizationAngle: 0,    // Linear polarization angle from horizontal (degrees)
+        waistRadius: 0.5,    // 1/e² radius at the beam waist (mm)
+        waistPosition: 0     // Distance from the source to the waist along the beam (mm)
     },
     [ComponentType.MIRROR]: {
         size: { width: 25, height: 5 },
@@ -71,7 +148,8 @@ export const ComponentDefaults = {
         transmittance: 0,
         color: '#3b82f6',
         ports: { input: true, reflected: true },
-        mountZone: { enabled: false, paddingX: 1, paddingY: 1, offsetX: 0, offsetY: -10 }
+        mountZone: { enabled: false, paddingX: 1, paddingY: 1, offsetX: 0, offsetY: -10 },
+        mountFootprint: [{ x: 0, y: 0 }]
     },
     [ComponentType.BEAM_SPLITTER]: {
         size: { width: 12, height: 12 },
@@ -80,7 +158,19 @@ export const ComponentDefaults = {
         transmittance: 0.5,
         color: '#8b5cf6',
         ports: { input: true, reflected: true, transmitted: true },
-        mountZone: { enabled: false, paddingX: 12, paddingY: 12, offsetX: 0, offsetY: 0 }
+        mountZone: { enabled: false, paddingX: 12, paddingY: 12, offsetX: 0, offsetY: 0 },
+        mountFootprint: [{ x: 0, y: 0 }]
+    },
+    [ComponentType.POLARIZING_BEAM_SPLITTER]: {
+        size: { width: 12, height: 12 },
+        mass: 25,
+        reflectance: 0.5,    // Split for unpolarized light - the actual split follows polarization
+        transmittance: 0.5,
+        color: '#a855f7',
+        ports: { input: true, reflected: true, transmitted: true },
+        mountZone: { enabled: false, paddingX: 12, paddingY: 12, offsetX: 0, offsetY: 0 },
+        mountFootprint: [{ x: 0, y: 0 }],
+        extinctionRatio: 1000  // Tp/Ts
     },
     [ComponentType.LENS]: {
         size: { width: 8, height: 30 },
@@ -89,7 +179,9 @@ export const ComponentDefaults = {
         transmittance: 0.98,
         color: '#06b6d4',
         ports: { input: true, transmitted: true },
-        mountZone: { enabled: false, paddingX: 8, paddingY: 8, offsetX: 0, offsetY: 0 }
+        mountZone: { enabled: false, paddingX: 8, paddingY: 8, offsetX: 0, offsetY: 0 },
+        mountFootprint: [{ x: 0, y: 0 }],
+        focalLength: 100     // Thin lens focal length (mm, negative = diverging)
     },
     [ComponentType.WAVEPLATE]: {
         size: { width: 20, height: 5 },
@@ -98,7 +190,10 @@ export const ComponentDefaults = {
         transmittance: 0.99,
         color: '#f59e0b',
         ports: { input: true, transmitted: true },
-        mountZone: { enabled: false, paddingX: 10, paddingY: 10, offsetX: 0, offsetY: 0 }
+        mountZone: { enabled: false, paddingX: 10, paddingY: 10, offsetX: 0, offsetY: 0 },
+        mountFootprint: [{ x: 0, y: 0 }],
+        retardance: 0.5,     // Waves (0.5 = half-wave, 0.25 = quarter-wave)
+        fastAxisAngle: 0     // Fast axis angle from horizontal (degrees)
     },
     [ComponentType.FILTER]: {
         size: { width: 20, height: 5 },
@@ -107,7 +202,8 @@ export const ComponentDefaults = {
         transmittance: 0.9,
         color: '#22c55e',
         ports: { input: true, transmitted: true },
-        mountZone: { enabled: false, paddingX: 8, paddingY: 8, offsetX: 0, offsetY: 0 }
+        mountZone: { enabled: false, paddingX: 8, paddingY: 8, offsetX: 0, offsetY: 0 },
+        mountFootprint: [{ x: 0, y: 0 }]
     },
     [ComponentType.DETECTOR]: {
         size: { width: 20, height: 20 },
@@ -116,7 +212,23 @@ export const ComponentDefaults = {
         transmittance: 0,
         color: '#64748b',
         ports: { input: true },
-        mountZone: { enabled: false, paddingX: 12, paddingY: 12, offsetX: 0, offsetY: 0 }
+        mountZone: { enabled: false, paddingX: 12, paddingY: 12, offsetX: 0, offsetY: 0 },
+        mountFootprint: [{ x: 0, y: 0 }]
+    },
+    // Placeholder point of a drawn beam path (see physics/PathDrawing.js). It has no
+    // optics or mount and passes the beam straight through, using the port rule
+    // machinery of user-defined types; placing a component on it replaces it.
+    [ComponentType.PATH_POINT]: {
+        size: { width: 8, height: 8 },
+        mass: 0,
+        reflectance: 0,
+        transmittance: 1,
+        color: '#e2e8f0',
+        prefix: 'PT',
+        ports: { input: true, output: true },
+        portRules: { output: { rule: PortRule.TRANSMIT, angle: 0, fraction: 1 } },
+        mountZone: { enabled: false, paddingX: 0, paddingY: 0, offsetX: 0, offsetY: 0 },
+        mountFootprint: []
     }
 };
 
@@ -127,10 +239,12 @@ export const ComponentNames = {
     [ComponentType.SOURCE]: 'Source',
     [ComponentType.MIRROR]: 'Mirror',
     [ComponentType.BEAM_SPLITTER]: 'Beam Splitter',
+    [ComponentType.POLARIZING_BEAM_SPLITTER]: 'Polarizing BS',
     [ComponentType.LENS]: 'Lens',
     [ComponentType.WAVEPLATE]: 'Waveplate',
     [ComponentType.FILTER]: 'Filter',
-    [ComponentType.DETECTOR]: 'Detector'
+    [ComponentType.DETECTOR]: 'Detector',
+    [ComponentType.PATH_POINT]: 'Path Point'
 };
 
 /**
@@ -160,6 +274,9 @@ export class Component {
         this.size = props.size || { ...defaults.size };
         this.mass = props.mass ?? defaults.mass;
 
+        // Catalog part this component was placed from (see PartsCatalog.js), null for generic
+        this.partId = props.partId ?? null;
+
         // Optical properties
         this.reflectance = props.reflectance ?? defaults.reflectance;
         this.transmittance = props.transmittance ?? defaults.transmittance;
@@ -177,6 +294,10 @@ export class Component {
             ? { ...defaultMountZone, ...props.mountZone }
             : { ...defaultMountZone };
 
+        // Mount footprint (breadboard screw positions in the component frame)
+        this.mountFootprint = (props.mountFootprint ?? defaults.mountFootprint ?? [{ x: 0, y: 0 }])
+            .map(p => ({ ...p }));
+
         // === NEW: Beam Physics Properties ===
 
         // Emission control for sources - whether this source emits light when "lasers on" is enabled
@@ -187,6 +308,27 @@ export class Component {
         // Note: We keep this property for backward compatibility with saved files,
         // but it's now automatically determined by the component's angle
 
+        // Output power for sources in mW (see physics/PowerBudget.js)
+        this.outputPower = props.outputPower ?? defaults.outputPower ?? null;
+
+        // Polarization for sources (see physics/Polarization.js)
+        this.polarization = props.polarization ?? defaults.polarization ?? null;
+        this.polarizationAngle = props.polarizationAngle ?? defaults.polarizationAngle ?? null;
+
+        // Waveplate retardance (waves) and fast axis angle (degrees)
+        this.retardance = props.retardance ?? defaults.retardance ?? null;
+        this.fastAxisAngle = props.fastAxisAngle ?? defaults.fastAxisAngle ?? null;
+
+        // Extinction ratio (Tp/Ts) for polarizing beam splitters
+        this.extinctionRatio = props.extinctionRatio ?? defaults.extinctionRatio ?? null;
+
+        // Gaussian beam parameters for sources (see physics/GaussianBeam.js)
+        this.waistRadius = props.waistRadius ?? defaults.waistRadius ?? null;
+        this.waistPosition = props.waistPosition ?? defaults.waistPosition ?? null;
+
+        // Focal length for lenses (mm)
+        this.focalLength = props.focalLength ?? defaults.focalLength ?? null;
+
         // Shallow angle mode for beam splitters
         this.isShallowAngle = props.isShallowAngle || false;
         this.shallowAngle = props.shallowAngle ?? 5;  // degrees (typically 5-10)
@@ -231,11 +373,13 @@ export class Component {
             [ComponentType.SOURCE]: 'S',
             [ComponentType.MIRROR]: 'M',
             [ComponentType.BEAM_SPLITTER]: 'BS',
+            [ComponentType.POLARIZING_BEAM_SPLITTER]: 'PBS',
             [ComponentType.LENS]: 'L',
             [ComponentType.WAVEPLATE]: 'WP',
             [ComponentType.FILTER]: 'F',
-            [ComponentType.DETECTOR]: 'D'
-        }[this.type] || 'C';
+            [ComponentType.DETECTOR]: 'D',
+            [ComponentType.PATH_POINT]: 'PT'
+        }[this.type] || ComponentDefaults[this.type]?.prefix || 'C';
 
         return `${prefix}${idCounter}`;
     }
@@ -258,8 +402,17 @@ export class Component {
      * Check if this component can output beams
      */
     canOutputBeam() {
+        return this.getOutputPorts().length > 0;
+    }
+
+    /**
+     * Get the ports a beam can leave through (terminating ports excluded)
+     */
+    getOutputPorts() {
         const ports = this.getPorts();
-        return ports.output || ports.reflected || ports.transmitted;
+        return Object.keys(ports).filter(port =>
+            port !== 'input' && ports[port] &&
+            getPortRule(this.type, port)?.rule !== PortRule.TERMINATE);
     }
 
     /**
@@ -271,82 +424,40 @@ export class Component {
     }
 
     /**
-     * Get bounding box corners (accounting for rotation)
+     * Get the oriented rectangle of the component body (see physics/Geometry.js)
      */
-    getBoundingBox() {
-        const halfW = this.size.width / 2;
-        const halfH = this.size.height / 2;
-        const rad = (this.angle * Math.PI) / 180;
-        const cos = Math.cos(rad);
-        const sin = Math.sin(rad);
-
-        // Calculate rotated corners
-        const corners = [
-            { x: -halfW, y: -halfH },
-            { x: halfW, y: -halfH },
-            { x: halfW, y: halfH },
-            { x: -halfW, y: halfH }
-        ].map(c => ({
-            x: this.position.x + c.x * cos - c.y * sin,
-            y: this.position.y + c.x * sin + c.y * cos
-        }));
-
-        const xs = corners.map(c => c.x);
-        const ys = corners.map(c => c.y);
+    getRect() {
+        return getComponentRect(this);
+    }
 
-        return {
-            minX: Math.min(...xs),
-            minY: Math.min(...ys),
-            maxX: Math.max(...xs),
-            maxY: Math.max(...ys),
-            corners
-        };
+    /**
+     * Get the oriented rectangle of the mount zone, or null if it is not enabled
+     */
+    getMountZoneRect() {
+        return getMountZoneRect(this);
     }
 
     /**
-     * Get mount zone bounding box (expanded from component bounding box by padding)
+     * Get axis-aligned bounds enclosing the rotated body
+     * Use getRect() for collision tests - these bounds grow with rotation.
+     */
+    getBoundingBox() {
+        const rect = this.getRect();
+        return { ...getRectBounds(rect), corners: rect.corners };
+    }
+
+    /**
+     * Get axis-aligned bounds enclosing the rotated mount zone
      * Supports separate X/Y padding and offset from component center
      * Returns null if mount zone is not enabled
      */
     getMountZoneBounds() {
-        if (!this.mountZone || !this.mountZone.enabled) {
+        const rect = this.getMountZoneRect();
+        if (!rect) {
             return null;
         }
 
-        // Support both old 'padding' property and new paddingX/paddingY
-        const paddingX = this.mountZone.paddingX ?? this.mountZone.padding ?? 10;
-        const paddingY = this.mountZone.paddingY ?? this.mountZone.padding ?? 10;
-        const offsetX = this.mountZone.offsetX ?? 0;
-        const offsetY = this.mountZone.offsetY ?? 0;
-
-        // Calculate mount zone in local (unrotated) space
-        const halfW = this.size.width / 2 + paddingX;
-        const halfH = this.size.height / 2 + paddingY;
-
-        // Apply rotation to mount zone corners
-        const rad = (this.angle * Math.PI) / 180;
-        const cos = Math.cos(rad);
-        const sin = Math.sin(rad);
-
-        // Calculate rotated corners (with offset applied in rotated space)
-        const corners = [
-            { x: -halfW + offsetX, y: -halfH + offsetY },
-            { x: halfW + offsetX, y: -halfH + offsetY },
-            { x: halfW + offsetX, y: halfH + offsetY },
-            { x: -halfW + offsetX, y: halfH + offsetY }
-        ].map(c => ({
-            x: this.position.x + c.x * cos - c.y * sin,
-            y: this.position.y + c.x * sin + c.y * cos
-        }));
-
-        const xs = corners.map(c => c.x);
-        const ys = corners.map(c => c.y);
-
-        const minX = Math.min(...xs);
-        const minY = Math.min(...ys);
-        const maxX = Math.max(...xs);
-        const maxY = Math.max(...ys);
-
+        const { minX, minY, maxX, maxY } = getRectBounds(rect);
         return {
             x: minX,
             y: minY,
@@ -356,7 +467,7 @@ export class Component {
             minY,
             maxX,
             maxY,
-            corners  // Include corners for rotated collision detection
+            corners: rect.corners
         };
     }
 
@@ -364,53 +475,28 @@ export class Component {
      * Check if this component's mount zone overlaps with another component or its mount zone
      */
     mountZoneOverlaps(other) {
-        const myMountBounds = this.getMountZoneBounds();
-        if (!myMountBounds) return false;
+        const myMountRect = this.getMountZoneRect();
+        if (!myMountRect) return false;
 
         // Check against other component's body
-        const otherBBox = other.getBoundingBox();
-        if (this.boundsOverlap(myMountBounds, {
-            minX: otherBBox.minX, minY: otherBBox.minY,
-            maxX: otherBBox.maxX, maxY: otherBBox.maxY
-        })) {
+        if (rectsOverlap(myMountRect, other.getRect())) {
             return { type: 'component', componentId: other.id };
         }
 
         // Check against other component's mount zone
-        const otherMountBounds = other.getMountZoneBounds();
-        if (otherMountBounds && this.boundsOverlap(myMountBounds, otherMountBounds)) {
+        const otherMountRect = other.getMountZoneRect();
+        if (otherMountRect && rectsOverlap(myMountRect, otherMountRect)) {
             return { type: 'mountZone', componentId: other.id };
         }
 
         return false;
     }
 
-    /**
-     * Check if two axis-aligned bounding boxes overlap
-     */
-    boundsOverlap(a, b) {
-        return !(a.maxX < b.minX || a.minX > b.maxX ||
-                 a.maxY < b.minY || a.minY > b.maxY);
-    }
-
     /**
      * Check if a point is inside the component (accounting for rotation)
      */
     containsPoint(px, py) {
-        // Transform point to component's local coordinate system
-        const dx = px - this.position.x;
-        const dy = py - this.position.y;
-        const rad = (-this.angle * Math.PI) / 180;
-        const cos = Math.cos(rad);
-        const sin = Math.sin(rad);
-
-        const localX = dx * cos - dy * sin;
-        const localY = dx * sin + dy * cos;
-
-        const halfW = this.size.width / 2;
-        const halfH = this.size.height / 2;
-
-        return Math.abs(localX) <= halfW && Math.abs(localY) <= halfH;
+        return rectContainsPoint(this.getRect(), { x: px, y: py });
     }
 
     /**
@@ -436,7 +522,7 @@ export class Component {
      * @returns {Object|null} Normal vector {x, y} or null if not reflective
      */
     getSurfaceNormal() {
-        if (this.type !== ComponentType.MIRROR && this.type !== ComponentType.BEAM_SPLITTER) {
+        if (!isReflectiveType(this.type)) {
             return null;
         }
 
@@ -473,7 +559,7 @@ export class Component {
         }
 
         // Reflected beam - calculate using reflection formula
-        if (inputDirection && (this.type === ComponentType.MIRROR || this.type === ComponentType.BEAM_SPLITTER)) {
+        if (inputDirection && isReflectiveType(this.type)) {
             const normal = this.getSurfaceNormal();
             if (normal) {
                 // R = D - 2(D·N)N
@@ -529,6 +615,11 @@ export class Component {
      * Snap component angle to nearest valid angle
      */
     snapAngleToValid() {
+        // Free-angle components keep their exact angle
+        if (this.allowAnyAngle) {
+            return this.angle;
+        }
+
         const validAngles = this.getValidAngles();
         let normalizedAngle = this.angle % 360;
         if (normalizedAngle < 0) normalizedAngle += 360;
@@ -568,10 +659,13 @@ export class Component {
      * Update properties
      */
     update(props) {
-        const updatableProps = ['name', 'position', 'angle', 'size', 'mass',
-                                'reflectance', 'transmittance', 'isFixed', 'isAngleFixed', 'notes', 'mountZone',
+        const updatableProps = ['name', 'position', 'angle', 'size', 'mass', 'partId',
+                                'reflectance', 'transmittance', 'isFixed', 'isAngleFixed', 'notes', 'mountZone', 'mountFootprint',
                                 'emitLight', 'isShallowAngle', 'shallowAngle', 'snapToGrid',
                                 'allowAnyAngle', 'alignmentConstraints',
+                                'outputPower', 'waistRadius', 'waistPosition', 'focalLength',
+                                'polarization', 'polarizationAngle', 'retardance', 'fastAxisAngle',
+                                'extinctionRatio',
                                 'labelPosition', 'labelVisible', 'labelBackgroundColor'];
 
         for (const key of updatableProps) {
@@ -617,11 +711,13 @@ export class Component {
             angle: this.angle,
             size: { ...this.size },
             mass: this.mass,
+            partId: this.partId,
             reflectance: this.reflectance,
             transmittance: this.transmittance,
             isFixed: this.isFixed,
             isAngleFixed: this.isAngleFixed,
             mountZone: { ...this.mountZone },
+            mountFootprint: this.mountFootprint.map(p => ({ ...p })),
             // Beam physics properties
             emitLight: this.emitLight,
             emissionAngle: this.emissionAngle,
@@ -629,6 +725,15 @@ export class Component {
             shallowAngle: this.shallowAngle,
             snapToGrid: this.snapToGrid,
             allowAnyAngle: this.allowAnyAngle,
+            outputPower: this.outputPower,
+            waistRadius: this.waistRadius,
+            waistPosition: this.waistPosition,
+            focalLength: this.focalLength,
+            polarization: this.polarization,
+            polarizationAngle: this.polarizationAngle,
+            retardance: this.retardance,
+            fastAxisAngle: this.fastAxisAngle,
+            extinctionRatio: this.extinctionRatio,
             alignmentConstraints: this.alignmentConstraints ? [...this.alignmentConstraints] : [],
             labelPosition: this.labelPosition,
             labelVisible: this.labelVisible,
@@ -0,0 +1,309 @@
+/**
+ * User-Defined Component Types
+ *
+ * Lets users add component types (fiber coupler, iris, AOM, ...) without
+ * code. A type is declared as JSON:
+ *   { id, name, prefix?, description?, shape?, color?, size?, mass?,
+ *     input?, validAngles?, defaultAngle?, reflectance?, transmittance?,
+ *     mountZone?, mountFootprint?,
+ *     ports: [ { id, rule, angle?, fraction? } ] }
+ * Each port has an output rule (see PortRule in Component.js): transmit,
+ * reflect, deflect by `angle` degrees, or terminate. `fraction` is the share
+ * of the input power leaving through the port (default 1).
+ *
+ * Registering a type adds it to the component tables (ComponentType,
+ * ComponentDefaults, names and angles), so placement, beam physics, power
+ * budget and rendering treat it like a built-in type. Definitions are stored
+ * in the document (state.componentTypes) and registered again on load.
+ */
+
+import {
+    ComponentType,
+    ComponentDefaults,
+    ComponentNames,
+    VALID_ANGLES,
+    DEFAULT_ANGLES,
+    PortRule
+} from './Component.js';
+import { VALID_ANGLES_BY_TYPE } from '../physics/BeamPhysics.js';
+
+/**
+ * Shapes a user-defined type can be drawn with
+ */
+export const CustomShape = {
+    RECT: 'rect',
+    CIRCLE: 'circle',
+    TRIANGLE: 'triangle',
+    DIAMOND: 'diamond',
+    HEXAGON: 'hexagon'
+};
+
+/**
+ * Built-in type ids (captured before any user type is registered)
+ */
+const BUILT_IN_TYPES = new Set(Object.values(ComponentType));
+
+/**
+ * Ids that would clash with tool names or port names
+ */
+const RESERVED_IDS = new Set(['select', 'connect', 'draw', 'keepout', 'mounting', 'input', 'assembly', 'group']);
+
+/**
+ * Example definitions offered as starting points in the type editor
+ */
+export const EXAMPLE_COMPONENT_TYPES = [
+    {
+        id: 'fiber_coupler',
+        name: 'Fiber Coupler',
+        prefix: 'FC',
+        description: 'Couples the beam into a fiber - the free-space path ends here',
+        shape: CustomShape.TRIANGLE,
+        color: '#0ea5e9',
+        size: { width: 25, height: 25 },
+        mass: 120,
+        ports: [{ id: 'fiber', rule: PortRule.TERMINATE }]
+    },
+    {
+        id: 'iris',
+        name: 'Iris',
+        prefix: 'I',
+        description: 'Aperture on a post, passes the beam straight through',
+        shape: CustomShape.RECT,
+        color: '#94a3b8',
+        size: { width: 4, height: 30 },
+        mass: 45,
+        ports: [{ id: 'output', rule: PortRule.TRANSMIT }]
+    },
+    {
+        id: 'aom',
+        name: 'AOM',
+        prefix: 'AOM',
+        description: 'Acousto-optic modulator: 0th order passes, 1st order is deflected',
+        shape: CustomShape.RECT,
+        color: '#14b8a6',
+        size: { width: 30, height: 15 },
+        mass: 180,
+        ports: [
+            { id: 'order0', rule: PortRule.TRANSMIT, fraction: 0.2 },
+            { id: 'order1', rule: PortRule.DEFLECT, angle: 2, fraction: 0.8 }
+        ]
+    },
+    {
+        id: 'isolator',
+        name: 'Optical Isolator',
+        prefix: 'ISO',
+        description: 'Faraday isolator, forward transmission only',
+        shape: CustomShape.RECT,
+        color: '#e11d48',
+        size: { width: 40, height: 20 },
+        mass: 250,
+        ports: [{ id: 'output', rule: PortRule.TRANSMIT, fraction: 0.9 }]
+    },
+    {
+        id: 'periscope',
+        name: 'Periscope',
+        prefix: 'PER',
+        description: 'Changes the beam height - seen from above the beam continues straight',
+        shape: CustomShape.DIAMOND,
+        color: '#6366f1',
+        size: { width: 30, height: 30 },
+        mass: 300,
+        ports: [{ id: 'output', rule: PortRule.TRANSMIT, fraction: 0.98 }]
+    },
+    {
+        id: 'retroreflector',
+        name: 'Retroreflector',
+        prefix: 'RR',
+        description: 'Corner cube, sends the beam back the way it came',
+        shape: CustomShape.HEXAGON,
+        color: '#f97316',
+        size: { width: 25, height: 25 },
+        mass: 80,
+        ports: [{ id: 'retro', rule: PortRule.DEFLECT, angle: 180, fraction: 0.95 }]
+    }
+];
+
+/**
+ * Key of a user-defined type in ComponentType (e.g. 'fiber_coupler' -> FIBER_COUPLER)
+ */
+function getTypeKey(id) {
+    return id.toUpperCase();
+}
+
+/**
+ * Validate a type definition and fill in defaults
+ * @param {Object} definition - Type definition (see module docs)
+ * @returns {Object} Normalized definition
+ * @throws {Error} If the definition is unusable
+ */
+export function normalizeComponentType(definition) {
+    if (!definition || typeof definition.id !== 'string' || !/^[a-z][a-z0-9_]*$/.test(definition.id)) {
+        throw new Error('Type id must be lowercase letters, digits and underscores (e.g. "fiber_coupler")');
+    }
+
+    const id = definition.id;
+    if (BUILT_IN_TYPES.has(id) || RESERVED_IDS.has(id)) {
+        throw new Error(`Type id "${id}" is reserved`);
+    }
+    if (!Array.isArray(definition.ports)) {
+        throw new Error(`Type "${id}" needs a "ports" array`);
+    }
+
+    const portIds = new Set();
+    const ports = definition.ports.map((port, index) => {
+        const label = port?.id ? `"${port.id}"` : `#${index + 1}`;
+
+        if (!port || typeof port.id !== 'string' || !/^[A-Za-z][A-Za-z0-9_]*$/.test(port.id)) {
+            throw new Error(`Port ${label} of "${id}" needs an id of letters, digits and underscores`);
+        }
+        if (port.id === 'input' || portIds.has(port.id)) {
+            throw new Error(`Port id "${port.id}" of "${id}" is reserved or used twice`);
+        }
+        if (!Object.values(PortRule).includes(port.rule)) {
+            throw new Error(`Port ${label} of "${id}" has unknown rule "${port.rule}" ` +
+                `(use ${Object.values(PortRule).join(', ')})`);
+        }
+        if (port.rule === PortRule.DEFLECT && !Number.isFinite(port.angle)) {
+            throw new Error(`Deflecting port ${label} of "${id}" needs an angle (degrees)`);
+        }
+        const fraction = port.fraction ?? 1;
+        if (!(fraction >= 0 && fraction <= 1)) {
+            throw new Error(`Port ${label} of "${id}" needs a power fraction between 0 and 1`);
+        }
+
+        portIds.add(port.id);
+        return {
+            id: port.id,
+            rule: port.rule,
+            angle: port.rule === PortRule.DEFLECT ? port.angle : 0,
+            fraction: port.rule === PortRule.TERMINATE ? 0 : fraction
+        };
+    });
+
+    const size = definition.size ?? { width: 20, height: 20 };
+    if (!(size.width > 0) || !(size.height > 0)) {
+        throw new Error(`Type "${id}" needs a positive size { width, height }`);
+    }
+    const shape = definition.shape ?? CustomShape.RECT;
+    if (!Object.values(CustomShape).includes(shape)) {
+        throw new Error(`Type "${id}" has unknown shape "${shape}" (use ${Object.values(CustomShape).join(', ')})`);
+    }
+
+    const validAngles = Array.isArray(definition.validAngles) && definition.validAngles.length > 0
+        ? definition.validAngles.map(Number).filter(Number.isFinite)
+        : [0, 90, 180, 270];
+
+    return {
+        id,
+        name: definition.name || id,
+        prefix: definition.prefix || id.slice(0, 3).toUpperCase(),
+        description: definition.description || '',
+        shape,
+        color: definition.color || '#888888',
+        size: { width: size.width, height: size.height },
+        mass: definition.mass ?? 50,
+        input: definition.input ?? true,
+        validAngles,
+        defaultAngle: definition.defaultAngle ?? validAngles[0],
+        reflectance: definition.reflectance ?? 0,
+        transmittance: definition.transmittance ?? 1,
+        mountZone: definition.mountZone ? { ...definition.mountZone } : null,
+        mountFootprint: Array.isArray(definition.mountFootprint)
+            ? definition.mountFootprint.map(p => ({ x: Number(p.x) || 0, y: Number(p.y) || 0 }))
+            : null,
+        ports
+    };
+}
+
+/**
+ * Register a user-defined type (replaces an earlier definition with the same id)
+ * @param {Object} definition - Type definition
+ * @returns {Object} Normalized definition (store this in the document)
+ * @throws {Error} If the definition is invalid
+ */
+export function registerComponentType(definition) {
+    const type = normalizeComponentType(definition);
+
+    ComponentType[getTypeKey(type.id)] = type.id;
+    ComponentNames[type.id] = type.name;
+    VALID_ANGLES[type.id] = [...type.validAngles];
+    VALID_ANGLES_BY_TYPE[type.id] = [...type.validAngles];
+    DEFAULT_ANGLES[type.id] = type.defaultAngle;
+
+    const ports = { input: type.input };
+    const portRules = {};
+    type.ports.forEach(port => {
+        ports[port.id] = true;
+        portRules[port.id] = { rule: port.rule, angle: port.angle, fraction: port.fraction };
+    });
+
+    ComponentDefaults[type.id] = {
+        size: { ...type.size },
+        mass: type.mass,
+        reflectance: type.reflectance,
+        transmittance: type.transmittance,
+        color: type.color,
+        prefix: type.prefix,
+        shape: type.shape,
+        ports,
+        portRules,
+        mountZone: type.mountZone || { enabled: false, paddingX: 10, paddingY: 10, offsetX: 0, offsetY: 0 },
+        mountFootprint: type.mountFootprint || [{ x: 0, y: 0 }]
+    };
+
+    return type;
+}
+
+/**
+ * Register every definition of a document
+ * Invalid definitions are skipped (a warning is logged) so the rest of the file still loads.
+ * @returns {Array} Normalized definitions that were registered
+ */
+export function registerComponentTypes(definitions = []) {
+    const registered = [];
+    definitions.forEach(definition => {
+        try {
+            registered.push(registerComponentType(definition));
+        } catch (error) {
+            console.warn(`Skipping component type: ${error.message}`);
+        }
+    });
+    return registered;
+}
+
+/**
+ * Remove a user-defined type from the component tables
+ * Built-in types cannot be removed.
+ */
+export function unregisterComponentType(id) {
+    if (BUILT_IN_TYPES.has(id) || !ComponentDefaults[id]?.portRules) return;
+
+    delete ComponentType[getTypeKey(id)];
+    delete ComponentNames[id];
+    delete VALID_ANGLES[id];
+    delete VALID_ANGLES_BY_TYPE[id];
+    delete DEFAULT_ANGLES[id];
+    delete ComponentDefaults[id];
+}
+
+/**
+ * One-line summary of a type's ports, e.g. "order0: transmit 20%, order1: deflect 2° 80%"
+ */
+export function describePorts(type) {
+    if (type.ports.length === 0) return 'no outputs';
+    return type.ports.map(port => {
+        if (port.rule === PortRule.TERMINATE) return `${port.id}: terminate`;
+        const rule = port.rule === PortRule.DEFLECT ? `deflect ${port.angle}°` : port.rule;
+        return `${port.id}: ${rule} ${Math.round(port.fraction * 100)}%`;
+    }).join(', ');
+}
+
+export default {
+    CustomShape,
+    EXAMPLE_COMPONENT_TYPES,
+    normalizeComponentType,
+    registerComponentType,
+    registerComponentTypes,
+    unregisterComponentType,
+    describePorts
+};
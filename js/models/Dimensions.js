@@ -0,0 +1,311 @@
+/**
+ * Dimension Annotations
+ *
+ * The dimension layer turns the layout into an assembly drawing:
+ *   - linear dimensions between two components or fixed points, measured
+ *     along the line between them (aligned) or along X / Y only
+ *   - angle dimensions at a component between the beams (or lines) to two
+ *     other components, e.g. the turn at a mirror
+ *
+ * Dimensions live in the document (state.dimensions):
+ *   linear: { id, type: 'linear', ends: [end, end], orientation, offset, constraintId }
+ *           end is { componentId } or a fixed point { x, y }
+ *   angle:  { id, type: 'angle', vertexId, armIds: [aId, bId], radius, constraintId }
+ *
+ * `offset` (distance of the dimension line from the measured points) and
+ * `radius` (of the angle arc) are only presentation - dragging a dimension
+ * changes them. A dimension is driving when constraintId names a geometric
+ * constraint (distance or angle, see physics/ConstraintSolver.js); editing
+ * its value then moves the components.
+ */
+
+import { generateId } from './Component.js';
+import { GeometricConstraintType, createGeometricConstraint } from '../physics/ConstraintSolver.js';
+
+/**
+ * Dimension types
+ */
+export const DimensionType = {
+    LINEAR: 'linear',
+    ANGLE: 'angle'
+};
+
+/**
+ * Directions a linear dimension measures in
+ */
+export const DimensionOrientation = {
+    ALIGNED: 'aligned',
+    HORIZONTAL: 'horizontal',
+    VERTICAL: 'vertical'
+};
+
+/**
+ * Default distance of a new dimension line from the measured points (mm)
+ */
+export const DEFAULT_DIMENSION_OFFSET = 20;
+
+/**
+ * Default arc radius of a new angle dimension (mm)
+ */
+export const DEFAULT_ANGLE_RADIUS = 25;
+
+/**
+ * Smallest arc radius an angle dimension can be dragged to (mm)
+ */
+const MIN_ANGLE_RADIUS = 5;
+
+/**
+ * Create a linear dimension
+ * @param {Object} start - { componentId } or { x, y }
+ * @param {Object} end - { componentId } or { x, y }
+ * @param {Object} props - Overrides (orientation, offset)
+ */
+export function createLinearDimension(start, end, props = {}) {
+    const toEnd = e => e.componentId ? { componentId: e.componentId } : { x: e.x, y: e.y };
+    return {
+        id: generateId('dim'),
+        type: DimensionType.LINEAR,
+        ends: [toEnd(start), toEnd(end)],
+        orientation: DimensionOrientation.ALIGNED,
+        offset: DEFAULT_DIMENSION_OFFSET,
+        constraintId: null,
+        ...props
+    };
+}
+
+/**
+ * Create an angle dimension
+ * @param {string} vertexId - Component at the corner
+ * @param {Array<string>} armIds - The two components the arms point at
+ * @param {Object} props - Overrides (radius)
+ */
+export function createAngleDimension(vertexId, armIds, props = {}) {
+    return {
+        id: generateId('dim'),
+        type: DimensionType.ANGLE,
+        vertexId,
+        armIds: [...armIds],
+        radius: DEFAULT_ANGLE_RADIUS,
+        constraintId: null,
+        ...props
+    };
+}
+
+/**
+ * Angle dimension between two beam segments that meet at a component
+ * @returns {Object|null} New dimension, or null if the segments share no component
+ */
+export function createAngleDimensionForSegments(first, second) {
+    const ends = seg => [seg.sourceId, seg.targetId];
+    const vertexId = ends(first).find(id => id && ends(second).includes(id));
+    if (!vertexId) return null;
+
+    const armIds = [first, second].map(seg => (seg.sourceId === vertexId ? seg.targetId : seg.sourceId));
+    if (!armIds[0] || !armIds[1] || armIds[0] === armIds[1]) return null;
+    return createAngleDimension(vertexId, armIds);
+}
+
+/**
+ * Components a dimension refers to
+ */
+export function getDimensionComponentIds(dimension) {
+    return dimension.type === DimensionType.ANGLE
+        ? [dimension.vertexId, ...dimension.armIds]
+        : dimension.ends.filter(end => end.componentId).map(end => end.componentId);
+}
+
+/**
+ * Position of a linear dimension end
+ * @returns {Object|null} { x, y }, or null if its component is gone
+ */
+function resolveEnd(end, components) {
+    if (!end.componentId) return { x: end.x, y: end.y };
+    const component = components.get(end.componentId);
+    return component ? component.position : null;
+}
+
+/**
+ * Lay out a dimension for drawing and picking
+ * @param {Object} dimension - Document dimension
+ * @param {Map} components - Components by ID
+ * @returns {Object|null} null if a component it refers to is missing;
+ *   linear: { type, value (mm), points: [p1, p2], line: [e1, e2], label }
+ *   angle: { type, value (degrees), vertex, radius, startAngle, sweep (radians, signed), label }
+ */
+export function getDimensionGeometry(dimension, components) {
+    if (dimension.type === DimensionType.ANGLE) {
+        const vertex = components.get(dimension.vertexId)?.position;
+        const arms = dimension.armIds.map(id => components.get(id)?.position);
+        if (!vertex || !arms[0] || !arms[1]) return null;
+
+        const startAngle = Math.atan2(arms[0].y - vertex.y, arms[0].x - vertex.x);
+        let sweep = Math.atan2(arms[1].y - vertex.y, arms[1].x - vertex.x) - startAngle;
+        sweep = Math.atan2(Math.sin(sweep), Math.cos(sweep));
+        const mid = startAngle + sweep / 2;
+
+        return {
+            type: DimensionType.ANGLE,
+            value: Math.abs(sweep) * 180 / Math.PI,
+            vertex: { x: vertex.x, y: vertex.y },
+            radius: dimension.radius,
+            startAngle,
+            sweep,
+            label: { x: vertex.x + dimension.radius * Math.cos(mid), y: vertex.y + dimension.radius * Math.sin(mid) }
+        };
+    }
+
+    const p1 = resolveEnd(dimension.ends[0], components);
+    const p2 = resolveEnd(dimension.ends[1], components);
+    if (!p1 || !p2) return null;
+
+    let line;
+    let value;
+    if (dimension.orientation === DimensionOrientation.HORIZONTAL) {
+        const y = (p1.y + p2.y) / 2 + dimension.offset;
+        line = [{ x: p1.x, y }, { x: p2.x, y }];
+        value = Math.abs(p2.x - p1.x);
+    } else if (dimension.orientation === DimensionOrientation.VERTICAL) {
+        const x = (p1.x + p2.x) / 2 + dimension.offset;
+        line = [{ x, y: p1.y }, { x, y: p2.y }];
+        value = Math.abs(p2.y - p1.y);
+    } else {
+        // Offset along the normal, to the left of p1 -> p2
+        value = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+        const n = value > 1e-9 ? { x: (p2.y - p1.y) / value, y: -(p2.x - p1.x) / value } : { x: 0, y: -1 };
+        line = [p1, p2].map(p => ({ x: p.x + n.x * dimension.offset, y: p.y + n.y * dimension.offset }));
+    }
+
+    return {
+        type: DimensionType.LINEAR,
+        value,
+        points: [{ x: p1.x, y: p1.y }, { x: p2.x, y: p2.y }],
+        line,
+        label: { x: (line[0].x + line[1].x) / 2, y: (line[0].y + line[1].y) / 2 }
+    };
+}
+
+/**
+ * Current value of a dimension (mm, or degrees for angles)
+ * @returns {number|null}
+ */
+export function measureDimension(dimension, components) {
+    return getDimensionGeometry(dimension, components)?.value ?? null;
+}
+
+/**
+ * Dimension text, e.g. "125.0 mm" or "90.0°"
+ */
+export function formatDimension(dimension, value) {
+    return dimension.type === DimensionType.ANGLE ? `${value.toFixed(1)}°` : `${value.toFixed(1)} mm`;
+}
+
+/**
+ * Offset or radius that puts a dimension's line through a dragged point
+ * @returns {Object} Updates for the dimension ({ offset } or { radius })
+ */
+export function getDimensionDragUpdate(dimension, components, point) {
+    const geometry = getDimensionGeometry(dimension, components);
+    if (!geometry) return {};
+
+    if (geometry.type === DimensionType.ANGLE) {
+        return { radius: Math.max(MIN_ANGLE_RADIUS, Math.hypot(point.x - geometry.vertex.x, point.y - geometry.vertex.y)) };
+    }
+
+    const [p1, p2] = geometry.points;
+    if (dimension.orientation === DimensionOrientation.HORIZONTAL) {
+        return { offset: point.y - (p1.y + p2.y) / 2 };
+    }
+    if (dimension.orientation === DimensionOrientation.VERTICAL) {
+        return { offset: point.x - (p1.x + p2.x) / 2 };
+    }
+    const length = geometry.value;
+    const n = length > 1e-9 ? { x: (p2.y - p1.y) / length, y: -(p2.x - p1.x) / length } : { x: 0, y: -1 };
+    return { offset: (point.x - p1.x) * n.x + (point.y - p1.y) * n.y };
+}
+
+/**
+ * Distance from a point to a line segment
+ */
+function distanceToLine(point, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSq)) : 0;
+    return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+}
+
+/**
+ * Find the dimension under a point (its label, dimension line or arc)
+ * @param {Array} dimensions - Document dimensions
+ * @param {Map} components - Components by ID
+ * @param {Object} point - World position
+ * @param {number} tolerance - Pick distance (mm)
+ * @returns {Object|null} Topmost (last drawn) dimension that was hit
+ */
+export function findDimensionAt(dimensions, components, point, tolerance) {
+    for (let i = dimensions.length - 1; i >= 0; i--) {
+        const geometry = getDimensionGeometry(dimensions[i], components);
+        if (!geometry) continue;
+
+        if (Math.hypot(point.x - geometry.label.x, point.y - geometry.label.y) <= tolerance * 2) {
+            return dimensions[i];
+        }
+        if (geometry.type === DimensionType.LINEAR) {
+            if (distanceToLine(point, geometry.line[0], geometry.line[1]) <= tolerance) return dimensions[i];
+        } else {
+            const r = Math.hypot(point.x - geometry.vertex.x, point.y - geometry.vertex.y);
+            let along = Math.atan2(point.y - geometry.vertex.y, point.x - geometry.vertex.x) - geometry.startAngle;
+            along = Math.atan2(Math.sin(along), Math.cos(along));
+            const onArc = geometry.sweep >= 0 ? along >= 0 && along <= geometry.sweep : along <= 0 && along >= geometry.sweep;
+            if (onArc && Math.abs(r - geometry.radius) <= tolerance) return dimensions[i];
+        }
+    }
+    return null;
+}
+
+/**
+ * Geometric constraint that makes a dimension driving
+ * @param {Object} dimension - Document dimension
+ * @param {number} value - Wanted value (mm, or degrees for angles)
+ * @returns {Object} New geometric constraint
+ * @throws {Error} If the dimension ends on a fixed point or the value is out of range
+ */
+export function createDrivingConstraint(dimension, value) {
+    if (dimension.type === DimensionType.ANGLE) {
+        if (!(value > 0 && value < 180)) {
+            throw new Error('An angle dimension must be between 0° and 180°');
+        }
+        return createGeometricConstraint(GeometricConstraintType.ANGLE,
+            [dimension.vertexId, ...dimension.armIds], { value });
+    }
+
+    if (!dimension.ends.every(end => end.componentId)) {
+        throw new Error('Only dimensions between two components can drive the layout');
+    }
+    if (!(value > 0)) {
+        throw new Error('A length dimension must be longer than 0 mm');
+    }
+    const props = { value };
+    if (dimension.orientation !== DimensionOrientation.ALIGNED) {
+        props.axis = dimension.orientation;
+    }
+    return createGeometricConstraint(GeometricConstraintType.DISTANCE,
+        dimension.ends.map(end => end.componentId), props);
+}
+
+export default {
+    DimensionType,
+    DimensionOrientation,
+    DEFAULT_DIMENSION_OFFSET,
+    DEFAULT_ANGLE_RADIUS,
+    createLinearDimension,
+    createAngleDimension,
+    createAngleDimensionForSegments,
+    getDimensionComponentIds,
+    getDimensionGeometry,
+    measureDimension,
+    formatDimension,
+    getDimensionDragUpdate,
+    findDimensionAt,
+    createDrivingConstraint
+};
@@ -0,0 +1,163 @@
+/**
+ * Parts Catalog
+ *
+ * Library of concrete opto-mechanical parts (e.g. 1" mirror in a kinematic
+ * mount). Each part is a component type plus the hardware numbers that
+ * replace the generic ComponentDefaults: mass, body size, mount zone, mount
+ * screw footprint and default optical properties.
+ *
+ * Catalogs are JSON files:
+ *   { formatVersion: 1, name, description?, parts: [
+ *       { id, name, type, category?, tags?, mass, size: {width, height},
+ *         mountZone?, mountFootprint?, properties? } ] }
+ * The default catalog ships in catalog/parts.json; teams can load their own,
+ * whose parts are added to (or replace, by id) the default ones.
+ */
+
+import { ComponentType } from './Component.js';
+
+/**
+ * Location of the built-in catalog (relative to index.html)
+ */
+export const DEFAULT_CATALOG_URL = 'catalog/parts.json';
+
+/**
+ * Optical properties a part may set on the components placed from it
+ */
+const PART_PROPERTY_KEYS = [
+    'reflectance', 'transmittance', 'focalLength', 'outputPower',
+    'polarization', 'polarizationAngle', 'retardance', 'fastAxisAngle',
+    'extinctionRatio', 'waistRadius', 'waistPosition'
+];
+
+/**
+ * Validate and normalize a single catalog entry
+ * @throws {Error} If the entry is unusable
+ */
+function normalizePart(part, index) {
+    const label = part?.id ? `"${part.id}"` : `#${index + 1}`;
+
+    if (!part || typeof part.id !== 'string' || !part.id) {
+        throw new Error(`Part ${label} is missing an id`);
+    }
+    if (!Object.values(ComponentType).includes(part.type)) {
+        throw new Error(`Part ${label} has unknown type "${part.type}"`);
+    }
+    if (!(part.size?.width > 0) || !(part.size?.height > 0)) {
+        throw new Error(`Part ${label} needs a positive size { width, height }`);
+    }
+    if (!(part.mass >= 0)) {
+        throw new Error(`Part ${label} needs a mass (g)`);
+    }
+
+    const properties = {};
+    PART_PROPERTY_KEYS.forEach(key => {
+        if (part.properties?.[key] !== undefined) properties[key] = part.properties[key];
+    });
+
+    return {
+        id: part.id,
+        name: part.name || part.id,
+        type: part.type,
+        category: part.category || '',
+        tags: Array.isArray(part.tags) ? part.tags.map(String) : [],
+        description: part.description || '',
+        mass: part.mass,
+        size: { width: part.size.width, height: part.size.height },
+        mountZone: part.mountZone ? { ...part.mountZone } : null,
+        mountFootprint: Array.isArray(part.mountFootprint)
+            ? part.mountFootprint.map(p => ({ x: Number(p.x) || 0, y: Number(p.y) || 0 }))
+            : null,
+        properties
+    };
+}
+
+/**
+ * Searchable collection of parts
+ */
+export class PartsCatalog {
+    constructor() {
+        this.parts = new Map();  // id -> part
+        this.sources = [];       // Names of the loaded catalogs
+    }
+
+    /**
+     * Add the parts of a catalog JSON document
+     * Parts whose id is already present are replaced.
+     * @param {Object} json - Catalog document
+     * @returns {number} Number of parts added
+     * @throws {Error} If the document or one of its parts is invalid
+     */
+    load(json) {
+        if (!json || !Array.isArray(json.parts)) {
+            throw new Error('Invalid catalog: missing "parts" array');
+        }
+
+        const parts = json.parts.map((part, index) => normalizePart(part, index));
+        parts.forEach(part => this.parts.set(part.id, part));
+        this.sources.push(json.name || 'Catalog');
+        return parts.length;
+    }
+
+    /**
+     * Get a part by id
+     */
+    get(id) {
+        return this.parts.get(id) || null;
+    }
+
+    /**
+     * All parts, sorted by category then name
+     */
+    getAll() {
+        return Array.from(this.parts.values()).sort((a, b) =>
+            a.category.localeCompare(b.category) || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Find parts matching every word of a query
+     * Words are matched against the name, id, type, category and tags.
+     * @param {string} query - Free text, e.g. "1in mirror kinematic"
+     */
+    search(query) {
+        const words = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        if (words.length === 0) return this.getAll();
+
+        return this.getAll().filter(part => {
+            const text = [part.name, part.id, part.type, part.category, ...part.tags]
+                .join(' ')
+                .toLowerCase();
+            return words.every(word => text.includes(word));
+        });
+    }
+
+    /**
+     * Component properties for placing a part (pass to Component.create)
+     */
+    toComponentProps(part) {
+        const props = {
+            partId: part.id,
+            mass: part.mass,
+            size: { ...part.size },
+            ...part.properties
+        };
+        if (part.mountZone) props.mountZone = { ...part.mountZone };
+        if (part.mountFootprint) props.mountFootprint = part.mountFootprint.map(p => ({ ...p }));
+        return props;
+    }
+}
+
+/**
+ * Fetch a catalog document
+ * @param {string} url - Catalog URL
+ * @returns {Promise<Object>} Catalog JSON
+ */
+export async function fetchCatalog(url = DEFAULT_CATALOG_URL) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load catalog ${url} (${response.status})`);
+    }
+    return response.json();
+}
+
+export default PartsCatalog;
@@ -0,0 +1,372 @@
+/**
+ * Layout Templates
+ *
+ * Parameterized starting layouts for standard setups (interferometers,
+ * telescopes, beam lines). A template builds connected Components and
+ * BeamSegments from a few numbers - arm lengths, focal lengths,
+ * magnification and the wavelength - so a new project starts from a
+ * working beam path instead of an empty table.
+ *
+ * Layouts are built along cardinal beams with the source emitting at 0°
+ * and are centered on the origin. Mirror and beam splitter angles are
+ * solved from the wanted beam directions, so the templates follow the
+ * physics in BeamPhysics.getOutputDirection.
+ *
+ * Beams that pass a component a second time (Michelson return arms,
+ * double-pass AOM) are drawn as extra segments, validated against the
+ * incoming beam that leads along them.
+ */
+
+import { Component, ComponentType } from './Component.js';
+import { BeamSegment } from './BeamPath.js';
+import { EXAMPLE_COMPONENT_TYPES, registerComponentType } from './CustomTypes.js';
+import * as BeamPhysics from '../physics/BeamPhysics.js';
+import { resolveWavelength } from '../physics/GaussianBeam.js';
+
+/**
+ * Wavelength parameter shared by every template
+ */
+const WAVELENGTH_PARAM = { key: 'wavelength', label: 'Wavelength', unit: 'nm', value: 632.8, min: 200, max: 2000, step: 0.1 };
+
+/**
+ * Available templates
+ * Each parameter is { key, label, unit, value (default), min, max, step }.
+ */
+export const LAYOUT_TEMPLATES = [
+    {
+        id: 'michelson',
+        name: 'Michelson Interferometer',
+        description: 'Beam splitter with two retro-reflecting end mirrors; the arms recombine onto a detector',
+        params: [
+            { key: 'arm1', label: 'Arm 1 length', unit: 'mm', value: 150, min: 30, max: 1000, step: 5 },
+            { key: 'arm2', label: 'Arm 2 length', unit: 'mm', value: 150, min: 30, max: 1000, step: 5 },
+            WAVELENGTH_PARAM
+        ],
+        build: buildMichelson
+    },
+    {
+        id: 'mach_zehnder',
+        name: 'Mach-Zehnder Interferometer',
+        description: 'Two beam splitters and two fold mirrors; both output ports end on detectors',
+        params: [
+            { key: 'armLength', label: 'Arm length', unit: 'mm', value: 200, min: 50, max: 1000, step: 5 },
+            { key: 'armSeparation', label: 'Arm separation', unit: 'mm', value: 150, min: 50, max: 1000, step: 5 },
+            WAVELENGTH_PARAM
+        ],
+        build: buildMachZehnder
+    },
+    {
+        id: 'telescope_4f',
+        name: '4f Telescope',
+        description: 'Two lenses spaced by f1 + f2, object and image planes one focal length outside (magnification f2/f1)',
+        params: [
+            { key: 'focalLength1', label: 'Focal length 1', unit: 'mm', value: 100, min: 20, max: 1000, step: 5 },
+            { key: 'focalLength2', label: 'Focal length 2', unit: 'mm', value: 100, min: 20, max: 1000, step: 5 },
+            WAVELENGTH_PARAM
+        ],
+        build: buildTelescope4f
+    },
+    {
+        id: 'double_pass_aom',
+        name: 'Double-Pass AOM',
+        description: 'PBS, AOM and a cat\'s-eye (lens, quarter-wave plate, mirror); the frequency-shifted return beam leaves at the PBS',
+        params: [
+            { key: 'focalLength', label: 'Cat\'s-eye focal length', unit: 'mm', value: 100, min: 40, max: 500, step: 5 },
+            WAVELENGTH_PARAM
+        ],
+        build: buildDoublePassAom
+    },
+    {
+        id: 'periscope_pair',
+        name: 'Periscope Pair',
+        description: 'Raises the beam at one periscope and lowers it at the other, e.g. to cross another beam line',
+        params: [
+            { key: 'span', label: 'Span between periscopes', unit: 'mm', value: 200, min: 50, max: 1000, step: 5 },
+            WAVELENGTH_PARAM
+        ],
+        build: buildPeriscopePair
+    },
+    {
+        id: 'beam_expander',
+        name: 'Beam Expander',
+        description: 'Galilean expander: diverging lens -f and converging lens M·f spaced by (M - 1)·f',
+        params: [
+            { key: 'magnification', label: 'Magnification', unit: '×', value: 3, min: 1.5, max: 20, step: 0.5 },
+            { key: 'inputFocalLength', label: 'Input focal length', unit: 'mm', value: 50, min: 20, max: 500, step: 5 },
+            WAVELENGTH_PARAM
+        ],
+        build: buildBeamExpander
+    }
+];
+
+/**
+ * Get a template by id
+ * @returns {Object|null}
+ */
+export function getTemplate(id) {
+    return LAYOUT_TEMPLATES.find(template => template.id === id) || null;
+}
+
+/**
+ * Fill in defaults and clamp parameter values to the template's ranges
+ * @param {Object} template - Template from LAYOUT_TEMPLATES
+ * @param {Object} values - Parameter values by key (strings from inputs are fine)
+ * @returns {Object} Numeric parameter values by key
+ */
+export function normalizeTemplateParams(template, values = {}) {
+    const params = {};
+    template.params.forEach(param => {
+        const value = parseFloat(values[param.key]);
+        params[param.key] = Number.isFinite(value)
+            ? Math.min(param.max, Math.max(param.min, value))
+            : param.value;
+    });
+    return params;
+}
+
+/**
+ * Build the layout of a template
+ * @param {string} id - Template id
+ * @param {Object} values - Parameter values by key
+ * @param {Array} wavelengths - state.wavelengths; beams use the entry matching the wavelength
+ * @returns {Object} { name, components, segments, componentTypes }
+ * @throws {Error} If the template does not exist
+ */
+export function buildTemplate(id, values = {}, wavelengths = []) {
+    const template = getTemplate(id);
+    if (!template) {
+        throw new Error(`Unknown template "${id}"`);
+    }
+
+    const params = normalizeTemplateParams(template, values);
+    const builder = new LayoutBuilder(params.wavelength, wavelengths);
+    template.build(builder, params);
+    return { name: template.name, ...builder.finish() };
+}
+
+/**
+ * Collects the components and beams of a template layout
+ */
+class LayoutBuilder {
+    constructor(wavelength, wavelengths) {
+        this.wavelength = wavelength;
+        // Beam color: the wavelength entry whose name carries this wavelength (e.g. "633nm HeNe")
+        const entry = wavelengths.find(w =>
+            Math.abs(resolveWavelength({ wavelengthIds: [w.id] }, wavelengths) - wavelength) < 1);
+        this.wavelengthIds = entry ? [entry.id] : [];
+
+        this.components = [];
+        this.segments = [];
+        this.componentTypes = [];
+    }
+
+    /**
+     * Add a component
+     * @param {string} type - Component type
+     * @param {Object} position - {x, y} in mm
+     * @param {Object} props - Component properties (name, angle, ...)
+     */
+    add(type, position, props = {}) {
+        const component = Component.create(type, { ...position }, props);
+        this.components.push(component);
+        return component;
+    }
+
+    /**
+     * Make one of the example user-defined types available (see CustomTypes.js)
+     */
+    useExampleType(id) {
+        if (this.componentTypes.some(type => type.id === id)) return;
+        this.componentTypes.push(registerComponentType(EXAMPLE_COMPONENT_TYPES.find(type => type.id === id)));
+    }
+
+    /**
+     * Turn a mirror or beam splitter so a beam arriving at inAngle leaves at outAngle
+     * Uses the type's valid angles when one fits, otherwise a free angle
+     * (e.g. a mirror at normal incidence).
+     */
+    orient(component, inAngle, outAngle, port = 'reflected') {
+        const fits = angle => {
+            component.angle = angle;
+            const out = BeamPhysics.getOutputDirection(component, inAngle, port);
+            return out !== null && Math.abs(BeamPhysics.normalizeAngleDiff(out - outAngle)) < 1e-6;
+        };
+
+        if (BeamPhysics.getValidAnglesForComponent(component.type).some(fits)) return component;
+
+        for (let angle = 0; angle < 180; angle += 0.5) {
+            if (fits(angle)) {
+                component.allowAnyAngle = true;
+                return component;
+            }
+        }
+        throw new Error(`Cannot turn ${component.name} from ${inAngle}° to ${outAngle}°`);
+    }
+
+    /**
+     * Connect two components with a beam
+     * @param {string} sourcePort - Port the beam leaves through ('output' for
+     *   sources, 'reflected', 'transmitted' or a user-defined port)
+     */
+    connect(source, target, sourcePort) {
+        const direction = BeamPhysics.calculateBeamDirection(source.position, target.position);
+        const segment = new BeamSegment({
+            sourceId: source.id,
+            targetId: target.id,
+            sourcePort,
+            targetPort: 'input',
+            direction,
+            directionAngle: BeamPhysics.calculateBeamAngle(source.position, target.position),
+            wavelength: this.wavelength,
+            wavelengthIds: [...this.wavelengthIds],
+            isValid: true
+        });
+        this.segments.push(segment);
+        return segment;
+    }
+
+    /**
+     * Center the layout on the origin and return it
+     */
+    finish() {
+        const xs = this.components.map(c => c.position.x);
+        const ys = this.components.map(c => c.position.y);
+        const cx = Math.round((Math.min(...xs) + Math.max(...xs)) / 2);
+        const cy = Math.round((Math.min(...ys) + Math.max(...ys)) / 2);
+
+        this.components.forEach(c => {
+            c.position = { x: c.position.x - cx, y: c.position.y - cy };
+        });
+        return { components: this.components, segments: this.segments, componentTypes: this.componentTypes };
+    }
+}
+
+/**
+ * Point at a distance along a beam
+ */
+function along(point, angle, distance) {
+    const dir = BeamPhysics.angleToVector(angle);
+    return { x: point.x + dir.x * distance, y: point.y + dir.y * distance };
+}
+
+/**
+ * Transmission components face the beam (optical axis along it)
+ */
+function facing(beamAngle) {
+    return BeamPhysics.normalizeAngle(beamAngle + 90) % 180;
+}
+
+// ============================================================================
+// Template layouts
+// ============================================================================
+
+function buildMichelson(b, { arm1, arm2 }) {
+    const source = b.add(ComponentType.SOURCE, { x: -120, y: 0 }, { name: 'S1', angle: 0 });
+    const bs = b.orient(b.add(ComponentType.BEAM_SPLITTER, { x: 0, y: 0 }, { name: 'BS1' }), 0, 270);
+    const m1 = b.orient(b.add(ComponentType.MIRROR, { x: arm1, y: 0 }, { name: 'M1' }), 0, 180);
+    const m2 = b.orient(b.add(ComponentType.MIRROR, { x: 0, y: -arm2 }, { name: 'M2' }), 270, 90);
+    const detector = b.add(ComponentType.DETECTOR, { x: 0, y: 100 }, { name: 'D1' });
+
+    b.connect(source, bs, 'output');
+    b.connect(bs, m1, 'transmitted');
+    b.connect(bs, m2, 'reflected');
+    b.connect(m1, bs, 'reflected');
+    b.connect(m2, bs, 'reflected');
+    b.connect(bs, detector, 'transmitted');
+}
+
+function buildMachZehnder(b, { armLength, armSeparation }) {
+    const source = b.add(ComponentType.SOURCE, { x: -120, y: 0 }, { name: 'S1', angle: 0 });
+    const bs1 = b.orient(b.add(ComponentType.BEAM_SPLITTER, { x: 0, y: 0 }, { name: 'BS1' }), 0, 90);
+    const m1 = b.orient(b.add(ComponentType.MIRROR, { x: armLength, y: 0 }, { name: 'M1' }), 0, 90);
+    const m2 = b.orient(b.add(ComponentType.MIRROR, { x: 0, y: armSeparation }, { name: 'M2' }), 90, 0);
+    const bs2 = b.orient(b.add(ComponentType.BEAM_SPLITTER, { x: armLength, y: armSeparation }, { name: 'BS2' }), 90, 0);
+    const d1 = b.add(ComponentType.DETECTOR, { x: armLength + 100, y: armSeparation }, { name: 'D1' });
+    const d2 = b.add(ComponentType.DETECTOR, { x: armLength, y: armSeparation + 100 }, { name: 'D2' });
+
+    b.connect(source, bs1, 'output');
+    b.connect(bs1, m1, 'transmitted');
+    b.connect(m1, bs2, 'reflected');  // First beam into BS2 sets its output directions
+    b.connect(bs1, m2, 'reflected');
+    b.connect(m2, bs2, 'reflected');
+    b.connect(bs2, d1, 'reflected');
+    b.connect(bs2, d2, 'transmitted');
+}
+
+function buildTelescope4f(b, { focalLength1, focalLength2 }) {
+    const source = b.add(ComponentType.SOURCE, { x: -focalLength1, y: 0 }, { name: 'S1', angle: 0 });
+    const l1 = b.add(ComponentType.LENS, { x: 0, y: 0 }, { name: 'L1', angle: facing(0), focalLength: focalLength1 });
+    const l2 = b.add(ComponentType.LENS, { x: focalLength1 + focalLength2, y: 0 },
+        { name: 'L2', angle: facing(0), focalLength: focalLength2 });
+    const detector = b.add(ComponentType.DETECTOR, { x: focalLength1 + 2 * focalLength2, y: 0 }, { name: 'D1' });
+
+    b.connect(source, l1, 'output');
+    b.connect(l1, l2, 'transmitted');
+    b.connect(l2, detector, 'transmitted');
+}
+
+function buildDoublePassAom(b, { focalLength }) {
+    b.useExampleType('aom');
+    const deflection = EXAMPLE_COMPONENT_TYPES.find(type => type.id === 'aom')
+        .ports.find(port => port.id === 'order1').angle;
+
+    const source = b.add(ComponentType.SOURCE, { x: -200, y: 0 }, { name: 'S1', angle: 0 });
+    const pbs = b.orient(b.add(ComponentType.POLARIZING_BEAM_SPLITTER, { x: -100, y: 0 }, { name: 'PBS1' }), 180, 90);
+    const aom = b.add('aom', { x: 0, y: 0 }, { name: 'AOM1', angle: 0 });
+
+    // Cat's eye on the deflected order: lens one focal length from the AOM, then λ/4 and mirror
+    const lens = b.add(ComponentType.LENS, along(aom.position, deflection, focalLength),
+        { name: 'L1', angle: facing(deflection), allowAnyAngle: true, focalLength });
+    const waveplate = b.add(ComponentType.WAVEPLATE, along(lens.position, deflection, 30),
+        { name: 'QWP1', angle: facing(deflection), allowAnyAngle: true, retardance: 0.25, fastAxisAngle: 45 });
+    const mirror = b.orient(b.add(ComponentType.MIRROR, along(waveplate.position, deflection, 30), { name: 'M1' }),
+        deflection, deflection + 180);
+    const detector = b.add(ComponentType.DETECTOR, { x: -100, y: 100 }, { name: 'D1' });
+
+    b.connect(source, pbs, 'output');
+    b.connect(pbs, aom, 'transmitted');
+    b.connect(aom, lens, 'order1');
+    b.connect(lens, waveplate, 'transmitted');
+    b.connect(waveplate, mirror, 'transmitted');
+    // Return pass back through the cat's eye, then shifted a second time
+    b.connect(mirror, waveplate, 'reflected');
+    b.connect(waveplate, lens, 'transmitted');
+    b.connect(lens, aom, 'transmitted');
+    b.connect(aom, pbs, 'order1');
+    b.connect(pbs, detector, 'reflected');  // Polarization turned by the double λ/4 pass
+}
+
+function buildPeriscopePair(b, { span }) {
+    b.useExampleType('periscope');
+
+    const source = b.add(ComponentType.SOURCE, { x: -100, y: 0 }, { name: 'S1', angle: 0 });
+    const up = b.add('periscope', { x: 0, y: 0 }, { name: 'PER1', angle: 0 });
+    const down = b.add('periscope', { x: span, y: 0 }, { name: 'PER2', angle: 0 });
+    const detector = b.add(ComponentType.DETECTOR, { x: span + 100, y: 0 }, { name: 'D1' });
+
+    b.connect(source, up, 'output');
+    b.connect(up, down, 'output');
+    b.connect(down, detector, 'output');
+}
+
+function buildBeamExpander(b, { magnification, inputFocalLength }) {
+    const separation = (magnification - 1) * inputFocalLength;
+
+    const source = b.add(ComponentType.SOURCE, { x: -100, y: 0 }, { name: 'S1', angle: 0 });
+    const l1 = b.add(ComponentType.LENS, { x: 0, y: 0 },
+        { name: 'L1', angle: facing(0), focalLength: -inputFocalLength });
+    const l2 = b.add(ComponentType.LENS, { x: separation, y: 0 },
+        { name: 'L2', angle: facing(0), focalLength: magnification * inputFocalLength });
+    const detector = b.add(ComponentType.DETECTOR, { x: separation + 100, y: 0 }, { name: 'D1' });
+
+    b.connect(source, l1, 'output');
+    b.connect(l1, l2, 'transmitted');
+    b.connect(l2, detector, 'transmitted');
+}
+
+export default {
+    LAYOUT_TEMPLATES,
+    getTemplate,
+    normalizeTemplateParams,
+    buildTemplate
+};
@@ -0,0 +1,210 @@
+/**
+ * Workspace Plate
+ *
+ * The workspace is the table or plate the layout is built on, centered on
+ * the origin. Its outline is either
+ *   - a centered rectangle: { shape: 'rect', width, height }
+ *   - or a polygon: { shape: 'polygon', points: [{x, y}, ...] } in world mm;
+ *     width and height then hold the size of its bounding box
+ * Cut-outs are holes through the plate (a cryostat window, a cable pass):
+ *   cutouts: [{ id, name, points: [{x, y}, ...] }]
+ *
+ * Component bodies and mount zones must lie on the plate and clear of the
+ * cut-outs. Beams without a target end where they leave the outline; they
+ * pass over cut-outs.
+ */
+
+import { generateId } from './Component.js';
+import { OVERLAP_EPSILON, pointInPolygon, distanceToSegment, segmentsCross, shapesOverlap, rectToShape, toRectLocal } from '../physics/Geometry.js';
+
+/**
+ * Plate outline shapes
+ */
+export const PlateShape = {
+    RECT: 'rect',
+    POLYGON: 'polygon'
+};
+
+/**
+ * Create a workspace plate
+ * The default is the 600 x 600 mm rectangle centered on the origin.
+ * @param {Object} props - Overrides (older documents only have width and height)
+ */
+export function createWorkspace(props = {}) {
+    const workspace = {
+        shape: PlateShape.RECT,
+        width: 600,
+        height: 600,
+        points: [],
+        cutouts: [],
+        ...props
+    };
+    if (workspace.shape === PlateShape.POLYGON && workspace.points.length < 3) {
+        workspace.shape = PlateShape.RECT;
+        workspace.points = [];
+    }
+    return workspace;
+}
+
+/**
+ * Plate outline as a polygon
+ * @returns {Array} Vertices {x, y} in drawing order
+ */
+export function getPlateOutline(workspace) {
+    if (workspace.shape === PlateShape.POLYGON && workspace.points?.length >= 3) {
+        return workspace.points;
+    }
+    const halfW = workspace.width / 2;
+    const halfH = workspace.height / 2;
+    return [
+        { x: -halfW, y: -halfH },
+        { x: halfW, y: -halfH },
+        { x: halfW, y: halfH },
+        { x: -halfW, y: halfH }
+    ];
+}
+
+/**
+ * Axis-aligned bounds of the plate
+ * @returns {Object} { minX, minY, maxX, maxY }
+ */
+export function getPlateBounds(workspace) {
+    const points = getPlateOutline(workspace);
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+}
+
+/**
+ * Check a polygon for the outline or a cut-out
+ * @throws {Error} If it has fewer than three distinct points or no area
+ */
+function validatePolygon(points, label) {
+    if (!Array.isArray(points) || points.length < 3) {
+        throw new Error(`${label} needs at least three points`);
+    }
+    let area = 0;
+    points.forEach((p, i) => {
+        const q = points[(i + 1) % points.length];
+        area += p.x * q.y - q.x * p.y;
+    });
+    if (Math.abs(area) < 1e-6) {
+        throw new Error(`${label} has no area`);
+    }
+}
+
+/**
+ * Replace the plate outline and cut-outs
+ * @param {Object} workspace - Current workspace
+ * @param {Object} outline - { shape, width?, height?, points?, cutouts? }
+ * @returns {Object} New workspace
+ * @throws {Error} If a polygon is unusable
+ */
+export function setPlateOutline(workspace, outline) {
+    const cutouts = (outline.cutouts ?? workspace.cutouts ?? []).map((cutout, i) => {
+        validatePolygon(cutout.points, `Cut-out ${i + 1}`);
+        return {
+            id: cutout.id || generateId('cutout'),
+            name: cutout.name || `Cut-out ${i + 1}`,
+            points: cutout.points.map(p => ({ x: p.x, y: p.y }))
+        };
+    });
+
+    if (outline.shape !== PlateShape.POLYGON) {
+        return createWorkspace({
+            width: outline.width ?? workspace.width,
+            height: outline.height ?? workspace.height,
+            cutouts
+        });
+    }
+
+    validatePolygon(outline.points, 'The plate outline');
+    const points = outline.points.map(p => ({ x: p.x, y: p.y }));
+    const bounds = getPlateBounds({ shape: PlateShape.POLYGON, points });
+    return createWorkspace({
+        shape: PlateShape.POLYGON,
+        width: bounds.maxX - bounds.minX,
+        height: bounds.maxY - bounds.minY,
+        points,
+        cutouts
+    });
+}
+
+/**
+ * Resize the plate (toolbar width and height)
+ * A polygon outline is scaled about the origin to the new bounding box;
+ * cut-outs stay where they are.
+ */
+export function resizeWorkspace(workspace, width, height) {
+    if (workspace.shape !== PlateShape.POLYGON) {
+        return { ...workspace, width, height };
+    }
+    const sx = workspace.width > 0 ? width / workspace.width : 1;
+    const sy = workspace.height > 0 ? height / workspace.height : 1;
+    return {
+        ...workspace,
+        width,
+        height,
+        points: workspace.points.map(p => ({ x: p.x * sx, y: p.y * sy }))
+    };
+}
+
+/**
+ * Check if a point lies on the plate outline or inside it
+ */
+function isPointOnPlate(point, outline) {
+    if (pointInPolygon(point, outline)) return true;
+    return outline.some((a, i) => distanceToSegment(point, a, outline[(i + 1) % outline.length]) <= OVERLAP_EPSILON);
+}
+
+/**
+ * Check if an oriented rectangle (component body or mount zone) lies on the plate
+ * Touching the edge counts as on the plate; concave notches are caught by
+ * edges crossing the rectangle or outline corners inside it.
+ */
+export function isRectOnPlate(workspace, rect) {
+    const outline = getPlateOutline(workspace);
+    if (!rect.corners.every(corner => isPointOnPlate(corner, outline))) return false;
+
+    for (let i = 0; i < outline.length; i++) {
+        const a = outline[i];
+        const b = outline[(i + 1) % outline.length];
+        for (let j = 0; j < 4; j++) {
+            if (segmentsCross(a, b, rect.corners[j], rect.corners[(j + 1) % 4])) return false;
+        }
+    }
+
+    return !outline.some(p => {
+        const local = toRectLocal(rect, p);
+        return Math.abs(local.x) < rect.halfWidth - OVERLAP_EPSILON && Math.abs(local.y) < rect.halfHeight - OVERLAP_EPSILON;
+    });
+}
+
+/**
+ * Find the first cut-out an oriented rectangle overlaps
+ * @returns {Object|null} Cut-out, or null if the rectangle is clear of all of them
+ */
+export function findCutoutOverlap(workspace, rect) {
+    const shape = rectToShape(rect);
+    return (workspace.cutouts || []).find(cutout =>
+        shapesOverlap(shape, { type: 'polygon', points: cutout.points })) || null;
+}
+
+/**
+ * Format points for the outline inputs, e.g. "-300,-300; 300,-300; 300,300"
+ */
+export function formatPlatePoints(points) {
+    return points.map(p => `${+p.x.toFixed(2)},${+p.y.toFixed(2)}`).join('; ');
+}
+
+export default {
+    PlateShape,
+    createWorkspace,
+    getPlateOutline,
+    getPlateBounds,
+    setPlateOutline,
+    resizeWorkspace,
+    isRectOnPlate,
+    findCutoutOverlap,
+    formatPlatePoints
+};
@@ -0,0 +1,149 @@
+/**
+ * CostFunction.js - Layout scoring for the optimizer
+ *
+ * Objectives (all in mm, lower is better):
+ * - com: distance from the center of mass to the mounting zone (0 when inside)
+ * - footprint: square root of the area of the box enclosing every component
+ * - pathLength: total length of all beam segments between components
+ *
+ * Keep-out overlaps, mount zone clashes, overlapping component bodies and
+ * components off the plate are added as a penalty on top of the weighted objectives
+ * (unless the design rule set switches the rule off).
+ */
+
+import { calculateCenterOfMass, checkConstraintViolations } from '../state.js';
+import { getZoneRect, rectsOverlap, distanceToRect } from '../physics/Geometry.js';
+import { checkPathLengthConstraints } from '../physics/OpticalPath.js';
+import { collectConstraints, checkGeometricConstraints } from '../physics/ConstraintSolver.js';
+import { applyDesignRules } from '../physics/DesignRules.js';
+
+/**
+ * Cost added for each constraint violation
+ */
+export const VIOLATION_PENALTY = 50;
+
+/**
+ * Smallest value used to normalize an objective (mm)
+ * Prevents an objective that starts at zero from dominating the cost.
+ */
+export const MIN_REFERENCE = 25;
+
+/**
+ * Default objective weights (normalized to sum to 1 by the caller)
+ */
+export const DEFAULT_WEIGHTS = {
+    com: 0.5,
+    footprint: 0.25,
+    pathLength: 0.25
+};
+
+/**
+ * Distance from a point to a (possibly rotated) zone (0 if the point is inside)
+ * @param {Object} point - {x, y}
+ * @param {Object} zone - Zone with bounds and optional rotation
+ */
+export function distanceToZone(point, zone) {
+    if (!point || !zone?.bounds) return 0;
+    return distanceToRect(getZoneRect(zone), point);
+}
+
+/**
+ * Count pairs of components whose (rotated) bodies overlap
+ */
+export function countComponentOverlaps(components) {
+    const rects = components.map(comp => comp.getRect());
+    let count = 0;
+
+    for (let i = 0; i < rects.length; i++) {
+        for (let j = i + 1; j < rects.length; j++) {
+            if (rectsOverlap(rects[i], rects[j])) {
+                count++;
+            }
+        }
+    }
+
+    return count;
+}
+
+/**
+ * Calculate the raw objective values for a layout
+ * @param {Array} components - Array of Component instances
+ * @param {BeamPath} beamPath - Beam path graph (path lengths are recalculated)
+ * @param {Object} constraints - State constraints (keepOutZones, mountingZone, workspace, pathLengthConstraints, geometricConstraints)
+ * @returns {Object} { com, footprint, pathLength, violations }
+ */
+export function calculateObjectives(components, beamPath, constraints) {
+    // Center of mass distance to mounting zone
+    const { position: comPosition } = calculateCenterOfMass(components);
+    const com = distanceToZone(comPosition, constraints.mountingZone);
+
+    // Footprint - side length of the equivalent square of the enclosing box
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    components.forEach(comp => {
+        const bbox = comp.getBoundingBox();
+        minX = Math.min(minX, bbox.minX);
+        minY = Math.min(minY, bbox.minY);
+        maxX = Math.max(maxX, bbox.maxX);
+        maxY = Math.max(maxY, bbox.maxY);
+    });
+    const footprint = components.length > 0 ? Math.sqrt((maxX - minX) * (maxY - minY)) : 0;
+
+    // Total beam path length
+    beamPath.recalculatePathLengths(components);
+    const pathLength = beamPath.getTotalPathLength();
+
+    // Hard constraints (the plate outline check is part of checkConstraintViolations)
+    const componentMap = new Map(components.map(comp => [comp.id, comp]));
+    const violations = applyDesignRules(checkConstraintViolations(components, constraints), constraints.designRules).length +
+        countComponentOverlaps(components) +
+        checkPathLengthConstraints(constraints.pathLengthConstraints, beamPath, componentMap).length +
+        checkGeometricConstraints(componentMap,
+            collectConstraints(componentMap, constraints.geometricConstraints, beamPath)).length;
+
+    return { com, footprint, pathLength, violations };
+}
+
+/**
+ * Create normalization references from the starting objectives
+ */
+export function createReference(objectives) {
+    return {
+        com: Math.max(objectives.com, MIN_REFERENCE),
+        footprint: Math.max(objectives.footprint, MIN_REFERENCE),
+        pathLength: Math.max(objectives.pathLength, MIN_REFERENCE)
+    };
+}
+
+/**
+ * Combine objectives into a single scalar cost
+ * The starting layout scores roughly 100 when it has no violations.
+ * @param {Object} objectives - Result of calculateObjectives()
+ * @param {Object} weights - { com, footprint, pathLength } summing to 1
+ * @param {Object} reference - Result of createReference()
+ * @returns {Object} { total, com, footprint, pathLength, penalty }
+ */
+export function combineCost(objectives, weights, reference) {
+    const com = 100 * weights.com * objectives.com / reference.com;
+    const footprint = 100 * weights.footprint * objectives.footprint / reference.footprint;
+    const pathLength = 100 * weights.pathLength * objectives.pathLength / reference.pathLength;
+    const penalty = VIOLATION_PENALTY * objectives.violations;
+
+    return {
+        total: com + footprint + pathLength + penalty,
+        com,
+        footprint,
+        pathLength,
+        penalty
+    };
+}
+
+export default {
+    VIOLATION_PENALTY,
+    MIN_REFERENCE,
+    DEFAULT_WEIGHTS,
+    distanceToZone,
+    countComponentOverlaps,
+    calculateObjectives,
+    createReference,
+    combineCost
+};
@@ -0,0 +1,274 @@
+/**
+ * OptimizationRunner.js - Runs the layout optimizer in a Web Worker
+ *
+ * Exposes the same interface as Optimizer (start/pause/resume/stop/cancel,
+ * snapshots and onProgress/onStep/onComplete callbacks) so the app does not
+ * care where the optimization runs. The layout is handed to the worker in
+ * the plain-JSON document format, so nothing blocks the UI thread while
+ * the annealing runs.
+ *
+ * If module workers are unavailable (older browsers, file:// pages) the
+ * runner falls back to running the Optimizer on the main thread.
+ */
+
+import { Optimizer, OptimizerState } from './Optimizer.js';
+import { serializeDocument, deserializeLayout } from '../state.js';
+
+export class OptimizationRunner {
+    constructor(options = {}) {
+        this.options = options;
+
+        // Callbacks (same as Optimizer)
+        this.onProgress = null;   // (progress) => void
+        this.onStep = null;       // (snapshot) => void - current best layout
+        this.onComplete = null;   // (result) => void
+
+        this.worker = null;
+        this.workerFailed = false;
+        this.localOptimizer = null;
+        this.pendingStart = null;  // Last start request, replayed if the worker fails to load
+        this.runId = 0;            // Tags worker messages so late ones from an old run are ignored
+
+        this.reset();
+    }
+
+    /**
+     * Clear run results
+     */
+    reset() {
+        this.state = OptimizerState.IDLE;
+        this.snapshots = [];
+        this.bestSnapshot = null;
+        this.originalSnapshot = null;
+        this.workerReady = false;
+    }
+
+    /**
+     * Whether this runner is using a Web Worker (false after falling back)
+     */
+    usesWorker() {
+        return !this.workerFailed && typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Create the worker on first use
+     * @returns {Worker|null}
+     */
+    getWorker() {
+        if (this.worker || !this.usesWorker()) return this.worker;
+
+        try {
+            this.worker = new Worker(new URL('./OptimizerWorker.js', import.meta.url), { type: 'module' });
+        } catch (err) {
+            console.warn('Optimizer worker unavailable, running on main thread:', err);
+            this.workerFailed = true;
+            return null;
+        }
+
+        this.worker.onmessage = (event) => {
+            if (event.data.runId === this.runId) this.handleMessage(event.data);
+        };
+        this.worker.onerror = (event) => this.handleWorkerError(event);
+        return this.worker;
+    }
+
+    /**
+     * Start an optimization run
+     * @param {Object} state - Store state
+     * @param {Object} weights - Objective weights { com, footprint, pathLength }
+     */
+    start(state, weights) {
+        this.cancel();
+        this.reset();
+
+        const layout = serializeDocument(state);
+        this.pendingStart = { layout, weights };
+        this.state = OptimizerState.RUNNING;
+        this.runId++;
+
+        const worker = this.getWorker();
+        if (worker) {
+            worker.postMessage({ type: 'start', runId: this.runId, layout, weights, options: this.options });
+        } else {
+            this.startLocal(layout, weights);
+        }
+    }
+
+    pause() {
+        if (this.state !== OptimizerState.RUNNING) return;
+        this.state = OptimizerState.PAUSED;
+        this.send('pause');
+    }
+
+    resume() {
+        if (this.state !== OptimizerState.PAUSED) return;
+        this.state = OptimizerState.RUNNING;
+        this.send('resume');
+    }
+
+    /**
+     * Stop early - onComplete still fires with the best layout found so far
+     */
+    stop() {
+        if (this.state !== OptimizerState.RUNNING && this.state !== OptimizerState.PAUSED) return;
+        this.send('stop');
+    }
+
+    /**
+     * Abort and discard results without calling onComplete
+     */
+    cancel() {
+        this.send('cancel');
+        this.pendingStart = null;
+        this.reset();
+    }
+
+    isRunning() {
+        return this.state === OptimizerState.RUNNING;
+    }
+
+    send(type) {
+        if (this.localOptimizer) {
+            this.localOptimizer[type]();
+            if (type === 'cancel') this.localOptimizer = null;
+        } else if (this.worker) {
+            this.worker.postMessage({ type });
+        }
+    }
+
+    /**
+     * Handle a message from the worker
+     */
+    handleMessage(message) {
+        // Ignore late messages from a cancelled run
+        if (this.state === OptimizerState.IDLE) return;
+
+        switch (message.type) {
+            case 'started':
+                this.workerReady = true;
+                this.originalSnapshot = message.originalSnapshot;
+                this.bestSnapshot = message.originalSnapshot;
+                this.snapshots.push(message.originalSnapshot);
+                break;
+
+            case 'progress':
+                this.snapshots.push(...message.snapshots);
+                this.bestSnapshot = message.bestSnapshot;
+                if (this.onProgress) this.onProgress(message.progress);
+                if (this.onStep) this.onStep(this.bestSnapshot);
+                break;
+
+            case 'complete':
+                this.snapshots.push(...message.snapshots);
+                if (message.result.bestSnapshot) this.bestSnapshot = message.result.bestSnapshot;
+                this.handleComplete(message.result);
+                break;
+
+            case 'error':
+                console.error('Optimizer worker error:', message.message);
+                this.handleComplete({
+                    reason: 'error',
+                    error: message.message,
+                    iteration: 0,
+                    improvement: 0,
+                    bestCost: null,
+                    bestSnapshot: this.bestSnapshot
+                });
+                break;
+        }
+    }
+
+    /**
+     * The worker script failed to load or threw - fall back to the main thread
+     * before the run started, end the run with the best layout so far after
+     */
+    handleWorkerError(event) {
+        event.preventDefault?.();
+
+        if (this.workerReady || !this.pendingStart) {
+            if (this.state === OptimizerState.RUNNING || this.state === OptimizerState.PAUSED) {
+                this.handleMessage({ type: 'error', message: event.message });
+            } else {
+                console.error('Optimizer worker error:', event.message);
+            }
+            return;
+        }
+
+        console.warn('Optimizer worker failed to start, running on main thread:', event.message);
+        this.worker.terminate();
+        this.worker = null;
+        this.workerFailed = true;
+
+        if (this.state === OptimizerState.RUNNING || this.state === OptimizerState.PAUSED) {
+            this.startLocal(this.pendingStart.layout, this.pendingStart.weights);
+        }
+    }
+
+    /**
+     * Run on the main thread, mirroring the worker's messages
+     */
+    startLocal(layout, weights) {
+        const optimizer = new Optimizer(this.options);
+        this.localOptimizer = optimizer;
+        let sentSnapshotCount = 0;
+
+        const takeNewSnapshots = () => {
+            const snapshots = optimizer.getSnapshots().slice(sentSnapshotCount);
+            sentSnapshotCount += snapshots.length;
+            return snapshots;
+        };
+
+        optimizer.onProgress = (progress) => {
+            this.handleMessage({
+                type: 'progress',
+                progress,
+                bestSnapshot: optimizer.getBestSnapshot(),
+                snapshots: takeNewSnapshots()
+            });
+        };
+        optimizer.onComplete = (result) => {
+            this.handleMessage({ type: 'complete', result, snapshots: takeNewSnapshots() });
+        };
+        optimizer.onError = (err) => {
+            this.handleMessage({ type: 'error', message: err.message });
+        };
+
+        optimizer.setup(deserializeLayout(layout), weights);
+        this.handleMessage({ type: 'started', originalSnapshot: optimizer.getOriginalLayout() });
+        sentSnapshotCount = optimizer.getSnapshots().length;
+
+        optimizer.run();
+        if (this.state === OptimizerState.PAUSED) optimizer.pause();
+    }
+
+    handleComplete(result) {
+        this.state = OptimizerState.FINISHED;
+        this.localOptimizer = null;
+        if (this.onComplete) this.onComplete(result);
+    }
+
+    getSnapshots() {
+        return this.snapshots;
+    }
+
+    getBestSnapshot() {
+        return this.bestSnapshot;
+    }
+
+    getOriginalLayout() {
+        return this.originalSnapshot;
+    }
+
+    /**
+     * Terminate the worker
+     */
+    destroy() {
+        this.cancel();
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
+
+export default OptimizationRunner;
@@ -0,0 +1,485 @@
+/**
+ * Optimizer.js - Simulated annealing layout optimizer
+ *
+ * Works on private copies of the components and beam path, so the store is
+ * never touched while a run is in progress. Only non-fixed components move,
+ * and moves slide a component along its beam axis while carrying the
+ * downstream chain, so the beam topology is preserved by construction. A move
+ * is still rejected if any beam segment that was valid at the start would
+ * fail BeamPhysics.validateConnection afterwards.
+ *
+ * Results are exposed as snapshots ({ iteration, cost, positions, angles, ... })
+ * that ResultsGraph.setData() and Renderer.renderPreview() consume directly.
+ */
+
+import { Component } from '../models/Component.js';
+import { BeamPath } from '../models/BeamPath.js';
+import * as BeamPhysics from '../physics/BeamPhysics.js';
+import { DEFAULT_WEIGHTS, calculateObjectives, createReference, combineCost } from './CostFunction.js';
+
+/**
+ * Optimizer run states
+ */
+export const OptimizerState = {
+    IDLE: 'idle',
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    FINISHED: 'finished'
+};
+
+/**
+ * Default optimizer options
+ */
+export const DEFAULT_OPTIONS = {
+    maxIterations: 3000,
+    iterationsPerBatch: 25,     // Iterations per timer tick (keeps the page responsive)
+    snapshotInterval: 10,       // Record a snapshot every N iterations
+    initialTemperature: 10,     // In cost units (starting layout scores ~100)
+    coolingRate: 0.998,
+    initialStepSize: 50,        // mm
+    minStepSize: 1,             // mm
+    earlyStopIterations: 600,   // Stop after this many iterations without improvement
+    alignmentTolerance: 0.1,    // Max beam angle deviation a move may introduce (degrees)
+    gridSize: 0                 // Snap move distances to this grid (0 = off)
+};
+
+export class Optimizer {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        // Callbacks
+        this.onProgress = null;   // (progress) => void
+        this.onStep = null;       // (snapshot) => void - current best layout
+        this.onComplete = null;   // (result) => void
+        this.onError = null;      // (error) => void - a batch threw; the run is over
+
+        this.reset();
+    }
+
+    /**
+     * Clear all run data
+     */
+    reset() {
+        this.state = OptimizerState.IDLE;
+        this.components = new Map();
+        this.beamPath = new BeamPath();
+        this.constraints = null;
+        this.weights = { ...DEFAULT_WEIGHTS };
+        this.reference = null;
+        this.gridSize = this.options.gridSize;
+
+        this.movableIds = [];
+        this.groups = [];
+        this.requiredSegmentIds = [];
+        this.segmentTolerances = new Map();
+
+        this.iteration = 0;
+        this.temperature = this.options.initialTemperature;
+        this.iterationsSinceImprovement = 0;
+
+        this.initialCost = 0;
+        this.currentCost = null;
+        this.bestCost = null;
+        this.bestSnapshot = null;
+        this.originalSnapshot = null;
+        this.snapshots = [];
+        this.timer = null;
+    }
+
+    /**
+     * Prepare a run from application state
+     * @param {Object} state - Store state (components, beamPath, constraints, grid)
+     * @param {Object} weights - Objective weights { com, footprint, pathLength }
+     */
+    setup(state, weights = DEFAULT_WEIGHTS) {
+        this.reset();
+
+        // Work on copies so the store is never mutated
+        state.components.forEach((comp, id) => {
+            this.components.set(id, Component.fromJSON(comp.toJSON()));
+        });
+        this.beamPath = BeamPath.fromJSON(state.beamPath.toJSON());
+        this.constraints = state.constraints;
+        this.groups = state.groups || [];
+        this.weights = { ...DEFAULT_WEIGHTS, ...weights };
+
+        // Moves in whole hole pitches keep bolted-down mounts on their holes
+        if (state.breadboard?.enabled && state.breadboard.snapToHoles && !this.gridSize) {
+            this.gridSize = state.breadboard.pitch;
+        } else if (state.grid?.enabled && !this.gridSize) {
+            this.gridSize = state.grid.size;
+        }
+
+        this.movableIds = Array.from(this.components.values())
+            .filter(c => !c.isFixed)
+            .map(c => c.id);
+
+        // Only segments that are valid now have to stay valid, and their
+        // alignment may not get worse than it is in the starting layout
+        this.segmentTolerances = new Map();
+        this.beamPath.getAllSegments().forEach(seg => {
+            if (!BeamPhysics.validateSegment(seg, this.beamPath, this.components).valid) return;
+
+            const deviation = this.getSegmentDeviation(seg);
+            if (deviation <= BeamPhysics.ANGLE_TOLERANCE) {
+                this.segmentTolerances.set(seg.id, Math.max(deviation, this.options.alignmentTolerance));
+            }
+        });
+        this.requiredSegmentIds = Array.from(this.segmentTolerances.keys());
+
+        const objectives = this.evaluateObjectives();
+        this.reference = createReference(objectives);
+        const cost = combineCost(objectives, this.weights, this.reference);
+
+        this.initialCost = cost.total;
+        this.currentCost = cost;
+        this.bestCost = cost;
+
+        this.originalSnapshot = this.createSnapshot(cost, objectives);
+        this.bestSnapshot = this.originalSnapshot;
+        this.snapshots.push(this.originalSnapshot);
+    }
+
+    /**
+     * Start optimizing asynchronously
+     */
+    start(state, weights) {
+        clearTimeout(this.timer);
+        this.setup(state, weights);
+        this.run();
+    }
+
+    /**
+     * Run a prepared optimization (see setup())
+     */
+    run() {
+        if (this.movableIds.length === 0) {
+            this.finish('noMovable');
+            return;
+        }
+
+        this.state = OptimizerState.RUNNING;
+        this.scheduleBatch();
+    }
+
+    pause() {
+        if (this.state !== OptimizerState.RUNNING) return;
+        this.state = OptimizerState.PAUSED;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    resume() {
+        if (this.state !== OptimizerState.PAUSED) return;
+        this.state = OptimizerState.RUNNING;
+        this.scheduleBatch();
+    }
+
+    /**
+     * Stop the run early, keeping everything found so far
+     */
+    stop() {
+        if (this.state === OptimizerState.RUNNING || this.state === OptimizerState.PAUSED) {
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.finish('stopped');
+        }
+    }
+
+    /**
+     * Abort the run and discard its results without calling onComplete
+     */
+    cancel() {
+        clearTimeout(this.timer);
+        this.reset();
+    }
+
+    isRunning() {
+        return this.state === OptimizerState.RUNNING;
+    }
+
+    scheduleBatch() {
+        this.timer = setTimeout(() => {
+            // Batches run outside the caller's stack, so report errors instead of throwing them
+            try {
+                this.runBatch();
+            } catch (err) {
+                this.state = OptimizerState.FINISHED;
+                if (!this.onError) throw err;
+                this.onError(err);
+            }
+        }, 0);
+    }
+
+    /**
+     * Run one batch of iterations and report progress
+     */
+    runBatch() {
+        this.timer = null;
+        if (this.state !== OptimizerState.RUNNING) return;
+
+        let reason = null;
+        for (let i = 0; i < this.options.iterationsPerBatch; i++) {
+            reason = this.step();
+            if (reason) break;
+        }
+
+        if (this.onProgress) this.onProgress(this.getProgress());
+        if (this.onStep) this.onStep(this.bestSnapshot);
+
+        if (reason) {
+            this.finish(reason);
+        } else {
+            this.scheduleBatch();
+        }
+    }
+
+    /**
+     * Perform a single annealing iteration
+     * @returns {string|null} Finish reason, or null to keep going
+     */
+    step() {
+        this.iteration++;
+
+        const move = this.proposeMove();
+        if (move) {
+            this.applyMove(move, 'to');
+
+            if (!this.isLayoutValid()) {
+                this.applyMove(move, 'from');
+            } else {
+                const objectives = this.evaluateObjectives();
+                const cost = combineCost(objectives, this.weights, this.reference);
+                const delta = cost.total - this.currentCost.total;
+
+                if (delta <= 0 || Math.random() < Math.exp(-delta / this.temperature)) {
+                    this.currentCost = cost;
+
+                    if (cost.total < this.bestCost.total - 1e-6) {
+                        this.bestCost = cost;
+                        this.bestSnapshot = this.createSnapshot(cost, objectives);
+                        this.iterationsSinceImprovement = 0;
+                    }
+                } else {
+                    this.applyMove(move, 'from');
+                }
+            }
+        }
+
+        this.iterationsSinceImprovement++;
+        this.temperature *= this.options.coolingRate;
+
+        if (this.iteration % this.options.snapshotInterval === 0) {
+            const objectives = this.evaluateObjectives();
+            this.snapshots.push(this.createSnapshot(this.currentCost, objectives));
+        }
+
+        if (this.iteration >= this.options.maxIterations) return 'completed';
+        if (this.iterationsSinceImprovement >= this.options.earlyStopIterations) return 'earlyStop';
+        return null;
+    }
+
+    /**
+     * Propose sliding one random movable component along its beam axis
+     * The downstream chain is carried along so every beam stays connected
+     * (BeamPhysics.planConstrainedMove); unconnected components move
+     * horizontally or vertically. Sub-assemblies move as a whole.
+     * @returns {Object|null} { moves: [{ id, from, to }] }
+     */
+    proposeMove() {
+        if (this.movableIds.length === 0) return null;
+
+        const id = this.movableIds[Math.floor(Math.random() * this.movableIds.length)];
+
+        const axis = BeamPhysics.getSlideAxis(id, this.beamPath, this.components);
+        if (axis.locked) return null;
+
+        const dir = axis.free
+            ? BeamPhysics.angleToVector(BeamPhysics.CARDINAL_ANGLES[Math.floor(Math.random() * 4)])
+            : axis.direction;
+
+        const progress = this.temperature / this.options.initialTemperature;
+        const stepSize = Math.max(this.options.minStepSize, this.options.initialStepSize * progress);
+        let distance = (Math.random() * 2 - 1) * stepSize;
+
+        const grid = this.gridSize;
+        if (grid > 0) {
+            distance = Math.round(distance / grid) * grid || Math.sign(distance) * grid;
+        }
+
+        const plan = BeamPhysics.planConstrainedMove(
+            id, { x: dir.x * distance, y: dir.y * distance }, this.beamPath, this.components
+        );
+        if (!plan.valid || !this.addGroupMoves(plan.positions)) return null;
+
+        const moves = [];
+        plan.positions.forEach((pos, movedId) => {
+            moves.push({
+                id: movedId,
+                from: { ...this.components.get(movedId).position },
+                to: {
+                    x: Math.round(pos.x * 1000) / 1000,
+                    y: Math.round(pos.y * 1000) / 1000
+                }
+            });
+        });
+
+        return { moves };
+    }
+
+    /**
+     * Carry whole groups along with any of their members a move touches
+     * Every member gets the shift of the first moved member (rigid body).
+     * @param {Map} positions - Planned positions (id -> {x, y}), extended in place
+     * @returns {boolean} False if a touched group has a fixed member
+     */
+    addGroupMoves(positions) {
+        for (const group of this.groups) {
+            const anchorId = group.componentIds.find(id => positions.has(id));
+            if (!anchorId) continue;
+
+            const anchor = this.components.get(anchorId);
+            const shift = {
+                x: positions.get(anchorId).x - anchor.position.x,
+                y: positions.get(anchorId).y - anchor.position.y
+            };
+
+            for (const id of group.componentIds) {
+                const member = this.components.get(id);
+                if (!member) continue;
+                if (member.isFixed) return false;
+                positions.set(id, { x: member.position.x + shift.x, y: member.position.y + shift.y });
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Apply ('to') or undo ('from') a proposed move
+     */
+    applyMove(move, which) {
+        move.moves.forEach(m => {
+            const comp = this.components.get(m.id);
+            if (comp) comp.position = { ...m[which] };
+        });
+    }
+
+    /**
+     * Check that every required segment still passes validation
+     */
+    isLayoutValid() {
+        return this.requiredSegmentIds.every(segId => {
+            const segment = this.beamPath.getSegment(segId);
+            if (!segment) return true;
+
+            return BeamPhysics.validateSegment(segment, this.beamPath, this.components).valid &&
+                this.isSegmentAligned(segment);
+        });
+    }
+
+    /**
+     * Check that the beam leaving the source component actually reaches the target
+     * validateConnection() lets mirrors and beam splitters accept a beam from any
+     * direction, which would otherwise let the optimizer walk them off the beam.
+     */
+    isSegmentAligned(segment) {
+        if (!segment.targetId) return true;
+        return this.getSegmentDeviation(segment) <= this.segmentTolerances.get(segment.id) + 1e-9;
+    }
+
+    /**
+     * Angle between the expected output beam and the direction to the target (degrees)
+     */
+    getSegmentDeviation(segment) {
+        if (!segment.targetId) return 0;
+
+        const incomingAngle = BeamPhysics.getIncomingBeamAngle(segment.sourceId, this.beamPath, this.components);
+        return BeamPhysics.calculateSegmentAngleDeviation(segment, this.components, incomingAngle);
+    }
+
+    evaluateObjectives() {
+        return calculateObjectives(Array.from(this.components.values()), this.beamPath, this.constraints);
+    }
+
+    /**
+     * Capture the current working layout
+     */
+    createSnapshot(cost, objectives) {
+        const positions = new Map();
+        const angles = new Map();
+        this.components.forEach((comp, id) => {
+            positions.set(id, { ...comp.position });
+            angles.set(id, comp.angle);
+        });
+
+        return {
+            iteration: this.iteration,
+            cost: cost.total,
+            costBreakdown: { ...cost },
+            objectives: { ...objectives },
+            positions,
+            angles
+        };
+    }
+
+    getProgress() {
+        return {
+            iteration: this.iteration,
+            maxIterations: this.options.maxIterations,
+            progress: Math.min(1, this.iteration / this.options.maxIterations),
+            improvement: this.getImprovement(),
+            iterationsSinceImprovement: this.iterationsSinceImprovement,
+            cost: this.currentCost.total,
+            bestCost: this.bestCost.total,
+            costBreakdown: { ...this.bestCost },
+            objectives: { ...this.bestSnapshot.objectives }
+        };
+    }
+
+    /**
+     * Improvement of the best layout over the original (percent)
+     */
+    getImprovement() {
+        if (!this.initialCost) return 0;
+        return (this.initialCost - this.bestCost.total) / this.initialCost * 100;
+    }
+
+    finish(reason) {
+        this.state = OptimizerState.FINISHED;
+
+        if (this.onComplete) {
+            this.onComplete({
+                reason,
+                iteration: this.iteration,
+                improvement: this.getImprovement(),
+                bestCost: this.bestCost ? this.bestCost.total : null,
+                bestSnapshot: this.bestSnapshot
+            });
+        }
+    }
+
+    getSnapshots() {
+        return this.snapshots;
+    }
+
+    getBestSnapshot() {
+        return this.bestSnapshot;
+    }
+
+    getBestPositions() {
+        return this.bestSnapshot ? this.bestSnapshot.positions : new Map();
+    }
+
+    getBestAngles() {
+        return this.bestSnapshot ? this.bestSnapshot.angles : new Map();
+    }
+
+    /**
+     * Layout before optimization (used for the split-screen comparison)
+     */
+    getOriginalLayout() {
+        return this.originalSnapshot;
+    }
+}
+
+export default Optimizer;
@@ -0,0 +1,96 @@
+/**
+ * OptimizerWorker.js - Web Worker entry point for layout optimization
+ *
+ * Runs the Optimizer off the UI thread. Loaded as a module worker by
+ * OptimizationRunner; all communication is via postMessage.
+ *
+ * Incoming messages:
+ *   { type: 'start', runId, layout, weights, options }  - layout is a serializeDocument() result
+ *   { type: 'pause' } | { type: 'resume' } | { type: 'stop' } | { type: 'cancel' }
+ *
+ * Outgoing messages (all tagged with the runId of the current run):
+ *   { type: 'started', originalSnapshot }
+ *   { type: 'progress', progress, bestSnapshot, snapshots }  - snapshots added since last message
+ *   { type: 'complete', result, snapshots }
+ *   { type: 'error', message }
+ */
+
+import { Optimizer } from './Optimizer.js';
+import { deserializeLayout } from '../state.js';
+
+let optimizer = null;
+let runId = 0;
+let sentSnapshotCount = 0;
+
+function post(message) {
+    self.postMessage({ ...message, runId });
+}
+
+/**
+ * Snapshots recorded since the last message
+ */
+function takeNewSnapshots() {
+    const snapshots = optimizer.getSnapshots().slice(sentSnapshotCount);
+    sentSnapshotCount += snapshots.length;
+    return snapshots;
+}
+
+function startOptimization(layout, weights, options) {
+    if (optimizer) optimizer.cancel();
+
+    // No UI to keep responsive here, so larger batches are fine;
+    // messages (pause/stop) are still handled between batches
+    optimizer = new Optimizer({ iterationsPerBatch: 100, ...options });
+    sentSnapshotCount = 0;
+
+    optimizer.onProgress = (progress) => {
+        post({
+            type: 'progress',
+            progress,
+            bestSnapshot: optimizer.getBestSnapshot(),
+            snapshots: takeNewSnapshots()
+        });
+    };
+
+    optimizer.onComplete = (result) => {
+        post({ type: 'complete', result, snapshots: takeNewSnapshots() });
+    };
+
+    optimizer.onError = (err) => {
+        post({ type: 'error', message: err.message });
+    };
+
+    optimizer.setup(deserializeLayout(layout), weights);
+    post({ type: 'started', originalSnapshot: optimizer.getOriginalLayout() });
+    sentSnapshotCount = optimizer.getSnapshots().length;
+
+    optimizer.run();
+}
+
+self.onmessage = (event) => {
+    const { type } = event.data;
+
+    try {
+        switch (type) {
+            case 'start':
+                runId = event.data.runId;
+                startOptimization(event.data.layout, event.data.weights, event.data.options);
+                break;
+            case 'pause':
+                optimizer?.pause();
+                break;
+            case 'resume':
+                optimizer?.resume();
+                break;
+            case 'stop':
+                optimizer?.stop();
+                break;
+            case 'cancel':
+                optimizer?.cancel();
+                optimizer = null;
+                break;
+        }
+    } catch (err) {
+        post({ type: 'error', message: err.message });
+    }
+};
@@ -8,7 +8,8 @@
  * - Angle constraints per component type
  */
 
-import { ComponentType } from '../models/Component.js';
+import { ComponentType, PortRule, getPortRule, isReflectiveType } from '../models/Component.js';
+import { segmentRectDistance } from './Geometry.js';
 
 /**
  * Cardinal directions for beam paths (horizontal/vertical only)
@@ -28,19 +29,21 @@ export const CARDINAL_ANGLES = [0, 90, 180, 270];
 /**
  * Valid angles per component type
  * - Mirrors: 45 or 135 degrees (reflects beam by 90 degrees)
- * - Beam splitters: 0, 45, 90, 135, 180, 270 (can be oriented at various angles)
+ * - Beam splitters (incl. polarizing): 0, 45, 90, 135, 180, 270 (can be oriented at various angles)
  * - Transmission components: 0, 90, 180, 270 (beam passes straight through)
  * - Sources: 0, 90, 180, 270 (emits in cardinal direction)
- * - Detectors: Any (accepts beam from any direction)
+ * - Detectors, path points: Any (accept beam from any direction)
  */
 export const VALID_ANGLES_BY_TYPE = {
     [ComponentType.SOURCE]: [0, 90, 180, 270],
     [ComponentType.MIRROR]: [45, 135],
     [ComponentType.BEAM_SPLITTER]: [0, 45, 90, 135, 180, 270],  // More flexible angles
+    [ComponentType.POLARIZING_BEAM_SPLITTER]: [0, 45, 90, 135, 180, 270],
     [ComponentType.LENS]: [0, 90, 180, 270],
     [ComponentType.WAVEPLATE]: [0, 90, 180, 270],
     [ComponentType.FILTER]: [0, 90, 180, 270],
-    [ComponentType.DETECTOR]: [0, 45, 90, 135, 180, 225, 270, 315]  // Accepts any
+    [ComponentType.DETECTOR]: [0, 45, 90, 135, 180, 225, 270, 315],  // Accepts any
+    [ComponentType.PATH_POINT]: [0, 45, 90, 135, 180, 225, 270, 315]
 };
 
 /**
@@ -53,6 +56,16 @@ export const ANGLE_TOLERANCE = 5;
  */
 export const PATH_LENGTH_TOLERANCE = 1.0;
 
+/**
+ * Free-angle mode: how far a target's center may sit beside the exact ray (mm)
+ */
+export const BEAM_OFFSET_TOLERANCE = 1.0;
+
+/**
+ * Default gap a beam must keep from the bodies and mounts it passes (mm)
+ */
+export const DEFAULT_BEAM_CLEARANCE = 2.0;
+
 /**
  * Normalize an angle to 0-360 range
  */
@@ -227,14 +240,32 @@ export function calculateMirrorReflection(incomingAngle, mirrorAngle) {
     const incomingDir = angleToVector(incomingAngle);
     const surfaceNormal = getSurfaceNormal(mirrorAngle);
     const reflectedDir = calculateReflectionDirection(incomingDir, surfaceNormal);
-    return vectorToAngle(reflectedDir);
+    // Drop floating point noise (89.99999999999999 -> 90) so exact angles stay exact
+    return normalizeAngle(Math.round(vectorToAngle(reflectedDir) * 1e9) / 1e9);
+}
+
+/**
+ * Mirror angle that turns a beam from one direction into another
+ * @param {number} incomingAngle - Beam angle arriving at the mirror (degrees)
+ * @param {number} outgoingAngle - Wanted beam angle leaving the mirror (degrees)
+ * @returns {number|null} Mirror angle in [0, 180), or null if the beam goes straight on
+ */
+export function getMirrorAngleForTurn(incomingAngle, outgoingAngle) {
+    const turn = Math.abs(normalizeAngleDiff(outgoingAngle - incomingAngle));
+    if (turn < 1e-6) return null;
+
+    // The surface bisects the two beam directions - one of two perpendicular candidates
+    const bisector = normalizeAngle((incomingAngle + outgoingAngle) / 2) % 180;
+    return [bisector, (bisector + 90) % 180].find(angle =>
+        Math.abs(normalizeAngleDiff(calculateMirrorReflection(incomingAngle, angle) - outgoingAngle)) < 1e-6
+    ) ?? null;
 }
 
 /**
  * Get the expected output direction from a component given input direction
  * @param {Object} component - Component object
  * @param {number} inputAngle - Incoming beam angle (degrees)
- * @param {string} outputPort - 'reflected' or 'transmitted'
+ * @param {string} outputPort - 'reflected', 'transmitted' or a user-defined port
  * @returns {number|null} Output beam angle (degrees), or null if invalid
  */
 export function getOutputDirection(component, inputAngle, outputPort = 'reflected') {
@@ -252,6 +283,7 @@ export function getOutputDirection(component, inputAngle, outputPort = 'reflecte
             return calculateMirrorReflection(inputAngle, component.angle);
 
         case ComponentType.BEAM_SPLITTER:
+        case ComponentType.POLARIZING_BEAM_SPLITTER:
             if (outputPort === 'transmitted') {
                 // Transmitted beam continues straight through
                 return normalizeAngle(inputAngle);
@@ -276,8 +308,20 @@ export function getOutputDirection(component, inputAngle, outputPort = 'reflecte
             // Detectors absorb - no output
             return null;
 
-        default:
-            return normalizeAngle(inputAngle);
+        default: {
+            // User-defined types follow the rule of the output port
+            const portRule = getPortRule(type, outputPort);
+            switch (portRule?.rule) {
+                case PortRule.REFLECT:
+                    return calculateMirrorReflection(inputAngle, component.angle);
+                case PortRule.DEFLECT:
+                    return normalizeAngle(inputAngle + portRule.angle);
+                case PortRule.TERMINATE:
+                    return null;
+                default:
+                    return normalizeAngle(inputAngle);
+            }
+        }
     }
 }
 
@@ -323,6 +367,33 @@ export function isTargetOnBeamPath(sourcePos, targetPos, expectedAngle, toleranc
     return adjustedDiff <= tolerance;
 }
 
+/**
+ * Position of a point relative to a ray
+ * @param {Object} origin - Ray origin {x, y}
+ * @param {number} angle - Ray angle (degrees)
+ * @param {Object} point - Point {x, y}
+ * @returns {Object} { along, lateral } - distance along the ray (negative = behind
+ *   the origin) and perpendicular distance from it (mm)
+ */
+export function getRayOffset(origin, angle, point) {
+    const dir = angleToVector(angle);
+    const dx = point.x - origin.x;
+    const dy = point.y - origin.y;
+    return {
+        along: dx * dir.x + dy * dir.y,
+        lateral: Math.abs(dx * dir.y - dy * dir.x)
+    };
+}
+
+/**
+ * Check if a target lies on the exact ray (free-angle mode)
+ * @param {number} tolerance - Maximum lateral offset (mm)
+ */
+export function isTargetOnRay(sourcePos, targetPos, rayAngle, tolerance = BEAM_OFFSET_TOLERANCE) {
+    const offset = getRayOffset(sourcePos, rayAngle, targetPos);
+    return offset.along > 0 && offset.lateral <= tolerance;
+}
+
 /**
  * Check if a beam can hit a transmission component (lens, waveplate, filter)
  * Beam must pass through perpendicular to the component surface
@@ -351,28 +422,38 @@ export function canTransmissionComponentAccept(componentAngle, beamAngle, tolera
 
 /**
  * Validate if a connection between two components is physically possible
+ *
+ * Free-angle mode (either component has allowAnyAngle): the outgoing ray is
+ * computed exactly (e.g. reflection off a mirror at 22.5°) and the target's
+ * center must lie on it within BEAM_OFFSET_TOLERANCE. The returned beamAngle
+ * is then the exact ray angle rather than the center-to-center angle.
+ *
+ * Components the beam runs into or grazes on the way are listed in
+ * `obstructions` (see findBeamObstructions). A clipped beam is still a valid
+ * connection - the clipping is reported as a layout violation instead.
+ *
  * @param {Object} sourceComp - Source component
  * @param {Object} targetComp - Target component
  * @param {string} sourcePort - Output port on source ('output', 'reflected', 'transmitted')
  * @param {number|null} incomingBeamAngle - Angle of beam entering source component (null for sources)
  * @param {Map} componentMap - Map of all components by ID
- * @returns {Object} { valid: boolean, error: string|null, beamAngle: number|null }
+ * @param {Object} options - { clearance } for the obstruction check
+ * @returns {Object} { valid, error, beamAngle, beamDirection, obstructions }
  */
-export function validateConnection(sourceComp, targetComp, sourcePort, incomingBeamAngle, componentMap) {
+export function validateConnection(sourceComp, targetComp, sourcePort, incomingBeamAngle, componentMap, options = {}) {
     const result = {
         valid: false,
         error: null,
         beamAngle: null,
-        beamDirection: null
+        beamDirection: null,
+        obstructions: []
     };
 
-    // Check if either component has relaxed constraints
+    // Check if either component is in free-angle mode
     const sourceRelaxed = sourceComp.allowAnyAngle || false;
     const targetRelaxed = targetComp.allowAnyAngle || false;
-    const relaxedMode = sourceRelaxed || targetRelaxed;
-
-    // Use wider tolerance when constraints are relaxed
-    const tolerance = relaxedMode ? 30 : ANGLE_TOLERANCE;
+    const freeAngleMode = sourceRelaxed || targetRelaxed;
+    const tolerance = ANGLE_TOLERANCE;
 
     // 1. Determine output beam angle from source component
     let outputAngle;
@@ -383,7 +464,7 @@ export function validateConnection(sourceComp, targetComp, sourcePort, incomingB
     } else if (incomingBeamAngle !== null) {
         outputAngle = getOutputDirection(sourceComp, incomingBeamAngle, sourcePort);
     } else {
-        // If source has allowAnyAngle, calculate direct angle to target
+        // A free-angle component with no incoming beam can point anywhere
         if (sourceRelaxed) {
             outputAngle = calculateBeamAngle(sourceComp.position, targetComp.position);
         } else {
@@ -398,21 +479,28 @@ export function validateConnection(sourceComp, targetComp, sourcePort, incomingB
     }
 
     // 2. Check if target is along the beam path (with appropriate tolerance)
-    // EXCEPTION: Mirrors and beam splitters can accept beams from ANY direction,
-    // so skip this check for them as targets
-    const targetIsMirrorOrBS = [ComponentType.MIRROR, ComponentType.BEAM_SPLITTER].includes(targetComp.type);
-
-    if (!targetIsMirrorOrBS && !isTargetOnBeamPath(sourceComp.position, targetComp.position, outputAngle, tolerance)) {
-        // If source allows any angle, skip this check
-        if (!sourceRelaxed) {
-            const actualAngle = calculateBeamAngle(sourceComp.position, targetComp.position);
-            result.error = `Target ${targetComp.name} is not in beam path. Expected angle: ${outputAngle.toFixed(1)}°, actual: ${actualAngle?.toFixed(1) ?? 'N/A'}°`;
+    if (freeAngleMode) {
+        // Exact ray - applies to every target, mirrors included
+        if (!isTargetOnRay(sourceComp.position, targetComp.position, outputAngle)) {
+            const offset = getRayOffset(sourceComp.position, outputAngle, targetComp.position);
+            result.error = offset.along > 0
+                ? `Target ${targetComp.name} is ${offset.lateral.toFixed(1)} mm off the ${outputAngle.toFixed(1)}° beam`
+                : `Target ${targetComp.name} is behind ${sourceComp.name}`;
             return result;
         }
+    } else if (!isReflectiveType(targetComp.type) &&
+               !isTargetOnBeamPath(sourceComp.position, targetComp.position, outputAngle, tolerance)) {
+        // EXCEPTION: Mirrors and beam splitters can accept beams from ANY direction,
+        // so skip this check for them as targets
+        const actualAngle = calculateBeamAngle(sourceComp.position, targetComp.position);
+        result.error = `Target ${targetComp.name} is not in beam path. Expected angle: ${outputAngle.toFixed(1)}°, actual: ${actualAngle?.toFixed(1) ?? 'N/A'}°`;
+        return result;
     }
 
     // 3. Check if target can accept beam from this direction
-    const beamAngle = calculateBeamAngle(sourceComp.position, targetComp.position);
+    const beamAngle = freeAngleMode
+        ? normalizeAngle(outputAngle)
+        : calculateBeamAngle(sourceComp.position, targetComp.position);
 
     // For transmission components, check that beam is along optical axis (skip if target has relaxed constraints)
     if (!targetRelaxed && [ComponentType.LENS, ComponentType.WAVEPLATE, ComponentType.FILTER].includes(targetComp.type)) {
@@ -422,8 +510,11 @@ export function validateConnection(sourceComp, targetComp, sourcePort, incomingB
         }
     }
 
-    // 4. Check for obstacles in the path (optional - can be expanded)
-    // For now, we'll skip obstacle detection as it adds complexity
+    // 4. Components the beam runs into or grazes on its way
+    result.obstructions = findBeamObstructions(sourceComp.position, targetComp.position, componentMap, {
+        ignoreIds: [sourceComp.id, targetComp.id],
+        clearance: options.clearance
+    });
 
     result.valid = true;
     result.beamAngle = beamAngle;
@@ -432,6 +523,389 @@ export function validateConnection(sourceComp, targetComp, sourcePort, incomingB
     return result;
 }
 
+/**
+ * Get the angle of the beam arriving at a component from its first incoming segment
+ * @param {string} componentId - Component receiving the beam
+ * @param {Object} beamPath - BeamPath graph
+ * @param {Map} componentMap - Map of all components by ID
+ * @returns {number|null} Incoming beam angle (degrees), or null if nothing feeds the component
+ */
+export function getIncomingBeamAngle(componentId, beamPath, componentMap) {
+    const component = componentMap.get(componentId);
+    if (!component) return null;
+
+    const incoming = beamPath.getIncomingSegments(componentId);
+    if (incoming.length === 0) return null;
+
+    const upstream = componentMap.get(incoming[0].sourceId);
+    if (!upstream) return null;
+
+    return calculateBeamAngle(upstream.position, component.position);
+}
+
+/**
+ * Validate an existing beam segment against the current component positions
+ * Segments that terminate at the workspace boundary are always considered valid.
+ * A component that several beams reach (a Michelson splitter, a double pass)
+ * sends each its own way; the segment is valid if one of them leads along it.
+ * @param {Object} segment - BeamSegment
+ * @param {Object} beamPath - BeamPath graph containing the segment
+ * @param {Map} componentMap - Map of all components by ID
+ * @param {Object} options - Passed on to validateConnection()
+ * @returns {Object} Same shape as validateConnection()
+ */
+export function validateSegment(segment, beamPath, componentMap, options = {}) {
+    if (!segment.targetId) {
+        return { valid: true, error: null, beamAngle: segment.directionAngle, beamDirection: segment.direction, obstructions: [] };
+    }
+
+    const sourceComp = componentMap.get(segment.sourceId);
+    const targetComp = componentMap.get(segment.targetId);
+    if (!sourceComp || !targetComp) {
+        return { valid: false, error: 'Segment references a missing component', beamAngle: null, beamDirection: null, obstructions: [] };
+    }
+
+    const incomingAngles = sourceComp.type === ComponentType.SOURCE
+        ? []
+        : beamPath.getIncomingSegments(sourceComp.id)
+            .map(incoming => componentMap.get(incoming.sourceId))
+            .filter(Boolean)
+            .map(upstream => calculateBeamAngle(upstream.position, sourceComp.position));
+    if (incomingAngles.length === 0) incomingAngles.push(null);
+
+    let result = null;
+    for (const incomingAngle of incomingAngles) {
+        const validation = validateConnection(sourceComp, targetComp, segment.sourcePort, incomingAngle, componentMap, options);
+        if (validation.valid) return validation;
+        result = result ?? validation;
+    }
+    return result;
+}
+
+/**
+ * Find the components a straight beam runs into or passes too close to
+ * Every component except the beam's own ends is checked: its body and, when
+ * enabled, its mount zone (the kinematic mount and post around the optic).
+ * Path points are placeholders without hardware and never block a beam.
+ * @param {Object} start - Beam start {x, y}
+ * @param {Object} end - Beam end {x, y}
+ * @param {Map} componentMap - Map of all components by ID
+ * @param {Object} options - { ignoreIds: components the beam connects,
+ *   clearance: gap to keep (mm, default DEFAULT_BEAM_CLEARANCE),
+ *   beamRadius: beam half-width added to the clearance (mm, default 0) }
+ * @returns {Array} { componentId, part: 'body' | 'mount', gap (mm from the beam
+ *   edge, 0 if it hits), point, distance (mm along the beam) } in beam order
+ */
+export function findBeamObstructions(start, end, componentMap, options = {}) {
+    const obstructions = [];
+    if (!componentMap) return obstructions;
+
+    const ignoreIds = new Set(options.ignoreIds || []);
+    const beamRadius = options.beamRadius || 0;
+    const margin = (options.clearance ?? DEFAULT_BEAM_CLEARANCE) + beamRadius;
+    const length = Math.hypot(end.x - start.x, end.y - start.y);
+    const direction = length > 0
+        ? { x: (end.x - start.x) / length, y: (end.y - start.y) / length }
+        : { x: 0, y: 0 };
+
+    componentMap.forEach(component => {
+        if (ignoreIds.has(component.id) || component.type === ComponentType.PATH_POINT) return;
+
+        // A beam through the optic itself outranks one grazing its mount
+        const parts = [['body', component.getRect()], ['mount', component.getMountZoneRect()]];
+        for (const [part, rect] of parts) {
+            if (!rect) continue;
+            const gap = segmentRectDistance(start, end, rect);
+            if (gap >= margin) continue;
+
+            const distance = Math.max(0, Math.min(length,
+                (rect.center.x - start.x) * direction.x + (rect.center.y - start.y) * direction.y));
+            obstructions.push({
+                componentId: component.id,
+                part,
+                gap: Math.max(0, gap - beamRadius),
+                point: { x: start.x + direction.x * distance, y: start.y + direction.y * distance },
+                distance
+            });
+            break;
+        }
+    });
+
+    return obstructions.sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Components a beam meets on its own axis: the ends of every segment lying on
+ * the same line. A return pass (double-pass AOM, retro-reflected arm) is one
+ * segment that goes back through the optics of the forward pass.
+ * @returns {Set} Component IDs
+ */
+export function getOnAxisComponentIds(start, end, beamPath, componentMap) {
+    const ids = new Set();
+    const length = Math.hypot(end.x - start.x, end.y - start.y);
+    if (length === 0) return ids;
+
+    const lateral = p => Math.abs((p.x - start.x) * (end.y - start.y) - (p.y - start.y) * (end.x - start.x)) / length;
+    beamPath.getAllSegments().forEach(other => {
+        const a = componentMap.get(other.sourceId)?.position;
+        const b = other.targetId ? componentMap.get(other.targetId)?.position : null;
+        if (a && b && lateral(a) <= BEAM_OFFSET_TOLERANCE && lateral(b) <= BEAM_OFFSET_TOLERANCE) {
+            ids.add(other.sourceId);
+            ids.add(other.targetId);
+        }
+    });
+    return ids;
+}
+
+/**
+ * Constraint violations for every beam segment that clips a component
+ * Optics the beam already passes on the same axis do not count (see
+ * getOnAxisComponentIds). Same shape as checkConstraintViolations() entries
+ * (type 'beamClip'), plus segmentId, the obstruction part and the point on the beam.
+ * @param {Map} componentMap - Map of all components by ID
+ * @param {Object} beamPath - BeamPath graph
+ * @param {Object} options - { clearance (mm), gaussianBeams: traceGaussianBeams()
+ *   result - when given, the 1/e² beam radius is kept clear as well }
+ */
+export function checkBeamClipping(componentMap, beamPath, options = {}) {
+    const violations = [];
+
+    beamPath.getAllSegments().forEach(segment => {
+        const source = componentMap.get(segment.sourceId);
+        const target = segment.targetId ? componentMap.get(segment.targetId) : null;
+        const end = target ? target.position : segment.endPoint;
+        if (!source || !end) return;
+
+        // A Gaussian beam has a single waist, so it is widest at one of the segment ends
+        const beam = options.gaussianBeams?.segments.get(segment.id);
+        const beamRadius = beam ? Math.max(beam.startRadius, beam.endRadius) : 0;
+        const route = `${source.name} → ${target ? target.name : 'edge'}`;
+
+        findBeamObstructions(source.position, end, componentMap, {
+            ignoreIds: [segment.sourceId, segment.targetId, ...getOnAxisComponentIds(source.position, end, beamPath, componentMap)],
+            clearance: options.clearance,
+            beamRadius
+        }).forEach(obstruction => {
+            const other = componentMap.get(obstruction.componentId);
+            const what = obstruction.part === 'mount' ? `${other.name}'s mount` : other.name;
+            violations.push({
+                type: 'beamClip',
+                segmentId: segment.id,
+                componentId: obstruction.componentId,
+                part: obstruction.part,
+                point: obstruction.point,
+                message: obstruction.gap > 0
+                    ? `Beam ${route} passes ${obstruction.gap.toFixed(1)} mm from ${what}`
+                    : `Beam ${route} clips ${what}`
+            });
+        });
+    });
+
+    return violations;
+}
+
+/**
+ * Check if two beam angles are parallel (same or opposite direction)
+ */
+export function areAnglesParallel(angleA, angleB, tolerance = ANGLE_TOLERANCE) {
+    const diff = Math.abs(normalizeAngleDiff(angleA - angleB));
+    return diff <= tolerance || diff >= 180 - tolerance;
+}
+
+/**
+ * Snap an angle to the nearest cardinal direction when it is within tolerance
+ * Keeps repeated moves along nearly horizontal/vertical beams from drifting.
+ */
+export function snapToCardinalAngle(angle, tolerance = ANGLE_TOLERANCE) {
+    const cardinal = normalizeAngle(Math.round(angle / 90) * 90);
+    const diff = Math.abs(normalizeAngleDiff(angle - cardinal));
+    return diff <= tolerance ? cardinal : angle;
+}
+
+/**
+ * Find the axis a component can slide along without breaking its beam connections
+ * - Components fed by a beam slide along the incoming beam; the parts of the
+ *   downstream chain that would fall off their beams are carried along
+ *   (see planConstrainedMove)
+ * - Components that only emit (e.g. sources) slide along their output beam
+ * - Unconnected components can move freely
+ * @param {string} componentId - Component to move
+ * @param {Object} beamPath - BeamPath graph
+ * @param {Map} componentMap - Map of all components by ID
+ * @returns {Object} { angle, direction, free, locked, reason }
+ */
+export function getSlideAxis(componentId, beamPath, componentMap) {
+    const component = componentMap.get(componentId);
+    const result = { angle: null, direction: null, free: false, locked: false, reason: null };
+
+    if (!component) {
+        result.locked = true;
+        result.reason = 'Component not found';
+        return result;
+    }
+
+    // Free-angle beams are exact, so their axis is never snapped to cardinal
+    let freeAngle = component.allowAnyAngle || false;
+
+    // Angles of beams arriving at the component
+    let axisAngles = beamPath.getIncomingSegments(componentId)
+        .map(seg => componentMap.get(seg.sourceId))
+        .filter(Boolean)
+        .map(source => {
+            freeAngle = freeAngle || source.allowAnyAngle;
+            return calculateBeamAngle(source.position, component.position);
+        })
+        .filter(angle => angle !== null);
+
+    // Nothing feeds it - slide along the beams it emits
+    if (axisAngles.length === 0) {
+        axisAngles = beamPath.getOutgoingSegments(componentId)
+            .filter(seg => seg.targetId)
+            .map(seg => {
+                if (component.type === ComponentType.SOURCE) {
+                    return component.emissionAngle ?? snapAngleToValid(component.angle, ComponentType.SOURCE);
+                }
+                const target = componentMap.get(seg.targetId);
+                freeAngle = freeAngle || target?.allowAnyAngle;
+                return target ? calculateBeamAngle(component.position, target.position) : null;
+            })
+            .filter(angle => angle !== null);
+    }
+
+    if (axisAngles.length === 0) {
+        result.free = true;
+        return result;
+    }
+
+    const axis = axisAngles[0];
+    if (!axisAngles.every(angle => areAnglesParallel(angle, axis))) {
+        result.locked = true;
+        result.reason = `${component.name} is held by beams from more than one direction`;
+        return result;
+    }
+
+    result.angle = freeAngle ? normalizeAngle(axis) : snapToCardinalAngle(normalizeAngle(axis));
+    // Drop floating point noise so cardinal slides stay exactly on the grid
+    const dir = angleToVector(result.angle);
+    result.direction = {
+        x: Math.round(dir.x * 1e12) / 1e12,
+        y: Math.round(dir.y * 1e12) / 1e12
+    };
+    return result;
+}
+
+/**
+ * Plan a move that keeps every beam connection intact
+ * Downstream components whose beam is not parallel to the move are carried
+ * along by the same offset (recursively). The move is invalid if it would pull
+ * a component off a beam coming from a part that stays put, or drag a fixed
+ * component.
+ * @param {string} componentId - Component being moved
+ * @param {Object} delta - Offset {x, y} in mm
+ * @param {Object} beamPath - BeamPath graph
+ * @param {Map} componentMap - Map of all components by ID (positions before the move)
+ * @returns {Object} { valid, error, positions: Map(id -> {x, y}), carriedIds: [] }
+ */
+export function planConstrainedMove(componentId, delta, beamPath, componentMap) {
+    const result = { valid: false, error: null, positions: new Map(), carriedIds: [] };
+    const component = componentMap.get(componentId);
+
+    if (!component) {
+        result.error = 'Component not found';
+        return result;
+    }
+    if (component.isFixed) {
+        result.error = `${component.name} is fixed`;
+        return result;
+    }
+
+    const length = Math.hypot(delta.x, delta.y);
+    if (length < 1e-9) {
+        result.valid = true;
+        result.positions.set(componentId, { ...component.position });
+        return result;
+    }
+    const moveAngle = vectorToAngle(delta);
+
+    // 1. Collect everything downstream that must come along
+    const moved = new Set([componentId]);
+    const queue = [componentId];
+    while (queue.length > 0) {
+        const currentId = queue.shift();
+        const current = componentMap.get(currentId);
+
+        for (const segment of beamPath.getOutgoingSegments(currentId)) {
+            if (!segment.targetId || moved.has(segment.targetId)) continue;
+            const target = componentMap.get(segment.targetId);
+            if (!target) continue;
+
+            // A target on a beam parallel to the move stays on that beam
+            const beamAngle = calculateBeamAngle(current.position, target.position);
+            if (beamAngle === null || areAnglesParallel(beamAngle, moveAngle)) continue;
+
+            if (target.isFixed) {
+                result.error = `Moving ${component.name} would drag fixed component ${target.name}`;
+                return result;
+            }
+
+            moved.add(target.id);
+            result.carriedIds.push(target.id);
+            queue.push(target.id);
+        }
+    }
+
+    // 2. Every beam coming from a part that stays put must be parallel to the move
+    for (const id of moved) {
+        const current = componentMap.get(id);
+        for (const segment of beamPath.getIncomingSegments(id)) {
+            if (moved.has(segment.sourceId)) continue;
+            const source = componentMap.get(segment.sourceId);
+            if (!source) continue;
+
+            const beamAngle = calculateBeamAngle(source.position, current.position);
+            if (beamAngle !== null && !areAnglesParallel(beamAngle, moveAngle)) {
+                result.error = `Moving ${component.name} would pull ${current.name} off the beam from ${source.name}`;
+                return result;
+            }
+        }
+    }
+
+    moved.forEach(id => {
+        const pos = componentMap.get(id).position;
+        result.positions.set(id, { x: pos.x + delta.x, y: pos.y + delta.y });
+    });
+    result.valid = true;
+    return result;
+}
+
+/**
+ * Project a free drag offset onto a component's slide axis and plan the move
+ * @param {string} componentId - Component being dragged
+ * @param {Object} delta - Requested offset {x, y} in mm
+ * @param {Object} beamPath - BeamPath graph
+ * @param {Map} componentMap - Map of all components by ID (positions before the move)
+ * @param {number} gridSize - Snap the distance along the axis to this step (0 = off)
+ * @returns {Object} planConstrainedMove() result plus { axis, delta }
+ */
+export function constrainMoveToSlideAxis(componentId, delta, beamPath, componentMap, gridSize = 0) {
+    const axis = getSlideAxis(componentId, beamPath, componentMap);
+
+    if (axis.locked) {
+        return { valid: false, error: axis.reason, positions: new Map(), carriedIds: [], axis, delta: { x: 0, y: 0 } };
+    }
+
+    let projected = { ...delta };
+    if (!axis.free) {
+        let distance = delta.x * axis.direction.x + delta.y * axis.direction.y;
+        if (gridSize > 0) {
+            distance = Math.round(distance / gridSize) * gridSize;
+        }
+        projected = { x: axis.direction.x * distance, y: axis.direction.y * distance };
+    }
+
+    return { ...planConstrainedMove(componentId, projected, beamPath, componentMap), axis, delta: projected };
+}
+
 /**
  * Trace beam path through the optical system starting from a source
  * @param {Object} sourceComponent - Starting source component
@@ -552,6 +1026,8 @@ export default {
     CARDINAL_ANGLES,
     VALID_ANGLES_BY_TYPE,
     ANGLE_TOLERANCE,
+    BEAM_OFFSET_TOLERANCE,
+    DEFAULT_BEAM_CLEARANCE,
     normalizeAngle,
     normalizeAngleDiff,
     degToRad,
@@ -566,12 +1042,25 @@ export default {
     getSurfaceNormal,
     calculateReflectionDirection,
     calculateMirrorReflection,
+    getMirrorAngleForTurn,
     getOutputDirection,
     calculateBeamDirection,
     calculateBeamAngle,
     isTargetOnBeamPath,
+    getRayOffset,
+    isTargetOnRay,
     canTransmissionComponentAccept,
     validateConnection,
+    getIncomingBeamAngle,
+    validateSegment,
+    findBeamObstructions,
+    getOnAxisComponentIds,
+    checkBeamClipping,
+    areAnglesParallel,
+    snapToCardinalAngle,
+    getSlideAxis,
+    planConstrainedMove,
+    constrainMoveToSlideAxis,
     traceBeamPath,
     calculateSegmentAngleDeviation,
     snapToGrid,
@@ -0,0 +1,468 @@
+/**
+ * Geometric Constraint Solver
+ *
+ * Keeps component centers in geometric relations while the layout is edited:
+ *   - horizontal / vertical: two components share Y / X (the alignment
+ *     constraints stored on the components, created with H / V)
+ *   - distance: two centers a set distance apart (or apart along X / Y only)
+ *   - segmentLength: the beam between two components keeps its length
+ *   - equalSpacing: consecutive centers of 3+ components equally far apart
+ *   - symmetry: two components mirror each other about a vertical or
+ *     horizontal through a third
+ *   - angle: the lines from a vertex to two other components enclose a set
+ *     angle (driving angle dimensions, see models/Dimensions.js)
+ *
+ * Document constraints (state.constraints.geometricConstraints):
+ *   { id, type, componentIds, value?, axis? }
+ * Angles are in degrees, so angle residuals are compared against the same
+ * tolerance as lengths in millimeters.
+ *
+ * Every constraint is a set of equations C(positions) = 0. solveConstraints()
+ * projects the positions onto all equations in turn (Gauss-Seidel) until the
+ * largest residual is below SOLVER_TOLERANCE, so chains like A-B-C settle in
+ * one solve. analyzeConstraints() ranks the Jacobian of each connected set of
+ * constraints to report free degrees of freedom (under-constrained),
+ * redundant equations (over-constrained) and equations that cannot be met
+ * (conflicting).
+ */
+
+import { generateId } from '../models/Component.js';
+
+/**
+ * Geometric constraint types
+ */
+export const GeometricConstraintType = {
+    HORIZONTAL: 'horizontal',
+    VERTICAL: 'vertical',
+    DISTANCE: 'distance',
+    SEGMENT_LENGTH: 'segmentLength',
+    EQUAL_SPACING: 'equalSpacing',
+    SYMMETRY: 'symmetry',
+    ANGLE: 'angle'
+};
+
+/**
+ * Largest residual a satisfied constraint may have (mm)
+ */
+export const SOLVER_TOLERANCE = 0.01;
+
+/**
+ * Projection sweeps before the solver gives up
+ */
+export const SOLVER_MAX_ITERATIONS = 200;
+
+/**
+ * Create a document constraint
+ * @param {string} type - GeometricConstraintType
+ * @param {Array<string>} componentIds - Components involved (symmetry: [axis, a, b], angle: [vertex, a, b])
+ * @param {Object} props - value (distance, segmentLength: mm, angle: degrees),
+ *   axis ('vertical' | 'horizontal': symmetry axis, or the direction a distance is measured in)
+ */
+export function createGeometricConstraint(type, componentIds, props = {}) {
+    return {
+        id: generateId('gc'),
+        type,
+        componentIds: [...componentIds],
+        ...props
+    };
+}
+
+/**
+ * Human-readable description, e.g. "Distance M1 - M2 = 50.0 mm"
+ */
+export function describeConstraint(constraint, components) {
+    const names = constraint.componentIds.map(id => components.get(id)?.name ?? '?');
+
+    switch (constraint.type) {
+        case GeometricConstraintType.HORIZONTAL:
+            return `Horizontal ${names.join(' - ')}`;
+        case GeometricConstraintType.VERTICAL:
+            return `Vertical ${names.join(' - ')}`;
+        case GeometricConstraintType.DISTANCE: {
+            const direction = constraint.axis ? `${constraint.axis === 'horizontal' ? 'Horizontal' : 'Vertical'} distance` : 'Distance';
+            return `${direction} ${names.join(' - ')} = ${constraint.value.toFixed(1)} mm`;
+        }
+        case GeometricConstraintType.SEGMENT_LENGTH:
+            return `Beam ${names.join(' → ')} = ${constraint.value.toFixed(1)} mm`;
+        case GeometricConstraintType.EQUAL_SPACING:
+            return `Equal spacing ${names.join(', ')}`;
+        case GeometricConstraintType.SYMMETRY:
+            return `${names[1]} / ${names[2]} symmetric about ${names[0]} (${constraint.axis} axis)`;
+        case GeometricConstraintType.ANGLE:
+            return `Angle ${names[1]} - ${names[0]} - ${names[2]} = ${constraint.value.toFixed(1)}°`;
+        default:
+            return constraint.type;
+    }
+}
+
+/**
+ * Gather every active constraint of a layout
+ * Alignment constraints are stored on both components; each pair is taken
+ * once. Segment length constraints only apply while their beam exists.
+ * @param {Map} components - Components by ID
+ * @param {Array} geometricConstraints - Document constraints
+ * @param {Object} beamPath - BeamPath graph (for segment lengths)
+ * @returns {Array} Constraints in document format (alignment pairs get an 'align:' id)
+ */
+export function collectConstraints(components, geometricConstraints = [], beamPath = null) {
+    const collected = [];
+    const seen = new Set();
+
+    components.forEach(component => {
+        (component.alignmentConstraints || []).forEach(alignment => {
+            if (!components.has(alignment.componentId)) return;
+            const ids = [component.id, alignment.componentId].sort();
+            const id = `align:${alignment.type}:${ids.join(':')}`;
+            if (seen.has(id)) return;
+            seen.add(id);
+            collected.push({ id, type: alignment.type, componentIds: ids, alignment: true });
+        });
+    });
+
+    geometricConstraints.forEach(constraint => {
+        if (!constraint.componentIds.every(id => components.has(id))) return;
+        if (constraint.type === GeometricConstraintType.SEGMENT_LENGTH) {
+            const [sourceId, targetId] = constraint.componentIds;
+            const hasBeam = beamPath?.getOutgoingSegments(sourceId).some(seg => seg.targetId === targetId);
+            if (!hasBeam) return;
+        }
+        collected.push(constraint);
+    });
+
+    return collected;
+}
+
+/**
+ * Equations of a constraint
+ * Each equation evaluates to { value, grads: [{ id, x, y }] } for positions (Map id -> {x, y}).
+ */
+function buildEquations(constraint) {
+    const ids = constraint.componentIds;
+    const distanceBetween = (pos, a, b) => {
+        const pa = pos.get(a);
+        const pb = pos.get(b);
+        const dx = pb.x - pa.x;
+        const dy = pb.y - pa.y;
+        const length = Math.hypot(dx, dy);
+        // Coincident points have no direction; push them apart along X
+        const n = length > 1e-9 ? { x: dx / length, y: dy / length } : { x: 1, y: 0 };
+        return { length, n };
+    };
+
+    switch (constraint.type) {
+        case GeometricConstraintType.HORIZONTAL:
+            return [pos => ({
+                value: pos.get(ids[1]).y - pos.get(ids[0]).y,
+                grads: [{ id: ids[0], x: 0, y: -1 }, { id: ids[1], x: 0, y: 1 }]
+            })];
+
+        case GeometricConstraintType.VERTICAL:
+            return [pos => ({
+                value: pos.get(ids[1]).x - pos.get(ids[0]).x,
+                grads: [{ id: ids[0], x: -1, y: 0 }, { id: ids[1], x: 1, y: 0 }]
+            })];
+
+        case GeometricConstraintType.DISTANCE:
+            if (constraint.axis) {
+                // Horizontal / vertical dimension: only the X or Y offset counts
+                const key = constraint.axis === 'horizontal' ? 'x' : 'y';
+                const grad = (id, k) => ({ id, x: key === 'x' ? k : 0, y: key === 'y' ? k : 0 });
+                return [pos => {
+                    const offset = pos.get(ids[1])[key] - pos.get(ids[0])[key];
+                    const sign = offset < 0 ? -1 : 1;
+                    return {
+                        value: Math.abs(offset) - constraint.value,
+                        grads: [grad(ids[0], -sign), grad(ids[1], sign)]
+                    };
+                }];
+            }
+            // falls through
+        case GeometricConstraintType.SEGMENT_LENGTH:
+            return [pos => {
+                const { length, n } = distanceBetween(pos, ids[0], ids[1]);
+                return {
+                    value: length - constraint.value,
+                    grads: [{ id: ids[0], x: -n.x, y: -n.y }, { id: ids[1], x: n.x, y: n.y }]
+                };
+            }];
+
+        case GeometricConstraintType.EQUAL_SPACING:
+            // |p[i+1] - p[i]| = |p[i] - p[i-1]| for every inner component
+            return ids.slice(1, -1).map((id, i) => pos => {
+                const before = distanceBetween(pos, ids[i], id);
+                const after = distanceBetween(pos, id, ids[i + 2]);
+                return {
+                    value: after.length - before.length,
+                    grads: [
+                        { id: ids[i], x: before.n.x, y: before.n.y },
+                        { id, x: -after.n.x - before.n.x, y: -after.n.y - before.n.y },
+                        { id: ids[i + 2], x: after.n.x, y: after.n.y }
+                    ]
+                };
+            });
+
+        case GeometricConstraintType.SYMMETRY: {
+            // Mirror axis through ids[0]; ids[1] and ids[2] are reflections of each other
+            const [axisId, a, b] = ids;
+            const across = constraint.axis === 'horizontal' ? 'y' : 'x';
+            const along = across === 'x' ? 'y' : 'x';
+            const grad = (id, key, k) => ({ id, x: key === 'x' ? k : 0, y: key === 'y' ? k : 0 });
+            return [
+                pos => ({
+                    value: pos.get(a)[across] + pos.get(b)[across] - 2 * pos.get(axisId)[across],
+                    grads: [grad(a, across, 1), grad(b, across, 1), grad(axisId, across, -2)]
+                }),
+                pos => ({
+                    value: pos.get(b)[along] - pos.get(a)[along],
+                    grads: [grad(a, along, -1), grad(b, along, 1)]
+                })
+            ];
+        }
+
+        case GeometricConstraintType.ANGLE: {
+            // Angle at ids[0] between the lines to ids[1] and ids[2], in degrees
+            const [vertexId, a, b] = ids;
+            const toDegrees = 180 / Math.PI;
+            return [pos => {
+                const v = pos.get(vertexId);
+                const ra = { x: pos.get(a).x - v.x, y: pos.get(a).y - v.y };
+                const rb = { x: pos.get(b).x - v.x, y: pos.get(b).y - v.y };
+                let turn = Math.atan2(rb.y, rb.x) - Math.atan2(ra.y, ra.x);
+                turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+                const sign = turn < 0 ? -1 : 1;
+
+                // d(atan2)/dp = (-ry, rx) / |r|² for each arm
+                const la = Math.max(ra.x * ra.x + ra.y * ra.y, 1e-9);
+                const lb = Math.max(rb.x * rb.x + rb.y * rb.y, 1e-9);
+                const ga = { x: -sign * -ra.y / la * toDegrees, y: -sign * ra.x / la * toDegrees };
+                const gb = { x: sign * -rb.y / lb * toDegrees, y: sign * rb.x / lb * toDegrees };
+                return {
+                    value: Math.abs(turn) * toDegrees - constraint.value,
+                    grads: [
+                        { id: a, ...ga },
+                        { id: b, ...gb },
+                        { id: vertexId, x: -ga.x - gb.x, y: -ga.y - gb.y }
+                    ]
+                };
+            }];
+        }
+
+        default:
+            return [];
+    }
+}
+
+/**
+ * Positions of every component a constraint touches
+ */
+function getPositions(constraints, components, overrides = null) {
+    const positions = new Map();
+    constraints.forEach(constraint => constraint.componentIds.forEach(id => {
+        const position = overrides?.get(id) ?? components.get(id).position;
+        positions.set(id, { x: position.x, y: position.y });
+    }));
+    return positions;
+}
+
+/**
+ * Move components until every constraint holds
+ * Fixed components never move. Pinned components (the one being dragged)
+ * only move if the constraints cannot be met otherwise, e.g. when they are
+ * aligned with a fixed component.
+ * @param {Map} components - Components by ID
+ * @param {Array} constraints - Result of collectConstraints()
+ * @param {Object} options - { pinnedIds: Array<string> }
+ * @returns {Object} { positions: Map(id -> {x, y}) of moved components, converged, maxError, unsatisfied: constraint IDs }
+ */
+export function solveConstraints(components, constraints, options = {}) {
+    const pinned = new Set(options.pinnedIds || []);
+    const equations = constraints.flatMap(constraint =>
+        buildEquations(constraint).map(evaluate => ({ constraint, evaluate }))
+    );
+
+    const run = (pinnedWeight) => {
+        const positions = getPositions(constraints, components);
+        const weight = id => components.get(id).isFixed ? 0 : (pinned.has(id) ? pinnedWeight : 1);
+        let maxError = 0;
+
+        for (let iteration = 0; iteration < SOLVER_MAX_ITERATIONS; iteration++) {
+            maxError = 0;
+            equations.forEach(({ evaluate }) => {
+                const { value, grads } = evaluate(positions);
+                maxError = Math.max(maxError, Math.abs(value));
+
+                const denominator = grads.reduce((sum, g) => sum + weight(g.id) * (g.x * g.x + g.y * g.y), 0);
+                if (denominator < 1e-12) return;
+
+                const lambda = -value / denominator;
+                grads.forEach(g => {
+                    const w = weight(g.id);
+                    if (w === 0) return;
+                    const position = positions.get(g.id);
+                    position.x += w * lambda * g.x;
+                    position.y += w * lambda * g.y;
+                });
+            });
+            // Converge well below the tolerance so solved layouts show round numbers
+            if (maxError < SOLVER_TOLERANCE * 1e-3) break;
+        }
+
+        // Residuals after the last sweep
+        const unsatisfied = new Set();
+        let totalError = 0;
+        maxError = 0;
+        equations.forEach(({ constraint, evaluate }) => {
+            const error = Math.abs(evaluate(positions).value);
+            maxError = Math.max(maxError, error);
+            totalError += error;
+            if (error >= SOLVER_TOLERANCE) unsatisfied.add(constraint.id);
+        });
+        return { positions, maxError, totalError, unsatisfied };
+    };
+
+    // Keep the dragged component where it was put, unless that is impossible
+    let result = run(0);
+    if (result.unsatisfied.size > 0 && pinned.size > 0) {
+        const unpinned = run(1);
+        if (unpinned.totalError < result.totalError - SOLVER_TOLERANCE) result = unpinned;
+    }
+
+    const moved = new Map();
+    result.positions.forEach((position, id) => {
+        const current = components.get(id).position;
+        if (Math.abs(position.x - current.x) > 1e-9 || Math.abs(position.y - current.y) > 1e-9) {
+            moved.set(id, position);
+        }
+    });
+
+    return {
+        positions: moved,
+        converged: result.unsatisfied.size === 0,
+        maxError: result.maxError,
+        unsatisfied: Array.from(result.unsatisfied)
+    };
+}
+
+/**
+ * Rank of a matrix (rows of numbers) by Gaussian elimination with partial pivoting
+ */
+function matrixRank(rows, columns) {
+    const m = rows.map(row => [...row]);
+    const scale = Math.max(1, ...m.flat().map(Math.abs));
+    let rank = 0;
+
+    for (let col = 0; col < columns && rank < m.length; col++) {
+        let pivot = rank;
+        for (let r = rank + 1; r < m.length; r++) {
+            if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+        }
+        if (Math.abs(m[pivot][col]) < 1e-9 * scale) continue;
+
+        [m[rank], m[pivot]] = [m[pivot], m[rank]];
+        for (let r = rank + 1; r < m.length; r++) {
+            const factor = m[r][col] / m[rank][col];
+            for (let c = col; c < columns; c++) m[r][c] -= factor * m[rank][c];
+        }
+        rank++;
+    }
+    return rank;
+}
+
+/**
+ * Constraint status of every connected set of constrained components
+ * @param {Map} components - Components by ID
+ * @param {Array} constraints - Result of collectConstraints()
+ * @returns {Array} Clusters: { componentIds, constraintIds, freedom (free DOF),
+ *   redundant (equations beyond the rank), unsatisfied (constraint IDs), status }
+ *   status is 'conflicting', 'over', 'under' or 'well'
+ */
+export function analyzeConstraints(components, constraints) {
+    // Union-find over the components the constraints connect
+    const parent = new Map();
+    const find = id => {
+        while (parent.get(id) !== id) id = parent.get(id);
+        return id;
+    };
+    constraints.forEach(constraint => {
+        constraint.componentIds.forEach(id => { if (!parent.has(id)) parent.set(id, id); });
+        constraint.componentIds.slice(1).forEach(id => parent.set(find(id), find(constraint.componentIds[0])));
+    });
+
+    const clusters = new Map();
+    constraints.forEach(constraint => {
+        const root = find(constraint.componentIds[0]);
+        if (!clusters.has(root)) clusters.set(root, []);
+        clusters.get(root).push(constraint);
+    });
+
+    return Array.from(clusters.values()).map(clusterConstraints => {
+        const positions = getPositions(clusterConstraints, components);
+        const componentIds = Array.from(positions.keys());
+        const freeIds = componentIds.filter(id => !components.get(id).isFixed);
+        const column = new Map(freeIds.map((id, i) => [id, i * 2]));
+
+        const rows = [];
+        const unsatisfied = new Set();
+        clusterConstraints.forEach(constraint => {
+            buildEquations(constraint).forEach(evaluate => {
+                const { value, grads } = evaluate(positions);
+                if (Math.abs(value) >= SOLVER_TOLERANCE) unsatisfied.add(constraint.id);
+
+                const row = new Array(freeIds.length * 2).fill(0);
+                grads.forEach(g => {
+                    if (!column.has(g.id)) return;
+                    row[column.get(g.id)] += g.x;
+                    row[column.get(g.id) + 1] += g.y;
+                });
+                rows.push(row);
+            });
+        });
+
+        const rank = matrixRank(rows, freeIds.length * 2);
+        const freedom = freeIds.length * 2 - rank;
+        const redundant = rows.length - rank;
+
+        let status = 'well';
+        if (unsatisfied.size > 0) status = 'conflicting';
+        else if (redundant > 0) status = 'over';
+        else if (freedom > 0) status = 'under';
+
+        return {
+            componentIds,
+            constraintIds: clusterConstraints.map(c => c.id),
+            freedom,
+            redundant,
+            unsatisfied: Array.from(unsatisfied),
+            status
+        };
+    });
+}
+
+/**
+ * Constraint violations for every constraint that does not hold
+ * Same shape as checkConstraintViolations() entries (type 'geometric').
+ */
+export function checkGeometricConstraints(components, constraints) {
+    const positions = getPositions(constraints, components);
+    return constraints
+        .filter(constraint => buildEquations(constraint)
+            .some(evaluate => Math.abs(evaluate(positions).value) >= SOLVER_TOLERANCE))
+        .map(constraint => ({
+            type: 'geometric',
+            constraintId: constraint.id,
+            componentId: constraint.componentIds[0],
+            message: `Constraint not met: ${describeConstraint(constraint, components)}`
+        }));
+}
+
+export default {
+    GeometricConstraintType,
+    SOLVER_TOLERANCE,
+    SOLVER_MAX_ITERATIONS,
+    createGeometricConstraint,
+    describeConstraint,
+    collectConstraints,
+    solveConstraints,
+    analyzeConstraints,
+    checkGeometricConstraints
+};
@@ -0,0 +1,434 @@
+/**
+ * Design Rule Check (DRC)
+ *
+ * Every violation belongs to a named rule that can be switched off and has a
+ * severity. The rule set is saved with the project (state.constraints.designRules):
+ *   [{ type, enabled, severity, params: { key: value } }]
+ * in the order of DESIGN_RULES; missing or unknown entries fall back to the
+ * catalog defaults (see createRuleSet). The beam crossing rule also has
+ * wavelengthPairs: [[idA, idB], ...] - when set, only crossings between beams
+ * of a listed pair of wavelengths are violations.
+ *
+ * The keep-out, plate boundary and mount overlap checks live in
+ * checkConstraintViolations() (state.js) and tag their entries with the rule;
+ * the others are checked here (checkDesignRules). applyDesignRules() then drops
+ * the entries of disabled rules and stamps the severity. Violations outside the
+ * rule set (path length matching, geometric constraints) are always errors.
+ */
+
+import { ComponentType } from '../models/Component.js';
+import { getPlateOutline, isRectOnPlate } from '../models/Workspace.js';
+import { CrossingType } from '../models/BeamPath.js';
+import { rectDistance, segmentRectDistance } from './Geometry.js';
+import { DEFAULT_BEAM_CLEARANCE, checkBeamClipping } from './BeamPhysics.js';
+
+/**
+ * Violation severities, most severe first
+ */
+export const Severity = {
+    ERROR: 'error',
+    WARNING: 'warning',
+    INFO: 'info'
+};
+
+/**
+ * Design rule types (the `rule` of a violation)
+ */
+export const DesignRuleType = {
+    KEEP_OUT: 'keepOut',
+    PLATE_BOUNDARY: 'plateBoundary',
+    MOUNT_OVERLAP: 'mountOverlap',
+    BEAM_CLEARANCE: 'beamClearance',
+    MOUNT_SPACING: 'mountSpacing',
+    MAX_PATH_LENGTH: 'maxPathLength',
+    BEAM_CROSSING: 'beamCrossing',
+    EDGE_DISTANCE: 'edgeDistance',
+    POINT_MASS: 'pointMass'
+};
+
+/**
+ * Rule catalog: name, description and defaults
+ * params: { key: { label, unit, value (default), min } }
+ */
+export const DESIGN_RULES = {
+    [DesignRuleType.KEEP_OUT]: {
+        name: 'Keep-out zones',
+        description: 'Component bodies and mount zones stay out of keep-out zones',
+        severity: Severity.ERROR,
+        enabled: true,
+        params: {}
+    },
+    [DesignRuleType.PLATE_BOUNDARY]: {
+        name: 'Plate boundary',
+        description: 'Component bodies and mount zones lie on the plate, clear of cut-outs',
+        severity: Severity.ERROR,
+        enabled: true,
+        params: {}
+    },
+    [DesignRuleType.MOUNT_OVERLAP]: {
+        name: 'Mount overlap',
+        description: 'Mount zones do not overlap other components or their mount zones',
+        severity: Severity.ERROR,
+        enabled: true,
+        params: {}
+    },
+    [DesignRuleType.BEAM_CLEARANCE]: {
+        name: 'Beam clearance',
+        description: 'Beams keep a gap (plus the 1/e² radius) from bodies and mounts they pass',
+        severity: Severity.WARNING,
+        enabled: true,
+        params: { clearance: { label: 'Clearance', unit: 'mm', value: DEFAULT_BEAM_CLEARANCE, min: 0 } }
+    },
+    [DesignRuleType.MOUNT_SPACING]: {
+        name: 'Mount spacing',
+        description: 'Gap between the mounts of two components (the body when there is no mount zone)',
+        severity: Severity.WARNING,
+        enabled: false,
+        params: { minGap: { label: 'Minimum gap', unit: 'mm', value: 5, min: 0 } }
+    },
+    [DesignRuleType.MAX_PATH_LENGTH]: {
+        name: 'Path length per detector',
+        description: 'Beam path length from a source to each detector it reaches',
+        severity: Severity.WARNING,
+        enabled: false,
+        params: { maxLength: { label: 'Maximum', unit: 'mm', value: 1000, min: 0 } }
+    },
+    [DesignRuleType.BEAM_CROSSING]: {
+        name: 'Beam crossings',
+        description: 'Beams must not cross each other (only between the forbidden wavelength pairs, if any are set in the Beam Crossings panel)',
+        severity: Severity.WARNING,
+        enabled: false,
+        params: {}
+    },
+    [DesignRuleType.EDGE_DISTANCE]: {
+        name: 'Distance to plate edge',
+        description: 'Component bodies keep a distance from the plate edge and cut-outs',
+        severity: Severity.WARNING,
+        enabled: false,
+        params: { minDistance: { label: 'Minimum distance', unit: 'mm', value: 10, min: 0 } }
+    },
+    [DesignRuleType.POINT_MASS]: {
+        name: 'Mass at one position',
+        description: 'Total mass of the components stacked at a single position',
+        severity: Severity.WARNING,
+        enabled: false,
+        params: { maxMass: { label: 'Maximum', unit: 'g', value: 1000, min: 0 } }
+    }
+};
+
+/**
+ * Components closer than this count as one position for the point mass rule (mm)
+ */
+const SAME_POSITION_TOLERANCE = 1.0;
+
+/**
+ * Rule name shown for violations that are not part of the rule set
+ */
+export const CONSTRAINT_RULE_NAME = 'Constraints';
+
+/**
+ * Build a complete rule set
+ * @param {Array} saved - Saved rule entries (may be partial or from an older version)
+ * @param {Object} legacy - Settings from before rule sets: { beamClearance }
+ * @returns {Array} One entry per catalog rule
+ */
+export function createRuleSet(saved = [], legacy = {}) {
+    const savedByType = new Map((saved || []).map(entry => [entry.type, entry]));
+    return Object.entries(DESIGN_RULES).map(([type, definition]) => {
+        const entry = savedByType.get(type) || {};
+        const params = {};
+        Object.entries(definition.params).forEach(([key, param]) => {
+            let value = entry.params?.[key];
+            if (value === undefined && type === DesignRuleType.BEAM_CLEARANCE) value = legacy.beamClearance;
+            params[key] = Number.isFinite(value) ? Math.max(param.min, value) : param.value;
+        });
+        const rule = {
+            type,
+            enabled: typeof entry.enabled === 'boolean' ? entry.enabled : definition.enabled,
+            severity: Object.values(Severity).includes(entry.severity) ? entry.severity : definition.severity,
+            params
+        };
+        if (type === DesignRuleType.BEAM_CROSSING) {
+            rule.wavelengthPairs = normalizeWavelengthPairs(entry.wavelengthPairs);
+        }
+        return rule;
+    });
+}
+
+/**
+ * Keep well-formed wavelength pairs, each pair once (in either order)
+ */
+function normalizeWavelengthPairs(pairs) {
+    const seen = new Set();
+    return (Array.isArray(pairs) ? pairs : []).filter(pair => {
+        if (!Array.isArray(pair) || pair.length !== 2 || !pair.every(id => typeof id === 'string' && id)) return false;
+        const key = [...pair].sort().join('|');
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    }).map(pair => [...pair]);
+}
+
+/**
+ * Check if a crossing is between beams of a forbidden wavelength pair
+ * @param {Array} wavelengthIds - The two beams' wavelength IDs: [[...], [...]]
+ * @param {Array} pairs - Forbidden pairs [[idA, idB], ...]; empty forbids every crossing
+ */
+export function isCrossingForbidden(wavelengthIds, pairs) {
+    if (!pairs || pairs.length === 0) return true;
+    const [first, second] = wavelengthIds;
+    return pairs.some(([a, b]) =>
+        (first.includes(a) && second.includes(b)) || (first.includes(b) && second.includes(a)));
+}
+
+/**
+ * Find a rule in a rule set
+ * @returns {Object} Rule entry (the catalog default if the set lacks it)
+ */
+export function getRule(ruleSet, type) {
+    return (ruleSet || []).find(entry => entry.type === type) || createRuleSet().find(entry => entry.type === type);
+}
+
+/**
+ * Change one rule
+ * @param {Array} ruleSet - Current rule set
+ * @param {string} type - DesignRuleType
+ * @param {Object} updates - { enabled?, severity?, params? } (params are merged)
+ * @returns {Array} New rule set
+ * @throws {Error} If the rule or a parameter is unknown
+ */
+export function updateRule(ruleSet, type, updates) {
+    const definition = DESIGN_RULES[type];
+    if (!definition) {
+        throw new Error(`Unknown design rule "${type}"`);
+    }
+    Object.keys(updates.params || {}).forEach(key => {
+        if (!definition.params[key]) {
+            throw new Error(`${definition.name} has no parameter "${key}"`);
+        }
+    });
+
+    return createRuleSet(createRuleSet(ruleSet).map(entry => entry.type !== type ? entry : {
+        ...entry,
+        ...updates,
+        params: { ...entry.params, ...updates.params }
+    }));
+}
+
+/**
+ * Beam description, e.g. "S1 → M1"
+ */
+function describeSegment(segment, componentMap) {
+    const target = segment.targetId ? componentMap.get(segment.targetId) : null;
+    return `${componentMap.get(segment.sourceId)?.name ?? '?'} → ${target ? target.name : 'edge'}`;
+}
+
+/**
+ * Mount spacing: every pair of components closer than the minimum gap
+ */
+function checkMountSpacing(components, minGap) {
+    const violations = [];
+    const rects = components.map(comp => ({
+        comp,
+        rect: (comp.mountZone?.enabled && comp.getMountZoneRect()) || comp.getRect()
+    }));
+
+    rects.forEach((a, i) => {
+        rects.slice(i + 1).forEach(b => {
+            const gap = rectDistance(a.rect, b.rect);
+            if (gap >= minGap) return;
+            violations.push({
+                type: DesignRuleType.MOUNT_SPACING,
+                rule: DesignRuleType.MOUNT_SPACING,
+                componentId: a.comp.id,
+                otherComponentId: b.comp.id,
+                message: gap > 0
+                    ? `${a.comp.name} and ${b.comp.name} are ${gap.toFixed(1)} mm apart (minimum ${minGap} mm)`
+                    : `${a.comp.name} and ${b.comp.name} touch (minimum gap ${minGap} mm)`
+            });
+        });
+    });
+    return violations;
+}
+
+/**
+ * Path length per detector: the longest route from each source to each detector
+ */
+function checkMaxPathLength(components, beamPath, maxLength) {
+    const violations = [];
+
+    components.filter(comp => comp.type === ComponentType.SOURCE).forEach(source => {
+        const longest = new Map();
+        beamPath.traceFromSource(source.id).forEach(route => {
+            const segments = route.map(id => beamPath.getSegment(id));
+            const last = segments[segments.length - 1];
+            const detector = last?.targetId ? components.find(comp => comp.id === last.targetId) : null;
+            if (!detector || detector.type !== ComponentType.DETECTOR) return;
+
+            const length = segments.reduce((sum, segment) => sum + segment.pathLength, 0);
+            if (length > (longest.get(detector)?.length ?? -1)) {
+                longest.set(detector, { length, segmentIds: route });
+            }
+        });
+
+        longest.forEach(({ length, segmentIds }, detector) => {
+            if (length <= maxLength) return;
+            violations.push({
+                type: DesignRuleType.MAX_PATH_LENGTH,
+                rule: DesignRuleType.MAX_PATH_LENGTH,
+                componentId: detector.id,
+                sourceId: source.id,
+                segmentIds: [...segmentIds],
+                message: `Path ${source.name} → ${detector.name} is ${length.toFixed(1)} mm long (maximum ${maxLength} mm)`
+            });
+        });
+    });
+    return violations;
+}
+
+/**
+ * Beam crossings: every crossing (BeamPath.findCrossings) between forbidden wavelengths
+ */
+function checkBeamCrossings(componentMap, beamPath, crossings, wavelengthPairs) {
+    return crossings
+        .filter(crossing => crossing.type === CrossingType.CROSSING &&
+            isCrossingForbidden(crossing.wavelengthIds, wavelengthPairs))
+        .map(crossing => {
+            const [first, second] = crossing.segmentIds.map(id => beamPath.getSegment(id));
+            return {
+                type: DesignRuleType.BEAM_CROSSING,
+                rule: DesignRuleType.BEAM_CROSSING,
+                segmentId: first.id,
+                otherSegmentId: second.id,
+                point: crossing.point,
+                angle: crossing.angle,
+                message: `Beams ${describeSegment(first, componentMap)} and ${describeSegment(second, componentMap)} cross at ${crossing.angle.toFixed(1)}°`
+            };
+        });
+}
+
+/**
+ * Distance to the plate edge: bodies on the plate closer than the minimum
+ * to its outline or a cut-out (bodies off the plate are plate boundary violations)
+ */
+function checkEdgeDistance(components, workspace, minDistance) {
+    const violations = [];
+    const edges = [getPlateOutline(workspace), ...(workspace.cutouts || []).map(cutout => cutout.points)]
+        .flatMap(points => points.map((p, i) => [p, points[(i + 1) % points.length]]));
+
+    components.forEach(comp => {
+        const rect = comp.getRect();
+        if (!isRectOnPlate(workspace, rect)) return;
+        const distance = Math.min(...edges.map(([a, b]) => segmentRectDistance(a, b, rect)));
+        if (distance >= minDistance) return;
+        violations.push({
+            type: DesignRuleType.EDGE_DISTANCE,
+            rule: DesignRuleType.EDGE_DISTANCE,
+            componentId: comp.id,
+            message: `${comp.name} is ${distance.toFixed(1)} mm from the plate edge (minimum ${minDistance} mm)`
+        });
+    });
+    return violations;
+}
+
+/**
+ * Mass at one position: components at (nearly) the same position add up
+ */
+function checkPointMass(components, maxMass) {
+    const violations = [];
+    const clusters = [];
+    components.forEach(comp => {
+        const cluster = clusters.find(members => Math.hypot(
+            members[0].position.x - comp.position.x,
+            members[0].position.y - comp.position.y) <= SAME_POSITION_TOLERANCE);
+        if (cluster) cluster.push(comp);
+        else clusters.push([comp]);
+    });
+
+    clusters.forEach(members => {
+        const mass = members.reduce((sum, comp) => sum + (comp.mass || 0), 0);
+        if (mass <= maxMass) return;
+        const { x, y } = members[0].position;
+        violations.push({
+            type: DesignRuleType.POINT_MASS,
+            rule: DesignRuleType.POINT_MASS,
+            componentId: members[0].id,
+            otherComponentIds: members.slice(1).map(comp => comp.id),
+            message: `${members.map(comp => comp.name).join(', ')}: ${mass.toFixed(0)} g at (${x.toFixed(0)}, ${y.toFixed(0)}) (maximum ${maxMass} g)`
+        });
+    });
+    return violations;
+}
+
+/**
+ * Check the design rules that are not part of checkConstraintViolations()
+ * Disabled rules are skipped. Entries have the shape of
+ * checkConstraintViolations() entries plus `rule`.
+ * @param {Map} componentMap - Map of all components by ID
+ * @param {Object} beamPath - BeamPath graph (with current path lengths)
+ * @param {Object} constraints - state.constraints (designRules, workspace)
+ * @param {Object} options - { gaussianBeams: traceGaussianBeams() result,
+ *   crossings: beamPath.findCrossings() result (found here if missing) }
+ */
+export function checkDesignRules(componentMap, beamPath, constraints, options = {}) {
+    const ruleSet = constraints.designRules;
+    const enabled = type => getRule(ruleSet, type).enabled;
+    const param = (type, key) => getRule(ruleSet, type).params[key];
+    const components = Array.from(componentMap.values()).filter(comp => comp.type !== ComponentType.PATH_POINT);
+    const violations = [];
+
+    if (enabled(DesignRuleType.BEAM_CLEARANCE)) {
+        violations.push(...checkBeamClipping(componentMap, beamPath, {
+            clearance: param(DesignRuleType.BEAM_CLEARANCE, 'clearance'),
+            gaussianBeams: options.gaussianBeams
+        }).map(v => ({ ...v, rule: DesignRuleType.BEAM_CLEARANCE })));
+    }
+    if (enabled(DesignRuleType.MOUNT_SPACING)) {
+        violations.push(...checkMountSpacing(components, param(DesignRuleType.MOUNT_SPACING, 'minGap')));
+    }
+    if (enabled(DesignRuleType.MAX_PATH_LENGTH)) {
+        violations.push(...checkMaxPathLength(components, beamPath, param(DesignRuleType.MAX_PATH_LENGTH, 'maxLength')));
+    }
+    if (enabled(DesignRuleType.BEAM_CROSSING)) {
+        violations.push(...checkBeamCrossings(componentMap, beamPath,
+            options.crossings ?? beamPath.findCrossings(componentMap),
+            getRule(ruleSet, DesignRuleType.BEAM_CROSSING).wavelengthPairs));
+    }
+    if (enabled(DesignRuleType.EDGE_DISTANCE)) {
+        violations.push(...checkEdgeDistance(components, constraints.workspace, param(DesignRuleType.EDGE_DISTANCE, 'minDistance')));
+    }
+    if (enabled(DesignRuleType.POINT_MASS)) {
+        violations.push(...checkPointMass(components, param(DesignRuleType.POINT_MASS, 'maxMass')));
+    }
+    return violations;
+}
+
+/**
+ * Apply a rule set to violations
+ * Drops entries of disabled rules and adds severity and ruleName.
+ * @param {Array} violations - Violations, those of a design rule carry `rule`
+ * @param {Array} ruleSet - Rule set
+ * @returns {Array} New violation list
+ */
+export function applyDesignRules(violations, ruleSet) {
+    return violations
+        .filter(v => !v.rule || getRule(ruleSet, v.rule).enabled)
+        .map(v => ({
+            ...v,
+            severity: v.rule ? getRule(ruleSet, v.rule).severity : Severity.ERROR,
+            ruleName: v.rule ? DESIGN_RULES[v.rule].name : CONSTRAINT_RULE_NAME
+        }));
+}
+
+export default {
+    Severity,
+    DesignRuleType,
+    DESIGN_RULES,
+    CONSTRAINT_RULE_NAME,
+    createRuleSet,
+    getRule,
+    updateRule,
+    isCrossingForbidden,
+    checkDesignRules,
+    applyDesignRules
+};
@@ -0,0 +1,270 @@
+/**
+ * Gaussian Beam Propagation
+ *
+ * Propagates the complex beam parameter q = z + i·zR through ABCD matrices
+ * along the beam path graph. All lengths are in mm, wavelengths in nm.
+ *
+ * - Sources define the waist radius (1/e² intensity) and the distance from
+ *   the source to the waist (negative = virtual waist behind the source)
+ * - Lenses are thin lenses with a focal length
+ * - Mirrors, beam splitters, waveplates and filters are treated as flat
+ *   (identity matrix)
+ */
+
+import { ComponentType, ComponentDefaults } from '../models/Component.js';
+
+/**
+ * Fallback wavelength when a segment has none (HeNe)
+ */
+export const DEFAULT_WAVELENGTH_NM = 632.8;
+
+/**
+ * nm -> mm
+ */
+const NM_TO_MM = 1e-6;
+
+// ============================================================================
+// Complex arithmetic (q-parameters)
+// ============================================================================
+
+function complex(re, im) {
+    return { re, im };
+}
+
+function complexAdd(a, b) {
+    return complex(a.re + b.re, a.im + b.im);
+}
+
+function complexScale(a, s) {
+    return complex(a.re * s, a.im * s);
+}
+
+function complexDivide(a, b) {
+    const denom = b.re * b.re + b.im * b.im;
+    return complex(
+        (a.re * b.re + a.im * b.im) / denom,
+        (a.im * b.re - a.re * b.im) / denom
+    );
+}
+
+// ============================================================================
+// ABCD matrices
+// ============================================================================
+
+/**
+ * Free-space propagation over a distance
+ * @param {number} distance - mm
+ * @returns {Array} [[A, B], [C, D]]
+ */
+export function freeSpaceMatrix(distance) {
+    return [[1, distance], [0, 1]];
+}
+
+/**
+ * Thin lens
+ * @param {number} focalLength - mm (negative for diverging lenses)
+ * @returns {Array} [[A, B], [C, D]]
+ */
+export function thinLensMatrix(focalLength) {
+    if (!focalLength) return [[1, 0], [0, 1]];
+    return [[1, 0], [-1 / focalLength, 1]];
+}
+
+/**
+ * Get the ABCD matrix a component applies to a passing beam
+ * @param {Object} component - Component the beam passes through
+ * @returns {Array} [[A, B], [C, D]]
+ */
+export function getComponentMatrix(component) {
+    if (component.type === ComponentType.LENS) {
+        return thinLensMatrix(component.focalLength);
+    }
+    return [[1, 0], [0, 1]];
+}
+
+/**
+ * Apply an ABCD matrix to a q-parameter: q' = (Aq + B) / (Cq + D)
+ */
+export function propagateQ(q, matrix) {
+    const [[A, B], [C, D]] = matrix;
+    return complexDivide(
+        complexAdd(complexScale(q, A), complex(B, 0)),
+        complexAdd(complexScale(q, C), complex(D, 0))
+    );
+}
+
+// ============================================================================
+// Beam parameters
+// ============================================================================
+
+/**
+ * Rayleigh range of a waist
+ * @param {number} waistRadius - 1/e² radius at the waist (mm)
+ * @param {number} wavelength - nm
+ * @returns {number} mm
+ */
+export function getRayleighRange(waistRadius, wavelength) {
+    return Math.PI * waistRadius * waistRadius / (wavelength * NM_TO_MM);
+}
+
+/**
+ * Create the q-parameter at a distance from the waist
+ * @param {number} waistRadius - 1/e² radius at the waist (mm)
+ * @param {number} distanceFromWaist - mm, positive after the waist
+ * @param {number} wavelength - nm
+ */
+export function createQ(waistRadius, distanceFromWaist, wavelength) {
+    return complex(distanceFromWaist, getRayleighRange(waistRadius, wavelength));
+}
+
+/**
+ * 1/e² beam radius for a q-parameter
+ * @returns {number} mm
+ */
+export function getBeamRadius(q, wavelength) {
+    // w² = zR (1 + (z / zR)²) λ / π
+    const zR = q.im;
+    return Math.sqrt((zR + q.re * q.re / zR) * wavelength * NM_TO_MM / Math.PI);
+}
+
+/**
+ * Waist described by a q-parameter
+ * @returns {Object} { radius, distance, rayleighRange } - distance from the current plane
+ *   to the waist (mm, positive = waist lies ahead)
+ */
+export function getWaist(q, wavelength) {
+    return {
+        radius: Math.sqrt(q.im * wavelength * NM_TO_MM / Math.PI),
+        distance: -q.re,
+        rayleighRange: q.im
+    };
+}
+
+/**
+ * Resolve the physical wavelength of a segment
+ * Uses the number in the name of the segment's first wavelength
+ * (e.g. "1064nm IR"), falling back to segment.wavelength.
+ * @param {Object} segment - BeamSegment
+ * @param {Array} wavelengths - state.wavelengths
+ * @returns {number} nm
+ */
+export function resolveWavelength(segment, wavelengths = []) {
+    const wavelengthId = segment.wavelengthIds?.[0];
+    if (wavelengthId) {
+        const entry = wavelengths.find(w => w.id === wavelengthId);
+        const match = entry?.name?.match(/(\d+(?:\.\d+)?)\s*nm/i);
+        if (match) return parseFloat(match[1]);
+    }
+    return segment.wavelength || DEFAULT_WAVELENGTH_NM;
+}
+
+// ============================================================================
+// Propagation along the beam path
+// ============================================================================
+
+/**
+ * Beam radius at a distance along a traced segment
+ * @param {Object} segmentBeam - Entry from traceGaussianBeams().segments
+ * @param {number} distance - mm from the segment start
+ * @returns {number} mm
+ */
+export function getBeamRadiusAt(segmentBeam, distance) {
+    return getBeamRadius(propagateQ(segmentBeam.q, freeSpaceMatrix(distance)), segmentBeam.wavelength);
+}
+
+/**
+ * Propagate Gaussian beams from every source through the beam path
+ * Follows the same traversal as BeamPhysics.traceBeamPath(), but also covers
+ * segments that end at the workspace boundary.
+ * @param {Map} componentMap - Map of all components by ID
+ * @param {Object} beamPath - BeamPath graph
+ * @param {Array} wavelengths - state.wavelengths (for resolveWavelength)
+ * @returns {Object} {
+ *   segments: Map(segmentId -> { sourceId, wavelength, q, length, startRadius, endRadius,
+ *                                waistRadius, waistDistance, rayleighRange }),
+ *   components: Map(componentId -> { spotRadius, wavelength, sourceId })
+ * }
+ */
+export function traceGaussianBeams(componentMap, beamPath, wavelengths = []) {
+    const result = { segments: new Map(), components: new Map() };
+
+    const trace = (component, q, wavelength, sourceId, visited, depth) => {
+        if (depth > 50) return;  // Prevent infinite loops
+
+        for (const segment of beamPath.getOutgoingSegments(component.id)) {
+            if (visited.has(segment.id)) continue;
+
+            const target = segment.targetId ? componentMap.get(segment.targetId) : null;
+            const endPoint = target ? target.position : segment.endPoint;
+            if (!endPoint) continue;
+
+            const length = Math.hypot(endPoint.x - component.position.x, endPoint.y - component.position.y);
+            const qEnd = propagateQ(q, freeSpaceMatrix(length));
+            const waist = getWaist(q, wavelength);
+
+            // First source to reach a segment wins
+            if (!result.segments.has(segment.id)) {
+                result.segments.set(segment.id, {
+                    sourceId,
+                    wavelength,
+                    q,
+                    length,
+                    startRadius: getBeamRadius(q, wavelength),
+                    endRadius: getBeamRadius(qEnd, wavelength),
+                    waistRadius: waist.radius,
+                    waistDistance: waist.distance,
+                    rayleighRange: waist.rayleighRange
+                });
+            }
+
+            if (!target) continue;
+
+            const spotRadius = getBeamRadius(qEnd, wavelength);
+            const existing = result.components.get(target.id);
+            if (!existing || spotRadius > existing.spotRadius) {
+                result.components.set(target.id, { spotRadius, wavelength, sourceId });
+            }
+
+            visited.add(segment.id);
+            trace(target, propagateQ(qEnd, getComponentMatrix(target)), wavelength, sourceId, visited, depth + 1);
+            visited.delete(segment.id);
+        }
+    };
+
+    componentMap.forEach(component => {
+        if (component.type !== ComponentType.SOURCE) return;
+
+        const firstSegment = beamPath.getOutgoingSegments(component.id)[0];
+        if (!firstSegment) return;
+
+        const wavelength = resolveWavelength(firstSegment, wavelengths);
+        const waistRadius = component.waistRadius > 0
+            ? component.waistRadius
+            : ComponentDefaults[ComponentType.SOURCE].waistRadius;
+        const q = createQ(waistRadius, -(component.waistPosition || 0), wavelength);
+
+        result.components.set(component.id, {
+            spotRadius: getBeamRadius(q, wavelength),
+            wavelength,
+            sourceId: component.id
+        });
+        trace(component, q, wavelength, component.id, new Set(), 0);
+    });
+
+    return result;
+}
+
+export default {
+    DEFAULT_WAVELENGTH_NM,
+    freeSpaceMatrix,
+    thinLensMatrix,
+    getComponentMatrix,
+    propagateQ,
+    getRayleighRange,
+    createQ,
+    getBeamRadius,
+    getWaist,
+    resolveWavelength,
+    getBeamRadiusAt,
+    traceGaussianBeams
+};
@@ -0,0 +1,496 @@
+/**
+ * Geometry
+ *
+ * Oriented rectangles (OBBs) shared by collision, keep-out, selection and
+ * ray-hit logic. Component bodies, component mount zones and (rotated)
+ * global zones are all described the same way:
+ *   { center: {x, y}, halfWidth, halfHeight, angle, axes: [u, v], corners }
+ * where u runs along the width and v along the height (angle in degrees,
+ * clockwise like component angles).
+ *
+ * Keep-out zones can also be circles or (possibly concave) polygons. Their
+ * world outlines are shapes:
+ *   { type: 'polygon', points: [{x, y}, ...] } or { type: 'circle', center, radius }
+ */
+
+/**
+ * Global zone shapes
+ * - rect: bounds rotated about their center
+ * - circle: bounds is the enclosing square, radius = width / 2
+ * - polygon: zone.points are relative to the bounds center (unrotated), so
+ *   moving the bounds moves the polygon and rotation turns it about its center
+ */
+export const ZoneShape = {
+    RECT: 'rect',
+    CIRCLE: 'circle',
+    POLYGON: 'polygon'
+};
+
+/**
+ * Overlaps shallower than this (mm) count as touching, not overlapping
+ */
+export const OVERLAP_EPSILON = 1e-6;
+
+/**
+ * Create an oriented rectangle
+ * @param {Object} center - Center {x, y}
+ * @param {number} halfWidth - Half extent along the rotated x axis
+ * @param {number} halfHeight - Half extent along the rotated y axis
+ * @param {number} angle - Rotation (degrees)
+ */
+export function createRect(center, halfWidth, halfHeight, angle = 0) {
+    const rad = (angle * Math.PI) / 180;
+    const cos = Math.cos(rad);
+    const sin = Math.sin(rad);
+    const u = { x: cos, y: sin };
+    const v = { x: -sin, y: cos };
+
+    const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sy]) => ({
+        x: center.x + sx * halfWidth * u.x + sy * halfHeight * v.x,
+        y: center.y + sx * halfWidth * u.y + sy * halfHeight * v.y
+    }));
+
+    return { center: { ...center }, halfWidth, halfHeight, angle, axes: [u, v], corners };
+}
+
+/**
+ * Oriented rectangle of a component body
+ */
+export function getComponentRect(component) {
+    return createRect(component.position, component.size.width / 2, component.size.height / 2, component.angle || 0);
+}
+
+/**
+ * Oriented rectangle of a component's mount zone (null when disabled)
+ * Padding expands the body; the offset is applied in the component's rotated frame.
+ */
+export function getMountZoneRect(component) {
+    const zone = component.mountZone;
+    if (!zone || !zone.enabled) return null;
+
+    // Support both old 'padding' property and new paddingX/paddingY
+    const paddingX = zone.paddingX ?? zone.padding ?? 10;
+    const paddingY = zone.paddingY ?? zone.padding ?? 10;
+    const offsetX = zone.offsetX ?? 0;
+    const offsetY = zone.offsetY ?? 0;
+
+    const rad = ((component.angle || 0) * Math.PI) / 180;
+    const cos = Math.cos(rad);
+    const sin = Math.sin(rad);
+    const center = {
+        x: component.position.x + offsetX * cos - offsetY * sin,
+        y: component.position.y + offsetX * sin + offsetY * cos
+    };
+
+    return createRect(
+        center,
+        component.size.width / 2 + paddingX,
+        component.size.height / 2 + paddingY,
+        component.angle || 0
+    );
+}
+
+/**
+ * Oriented rectangle of a global zone (keep-out or mounting zone)
+ * Zones store an unrotated bounds box and rotate about its center.
+ */
+export function getZoneRect(zone) {
+    const b = zone.bounds;
+    return createRect(
+        { x: b.x + b.width / 2, y: b.y + b.height / 2 },
+        b.width / 2,
+        b.height / 2,
+        zone.rotation || 0
+    );
+}
+
+/**
+ * Axis-aligned bounds enclosing a rectangle
+ * @returns {Object} { minX, minY, maxX, maxY }
+ */
+export function getRectBounds(rect) {
+    const xs = rect.corners.map(c => c.x);
+    const ys = rect.corners.map(c => c.y);
+    return {
+        minX: Math.min(...xs),
+        minY: Math.min(...ys),
+        maxX: Math.max(...xs),
+        maxY: Math.max(...ys)
+    };
+}
+
+/**
+ * Project a rectangle onto an axis
+ * @returns {Object} { min, max }
+ */
+function projectRect(rect, axis) {
+    const center = rect.center.x * axis.x + rect.center.y * axis.y;
+    const radius =
+        rect.halfWidth * Math.abs(rect.axes[0].x * axis.x + rect.axes[0].y * axis.y) +
+        rect.halfHeight * Math.abs(rect.axes[1].x * axis.x + rect.axes[1].y * axis.y);
+    return { min: center - radius, max: center + radius };
+}
+
+/**
+ * Check if two oriented rectangles overlap (separating axis theorem)
+ * Rectangles that only touch along an edge do not overlap.
+ */
+export function rectsOverlap(a, b) {
+    for (const axis of [...a.axes, ...b.axes]) {
+        const pa = projectRect(a, axis);
+        const pb = projectRect(b, axis);
+        if (Math.min(pa.max, pb.max) - Math.max(pa.min, pb.min) <= OVERLAP_EPSILON) {
+            return false;  // Found a separating axis
+        }
+    }
+    return true;
+}
+
+/**
+ * Transform a point into a rectangle's local frame
+ * @returns {Object} { x, y } - along the width and height axes, from the center
+ */
+export function toRectLocal(rect, point) {
+    const dx = point.x - rect.center.x;
+    const dy = point.y - rect.center.y;
+    return {
+        x: dx * rect.axes[0].x + dy * rect.axes[0].y,
+        y: dx * rect.axes[1].x + dy * rect.axes[1].y
+    };
+}
+
+/**
+ * Check if a point lies inside (or on the edge of) a rectangle
+ */
+export function rectContainsPoint(rect, point) {
+    const local = toRectLocal(rect, point);
+    return Math.abs(local.x) <= rect.halfWidth && Math.abs(local.y) <= rect.halfHeight;
+}
+
+/**
+ * Distance from a point to a rectangle (0 if the point is inside)
+ */
+export function distanceToRect(rect, point) {
+    const local = toRectLocal(rect, point);
+    const dx = Math.max(Math.abs(local.x) - rect.halfWidth, 0);
+    const dy = Math.max(Math.abs(local.y) - rect.halfHeight, 0);
+    return Math.hypot(dx, dy);
+}
+
+/**
+ * Intersect a ray with a rectangle (slab test in the rectangle's frame)
+ * @param {Object} origin - Ray origin {x, y}
+ * @param {Object} direction - Unit direction {x, y}
+ * @param {Object} rect - Oriented rectangle
+ * @returns {Object|null} { entry, exit } - distances along the ray, entry may be
+ *   negative when the origin is inside; null if the ray misses
+ */
+export function rayRectIntersection(origin, direction, rect) {
+    const localOrigin = toRectLocal(rect, origin);
+    const localDir = {
+        x: direction.x * rect.axes[0].x + direction.y * rect.axes[0].y,
+        y: direction.x * rect.axes[1].x + direction.y * rect.axes[1].y
+    };
+
+    let entry = -Infinity;
+    let exit = Infinity;
+    const slabs = [
+        [localOrigin.x, localDir.x, rect.halfWidth],
+        [localOrigin.y, localDir.y, rect.halfHeight]
+    ];
+
+    for (const [o, d, half] of slabs) {
+        if (Math.abs(d) < 1e-12) {
+            // Parallel to this slab - must already be inside it
+            if (Math.abs(o) > half) return null;
+            continue;
+        }
+        const t1 = (-half - o) / d;
+        const t2 = (half - o) / d;
+        entry = Math.max(entry, Math.min(t1, t2));
+        exit = Math.min(exit, Math.max(t1, t2));
+    }
+
+    if (entry > exit || exit < 0) return null;
+    return { entry, exit };
+}
+
+/**
+ * Distance from a line segment to a rectangle (0 if the segment touches or crosses it)
+ */
+export function segmentRectDistance(a, b, rect) {
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    if (length > 0) {
+        const hit = rayRectIntersection(a, { x: (b.x - a.x) / length, y: (b.y - a.y) / length }, rect);
+        if (hit && hit.entry <= length) return 0;
+    } else if (rectContainsPoint(rect, a)) {
+        return 0;
+    }
+
+    // Closest approach is at a segment end or a rectangle corner
+    return Math.min(
+        distanceToRect(rect, a),
+        distanceToRect(rect, b),
+        ...rect.corners.map(corner => distanceToSegment(corner, a, b))
+    );
+}
+
+/**
+ * Gap between two oriented rectangles (0 if they touch or overlap)
+ */
+export function rectDistance(a, b) {
+    if (rectsOverlap(a, b)) return 0;
+    const edges = rect => rect.corners.map((corner, i) => [corner, rect.corners[(i + 1) % 4]]);
+    return Math.min(
+        ...edges(a).map(([p, q]) => segmentRectDistance(p, q, b)),
+        ...edges(b).map(([p, q]) => segmentRectDistance(p, q, a))
+    );
+}
+
+// ============================================================================
+// Zone shapes (rectangles, circles, polygons)
+// ============================================================================
+
+/**
+ * Convert an oriented rectangle to a polygon shape
+ */
+export function rectToShape(rect) {
+    return { type: 'polygon', points: rect.corners };
+}
+
+/**
+ * Get the world outline of a global zone
+ * @param {Object} zone - Zone with bounds, rotation and optional shape/points
+ * @returns {Object} Polygon or circle shape
+ */
+export function getZoneOutline(zone) {
+    const b = zone.bounds;
+    const center = { x: b.x + b.width / 2, y: b.y + b.height / 2 };
+
+    if (zone.shape === ZoneShape.CIRCLE) {
+        return { type: 'circle', center, radius: Math.min(b.width, b.height) / 2 };
+    }
+
+    if (zone.shape === ZoneShape.POLYGON && zone.points?.length >= 3) {
+        const rad = ((zone.rotation || 0) * Math.PI) / 180;
+        const cos = Math.cos(rad);
+        const sin = Math.sin(rad);
+        return {
+            type: 'polygon',
+            points: zone.points.map(p => ({
+                x: center.x + p.x * cos - p.y * sin,
+                y: center.y + p.x * sin + p.y * cos
+            }))
+        };
+    }
+
+    return rectToShape(getZoneRect(zone));
+}
+
+/**
+ * Build the bounds and local points of a polygon zone from world points
+ * @param {Array} worldPoints - Polygon vertices {x, y} in drawing order
+ * @returns {Object} { bounds, points }
+ */
+export function createPolygonZoneGeometry(worldPoints) {
+    const xs = worldPoints.map(p => p.x);
+    const ys = worldPoints.map(p => p.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const width = Math.max(...xs) - minX;
+    const height = Math.max(...ys) - minY;
+    const cx = minX + width / 2;
+    const cy = minY + height / 2;
+
+    return {
+        bounds: { x: minX, y: minY, width, height },
+        points: worldPoints.map(p => ({ x: p.x - cx, y: p.y - cy }))
+    };
+}
+
+/**
+ * Resize a zone's bounds, scaling polygon points and keeping circles round
+ * @param {Object} zone - Zone to resize
+ * @param {Object} size - { width?, height? } new size (mm)
+ * @returns {Object} Updates { bounds, points? } for the zone
+ */
+export function resizeZone(zone, size) {
+    let width = size.width ?? zone.bounds.width;
+    let height = size.height ?? zone.bounds.height;
+
+    if (zone.shape === ZoneShape.CIRCLE) {
+        // Whichever dimension was edited sets the diameter
+        const diameter = size.width !== undefined ? width : height;
+        width = diameter;
+        height = diameter;
+    }
+
+    const updates = { bounds: { ...zone.bounds, width, height } };
+
+    if (zone.shape === ZoneShape.POLYGON && zone.points) {
+        const sx = zone.bounds.width > 0 ? width / zone.bounds.width : 1;
+        const sy = zone.bounds.height > 0 ? height / zone.bounds.height : 1;
+        updates.points = zone.points.map(p => ({ x: p.x * sx, y: p.y * sy }));
+    }
+
+    return updates;
+}
+
+/**
+ * Check if a point lies strictly inside a polygon (ray casting, works for concave polygons)
+ */
+export function pointInPolygon(point, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Distance from a point to a line segment
+ */
+export function distanceToSegment(point, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0
+        ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSq))
+        : 0;
+    return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+}
+
+/**
+ * Intersection point of two line segments (x1,y1)-(x2,y2) and (x3,y3)-(x4,y4)
+ * Touching ends count; parallel segments never intersect.
+ * @returns {Object|null} { x, y }, or null if they do not meet
+ */
+export function lineIntersection(x1, y1, x2, y2, x3, y3, x4, y4) {
+    const denom = (x1 - x2) * (y3 - y4) - (y1 - y2) * (x3 - x4);
+    if (Math.abs(denom) < 1e-10) return null;
+
+    const t = ((x1 - x3) * (y3 - y4) - (y1 - y3) * (x3 - x4)) / denom;
+    const u = -((x1 - x2) * (y1 - y3) - (y1 - y2) * (x1 - x3)) / denom;
+
+    if (t >= 0 && t <= 1 && u >= 0 && u <= 1) {
+        return {
+            x: x1 + t * (x2 - x1),
+            y: y1 + t * (y2 - y1)
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Check if two segments properly cross (touching endpoints or collinear overlap do not count)
+ */
+export function segmentsCross(p1, p2, p3, p4) {
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const d1 = cross(p3, p4, p1);
+    const d2 = cross(p3, p4, p2);
+    const d3 = cross(p1, p2, p3);
+    const d4 = cross(p1, p2, p4);
+    return d1 * d2 < -OVERLAP_EPSILON && d3 * d4 < -OVERLAP_EPSILON;
+}
+
+/**
+ * Average of a polygon's vertices (inside for convex polygons)
+ */
+function vertexCentroid(points) {
+    const sum = points.reduce((acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y }), { x: 0, y: 0 });
+    return { x: sum.x / points.length, y: sum.y / points.length };
+}
+
+function polygonsOverlap(a, b) {
+    // Crossing edges
+    for (let i = 0; i < a.length; i++) {
+        const a1 = a[i];
+        const a2 = a[(i + 1) % a.length];
+        for (let j = 0; j < b.length; j++) {
+            if (segmentsCross(a1, a2, b[j], b[(j + 1) % b.length])) return true;
+        }
+    }
+    // One inside the other (vertices, or the centroid for coincident outlines)
+    return a.some(p => pointInPolygon(p, b)) || b.some(p => pointInPolygon(p, a)) ||
+        pointInPolygon(vertexCentroid(a), b) || pointInPolygon(vertexCentroid(b), a);
+}
+
+function circlePolygonOverlap(circle, points) {
+    if (pointInPolygon(circle.center, points)) return true;
+    for (let i = 0; i < points.length; i++) {
+        if (distanceToSegment(circle.center, points[i], points[(i + 1) % points.length]) < circle.radius - OVERLAP_EPSILON) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Check if two shapes (polygons or circles) overlap
+ * Shapes that only touch do not overlap.
+ */
+export function shapesOverlap(a, b) {
+    if (a.type === 'circle' && b.type === 'circle') {
+        const distance = Math.hypot(a.center.x - b.center.x, a.center.y - b.center.y);
+        return distance < a.radius + b.radius - OVERLAP_EPSILON;
+    }
+    if (a.type === 'circle') return circlePolygonOverlap(a, b.points);
+    if (b.type === 'circle') return circlePolygonOverlap(b, a.points);
+    return polygonsOverlap(a.points, b.points);
+}
+
+/**
+ * Check if a point lies inside a shape
+ */
+export function shapeContainsPoint(shape, point) {
+    if (shape.type === 'circle') {
+        return Math.hypot(point.x - shape.center.x, point.y - shape.center.y) <= shape.radius;
+    }
+    return pointInPolygon(point, shape.points);
+}
+
+/**
+ * Check if a component body overlaps a global zone of any shape
+ * @param {Object} rect - Oriented rectangle (component body or mount zone)
+ * @param {Object} zone - Global zone
+ */
+export function rectOverlapsZone(rect, zone) {
+    if (!zone.shape || zone.shape === ZoneShape.RECT) {
+        return rectsOverlap(rect, getZoneRect(zone));
+    }
+    return shapesOverlap(rectToShape(rect), getZoneOutline(zone));
+}
+
+export default {
+    ZoneShape,
+    OVERLAP_EPSILON,
+    createRect,
+    getComponentRect,
+    getMountZoneRect,
+    getZoneRect,
+    getRectBounds,
+    rectsOverlap,
+    toRectLocal,
+    rectContainsPoint,
+    distanceToRect,
+    rayRectIntersection,
+    segmentRectDistance,
+    rectDistance,
+    rectToShape,
+    getZoneOutline,
+    createPolygonZoneGeometry,
+    resizeZone,
+    pointInPolygon,
+    distanceToSegment,
+    lineIntersection,
+    segmentsCross,
+    shapesOverlap,
+    shapeContainsPoint,
+    rectOverlapsZone
+};
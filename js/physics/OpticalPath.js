@@ -0,0 +1,234 @@
+/**
+ * Optical Path Length Matching
+ *
+ * Ties two beam routes together: interferometer arms and pump-probe delay
+ * lines need route A (e.g. source -> detector 1) to be as long as route B
+ * (source -> detector 2), or longer by a set offset, within a tolerance.
+ *
+ * A constraint (stored in state.constraints.pathLengthConstraints):
+ *   { id, name, pathA: { fromId, toId, viaId }, pathB: { ... },
+ *     offset, tolerance, delayMirrorIds: [firstId, secondId] }
+ * viaId (optional) picks one route when several lead from the same source
+ * to the same component, e.g. the two arms of a Mach-Zehnder.
+ *
+ * Path lengths are geometric (center-to-center along the beam segments),
+ * matching BeamSegment.pathLength. The solver moves a delay mirror pair -
+ * two mirrors that send the beam back antiparallel - along the incoming
+ * beam, which changes the route by twice the shift while every beam stays
+ * on its axis.
+ */
+
+import { generateId } from '../models/Component.js';
+import { angleToVector, calculateBeamAngle, planConstrainedMove } from './BeamPhysics.js';
+
+/**
+ * Default matching tolerance (mm)
+ */
+export const DEFAULT_OPL_TOLERANCE = 0.5;
+
+/**
+ * Create a path length constraint
+ * @param {Object} props - Overrides (see module docs)
+ */
+export function createPathLengthConstraint(props = {}) {
+    return {
+        id: generateId('opl'),
+        name: 'Path match',
+        pathA: { fromId: null, toId: null, viaId: null },
+        pathB: { fromId: null, toId: null, viaId: null },
+        offset: 0,                          // Wanted length A - B (mm)
+        tolerance: DEFAULT_OPL_TOLERANCE,   // Allowed deviation from the offset (mm)
+        delayMirrorIds: [],                 // Mirror pair the solver may move
+        ...props
+    };
+}
+
+/**
+ * Find the beam route between two components
+ * Follows outgoing segments from `fromId` (each component once, so beam
+ * loops end) and returns the first route that reaches `toId` and, if given,
+ * passes `viaId`.
+ * @param {Object} beamPath - BeamPath graph
+ * @param {Object} path - { fromId, toId, viaId }
+ * @returns {Array|null} Segments in beam order, or null if no route exists
+ */
+export function findBeamRoute(beamPath, path) {
+    const { fromId, toId, viaId } = path || {};
+    if (!fromId || !toId || fromId === toId) return null;
+
+    const visited = new Set([fromId]);
+    const route = [];
+
+    const search = (componentId, passedVia) => {
+        for (const segment of beamPath.getOutgoingSegments(componentId)) {
+            const targetId = segment.targetId;
+            if (!targetId || visited.has(targetId)) continue;
+
+            route.push(segment);
+            const via = passedVia || targetId === viaId;
+            if (targetId === toId) {
+                if (via) return true;
+            } else {
+                visited.add(targetId);
+                if (search(targetId, via)) return true;
+                visited.delete(targetId);
+            }
+            route.pop();
+        }
+        return false;
+    };
+
+    return search(fromId, !viaId || fromId === viaId) ? [...route] : null;
+}
+
+/**
+ * Geometric length of a route
+ * @param {Array} route - Segments from findBeamRoute()
+ * @param {Map} componentMap - Components by ID
+ * @param {Map} positions - Optional position overrides (id -> {x, y})
+ * @returns {number} mm
+ */
+export function measureRoute(route, componentMap, positions = null) {
+    const positionOf = id => positions?.get(id) ?? componentMap.get(id)?.position;
+
+    return route.reduce((length, segment) => {
+        const a = positionOf(segment.sourceId);
+        const b = positionOf(segment.targetId);
+        return a && b ? length + Math.hypot(b.x - a.x, b.y - a.y) : length;
+    }, 0);
+}
+
+/**
+ * Measure both routes of a constraint
+ * @returns {Object} { lengthA, lengthB, difference (A - B), error (offset miss), satisfied, message }
+ */
+export function evaluatePathLengthConstraint(constraint, beamPath, componentMap) {
+    const routeA = findBeamRoute(beamPath, constraint.pathA);
+    const routeB = findBeamRoute(beamPath, constraint.pathB);
+
+    if (!routeA || !routeB) {
+        const missing = [!routeA && 'A', !routeB && 'B'].filter(Boolean).join(' and ');
+        return {
+            lengthA: routeA ? measureRoute(routeA, componentMap) : null,
+            lengthB: routeB ? measureRoute(routeB, componentMap) : null,
+            difference: null,
+            error: null,
+            satisfied: false,
+            message: `no beam route for path ${missing}`
+        };
+    }
+
+    const lengthA = measureRoute(routeA, componentMap);
+    const lengthB = measureRoute(routeB, componentMap);
+    const difference = lengthA - lengthB;
+    const error = difference - (constraint.offset || 0);
+    const satisfied = Math.abs(error) <= (constraint.tolerance ?? DEFAULT_OPL_TOLERANCE);
+
+    return {
+        lengthA,
+        lengthB,
+        difference,
+        error,
+        satisfied,
+        message: satisfied ? null : `A - B = ${difference.toFixed(2)} mm, wanted ${(constraint.offset || 0).toFixed(2)} ± ${constraint.tolerance} mm`
+    };
+}
+
+/**
+ * Constraint violations for every unmet path length constraint
+ * Same shape as checkConstraintViolations() entries (type 'pathLength').
+ */
+export function checkPathLengthConstraints(constraints, beamPath, componentMap) {
+    const violations = [];
+    (constraints || []).forEach(constraint => {
+        const result = evaluatePathLengthConstraint(constraint, beamPath, componentMap);
+        if (!result.satisfied) {
+            violations.push({
+                type: 'pathLength',
+                constraintId: constraint.id,
+                message: `Path length "${constraint.name}": ${result.message}`
+            });
+        }
+    });
+    return violations;
+}
+
+/**
+ * Shift the delay mirror pair so the constraint is met exactly
+ * The pair moves along the beam entering its first mirror; the shift is
+ * found from the (linear) change of A - B per millimeter of movement.
+ * @returns {Object} { valid, error, positions (Map id -> {x, y}), shift (mm) }
+ */
+export function solveDelayLine(constraint, beamPath, componentMap) {
+    const result = { valid: false, error: null, positions: new Map(), shift: 0 };
+    const [firstId, secondId] = constraint.delayMirrorIds || [];
+    const first = componentMap.get(firstId);
+    const second = componentMap.get(secondId);
+
+    if (!first || !second || firstId === secondId) {
+        result.error = 'Choose two different delay mirrors';
+        return result;
+    }
+
+    const routeA = findBeamRoute(beamPath, constraint.pathA);
+    const routeB = findBeamRoute(beamPath, constraint.pathB);
+    if (!routeA || !routeB) {
+        result.error = `No beam route for path ${!routeA ? 'A' : 'B'}`;
+        return result;
+    }
+
+    // The mirror the beam reaches first sets the direction of travel
+    const route = [routeA, routeB].find(r => r.some(seg => seg.targetId === firstId || seg.targetId === secondId));
+    if (!route) {
+        result.error = `${first.name} and ${second.name} are not on either path`;
+        return result;
+    }
+    const entry = route.find(seg => seg.targetId === firstId || seg.targetId === secondId);
+    const lead = componentMap.get(entry.targetId);
+    const upstream = componentMap.get(entry.sourceId);
+    const direction = angleToVector(calculateBeamAngle(upstream.position, lead.position));
+
+    const plan = distance => planConstrainedMove(lead.id, { x: direction.x * distance, y: direction.y * distance },
+        beamPath, componentMap);
+    const mismatch = positions =>
+        measureRoute(routeA, componentMap, positions) - measureRoute(routeB, componentMap, positions) - (constraint.offset || 0);
+
+    const trial = plan(1);
+    if (!trial.valid) {
+        result.error = trial.error;
+        return result;
+    }
+    if (!trial.positions.has(firstId) || !trial.positions.has(secondId)) {
+        result.error = `${first.name} and ${second.name} do not form a delay line`;
+        return result;
+    }
+
+    const before = mismatch(null);
+    const slope = mismatch(trial.positions) - before;
+    if (Math.abs(slope) < 1e-9) {
+        result.error = `Moving ${first.name} and ${second.name} does not change A - B`;
+        return result;
+    }
+
+    const shift = -before / slope;
+    const move = plan(shift);
+    if (!move.valid) {
+        result.error = move.error;
+        return result;
+    }
+
+    result.valid = true;
+    result.positions = move.positions;
+    result.shift = shift;
+    return result;
+}
+
+export default {
+    DEFAULT_OPL_TOLERANCE,
+    createPathLengthConstraint,
+    findBeamRoute,
+    measureRoute,
+    evaluatePathLengthConstraint,
+    checkPathLengthConstraints,
+    solveDelayLine
+};
@@ -0,0 +1,305 @@
+/**
+ * Path Drawing
+ *
+ * Turns the points sketched in Draw Path mode into components and beam
+ * segments. A point on an existing component connects to it; a point in
+ * empty space becomes:
+ *   - a source (first point), aimed at the second point
+ *   - a mirror where the path turns, angled to reflect the beam onto the next point
+ *   - a path point anywhere else - a placeholder the beam passes straight
+ *     through, replaced later by the optic that belongs there
+ * Angles that are not on the type's valid list (e.g. a 30° path) give the new
+ * component allowAnyAngle, so the free-angle beam physics applies.
+ */
+
+import { Component, ComponentType, ComponentNames, isBeamSplitterType, isCustomType } from '../models/Component.js';
+import { BeamSegment } from '../models/BeamPath.js';
+import {
+    angleToVector,
+    calculateBeamAngle,
+    getIncomingBeamAngle,
+    getMirrorAngleForTurn,
+    getValidAnglesForComponent,
+    normalizeAngle,
+    normalizeAngleDiff,
+    validateConnection
+} from './BeamPhysics.js';
+
+/**
+ * Points closer than this are the same point (mm)
+ */
+const SAME_POINT_DISTANCE = 0.5;
+
+/**
+ * Components placed this close to a path point replace it (mm)
+ */
+export const PATH_POINT_SNAP_RADIUS = 10;
+
+/**
+ * Snap a point onto the horizontal or vertical line through the previous point
+ * (whichever is closer), as drawn with grid snap on
+ */
+export function lockToAxis(previous, point) {
+    return Math.abs(point.x - previous.x) >= Math.abs(point.y - previous.y)
+        ? { x: point.x, y: previous.y }
+        : { x: previous.x, y: point.y };
+}
+
+/**
+ * Pick the output port of a component for a new beam
+ * Mirrors reflect; splitters prefer a free port that passes light (reflected
+ * first); user-defined types take their first port without a beam.
+ * @param {Object} component - Source component of the beam
+ * @param {Array} outgoingSegments - Beams already leaving the component
+ */
+export function getFreeOutputPort(component, outgoingSegments = []) {
+    const usedPorts = outgoingSegments.map(s => s.sourcePort);
+
+    if (component.type === ComponentType.MIRROR) {
+        return 'reflected';
+    }
+    if (isBeamSplitterType(component.type)) {
+        const reflectance = component.reflectance ?? 0.5;
+        const transmittance = component.transmittance ?? (1 - reflectance);
+
+        if (!usedPorts.includes('reflected') && reflectance > 0) return 'reflected';
+        if (!usedPorts.includes('transmitted') && transmittance > 0) return 'transmitted';
+        return reflectance > 0 || transmittance <= 0 ? 'reflected' : 'transmitted';
+    }
+    if (isCustomType(component.type)) {
+        const outputPorts = component.getOutputPorts();
+        return outputPorts.find(port => !usedPorts.includes(port)) ?? outputPorts[0] ?? 'output';
+    }
+    if (component.splitsBeam && component.splitsBeam()) {
+        return 'transmitted';
+    }
+    return component.getOutputPorts()[0] ?? 'output';
+}
+
+/**
+ * Check if an angle is one of the valid angles of a component type (within 1e-6°)
+ */
+function isValidAngle(type, angle) {
+    return getValidAnglesForComponent(type).some(valid => Math.abs(normalizeAngleDiff(valid - angle)) < 1e-6);
+}
+
+/**
+ * Create a new component for a drawn point, free-angled if its angle needs it
+ */
+function createPathComponent(type, position, angle) {
+    const component = Component.create(type, { x: position.x, y: position.y }, { angle });
+    if (!isValidAngle(type, angle)) {
+        component.allowAnyAngle = true;
+    }
+    return component;
+}
+
+/**
+ * Build the components and beam segments for a drawn path
+ * @param {Array} points - Drawn points { x, y, componentId? } in beam order
+ * @param {Object} beamPath - Current BeamPath graph
+ * @param {Map} componentMap - Current components by ID
+ * @param {Object} options - { wavelengthIds: IDs given to every new segment }
+ * @returns {Object} { valid, error, components (new), segments (new) }
+ */
+export function buildDrawnPath(points, beamPath, componentMap, options = {}) {
+    const result = { valid: false, error: null, components: [], segments: [] };
+
+    // Repeated clicks on the same spot add nothing
+    const path = points.filter((p, i) => i === 0 ||
+        Math.hypot(p.x - points[i - 1].x, p.y - points[i - 1].y) > SAME_POINT_DISTANCE);
+    if (path.length < 2) {
+        result.error = 'A path needs at least two points';
+        return result;
+    }
+
+    const map = new Map(componentMap);
+
+    // One component per point, existing or new
+    const pathComponents = path.map((point, i) => {
+        const existing = point.componentId ? componentMap.get(point.componentId) : null;
+        if (existing) return existing;
+
+        const incoming = i > 0 ? calculateBeamAngle(path[i - 1], point) : null;
+        const outgoing = i < path.length - 1 ? calculateBeamAngle(point, path[i + 1]) : null;
+        let component;
+
+        if (i === 0) {
+            component = createPathComponent(ComponentType.SOURCE, point, outgoing);
+        } else {
+            const mirrorAngle = outgoing !== null ? getMirrorAngleForTurn(incoming, outgoing) : null;
+            component = mirrorAngle !== null
+                ? createPathComponent(ComponentType.MIRROR, point, mirrorAngle)
+                : createPathComponent(ComponentType.PATH_POINT, point, 0);
+        }
+        map.set(component.id, component);
+        result.components.push(component);
+        return component;
+    });
+
+    for (let i = 0; i < pathComponents.length - 1; i++) {
+        const source = pathComponents[i];
+        const target = pathComponents[i + 1];
+
+        if (!source.canOutputBeam()) {
+            result.error = `${source.name} cannot output a beam`;
+            return result;
+        }
+        if (!target.canReceiveBeam()) {
+            result.error = `${target.name} cannot receive a beam`;
+            return result;
+        }
+
+        const outgoing = [
+            ...beamPath.getOutgoingSegments(source.id),
+            ...result.segments.filter(s => s.sourceId === source.id)
+        ];
+        const sourcePort = getFreeOutputPort(source, outgoing);
+        const incomingAngle = source.type === ComponentType.SOURCE
+            ? null
+            : i > 0
+                ? calculateBeamAngle(pathComponents[i - 1].position, source.position)
+                : getIncomingBeamAngle(source.id, beamPath, map);
+
+        const validation = validateConnection(source, target, sourcePort, incomingAngle, map);
+        if (!validation.valid) {
+            result.error = `${source.name} → ${target.name}: ${validation.error}`;
+            return result;
+        }
+
+        result.segments.push(new BeamSegment({
+            sourceId: source.id,
+            targetId: target.id,
+            sourcePort,
+            targetPort: 'input',
+            direction: validation.beamDirection,
+            directionAngle: validation.beamAngle,
+            isValid: true,
+            wavelengthIds: [...(options.wavelengthIds || [])]
+        }));
+    }
+
+    result.valid = true;
+    return result;
+}
+
+/**
+ * Split a beam segment with a path point
+ * The point is projected onto the segment; the two halves keep the beam's
+ * ports, name and wavelengths.
+ * @returns {Object|null} { component, segments: [first, second] }, or null if the point is not between the ends
+ */
+export function splitSegment(segment, point, componentMap) {
+    const source = componentMap.get(segment.sourceId);
+    const target = componentMap.get(segment.targetId);
+    if (!source || !target) return null;
+
+    const dx = target.position.x - source.position.x;
+    const dy = target.position.y - source.position.y;
+    const lengthSq = dx * dx + dy * dy;
+    if (lengthSq === 0) return null;
+
+    const t = ((point.x - source.position.x) * dx + (point.y - source.position.y) * dy) / lengthSq;
+    const position = { x: source.position.x + t * dx, y: source.position.y + t * dy };
+    const length = Math.sqrt(lengthSq);
+    if (t * length <= SAME_POINT_DISTANCE || (1 - t) * length <= SAME_POINT_DISTANCE) return null;
+
+    const angle = calculateBeamAngle(source.position, target.position);
+    const component = createPathComponent(ComponentType.PATH_POINT, position, 0);
+    const shared = {
+        name: segment.name,
+        wavelength: segment.wavelength,
+        color: segment.color,
+        branchIndex: segment.branchIndex,
+        wavelengthIds: [...(segment.wavelengthIds || [])],
+        direction: angleToVector(angle),
+        directionAngle: angle,
+        isValid: true
+    };
+
+    return {
+        component,
+        segments: [
+            new BeamSegment({ ...shared, sourceId: source.id, sourcePort: segment.sourcePort, targetId: component.id, targetPort: 'input' }),
+            new BeamSegment({ ...shared, sourceId: component.id, sourcePort: 'output', targetId: target.id, targetPort: segment.targetPort })
+        ]
+    };
+}
+
+/**
+ * Plan replacing a path point with a real component
+ * The new component keeps the path point's ID (so beams, constraints and
+ * groups stay attached) and is oriented for the beam through the point:
+ * mirrors and splitters turn it onto the next point, transmissive optics face it.
+ * @param {Object} pathPoint - Path point component
+ * @param {string} type - Component type to place
+ * @param {Object} beamPath - BeamPath graph
+ * @param {Map} componentMap - Components by ID
+ * @param {Object} props - Extra component properties (e.g. from a catalog part)
+ * @returns {Object} { valid, error, component, outputPort (null drops the outgoing beams) }
+ */
+export function planPathPointReplacement(pathPoint, type, beamPath, componentMap, props = {}) {
+    const result = { valid: false, error: null, component: null, outputPort: null };
+    const name = ComponentNames[type] || type;
+
+    const incoming = getIncomingBeamAngle(pathPoint.id, beamPath, componentMap);
+    const next = beamPath.getOutgoingSegments(pathPoint.id)
+        .map(s => componentMap.get(s.targetId))
+        .find(Boolean);
+    const outgoing = next ? calculateBeamAngle(pathPoint.position, next.position) : null;
+    const turn = incoming !== null && outgoing !== null ? getMirrorAngleForTurn(incoming, outgoing) : null;
+
+    const component = Component.create(type, { ...pathPoint.position }, { ...props, id: pathPoint.id });
+    if (incoming !== null && !component.canReceiveBeam()) {
+        result.error = `A ${name} cannot receive the beam arriving here`;
+        return result;
+    }
+
+    let angle = component.angle;
+    let outputPort = outgoing !== null && component.canOutputBeam() ? getFreeOutputPort(component) : null;
+
+    if (type === ComponentType.SOURCE) {
+        angle = outgoing ?? angle;
+    } else if (type === ComponentType.MIRROR) {
+        if (outgoing !== null && turn === null) {
+            result.error = 'The beam goes straight on here - a mirror would turn it';
+            return result;
+        }
+        angle = turn ?? angle;
+    } else if (isBeamSplitterType(type)) {
+        // The reflecting diagonal lies 45° off the splitter angle
+        if (turn !== null) {
+            angle = normalizeAngle(turn + 45);
+            outputPort = 'reflected';
+        } else if (outgoing !== null) {
+            outputPort = 'transmitted';
+        }
+    } else if ([ComponentType.LENS, ComponentType.WAVEPLATE, ComponentType.FILTER].includes(type)) {
+        if (turn !== null) {
+            result.error = `The beam turns here - a ${name} cannot turn it`;
+            return result;
+        }
+        // The optical axis is perpendicular to the component angle
+        const beam = incoming ?? outgoing;
+        if (beam !== null) angle = normalizeAngle(beam - 90) % 180;
+    }
+
+    component.angle = angle;
+    if (!isValidAngle(type, angle)) {
+        component.allowAnyAngle = true;
+    }
+
+    result.valid = true;
+    result.component = component;
+    result.outputPort = outputPort;
+    return result;
+}
+
+export default {
+    PATH_POINT_SNAP_RADIUS,
+    lockToAxis,
+    getFreeOutputPort,
+    buildDrawnPath,
+    splitSegment,
+    planPathPointReplacement
+};
@@ -0,0 +1,256 @@
+/**
+ * Polarization (Jones calculus)
+ *
+ * A beam's polarization is a list of mutually incoherent Jones vectors, so
+ * unpolarized light can be represented as two orthogonal components. Each
+ * Jones vector holds complex amplitudes for:
+ * - h: horizontal - in the table plane, perpendicular to the beam (p for
+ *      reflections off components on the table)
+ * - v: vertical - perpendicular to the table (s)
+ * |h|² + |v|² is the power in mW. The frame turns with the beam, so h flips
+ * when the beam reverses (a mirror, or a retro pass back through a plate).
+ *
+ * Component ports apply 2x2 complex Jones matrices (see getPortMatrix).
+ */
+
+import { ComponentType, PortRule, getPortRule, getPhysicalPort } from '../models/Component.js';
+
+/**
+ * Source polarization types
+ */
+export const PolarizationType = {
+    LINEAR: 'linear',
+    CIRCULAR_RIGHT: 'circular-right',
+    CIRCULAR_LEFT: 'circular-left',
+    UNPOLARIZED: 'unpolarized'
+};
+
+// ============================================================================
+// Complex helpers
+// ============================================================================
+
+function complex(re, im = 0) {
+    return { re, im };
+}
+
+function complexAdd(a, b) {
+    return complex(a.re + b.re, a.im + b.im);
+}
+
+function complexMultiply(a, b) {
+    return complex(a.re * b.re - a.im * b.im, a.re * b.im + a.im * b.re);
+}
+
+function complexAbs2(a) {
+    return a.re * a.re + a.im * a.im;
+}
+
+/**
+ * Real-valued 2x2 matrix as a complex Jones matrix
+ */
+function realMatrix(a, b, c, d) {
+    return [[complex(a), complex(b)], [complex(c), complex(d)]];
+}
+
+function multiplyMatrices(m1, m2) {
+    return [
+        [
+            complexAdd(complexMultiply(m1[0][0], m2[0][0]), complexMultiply(m1[0][1], m2[1][0])),
+            complexAdd(complexMultiply(m1[0][0], m2[0][1]), complexMultiply(m1[0][1], m2[1][1]))
+        ],
+        [
+            complexAdd(complexMultiply(m1[1][0], m2[0][0]), complexMultiply(m1[1][1], m2[1][0])),
+            complexAdd(complexMultiply(m1[1][0], m2[0][1]), complexMultiply(m1[1][1], m2[1][1]))
+        ]
+    ];
+}
+
+function scaleMatrix(m, s) {
+    return m.map(row => row.map(c => complex(c.re * s, c.im * s)));
+}
+
+// ============================================================================
+// Jones vectors and matrices
+// ============================================================================
+
+/**
+ * Apply a Jones matrix to a Jones vector
+ */
+export function applyJonesMatrix(matrix, vector) {
+    return {
+        h: complexAdd(complexMultiply(matrix[0][0], vector.h), complexMultiply(matrix[0][1], vector.v)),
+        v: complexAdd(complexMultiply(matrix[1][0], vector.h), complexMultiply(matrix[1][1], vector.v))
+    };
+}
+
+/**
+ * Power carried by a Jones vector (mW)
+ */
+export function getVectorPower(vector) {
+    return complexAbs2(vector.h) + complexAbs2(vector.v);
+}
+
+/**
+ * Apply a Jones matrix to every component of a polarization state
+ * Components with no power left are dropped.
+ */
+export function applyToState(matrix, state) {
+    return state
+        .map(vector => applyJonesMatrix(matrix, vector))
+        .filter(vector => getVectorPower(vector) > 1e-15);
+}
+
+/**
+ * Rotation matrix R(θ) in the transverse (h, v) plane
+ */
+function rotationMatrix(angleDeg) {
+    const rad = angleDeg * Math.PI / 180;
+    const cos = Math.cos(rad);
+    const sin = Math.sin(rad);
+    return realMatrix(cos, sin, -sin, cos);
+}
+
+/**
+ * Waveplate Jones matrix: R(-θ) · diag(1, e^{iδ}) · R(θ)
+ * @param {number} retardance - Retardance in waves (0.5 = λ/2, 0.25 = λ/4)
+ * @param {number} fastAxisAngle - Fast axis angle from horizontal (degrees)
+ */
+export function waveplateMatrix(retardance, fastAxisAngle) {
+    const delta = 2 * Math.PI * retardance;
+    const retarder = [[complex(1), complex(0)], [complex(0), complex(Math.cos(delta), Math.sin(delta))]];
+    return multiplyMatrices(rotationMatrix(-fastAxisAngle), multiplyMatrices(retarder, rotationMatrix(fastAxisAngle)));
+}
+
+/**
+ * Reflection off a mirror surface - the horizontal (in-plane) component
+ * flips sign, which reverses the handedness of circular polarization
+ */
+export function reflectionMatrix() {
+    return realMatrix(-1, 0, 0, 1);
+}
+
+/**
+ * Fast axis angle of a waveplate as seen by a beam crossing it
+ * The fast axis angle holds for beams along the plate's normal at angle - 90°
+ * (the direction a plate placed facing the beam gets); a beam crossing the
+ * other way has h flipped and sees the axis mirrored.
+ * @param {Object} component - Waveplate
+ * @param {number|null} inputAngle - Beam direction (degrees), null for the forward direction
+ */
+export function getFastAxisAngle(component, inputAngle = null) {
+    const fastAxisAngle = component.fastAxisAngle ?? 0;
+    if (inputAngle === null) return fastAxisAngle;
+    const forward = ((component.angle ?? 0) - 90) * Math.PI / 180;
+    return Math.cos(inputAngle * Math.PI / 180 - forward) < 0 ? -fastAxisAngle : fastAxisAngle;
+}
+
+/**
+ * Polarizing beam splitter port matrices
+ * Transmits horizontal (p) and reflects vertical (s); the extinction ratio
+ * (Tp/Ts) sets how much of the wrong polarization leaks into each port.
+ * @param {string} port - 'transmitted' or 'reflected'
+ * @param {number} extinctionRatio - e.g. 1000 for 1000:1
+ */
+export function pbsMatrix(port, extinctionRatio = 1000) {
+    const leak = extinctionRatio > 0 ? 1 / (extinctionRatio + 1) : 0;
+    const pass = Math.sqrt(1 - leak);
+    const block = Math.sqrt(leak);
+
+    if (port === 'transmitted') {
+        return realMatrix(pass, 0, 0, block);
+    }
+    return multiplyMatrices(reflectionMatrix(), realMatrix(block, 0, 0, pass));
+}
+
+/**
+ * Get the Jones matrix applied by a component for light leaving a port
+ * Includes the component's power loss (amplitude √R or √T) except for the
+ * polarizing beam splitter, whose split is set by polarization alone.
+ * Ports of user-defined types pass their power fraction instead.
+ * @param {Object} component - Emitting component
+ * @param {string} port - 'reflected', 'transmitted' or a user-defined port
+ * @param {number|null} inputAngle - Direction of the incoming beam (degrees), for waveplates
+ */
+export function getPortMatrix(component, outputPort, inputAngle = null) {
+    const port = getPhysicalPort(component.type, outputPort);
+    if (component.type === ComponentType.POLARIZING_BEAM_SPLITTER) {
+        return pbsMatrix(port, component.extinctionRatio);
+    }
+
+    const portRule = getPortRule(component.type, port);
+    if (portRule) {
+        const amplitude = Math.sqrt(Math.max(0, portRule.fraction));
+        return portRule.rule === PortRule.REFLECT
+            ? scaleMatrix(reflectionMatrix(), amplitude)
+            : realMatrix(amplitude, 0, 0, amplitude);
+    }
+
+    const factor = port === 'reflected' ? (component.reflectance ?? 0) : (component.transmittance ?? 0);
+    const amplitude = Math.sqrt(Math.max(0, factor));
+
+    if (port === 'reflected') {
+        return scaleMatrix(reflectionMatrix(), amplitude);
+    }
+    if (component.type === ComponentType.WAVEPLATE) {
+        return scaleMatrix(waveplateMatrix(component.retardance ?? 0.5, getFastAxisAngle(component, inputAngle)), amplitude);
+    }
+    return realMatrix(amplitude, 0, 0, amplitude);
+}
+
+/**
+ * Create the polarization state emitted by a source
+ * @param {Object} source - Source component (polarization, polarizationAngle)
+ * @param {number} power - Output power (mW)
+ * @returns {Array} List of incoherent Jones vectors
+ */
+export function createSourceState(source, power) {
+    if (power <= 0) return [];
+    const amplitude = Math.sqrt(power);
+
+    switch (source.polarization) {
+        case PolarizationType.UNPOLARIZED: {
+            const half = Math.sqrt(power / 2);
+            return [
+                { h: complex(half), v: complex(0) },
+                { h: complex(0), v: complex(half) }
+            ];
+        }
+        case PolarizationType.CIRCULAR_RIGHT:
+        case PolarizationType.CIRCULAR_LEFT: {
+            const a = amplitude / Math.SQRT2;
+            const sign = source.polarization === PolarizationType.CIRCULAR_RIGHT ? -1 : 1;
+            return [{ h: complex(a), v: complex(0, sign * a) }];
+        }
+        default: {
+            const rad = (source.polarizationAngle ?? 0) * Math.PI / 180;
+            return [{ h: complex(amplitude * Math.cos(rad)), v: complex(amplitude * Math.sin(rad)) }];
+        }
+    }
+}
+
+/**
+ * Summarize a polarization state
+ * @returns {Object} { power, h, v } - total, horizontal and vertical power (mW)
+ */
+export function describeState(state) {
+    let h = 0;
+    let v = 0;
+    state.forEach(vector => {
+        h += complexAbs2(vector.h);
+        v += complexAbs2(vector.v);
+    });
+    return { power: h + v, h, v };
+}
+
+export default {
+    PolarizationType,
+    applyJonesMatrix,
+    getVectorPower,
+    applyToState,
+    waveplateMatrix,
+    reflectionMatrix,
+    pbsMatrix,
+    getPortMatrix,
+    createSourceState,
+    describeState
+};
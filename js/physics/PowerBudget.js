@@ -0,0 +1,218 @@
+/**
+ * Power Budget
+ *
+ * Propagates optical power (mW) from sources through the beam path graph.
+ * Power is carried as a polarization state (see Polarization.js), so the
+ * power leaving a component through a port is set by its Jones matrix:
+ * - output (sources): the source output power and polarization
+ * - reflected: component reflectance
+ * - transmitted: component transmittance (waveplates also change polarization)
+ * - polarizing beam splitters transmit horizontal (p) and reflect vertical (s)
+ * - ports of user-defined types pass their power fraction
+ *
+ * A beam leaving a component carries the incoming beams the component sends
+ * its way, through whichever port does so: the return pass of a retro arm
+ * leaves a splitter toward the detector, not back along the outgoing arm, and
+ * both arms of an interferometer reach each output of the combiner. Beams that
+ * merge add up incoherently; detectors absorb everything that reaches them.
+ * Light circling a beam loop adds up over its round trips (a loop without
+ * loss counts one round trip).
+ */
+
+import { ComponentType, getPhysicalPort } from '../models/Component.js';
+import { createSourceState, getPortMatrix, applyToState, describeState } from './Polarization.js';
+import { ANGLE_TOLERANCE, calculateBeamAngle, normalizeAngleDiff, getOutputDirection } from './BeamPhysics.js';
+
+/**
+ * Largest power change (mW) of any segment between passes once the budget has settled
+ */
+const POWER_TOLERANCE = 1e-9;
+
+/**
+ * Pass limit of the power propagation - a loop without loss never settles
+ */
+const MAX_POWER_PASSES = 200;
+
+/**
+ * Power emitted by a source (0 when its emission is switched off)
+ * @returns {number} mW
+ */
+export function getSourcePower(component) {
+    if (component.type !== ComponentType.SOURCE || component.emitLight === false) return 0;
+    return Math.max(0, component.outputPower ?? 0);
+}
+
+/**
+ * Get the incoming beams that a component sends into one of its outgoing segments
+ * An incoming segment feeds the outgoing one through the segment's own port
+ * when that sends it along the segment (within ANGLE_TOLERANCE), otherwise
+ * through the other port of the component that sends it closest. When no
+ * incoming beam lines up (a loosely drawn layout), all of them pass through
+ * the segment's own port.
+ * @param {Object} component - Component the segment leaves
+ * @param {Object} segment - Outgoing segment
+ * @param {Map} componentMap - Map of all components by ID
+ * @param {Object} beamPath - BeamPath graph
+ * @returns {Array<{segment, port, inputAngle}>} Incoming segments, the port they leave
+ *   through and their direction (null if unknown)
+ */
+function getSegmentInputs(component, segment, componentMap, beamPath) {
+    const getInputAngle = (s) => {
+        const from = componentMap.get(s.sourceId);
+        return from ? calculateBeamAngle(from.position, component.position) : null;
+    };
+    const incoming = beamPath.getIncomingSegments(component.id);
+    const fallback = incoming.map(s => ({ segment: s, port: segment.sourcePort, inputAngle: getInputAngle(s) }));
+    const target = componentMap.get(segment.targetId);
+    const outputAngle = target ? calculateBeamAngle(component.position, target.position) : null;
+    if (outputAngle === null) return fallback;
+
+    const ports = component.getOutputPorts();
+    const ownPort = getPhysicalPort(component.type, segment.sourcePort);
+    const inputs = [];
+    incoming.forEach(s => {
+        const inputAngle = getInputAngle(s);
+        if (inputAngle === null) return;
+
+        let best = null;
+        ports.forEach(port => {
+            const angle = getOutputDirection(component, inputAngle, port);
+            if (angle === null) return;
+            const error = Math.abs(normalizeAngleDiff(angle - outputAngle));
+            if (error > ANGLE_TOLERANCE) return;
+            const rank = port === ownPort ? -1 : error;
+            if (!best || rank < best.rank) best = { port, rank };
+        });
+        if (best) inputs.push({ segment: s, port: best.port, inputAngle });
+    });
+    return inputs.length > 0 ? inputs : fallback;
+}
+
+/**
+ * List the segments in beam order - breadth-first from the sources, then the
+ * segments no source reaches
+ * @returns {Array} Segments
+ */
+function getSegmentsInBeamOrder(componentMap, beamPath) {
+    const ordered = new Set();
+    let frontier = [...componentMap.values()]
+        .filter(component => component.type === ComponentType.SOURCE)
+        .map(component => component.id);
+    while (frontier.length > 0) {
+        const next = [];
+        frontier.forEach(componentId => beamPath.getOutgoingSegments(componentId).forEach(segment => {
+            if (ordered.has(segment)) return;
+            ordered.add(segment);
+            next.push(segment.targetId);
+        }));
+        frontier = next;
+    }
+    beamPath.getAllSegments().forEach(segment => ordered.add(segment));
+    return [...ordered];
+}
+
+/**
+ * Calculate the power carried by every segment and delivered to every component
+ * @param {Map} componentMap - Map of all components by ID
+ * @param {Object} beamPath - BeamPath graph
+ * @returns {Object} {
+ *   segments: Map(segmentId -> mW),
+ *   polarization: Map(segmentId -> { h, v }) - horizontal/vertical power (mW),
+ *   components: Map(componentId -> input mW),
+ *   detectors: Array<{ id, name, power, fraction }> - fraction of the total source power
+ *   totalSourcePower, maxSourcePower
+ * }
+ */
+export function calculatePowerBudget(componentMap, beamPath) {
+    const segments = getSegmentsInBeamOrder(componentMap, beamPath);
+    // Which incoming beams feed a segment (and through which port) depends on the layout only
+    const inputs = new Map(segments.map(segment => {
+        const source = componentMap.get(segment.sourceId);
+        return [segment.id, source ? getSegmentInputs(source, segment, componentMap, beamPath) : []];
+    }));
+
+    let segmentStates = new Map();
+    const emit = (segment) => {
+        const source = componentMap.get(segment.sourceId);
+        if (!source) return [];
+        if (source.type === ComponentType.SOURCE) return createSourceState(source, getSourcePower(source));
+        return inputs.get(segment.id).flatMap(({ segment: incoming, port, inputAngle }) =>
+            applyToState(getPortMatrix(source, port, inputAngle), segmentStates.get(incoming.id) ?? []));
+    };
+
+    // Passes in beam order settle an open layout at once (a second pass confirms
+    // it); light circling a loop adds a smaller share each round until the
+    // change is negligible. The first pass follows the light once around each
+    // loop, which is kept for a loop that never settles.
+    let firstPass = null;
+    let settled = false;
+    for (let pass = 0; pass < MAX_POWER_PASSES && !settled; pass++) {
+        settled = true;
+        segments.forEach(segment => {
+            const state = emit(segment);
+            const previous = describeState(segmentStates.get(segment.id) ?? []).power;
+            if (Math.abs(describeState(state).power - previous) > POWER_TOLERANCE) settled = false;
+            segmentStates.set(segment.id, state);
+        });
+        firstPass = firstPass ?? new Map(segmentStates);
+    }
+    if (!settled) segmentStates = firstPass;
+
+    const segmentPower = new Map();
+    const polarization = new Map();
+    segmentStates.forEach((state, segmentId) => {
+        const summary = describeState(state);
+        segmentPower.set(segmentId, summary.power);
+        polarization.set(segmentId, { h: summary.h, v: summary.v });
+    });
+    // Input of a component = all polarization components on its incoming segments
+    const getInputPower = (componentId) => describeState(beamPath.getIncomingSegments(componentId)
+        .flatMap(segment => segmentStates.get(segment.id) ?? [])).power;
+
+    let totalSourcePower = 0;
+    let maxSourcePower = 0;
+    const components = new Map();
+    const detectors = [];
+
+    componentMap.forEach(component => {
+        if (component.type === ComponentType.SOURCE) {
+            const power = getSourcePower(component);
+            totalSourcePower += power;
+            maxSourcePower = Math.max(maxSourcePower, power);
+            return;
+        }
+
+        const power = getInputPower(component.id);
+        components.set(component.id, power);
+        if (component.type === ComponentType.DETECTOR) {
+            detectors.push({ id: component.id, name: component.name, power });
+        }
+    });
+
+    detectors.forEach(detector => {
+        detector.fraction = totalSourcePower > 0 ? detector.power / totalSourcePower : 0;
+    });
+
+    return { segments: segmentPower, polarization, components, detectors, totalSourcePower, maxSourcePower };
+}
+
+/**
+ * Write the calculated power back into the beam segments
+ * segment.powerMw holds the absolute power; segment.power is relative to the
+ * brightest source (0-1), which the renderer uses for line thickness.
+ * @param {Object} beamPath - BeamPath graph (segments are updated in place)
+ * @param {Object} budget - calculatePowerBudget() result
+ */
+export function applyPowerToSegments(beamPath, budget) {
+    beamPath.getAllSegments().forEach(segment => {
+        const power = budget.segments.get(segment.id) ?? 0;
+        segment.powerMw = power;
+        segment.power = budget.maxSourcePower > 0 ? Math.min(1, power / budget.maxSourcePower) : 0;
+    });
+}
+
+export default {
+    getSourcePower,
+    calculatePowerBudget,
+    applyPowerToSegments
+};
@@ -0,0 +1,323 @@
+/**
+ * Tolerance Analysis
+ *
+ * Monte Carlo estimate of how far the beam walks at each detector when the
+ * optics are not placed or aligned perfectly. Every trial gives each
+ * component a random error within the tolerances (uniform over ±tolerance):
+ *   angle: mrad - pointing of the kinematic mount
+ *   position: mm along x and along y - placement on the table
+ * and re-traces the beam as a ray through the BeamPhysics reflection math.
+ * The ray meets each optic on its surface line rather than at its center, so
+ * a loose mirror followed by a long lever arm walks the beam far at the
+ * detector, and a decentered lens steers it (thin lens, kick = -offset / f).
+ *
+ * Beam position is measured across the detector face (perpendicular to the
+ * nominal beam), relative to the detector center; beam angle relative to the
+ * perfect layout. Each component is also perturbed on its own to the edge of
+ * its tolerances - the one-at-a-time walk ranks the worst offenders.
+ */
+
+import { ComponentType, isBeamSplitterType } from '../models/Component.js';
+import { ANGLE_TOLERANCE, angleToVector, vectorToAngle, calculateBeamAngle, getOutputDirection, normalizeAngleDiff } from './BeamPhysics.js';
+
+/**
+ * Default tolerances and number of trials
+ */
+export const DEFAULT_TOLERANCES = {
+    angle: 0.5,       // mrad
+    position: 0.1,    // mm
+    trials: 500
+};
+
+const MRAD_TO_DEG = 180 / (Math.PI * 1000);
+
+/**
+ * Seeded random numbers in [0, 1) (mulberry32), so a run can be repeated
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Generator
+ */
+export function createRandom(seed = 1) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Component as placed with an error
+ * @param {Object} component - Component
+ * @param {Object} error - { angle (degrees), dx, dy (mm) }, or undefined for a perfect one
+ */
+function applyError(component, error) {
+    if (!error) return component;
+    return {
+        type: component.type,
+        position: { x: component.position.x + error.dx, y: component.position.y + error.dy },
+        angle: component.angle + error.angle,
+        emissionAngle: component.emissionAngle != null ? component.emissionAngle + error.angle : undefined,
+        isShallowAngle: component.isShallowAngle,
+        shallowAngle: component.shallowAngle + error.angle,
+        focalLength: component.focalLength
+    };
+}
+
+/**
+ * Direction of the line a ray meets a component on (degrees)
+ * Mirrors and splitters use their reflecting surface, lenses, waveplates and
+ * filters their plane; anything else faces the nominal incoming beam.
+ */
+function getSurfaceAngle(component, beamAngle) {
+    if (component.type === ComponentType.MIRROR) return component.angle;
+    if (isBeamSplitterType(component.type)) {
+        return (component.isShallowAngle ? component.shallowAngle : component.angle) - 45;
+    }
+    if ([ComponentType.LENS, ComponentType.WAVEPLATE, ComponentType.FILTER].includes(component.type)) {
+        return component.angle;
+    }
+    return beamAngle + 90;
+}
+
+/**
+ * Intersect a ray with a line
+ * @returns {Object|null} Point {x, y}, or null if the ray runs along the line
+ */
+function intersectLine(origin, angle, point, lineAngle) {
+    const d = angleToVector(angle);
+    const u = angleToVector(lineAngle);
+    const denom = d.x * u.y - d.y * u.x;
+    if (Math.abs(denom) < 1e-12) return null;
+
+    const t = ((point.x - origin.x) * u.y - (point.y - origin.y) * u.x) / denom;
+    return { x: origin.x + t * d.x, y: origin.y + t * d.y };
+}
+
+/**
+ * Bend a ray passing a thin lens off its center
+ * @param {Object} lens - Lens (angle is its plane, focalLength in mm)
+ * @param {Object} point - Where the ray crosses the lens plane
+ * @param {number} angle - Ray angle (degrees)
+ * @returns {number} Angle after the lens (degrees)
+ */
+function applyThinLens(lens, point, angle) {
+    if (!lens.focalLength) return angle;
+
+    const u = angleToVector(lens.angle);
+    const d = angleToVector(angle);
+    let n = { x: -u.y, y: u.x };
+    if (d.x * n.x + d.y * n.y < 0) n = { x: -n.x, y: -n.y };
+
+    const height = (point.x - lens.position.x) * u.x + (point.y - lens.position.y) * u.y;
+    const slope = (d.x * u.x + d.y * u.y) / (d.x * n.x + d.y * n.y) - height / lens.focalLength;
+    return vectorToAngle({ x: n.x + slope * u.x, y: n.y + slope * u.y });
+}
+
+/**
+ * Trace rays from every source along the beam path
+ * @param {Map} componentMap - Components by ID
+ * @param {Object} beamPath - BeamPath graph
+ * @param {Map} errors - Component ID -> { angle, dx, dy }
+ * @returns {Object} {
+ *   arrivals: Map(route -> { detectorId, componentIds, offset (mm across the detector), angle (degrees) }),
+ *   lost
+ * }
+ * A route is the chain of segment IDs from the source; both arms of a
+ * Michelson reach the detector over the same last segment.
+ */
+function traceRays(componentMap, beamPath, errors) {
+    const arrivals = new Map();
+    let lost = 0;
+
+    // nominalIn is the angle of the perfect beam arriving (null at a source)
+    const trace = (componentId, point, angle, nominalIn, visited, depth) => {
+        if (depth > 50) return;  // Prevent infinite loops
+        const nominal = componentMap.get(componentId);
+        const component = applyError(nominal, errors.get(componentId));
+
+        for (const segment of beamPath.getOutgoingSegments(componentId)) {
+            if (visited.has(segment.id)) continue;
+            const nominalTarget = segment.targetId ? componentMap.get(segment.targetId) : null;
+            if (!nominalTarget) continue;
+
+            // Only follow the segments this beam feeds - a beam returning to a splitter
+            // (Michelson) must not take the ports of the beam that first passed it
+            const nominalAngle = calculateBeamAngle(nominal.position, nominalTarget.position);
+            const nominalOut = getOutputDirection(nominal, nominalIn, segment.sourcePort);
+            if (nominalAngle === null || nominalOut === null ||
+                Math.abs(normalizeAngleDiff(nominalOut - nominalAngle)) > ANGLE_TOLERANCE) continue;
+
+            let outAngle = getOutputDirection(component, angle, segment.sourcePort);
+            if (outAngle === null) continue;
+            if (component.type === ComponentType.LENS && angle !== null) {
+                outAngle = applyThinLens(component, point, outAngle);
+            }
+
+            const target = applyError(nominalTarget, errors.get(nominalTarget.id));
+            const hit = intersectLine(point, outAngle, target.position, getSurfaceAngle(target, nominalAngle));
+            if (!hit) {
+                lost++;
+                continue;
+            }
+
+            if (nominalTarget.type === ComponentType.DETECTOR) {
+                const across = angleToVector(nominalAngle + 90);
+                const route = [...visited, segment.id];
+                arrivals.set(route.join('>'), {
+                    detectorId: nominalTarget.id,
+                    componentIds: route.map(id => beamPath.getSegment(id).sourceId),
+                    offset: (hit.x - target.position.x) * across.x + (hit.y - target.position.y) * across.y,
+                    angle: outAngle
+                });
+                continue;
+            }
+
+            visited.add(segment.id);
+            trace(nominalTarget.id, hit, outAngle, nominalAngle, visited, depth + 1);
+            visited.delete(segment.id);
+        }
+    };
+
+    componentMap.forEach(component => {
+        if (component.type !== ComponentType.SOURCE) return;
+        const error = errors.get(component.id);
+        const origin = error
+            ? { x: component.position.x + error.dx, y: component.position.y + error.dy }
+            : component.position;
+        trace(component.id, origin, null, null, new Set(), 0);
+    });
+
+    return { arrivals, lost };
+}
+
+/**
+ * Distribution of a set of deviations
+ * @returns {Object} { mean, std, p95 (of |value|), max (of |value|) }
+ */
+function summarize(values) {
+    if (values.length === 0) return { mean: 0, std: 0, p95: 0, max: 0 };
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const std = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+    const magnitudes = values.map(Math.abs).sort((a, b) => a - b);
+    return {
+        mean,
+        std,
+        p95: magnitudes[Math.min(magnitudes.length - 1, Math.floor(magnitudes.length * 0.95))],
+        max: magnitudes[magnitudes.length - 1]
+    };
+}
+
+/**
+ * Run the tolerance analysis
+ * @param {Map} componentMap - Components by ID
+ * @param {Object} beamPath - BeamPath graph
+ * @param {Object} options - { angle (mrad), position (mm), trials, seed }
+ * @returns {Object} {
+ *   trials, tolerances: { angle, position },
+ *   detectors: [{ route, detectorId, name, position: stats (mm), angle: stats (mrad) }],
+ *   sensitivities: [{ componentId, name, walk (mm), angle (mrad), detectorId, share }] worst first,
+ *   lost: rays that ran along an optic's surface and missed it
+ * }
+ */
+export function analyzeTolerances(componentMap, beamPath, options = {}) {
+    const angleTolerance = Math.max(0, options.angle ?? DEFAULT_TOLERANCES.angle);
+    const positionTolerance = Math.max(0, options.position ?? DEFAULT_TOLERANCES.position);
+    const trials = Math.max(1, Math.round(options.trials ?? DEFAULT_TOLERANCES.trials));
+    const random = createRandom(options.seed ?? 1);
+
+    const nominal = traceRays(componentMap, beamPath, new Map());
+    const deviation = (arrival, reference) => ({
+        offset: arrival.offset - reference.offset,
+        angle: normalizeAngleDiff(arrival.angle - reference.angle) / MRAD_TO_DEG
+    });
+
+    // Monte Carlo trials
+    const samples = new Map([...nominal.arrivals.keys()].map(route => [route, { offsets: [], angles: [] }]));
+    let lost = 0;
+    for (let i = 0; i < trials; i++) {
+        const errors = new Map();
+        componentMap.forEach(component => errors.set(component.id, {
+            angle: (random() * 2 - 1) * angleTolerance * MRAD_TO_DEG,
+            dx: (random() * 2 - 1) * positionTolerance,
+            dy: (random() * 2 - 1) * positionTolerance
+        }));
+
+        const result = traceRays(componentMap, beamPath, errors);
+        lost += result.lost;
+        result.arrivals.forEach((arrival, route) => {
+            const reference = nominal.arrivals.get(route);
+            if (!reference) return;
+            const { offset, angle } = deviation(arrival, reference);
+            samples.get(route).offsets.push(offset);
+            samples.get(route).angles.push(angle);
+        });
+    }
+
+    // A detector reached over several routes gets the first component that tells them apart
+    const detectors = [...nominal.arrivals].map(([route, arrival]) => {
+        const detector = componentMap.get(arrival.detectorId);
+        const others = [...nominal.arrivals.values()]
+            .filter(other => other !== arrival && other.detectorId === arrival.detectorId);
+        let name = detector.name;
+        if (others.length > 0) {
+            const via = arrival.componentIds.find(id => !others.every(other => other.componentIds.includes(id)))
+                ?? arrival.componentIds[arrival.componentIds.length - 1];
+            name = `${detector.name} (via ${componentMap.get(via).name})`;
+        }
+        return {
+            route,
+            detectorId: detector.id,
+            name,
+            position: summarize(samples.get(route).offsets),
+            angle: summarize(samples.get(route).angles)
+        };
+    });
+
+    // One component at a time, at the edge of its tolerances
+    const limits = [
+        { angle: angleTolerance * MRAD_TO_DEG, dx: 0, dy: 0 },
+        { angle: -angleTolerance * MRAD_TO_DEG, dx: 0, dy: 0 },
+        { angle: 0, dx: positionTolerance, dy: 0 },
+        { angle: 0, dx: -positionTolerance, dy: 0 },
+        { angle: 0, dx: 0, dy: positionTolerance },
+        { angle: 0, dx: 0, dy: -positionTolerance }
+    ];
+    const sensitivities = [];
+    componentMap.forEach(component => {
+        const worst = { componentId: component.id, name: component.name, walk: 0, angle: 0, detectorId: null, share: 0 };
+        limits.forEach(error => {
+            traceRays(componentMap, beamPath, new Map([[component.id, error]])).arrivals.forEach((arrival, route) => {
+                const reference = nominal.arrivals.get(route);
+                if (!reference) return;
+                const { offset, angle } = deviation(arrival, reference);
+                if (Math.abs(offset) > worst.walk) {
+                    worst.walk = Math.abs(offset);
+                    worst.detectorId = arrival.detectorId;
+                }
+                worst.angle = Math.max(worst.angle, Math.abs(angle));
+            });
+        });
+        if (worst.walk > 1e-9 || worst.angle > 1e-9) sensitivities.push(worst);
+    });
+
+    // Share of the summed squared walk (errors add in quadrature)
+    const total = sensitivities.reduce((sum, s) => sum + s.walk * s.walk, 0);
+    sensitivities.forEach(s => { s.share = total > 0 ? (s.walk * s.walk) / total : 0; });
+    sensitivities.sort((a, b) => b.walk - a.walk || b.angle - a.angle);
+
+    return {
+        trials,
+        tolerances: { angle: angleTolerance, position: positionTolerance },
+        detectors: detectors.sort((a, b) => a.name.localeCompare(b.name)),
+        sensitivities,
+        lost
+    };
+}
+
+export default {
+    DEFAULT_TOLERANCES,
+    createRandom,
+    analyzeTolerances
+};
@@ -3,7 +3,14 @@
  */
 
 import { ComponentType, ComponentDefaults } from '../models/Component.js';
-import { BRANCH_COLORS } from '../models/BeamPath.js';
+import { BRANCH_COLORS, CrossingType } from '../models/BeamPath.js';
+import { traceGaussianBeams, getBeamRadiusAt } from '../physics/GaussianBeam.js';
+import { ZoneShape } from '../physics/Geometry.js';
+import { CustomShape } from '../models/CustomTypes.js';
+import { getGroupBounds, GROUP_PADDING } from '../models/Assembly.js';
+import { getHolesInArea, getMountScrewPositions, getNearestHole, HOLE_TOLERANCE } from '../models/Breadboard.js';
+import { DimensionType, getDimensionGeometry, formatDimension } from '../models/Dimensions.js';
+import { getPlateOutline, getPlateBounds } from '../models/Workspace.js';
 
 /**
  * Renderer class handles all canvas drawing
@@ -33,7 +40,22 @@ export class Renderer {
             keepOutZone: 'rgba(239, 68, 68, 0.2)',
             keepOutZoneBorder: '#ef4444',
             componentMountZone: 'rgba(255, 165, 0, 0.15)',
-            componentMountZoneBorder: '#ffa500'
+            componentMountZoneBorder: '#ffa500',
+            breadboard: 'rgba(148, 163, 184, 0.08)',
+            breadboardBorder: '#64748b',
+            breadboardHole: '#475569',
+            screwBolted: '#22c55e',
+            screwLoose: '#f97316',
+            group: '#38bdf8',
+            groupFill: 'rgba(56, 189, 248, 0.18)',
+            drawModeDim: 'rgba(13, 17, 23, 0.55)',
+            pathDraft: '#facc15',
+            dimension: '#cbd5e1',
+            dimensionDriving: '#a78bfa',
+            dimensionConflict: '#ef4444',
+            beamClip: '#f97316',
+            beamCrossing: '#38bdf8',
+            beamCrossingForbidden: '#ef4444'
         };
 
         // Bind resize handler
@@ -85,13 +107,17 @@ export class Renderer {
         ctx.save();
         this.applyViewportTransform(viewport);
 
-        // Calculate workspace bounds (centered at origin)
-        const halfW = workspace.width / 2;
-        const halfH = workspace.height / 2;
-        const x = -halfW;
-        const y = -halfH;
-        const width = workspace.width;
-        const height = workspace.height;
+        // Fill the plate's bounding box, clipped to its outline
+        const bounds = getPlateBounds(workspace);
+        const x = bounds.minX;
+        const y = bounds.minY;
+        const width = bounds.maxX - bounds.minX;
+        const height = bounds.maxY - bounds.minY;
+
+        ctx.beginPath();
+        getPlateOutline(workspace).forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+        ctx.closePath();
+        ctx.clip();
 
         if (background.type === 'color' && background.color) {
             ctx.fillStyle = background.color;
@@ -217,15 +243,17 @@ export class Renderer {
     drawWorkspace(workspace, viewport, background) {
         const ctx = this.ctx;
 
-        // Calculate workspace corners in screen coordinates
-        const halfW = workspace.width / 2;
-        const halfH = workspace.height / 2;
-
-        const topLeft = this.worldToScreen(-halfW, -halfH, viewport);
-        const bottomRight = this.worldToScreen(halfW, halfH, viewport);
-
-        const w = bottomRight.x - topLeft.x;
-        const h = bottomRight.y - topLeft.y;
+        // Plate outline in screen coordinates
+        const tracePolygon = points => {
+            ctx.beginPath();
+            points.forEach((p, i) => {
+                const s = this.worldToScreen(p.x, p.y, viewport);
+                if (i === 0) ctx.moveTo(s.x, s.y);
+                else ctx.lineTo(s.x, s.y);
+            });
+            ctx.closePath();
+        };
+        const outline = getPlateOutline(workspace);
 
         // Fill workspace area only if no custom background is set
         // (Check if background is default or if only default color is set)
@@ -236,14 +264,24 @@ export class Renderer {
 
         if (!hasCustomBackground) {
             ctx.fillStyle = this.colors.workspace;
-            ctx.fillRect(topLeft.x, topLeft.y, w, h);
+            tracePolygon(outline);
+            ctx.fill();
         }
 
         // Draw border
         ctx.strokeStyle = this.colors.workspaceBorder;
         ctx.lineWidth = 2;
         ctx.setLineDash([5, 5]);
-        ctx.strokeRect(topLeft.x, topLeft.y, w, h);
+        tracePolygon(outline);
+        ctx.stroke();
+
+        // Cut-outs are holes through the plate
+        (workspace.cutouts || []).forEach(cutout => {
+            ctx.fillStyle = this.colors.background;
+            tracePolygon(cutout.points);
+            ctx.fill();
+            ctx.stroke();
+        });
         ctx.setLineDash([]);
 
         // Draw origin marker
@@ -294,18 +332,30 @@ export class Renderer {
                 ctx.translate(-centerScreen.x, -centerScreen.y);
             }
 
+            // Outline in the rotated frame: rectangle, circle or polygon
+            this.traceZoneOutline(ctx, zone, centerScreen, topLeft, w, h, viewport.zoom);
+
             // Fill
             ctx.fillStyle = this.colors.keepOutZone;
-            ctx.fillRect(topLeft.x, topLeft.y, w, h);
+            ctx.fill();
 
             // Border - highlight if selected or hovered
             ctx.strokeStyle = isSelected ? this.colors.selection :
                              isHovered ? this.colors.hover : this.colors.keepOutZoneBorder;
             ctx.lineWidth = isSelected ? 3 : 2;
             ctx.setLineDash(isSelected ? [] : [4, 4]);
-            ctx.strokeRect(topLeft.x, topLeft.y, w, h);
+            ctx.stroke();
             ctx.setLineDash([]);
 
+            // Show the bounds that the resize handles act on
+            if (isSelected && zone.shape && zone.shape !== ZoneShape.RECT) {
+                ctx.strokeStyle = this.colors.selection;
+                ctx.lineWidth = 1;
+                ctx.setLineDash([2, 4]);
+                ctx.strokeRect(topLeft.x, topLeft.y, w, h);
+                ctx.setLineDash([]);
+            }
+
             // Selection handles when selected
             if (isSelected) {
                 this.drawResizeHandles(ctx, topLeft.x, topLeft.y, w, h);
@@ -321,6 +371,155 @@ export class Renderer {
         });
     }
 
+    /**
+     * Begin a path along a keep-out zone's outline (unrotated frame)
+     * Polygon points are stored relative to the zone center in mm.
+     */
+    traceZoneOutline(ctx, zone, centerScreen, topLeft, w, h, zoom) {
+        ctx.beginPath();
+        if (zone.shape === ZoneShape.CIRCLE) {
+            ctx.arc(centerScreen.x, centerScreen.y, Math.min(w, h) / 2, 0, Math.PI * 2);
+        } else if (zone.shape === ZoneShape.POLYGON && zone.points?.length >= 3) {
+            zone.points.forEach((p, i) => {
+                const x = centerScreen.x + p.x * zoom;
+                const y = centerScreen.y + p.y * zoom;
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.closePath();
+        } else {
+            ctx.rect(topLeft.x, topLeft.y, w, h);
+        }
+    }
+
+    /**
+     * Draw the circle or polygon keep-out currently being drawn
+     * @param {Object} zoneDraft - { shape: 'circle', center, radius } or { shape: 'polygon', points, cursor }
+     */
+    drawZoneDraft(zoneDraft, viewport) {
+        if (!zoneDraft) return;
+        const ctx = this.ctx;
+
+        ctx.save();
+        ctx.fillStyle = this.colors.keepOutZone;
+        ctx.strokeStyle = this.colors.keepOutZoneBorder;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 4]);
+
+        if (zoneDraft.shape === ZoneShape.CIRCLE) {
+            const center = this.worldToScreen(zoneDraft.center.x, zoneDraft.center.y, viewport);
+            ctx.beginPath();
+            ctx.arc(center.x, center.y, zoneDraft.radius * viewport.zoom, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+
+            // Radius readout
+            ctx.setLineDash([]);
+            ctx.fillStyle = this.colors.keepOutZoneBorder;
+            ctx.font = '10px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText(`⌀ ${(zoneDraft.radius * 2).toFixed(1)} mm`, center.x, center.y - 6);
+        } else if (zoneDraft.points.length > 0) {
+            const points = zoneDraft.points.map(p => this.worldToScreen(p.x, p.y, viewport));
+            const cursor = zoneDraft.cursor ? this.worldToScreen(zoneDraft.cursor.x, zoneDraft.cursor.y, viewport) : null;
+
+            ctx.beginPath();
+            points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+            if (cursor) ctx.lineTo(cursor.x, cursor.y);
+            if (points.length >= 2) {
+                ctx.closePath();
+                ctx.fill();
+            }
+            ctx.stroke();
+
+            // Vertices - the first one is larger since clicking it closes the polygon
+            ctx.setLineDash([]);
+            ctx.fillStyle = this.colors.keepOutZoneBorder;
+            points.forEach((p, i) => {
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, i === 0 ? 5 : 3, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw Path mode: dim the layout and draw the path being drawn on top
+     * Path points (the snap points of earlier paths) and the component that
+     * catches the next point stay lit.
+     * @param {Object|null} pathDraft - { points, cursor, snapId, splitsSegment }
+     */
+    drawPathDraft(pathDraft, components, viewport, labelsVisible = true) {
+        const ctx = this.ctx;
+
+        ctx.save();
+        ctx.fillStyle = this.colors.drawModeDim;
+        ctx.fillRect(0, 0, this.width, this.height);
+        ctx.restore();
+
+        components.forEach(component => {
+            if (component.type === ComponentType.PATH_POINT || component.id === pathDraft?.snapId) {
+                this.drawComponent(component, false, component.id === pathDraft?.snapId, viewport, labelsVisible);
+            }
+        });
+
+        if (!pathDraft) return;
+        const points = pathDraft.points.map(p => this.worldToScreen(p.x, p.y, viewport));
+        const cursor = pathDraft.cursor ? this.worldToScreen(pathDraft.cursor.x, pathDraft.cursor.y, viewport) : null;
+
+        ctx.save();
+        ctx.strokeStyle = this.colors.pathDraft;
+        ctx.fillStyle = this.colors.pathDraft;
+        ctx.lineWidth = 2;
+
+        // Placed legs solid, the leg to the cursor dashed
+        if (points.length > 1) {
+            ctx.beginPath();
+            points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+            ctx.stroke();
+        }
+        const last = points[points.length - 1];
+        if (last && cursor) {
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            ctx.moveTo(last.x, last.y);
+            ctx.lineTo(cursor.x, cursor.y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            const previous = pathDraft.points[pathDraft.points.length - 1];
+            const length = Math.hypot(pathDraft.cursor.x - previous.x, pathDraft.cursor.y - previous.y);
+            ctx.font = '10px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText(`${length.toFixed(1)} mm`, (last.x + cursor.x) / 2, (last.y + cursor.y) / 2 - 8);
+        }
+
+        points.forEach(p => {
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        // Hover preview of the next point (a diamond where it would split a beam)
+        if (cursor) {
+            ctx.beginPath();
+            if (pathDraft.splitsSegment) {
+                ctx.moveTo(cursor.x, cursor.y - 6);
+                ctx.lineTo(cursor.x + 6, cursor.y);
+                ctx.lineTo(cursor.x, cursor.y + 6);
+                ctx.lineTo(cursor.x - 6, cursor.y);
+                ctx.closePath();
+            } else {
+                ctx.arc(cursor.x, cursor.y, 5, 0, Math.PI * 2);
+            }
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+
     /**
      * Draw resize handles for selected zone
      */
@@ -457,34 +656,22 @@ export class Renderer {
      * Draw component mount zone (keep-out zone around a component's physical mount)
      */
     drawComponentMountZone(component, isSelected, viewport, hasViolation = false) {
-        const mountBounds = component.getMountZoneBounds();
-        if (!mountBounds) return;
+        const mountRect = component.getMountZoneRect();
+        if (!mountRect) return;
 
         const ctx = this.ctx;
 
-        // Calculate center of mount zone in screen coordinates
-        const centerWorld = {
-            x: mountBounds.x + mountBounds.width / 2,
-            y: mountBounds.y + mountBounds.height / 2
-        };
-        const centerScreen = this.worldToScreen(centerWorld.x, centerWorld.y, viewport);
-
-        // Calculate dimensions in screen coordinates
-        const topLeft = this.worldToScreen(mountBounds.x, mountBounds.y, viewport);
-        const bottomRight = this.worldToScreen(
-            mountBounds.x + mountBounds.width,
-            mountBounds.y + mountBounds.height,
-            viewport
-        );
-
-        const w = bottomRight.x - topLeft.x;
-        const h = bottomRight.y - topLeft.y;
+        // Draw the oriented rectangle unrotated around its center, then rotate
+        const centerScreen = this.worldToScreen(mountRect.center.x, mountRect.center.y, viewport);
+        const w = mountRect.halfWidth * 2 * viewport.zoom;
+        const h = mountRect.halfHeight * 2 * viewport.zoom;
+        const topLeft = { x: centerScreen.x - w / 2, y: centerScreen.y - h / 2 };
 
         // Apply rotation around center to match component rotation
         ctx.save();
-        if (component.angle) {
+        if (mountRect.angle) {
             ctx.translate(centerScreen.x, centerScreen.y);
-            ctx.rotate((component.angle * Math.PI) / 180);
+            ctx.rotate((mountRect.angle * Math.PI) / 180);
             ctx.translate(-centerScreen.x, -centerScreen.y);
         }
 
@@ -557,7 +744,18 @@ export class Renderer {
             case ComponentType.BEAM_SPLITTER:
                 this.drawBeamSplitterShape(ctx, halfW, halfH, color);
                 break;
+            case ComponentType.POLARIZING_BEAM_SPLITTER:
+                this.drawPolarizingBeamSplitterShape(ctx, halfW, halfH, color);
+                break;
+            case ComponentType.PATH_POINT:
+                this.drawPathPointShape(ctx, halfW, isSelected || isHovered ? ctx.strokeStyle : color);
+                break;
             default:
+                if (defaults?.shape) {
+                    // User-defined types (see models/CustomTypes.js)
+                    this.drawCustomShape(ctx, defaults.shape, halfW, halfH);
+                    break;
+                }
                 // Default rectangle (mirrors, waveplates, filters)
                 ctx.fillRect(-halfW, -halfH, halfW * 2, halfH * 2);
                 ctx.strokeRect(-halfW, -halfH, halfW * 2, halfH * 2);
@@ -763,6 +961,62 @@ export class Renderer {
         ctx.fill();
     }
 
+    /**
+     * Draw path point shape (ring with crosshair marking the snap point)
+     * Kept at least 4 px across so it stays visible when zoomed out.
+     */
+    drawPathPointShape(ctx, halfW, color) {
+        const r = Math.max(halfW, 4);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(0, 0, r, 0, Math.PI * 2);
+        ctx.moveTo(-r * 1.6, 0);
+        ctx.lineTo(r * 1.6, 0);
+        ctx.moveTo(0, -r * 1.6);
+        ctx.lineTo(0, r * 1.6);
+        ctx.stroke();
+    }
+
+    /**
+     * Draw the shape of a user-defined component type
+     * Triangles point along the component's +X axis.
+     */
+    drawCustomShape(ctx, shape, halfW, halfH) {
+        ctx.beginPath();
+        switch (shape) {
+            case CustomShape.CIRCLE:
+                ctx.ellipse(0, 0, halfW, halfH, 0, 0, Math.PI * 2);
+                break;
+            case CustomShape.TRIANGLE:
+                ctx.moveTo(halfW, 0);
+                ctx.lineTo(-halfW, -halfH);
+                ctx.lineTo(-halfW, halfH);
+                ctx.closePath();
+                break;
+            case CustomShape.DIAMOND:
+                ctx.moveTo(halfW, 0);
+                ctx.lineTo(0, -halfH);
+                ctx.lineTo(-halfW, 0);
+                ctx.lineTo(0, halfH);
+                ctx.closePath();
+                break;
+            case CustomShape.HEXAGON:
+                ctx.moveTo(halfW, 0);
+                ctx.lineTo(halfW / 2, -halfH);
+                ctx.lineTo(-halfW / 2, -halfH);
+                ctx.lineTo(-halfW, 0);
+                ctx.lineTo(-halfW / 2, halfH);
+                ctx.lineTo(halfW / 2, halfH);
+                ctx.closePath();
+                break;
+            default:
+                ctx.rect(-halfW, -halfH, halfW * 2, halfH * 2);
+        }
+        ctx.fill();
+        ctx.stroke();
+    }
+
     /**
      * Draw lens shape (convex lens)
      */
@@ -789,10 +1043,29 @@ export class Renderer {
         ctx.stroke();
     }
 
+    /**
+     * Draw polarizing beam splitter cube (double line marks the polarizing coating)
+     */
+    drawPolarizingBeamSplitterShape(ctx, halfW, halfH, color) {
+        ctx.fillRect(-halfW, -halfH, halfW * 2, halfH * 2);
+        ctx.strokeRect(-halfW, -halfH, halfW * 2, halfH * 2);
+
+        const offset = Math.min(halfW, halfH) * 0.2;
+        ctx.strokeStyle = '#ffffff88';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(-halfW, halfH - offset);
+        ctx.lineTo(halfW - offset, -halfH);
+        ctx.moveTo(-halfW + offset, halfH);
+        ctx.lineTo(halfW, -halfH + offset);
+        ctx.stroke();
+    }
+
     /**
      * Draw beam paths
+     * @param {Map} clipPoints - Segment ID -> points where the beam clips a component (beamClip violations)
      */
-    drawBeamPaths(beamPath, components, viewport, selection = {}, wavelengths = []) {
+    drawBeamPaths(beamPath, components, viewport, selection = {}, wavelengths = [], collapsedGroupOf = new Map(), clipPoints = new Map()) {
         const ctx = this.ctx;
         const componentMap = new Map();
         components.forEach(c => componentMap.set(c.id, c));
@@ -808,6 +1081,10 @@ export class Renderer {
             const source = componentMap.get(segment.sourceId);
             if (!source) return;
 
+            // Internal beams of a collapsed group are hidden inside its block
+            const groupId = collapsedGroupOf.get(segment.sourceId);
+            if (groupId && groupId === collapsedGroupOf.get(segment.targetId)) return;
+
             // Determine end position: either target component or explicit endPoint
             let endWorldPos;
             if (segment.targetId) {
@@ -877,6 +1154,20 @@ export class Renderer {
                 ctx.globalAlpha = 1.0;
             }
 
+            // Beams that clip or graze a component get a warning glow
+            const clips = clipPoints.get(segment.id);
+            if (clips) {
+                ctx.strokeStyle = this.colors.beamClip;
+                ctx.lineWidth = thickness + 6;
+                ctx.lineCap = 'round';
+                ctx.globalAlpha = 0.35;
+                ctx.beginPath();
+                ctx.moveTo(startScreen.x, startScreen.y);
+                ctx.lineTo(endScreen.x, endScreen.y);
+                ctx.stroke();
+                ctx.globalAlpha = 1.0;
+            }
+
             ctx.lineWidth = thickness;
             ctx.lineCap = 'round';
 
@@ -914,6 +1205,21 @@ export class Renderer {
             // Reset line dash
             ctx.setLineDash([]);
 
+            // Cross where the beam meets the obstruction
+            if (clips) {
+                ctx.strokeStyle = this.colors.beamClip;
+                ctx.lineWidth = 2;
+                clips.forEach(point => {
+                    const p = this.worldToScreen(point.x, point.y, viewport);
+                    ctx.beginPath();
+                    ctx.moveTo(p.x - 5, p.y - 5);
+                    ctx.lineTo(p.x + 5, p.y + 5);
+                    ctx.moveTo(p.x + 5, p.y - 5);
+                    ctx.lineTo(p.x - 5, p.y + 5);
+                    ctx.stroke();
+                });
+            }
+
             // Draw arrow in the middle (use first color)
             this.drawArrow(ctx, startScreen, endScreen, colors[0]);
 
@@ -923,14 +1229,15 @@ export class Renderer {
                 const midY = (startScreen.y + endScreen.y) / 2;
 
                 // Fixed length indicator
+                const lengthText = `${segment.name ? segment.name + ': ' : ''}${segment.pathLength.toFixed(1)}mm`;
                 if (segment.isFixedLength) {
                     ctx.fillStyle = '#f59e0b';  // Amber for fixed length
                     ctx.font = 'bold 9px sans-serif';
-                    ctx.fillText(`🔒 ${segment.pathLength.toFixed(1)}mm`, midX, midY - 8);
+                    ctx.fillText(`🔒 ${lengthText}`, midX, midY - 8);
                 } else {
                     ctx.fillStyle = '#ffffff88';
                     ctx.font = '9px sans-serif';
-                    ctx.fillText(`${segment.pathLength.toFixed(1)}mm`, midX, midY - 8);
+                    ctx.fillText(lengthText, midX, midY - 8);
                 }
                 ctx.textAlign = 'center';
             }
@@ -944,6 +1251,160 @@ export class Renderer {
         });
     }
 
+    /**
+     * Draw the 1/e² Gaussian beam envelope along every traced segment
+     * @param {Object} gaussianBeams - traceGaussianBeams() result
+     * @param {number} scale - Width exaggeration factor
+     */
+    drawBeamEnvelopes(gaussianBeams, beamPath, components, viewport, scale = 10, wavelengths = []) {
+        const ctx = this.ctx;
+        const samples = 24;
+
+        const wavelengthMap = new Map();
+        wavelengths.forEach(w => wavelengthMap.set(w.id, w));
+
+        gaussianBeams.segments.forEach((beam, segmentId) => {
+            const segment = beamPath.getSegment(segmentId);
+            const source = segment && components.get(segment.sourceId);
+            if (!source || beam.length <= 0) return;
+
+            const end = segment.targetId ? components.get(segment.targetId)?.position : segment.endPoint;
+            if (!end) return;
+
+            const dir = {
+                x: (end.x - source.position.x) / beam.length,
+                y: (end.y - source.position.y) / beam.length
+            };
+            const normal = { x: -dir.y, y: dir.x };
+
+            // Sample the radius along the segment (both edges of the envelope)
+            const upper = [];
+            const lower = [];
+            for (let i = 0; i <= samples; i++) {
+                const distance = (i / samples) * beam.length;
+                const w = getBeamRadiusAt(beam, distance) * scale;
+                const x = source.position.x + dir.x * distance;
+                const y = source.position.y + dir.y * distance;
+                upper.push(this.worldToScreen(x + normal.x * w, y + normal.y * w, viewport));
+                lower.push(this.worldToScreen(x - normal.x * w, y - normal.y * w, viewport));
+            }
+
+            const color = wavelengthMap.get(segment.wavelengthIds?.[0])?.color ||
+                segment.color || BRANCH_COLORS[segment.branchIndex % BRANCH_COLORS.length];
+
+            ctx.beginPath();
+            upper.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+            lower.reverse().forEach(p => ctx.lineTo(p.x, p.y));
+            ctx.closePath();
+
+            ctx.globalAlpha = 0.2;
+            ctx.fillStyle = color;
+            ctx.fill();
+            ctx.globalAlpha = 0.6;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1;
+            ctx.stroke();
+            ctx.globalAlpha = 1.0;
+        });
+    }
+
+    /**
+     * Ring the components that walk the beam most (tolerance analysis)
+     * @param {Array|null} highlights - [{ componentId, share }] worst first
+     */
+    drawToleranceHighlights(highlights, components, viewport) {
+        if (!highlights || highlights.length === 0) return;
+        const ctx = this.ctx;
+
+        highlights.forEach(({ componentId, share }, index) => {
+            const component = components.get(componentId);
+            if (!component) return;
+
+            const screen = this.worldToScreen(component.position.x, component.position.y, viewport);
+            const radius = (Math.max(component.size.width, component.size.height) / 2 + 8) * viewport.zoom;
+            const color = index === 0 ? '#ef4444' : '#f59e0b';
+
+            ctx.fillStyle = color;
+            ctx.globalAlpha = 0.1 + 0.3 * share;
+            ctx.beginPath();
+            ctx.arc(screen.x, screen.y, radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.globalAlpha = 1.0;
+
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.setLineDash([4, 3]);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            // Rank
+            ctx.fillStyle = color;
+            ctx.font = 'bold 10px sans-serif';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'bottom';
+            ctx.fillText(`#${index + 1}`, screen.x + radius * 0.7, screen.y - radius * 0.7);
+            ctx.textBaseline = 'alphabetic';
+        });
+    }
+
+    /**
+     * Mark beam crossings (ring with a cross) and near misses (ring with two bars)
+     * @param {Array} crossings - BeamPath.findCrossings() result
+     * @param {Set} forbidden - "segmentId|otherSegmentId" of forbidden crossings
+     */
+    drawBeamCrossings(crossings, forbidden, viewport) {
+        const ctx = this.ctx;
+        const radius = 6;
+
+        crossings.forEach(crossing => {
+            const screen = this.worldToScreen(crossing.point.x, crossing.point.y, viewport);
+            const isForbidden = forbidden.has(crossing.segmentIds.join('|'));
+            ctx.strokeStyle = isForbidden ? this.colors.beamCrossingForbidden : this.colors.beamCrossing;
+            ctx.lineWidth = isForbidden ? 2 : 1.5;
+
+            ctx.beginPath();
+            ctx.arc(screen.x, screen.y, radius, 0, Math.PI * 2);
+            ctx.stroke();
+
+            ctx.beginPath();
+            if (crossing.type === CrossingType.NEAR_MISS) {
+                ctx.moveTo(screen.x - radius / 2, screen.y - radius / 2);
+                ctx.lineTo(screen.x - radius / 2, screen.y + radius / 2);
+                ctx.moveTo(screen.x + radius / 2, screen.y - radius / 2);
+                ctx.lineTo(screen.x + radius / 2, screen.y + radius / 2);
+            } else {
+                const d = radius * 0.6;
+                ctx.moveTo(screen.x - d, screen.y - d);
+                ctx.lineTo(screen.x + d, screen.y + d);
+                ctx.moveTo(screen.x + d, screen.y - d);
+                ctx.lineTo(screen.x - d, screen.y + d);
+            }
+            ctx.stroke();
+        });
+    }
+
+    /**
+     * Label each component with the 1/e² beam diameter arriving at it
+     */
+    drawSpotSizeLabels(gaussianBeams, components, viewport) {
+        const ctx = this.ctx;
+
+        gaussianBeams.components.forEach((spot, componentId) => {
+            const component = components.get(componentId);
+            if (!component || component.type === ComponentType.SOURCE) return;
+
+            const screen = this.worldToScreen(component.position.x, component.position.y, viewport);
+            const halfH = Math.max(component.size.width, component.size.height) / 2 * viewport.zoom;
+
+            ctx.font = '9px monospace';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'top';
+            ctx.fillStyle = '#38bdf8';
+            ctx.fillText(`\u2300${(spot.spotRadius * 2).toFixed(2)}mm`, screen.x, screen.y + halfH + 14);
+            ctx.textBaseline = 'alphabetic';
+        });
+    }
+
     /**
      * Draw source emission direction indicator
      */
@@ -1119,6 +1580,151 @@ export class Renderer {
         ctx.fill();
     }
 
+    /**
+     * Draw the dimension layer
+     * Reference dimensions are grey, driving ones violet, and driving ones
+     * whose constraint cannot be met red.
+     * @param {Array} dimensions - Document dimensions
+     * @param {Map} components - Components by ID
+     * @param {Object} selection - UI selection (selectedDimensionId, hoveredDimensionId)
+     * @param {Set<string>} violatedConstraintIds - Geometric constraints that do not hold
+     */
+    drawDimensions(dimensions, components, viewport, selection = {}, violatedConstraintIds = new Set()) {
+        const ctx = this.ctx;
+
+        dimensions.forEach(dimension => {
+            const geometry = getDimensionGeometry(dimension, components);
+            if (!geometry) return;
+
+            let color = this.colors.dimension;
+            if (dimension.constraintId) {
+                color = violatedConstraintIds.has(dimension.constraintId)
+                    ? this.colors.dimensionConflict
+                    : this.colors.dimensionDriving;
+            }
+            if (dimension.id === selection.selectedDimensionId) color = this.colors.selection;
+            else if (dimension.id === selection.hoveredDimensionId) color = this.colors.hover;
+
+            ctx.save();
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.lineWidth = 1;
+
+            if (geometry.type === DimensionType.ANGLE) {
+                const vertex = this.worldToScreen(geometry.vertex.x, geometry.vertex.y, viewport);
+                const radius = geometry.radius * viewport.zoom;
+                const end = geometry.startAngle + geometry.sweep;
+
+                // Short extension lines along both arms, then the arc between them
+                ctx.setLineDash([2, 3]);
+                ctx.beginPath();
+                [geometry.startAngle, end].forEach(angle => {
+                    ctx.moveTo(vertex.x, vertex.y);
+                    ctx.lineTo(vertex.x + (radius + 6) * Math.cos(angle), vertex.y + (radius + 6) * Math.sin(angle));
+                });
+                ctx.stroke();
+                ctx.setLineDash([]);
+
+                ctx.beginPath();
+                ctx.arc(vertex.x, vertex.y, radius, geometry.startAngle, end, geometry.sweep < 0);
+                ctx.stroke();
+
+                // Arrowheads point along the arc, away from its middle
+                const turn = geometry.sweep < 0 ? -Math.PI / 2 : Math.PI / 2;
+                this.drawDimensionArrow(ctx,
+                    { x: vertex.x + radius * Math.cos(geometry.startAngle), y: vertex.y + radius * Math.sin(geometry.startAngle) },
+                    geometry.startAngle - turn);
+                this.drawDimensionArrow(ctx,
+                    { x: vertex.x + radius * Math.cos(end), y: vertex.y + radius * Math.sin(end) },
+                    end + turn);
+            } else {
+                const [p1, p2] = geometry.points.map(p => this.worldToScreen(p.x, p.y, viewport));
+                const [e1, e2] = geometry.line.map(p => this.worldToScreen(p.x, p.y, viewport));
+
+                // Extension lines from the measured points, overshooting the dimension line a little
+                ctx.beginPath();
+                [[p1, e1], [p2, e2]].forEach(([p, e]) => {
+                    const length = Math.hypot(e.x - p.x, e.y - p.y);
+                    if (length < 1) return;
+                    const ux = (e.x - p.x) / length;
+                    const uy = (e.y - p.y) / length;
+                    ctx.moveTo(p.x + ux * 3, p.y + uy * 3);
+                    ctx.lineTo(e.x + ux * 4, e.y + uy * 4);
+                });
+                ctx.stroke();
+
+                ctx.beginPath();
+                ctx.moveTo(e1.x, e1.y);
+                ctx.lineTo(e2.x, e2.y);
+                ctx.stroke();
+
+                const angle = Math.atan2(e2.y - e1.y, e2.x - e1.x);
+                this.drawDimensionArrow(ctx, e1, angle + Math.PI);
+                this.drawDimensionArrow(ctx, e2, angle);
+            }
+
+            const label = this.worldToScreen(geometry.label.x, geometry.label.y, viewport);
+            this.drawDimensionLabel(ctx, label.x, label.y, formatDimension(dimension, geometry.value), color);
+            ctx.restore();
+        });
+    }
+
+    /**
+     * Filled arrowhead with its tip at a point, pointing along an angle (radians)
+     */
+    drawDimensionArrow(ctx, tip, angle) {
+        const size = 7;
+        ctx.beginPath();
+        ctx.moveTo(tip.x, tip.y);
+        ctx.lineTo(tip.x - size * Math.cos(angle - 0.35), tip.y - size * Math.sin(angle - 0.35));
+        ctx.lineTo(tip.x - size * Math.cos(angle + 0.35), tip.y - size * Math.sin(angle + 0.35));
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    /**
+     * Dimension value on a dark box framed in the dimension color
+     */
+    drawDimensionLabel(ctx, x, y, text, color) {
+        ctx.font = '11px monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        const width = ctx.measureText(text).width + 8;
+        const height = 15;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        ctx.fillRect(x - width / 2, y - height / 2, width, height);
+        ctx.strokeStyle = color;
+        ctx.strokeRect(x - width / 2, y - height / 2, width, height);
+
+        ctx.fillStyle = color;
+        ctx.fillText(text, x, y);
+    }
+
+    /**
+     * Dimension tool: rubber band from the first picked point to the cursor
+     * @param {Object|null} dimensionDraft - { start: {x, y}, cursor: {x, y} }
+     */
+    drawDimensionDraft(dimensionDraft, viewport) {
+        if (!dimensionDraft?.cursor) return;
+        const ctx = this.ctx;
+        const start = this.worldToScreen(dimensionDraft.start.x, dimensionDraft.start.y, viewport);
+        const cursor = this.worldToScreen(dimensionDraft.cursor.x, dimensionDraft.cursor.y, viewport);
+        const length = Math.hypot(dimensionDraft.cursor.x - dimensionDraft.start.x, dimensionDraft.cursor.y - dimensionDraft.start.y);
+
+        ctx.save();
+        ctx.strokeStyle = this.colors.dimension;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(cursor.x, cursor.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        this.drawDimensionLabel(ctx, (start.x + cursor.x) / 2, (start.y + cursor.y) / 2,
+            `${length.toFixed(1)} mm`, this.colors.dimension);
+        ctx.restore();
+    }
+
     /**
      * Draw selection box for drag-select
      */
@@ -1144,6 +1750,123 @@ export class Renderer {
         ctx.setLineDash([]);
     }
 
+    /**
+     * Draw the breadboard plate (the workspace outline less its cut-outs) and its hole pattern
+     * Holes are skipped when zoomed out too far to tell them apart.
+     */
+    drawBreadboard(breadboard, workspace, viewport) {
+        if (!breadboard?.enabled) return;
+        const ctx = this.ctx;
+
+        ctx.beginPath();
+        [getPlateOutline(workspace), ...(workspace.cutouts || []).map(cutout => cutout.points)].forEach(points => {
+            points.forEach((p, i) => {
+                const s = this.worldToScreen(p.x, p.y, viewport);
+                if (i === 0) ctx.moveTo(s.x, s.y);
+                else ctx.lineTo(s.x, s.y);
+            });
+            ctx.closePath();
+        });
+        ctx.fillStyle = this.colors.breadboard;
+        ctx.fill('evenodd');
+        ctx.strokeStyle = this.colors.breadboardBorder;
+        ctx.lineWidth = 1;
+        ctx.stroke();
+
+        const spacing = breadboard.pitch * viewport.zoom;
+        if (spacing < 6) return;
+
+        const visibleTopLeft = this.screenToWorld(0, 0, viewport);
+        const visibleBottomRight = this.screenToWorld(this.width, this.height, viewport);
+        const holes = getHolesInArea(breadboard, workspace, {
+            minX: visibleTopLeft.x,
+            minY: visibleTopLeft.y,
+            maxX: visibleBottomRight.x,
+            maxY: visibleBottomRight.y
+        });
+
+        // Tapped holes are ~6 mm across, but keep them visible when zoomed out
+        const radius = Math.max(1.5, 3 * viewport.zoom);
+        ctx.strokeStyle = this.colors.breadboardHole;
+        ctx.beginPath();
+        holes.forEach(hole => {
+            const screen = this.worldToScreen(hole.x, hole.y, viewport);
+            ctx.moveTo(screen.x + radius, screen.y);
+            ctx.arc(screen.x, screen.y, radius, 0, Math.PI * 2);
+        });
+        ctx.stroke();
+    }
+
+    /**
+     * Mark each component's mount screws: green on a hole, orange off it
+     */
+    drawMountScrews(components, breadboard, workspace, viewport) {
+        if (!breadboard?.enabled) return;
+        const ctx = this.ctx;
+        const radius = Math.max(2, 2 * viewport.zoom);
+
+        components.forEach(component => {
+            getMountScrewPositions(component).forEach(screw => {
+                const hole = getNearestHole(breadboard, workspace, screw);
+                const bolted = hole && Math.hypot(hole.x - screw.x, hole.y - screw.y) <= HOLE_TOLERANCE;
+                const screen = this.worldToScreen(screw.x, screw.y, viewport);
+
+                ctx.fillStyle = bolted ? this.colors.screwBolted : this.colors.screwLoose;
+                ctx.beginPath();
+                ctx.arc(screen.x, screen.y, radius, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        });
+    }
+
+    /**
+     * Draw sub-assemblies: a dashed outline around open groups, a labeled
+     * block in place of the members for collapsed ones
+     */
+    drawGroups(groups, components, viewport, selectedIds) {
+        const ctx = this.ctx;
+
+        groups.forEach(group => {
+            const bounds = getGroupBounds(group, components, GROUP_PADDING);
+            if (!bounds) return;
+
+            const topLeft = this.worldToScreen(bounds.minX, bounds.minY, viewport);
+            const w = (bounds.maxX - bounds.minX) * viewport.zoom;
+            const h = (bounds.maxY - bounds.minY) * viewport.zoom;
+            const isSelected = group.componentIds.every(id => selectedIds.includes(id));
+
+            ctx.save();
+            ctx.strokeStyle = isSelected ? this.colors.selection : this.colors.group;
+            ctx.lineWidth = isSelected ? 2 : 1;
+
+            if (group.collapsed) {
+                ctx.fillStyle = this.colors.groupFill;
+                ctx.fillRect(topLeft.x, topLeft.y, w, h);
+                ctx.strokeRect(topLeft.x, topLeft.y, w, h);
+
+                ctx.fillStyle = '#e2e8f0';
+                ctx.font = 'bold 12px sans-serif';
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(group.name, topLeft.x + w / 2, topLeft.y + h / 2 - 7);
+                ctx.font = '10px sans-serif';
+                ctx.fillStyle = '#94a3b8';
+                ctx.fillText(`${group.componentIds.length} parts`, topLeft.x + w / 2, topLeft.y + h / 2 + 8);
+            } else {
+                ctx.setLineDash([6, 4]);
+                ctx.strokeRect(topLeft.x, topLeft.y, w, h);
+                ctx.setLineDash([]);
+
+                ctx.fillStyle = ctx.strokeStyle;
+                ctx.font = '10px sans-serif';
+                ctx.textAlign = 'left';
+                ctx.textBaseline = 'bottom';
+                ctx.fillText(group.name, topLeft.x, topLeft.y - 2);
+            }
+            ctx.restore();
+        });
+    }
+
     /**
      * Main render method
      */
@@ -1173,12 +1896,45 @@ export class Renderer {
         // Draw workspace boundary (pass background to avoid covering it)
         this.drawWorkspace(constraints.workspace, viewport, background);
 
+        // Breadboard plate and hole pattern
+        this.drawBreadboard(state.breadboard, constraints.workspace, viewport);
+
         // Draw constraints (with selection state)
         this.drawKeepOutZones(constraints.keepOutZones, viewport, selection.selectedZoneId, selection.hoveredZoneId);
         this.drawMountingZone(constraints.mountingZone, viewport, selection.selectedZoneId, selection.hoveredZoneId);
 
+        // Gaussian beam envelopes go underneath the beam lines. Traced here rather than
+        // taken from state.calculated so optimizer previews show the previewed layout.
+        const gaussianBeams = ui.showBeamEnvelopes
+            ? traceGaussianBeams(components, beamPath, wavelengths)
+            : null;
+        if (gaussianBeams) {
+            this.drawBeamEnvelopes(gaussianBeams, beamPath, components, viewport, ui.beamEnvelopeScale, wavelengths);
+        }
+
+        // Members of collapsed groups are drawn as one block (see drawGroups)
+        const groups = state.groups || [];
+        const collapsedGroupOf = new Map();
+        groups.filter(g => g.collapsed).forEach(g => g.componentIds.forEach(id => collapsedGroupOf.set(id, g.id)));
+
+        // Beams clipping a component, for highlighting
+        const clipPoints = new Map();
+        calculated.constraintViolations.forEach(v => {
+            if (v.type !== 'beamClip') return;
+            if (!clipPoints.has(v.segmentId)) clipPoints.set(v.segmentId, []);
+            clipPoints.get(v.segmentId).push(v.point);
+        });
+
         // Draw beam paths (with selection state for highlighting)
-        this.drawBeamPaths(beamPath, Array.from(components.values()), viewport, selection, wavelengths);
+        this.drawBeamPaths(beamPath, Array.from(components.values()), viewport, selection, wavelengths, collapsedGroupOf, clipPoints);
+
+        // Crossings and near misses, red where the beam crossing rule forbids them
+        if (ui.showBeamCrossings !== false) {
+            const forbidden = new Set(calculated.constraintViolations
+                .filter(v => v.type === 'beamCrossing')
+                .map(v => `${v.segmentId}|${v.otherSegmentId}`));
+            this.drawBeamCrossings(calculated.beamCrossings || [], forbidden, viewport);
+        }
 
         // Collect mount zone violations for highlighting
         const mountZoneViolations = new Set();
@@ -1191,6 +1947,7 @@ export class Renderer {
 
         // Draw component mount zones first (underneath components)
         components.forEach(component => {
+            if (collapsedGroupOf.has(component.id)) return;
             if (component.mountZone && component.mountZone.enabled) {
                 const isSelected = selection.selectedIds.includes(component.id);
                 const hasViolation = mountZoneViolations.has(component.id);
@@ -1198,13 +1955,36 @@ export class Renderer {
             }
         });
 
+        // Worst offenders of the tolerance analysis, underneath the components
+        this.drawToleranceHighlights(ui.toleranceHighlights, components, viewport);
+
         // Draw components
         components.forEach(component => {
+            if (collapsedGroupOf.has(component.id)) return;
             const isSelected = selection.selectedIds.includes(component.id);
             const isHovered = selection.hoveredId === component.id;
             this.drawComponent(component, isSelected, isHovered, viewport, labelsVisible);
         });
 
+        this.drawGroups(groups, components, viewport, selection.selectedIds);
+
+        // Mount screws on top of the component bodies
+        this.drawMountScrews(components, state.breadboard, constraints.workspace, viewport);
+
+        // Spot size at every component the beam reaches
+        if (gaussianBeams) {
+            this.drawSpotSizeLabels(gaussianBeams, components, viewport);
+        }
+
+        // Dimension layer (D toggles it)
+        if (ui.dimensionsVisible !== false) {
+            const violated = new Set(calculated.constraintViolations
+                .filter(v => v.type === 'geometric')
+                .map(v => v.constraintId));
+            this.drawDimensions(state.dimensions || [], components, viewport, selection, violated);
+        }
+        this.drawDimensionDraft(ui.dimensionDraft, viewport);
+
         // Draw center of mass
         this.drawCenterOfMass(
             calculated.centerOfMass,
@@ -1212,8 +1992,14 @@ export class Renderer {
             viewport
         );
 
+        // Draw Path mode dims the layout underneath the path being drawn
+        if (ui.tool === 'draw') {
+            this.drawPathDraft(ui.pathDraft, components, viewport, labelsVisible);
+        }
+
         // Draw selection box if dragging
         this.drawSelectionBox(selectionBox, viewport);
+        this.drawZoneDraft(ui.zoneDraft, viewport);
 
         // Draw axis indicator (always on top, in screen coordinates)
         this.drawAxisIndicator();
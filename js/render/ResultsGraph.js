@@ -1,8 +1,67 @@
 /**
  * Results Graph - Canvas-based visualization of optimization iterations
- * Displays cost vs iteration with hover/click/double-click interactions
+ * Displays cost vs iteration, or a scatter of two objectives with the
+ * Pareto front highlighted, with hover/click/double-click interactions
  */
 
+/**
+ * Graph modes
+ */
+export const GraphMode = {
+    COST: 'cost',       // Weighted cost vs iteration
+    PARETO: 'pareto'    // Objective vs objective scatter
+};
+
+/**
+ * Objectives that can be plotted in Pareto mode (keys of snapshot.objectives)
+ */
+export const GraphObjectives = {
+    com: { label: 'CoM offset', unit: 'mm' },
+    footprint: { label: 'Footprint', unit: 'mm' },
+    pathLength: { label: 'Path length', unit: 'mm' }
+};
+
+/**
+ * Find the indices of the non-dominated snapshots for the given objectives
+ * Lower is better for every objective. Snapshots with constraint violations
+ * are never part of the front.
+ * @param {Array} snapshots - Optimizer snapshots with an objectives object
+ * @param {Array<string>} keys - Objective keys to compare
+ * @returns {Array<number>} Indices of the Pareto-optimal snapshots
+ */
+export function findParetoFront(snapshots, keys) {
+    const candidates = [];
+    snapshots.forEach((snapshot, index) => {
+        if (snapshot.objectives && !(snapshot.objectives.violations > 0)) {
+            candidates.push(index);
+        }
+    });
+
+    const dominates = (a, b) => {
+        let strictlyBetter = false;
+        for (const key of keys) {
+            if (a[key] > b[key]) return false;
+            if (a[key] < b[key]) strictlyBetter = true;
+        }
+        return strictlyBetter;
+    };
+
+    const front = [];
+    const seen = new Set();
+    candidates.forEach(i => {
+        const objectives = snapshots[i].objectives;
+        if (candidates.some(j => j !== i && dominates(snapshots[j].objectives, objectives))) return;
+
+        // Many snapshots share the same layout - keep one point per objective tuple
+        const signature = keys.map(key => objectives[key].toFixed(3)).join('|');
+        if (seen.has(signature)) return;
+        seen.add(signature);
+        front.push(i);
+    });
+
+    return front;
+}
+
 export class ResultsGraph {
     constructor(canvas) {
         this.canvas = canvas;
@@ -10,6 +69,12 @@ export class ResultsGraph {
         this.snapshots = [];
         this.bestIndex = -1;
 
+        // Display mode
+        this.mode = GraphMode.COST;
+        this.xObjective = 'footprint';
+        this.yObjective = 'com';
+        this.paretoIndices = [];
+
         // Interaction state
         this.hoveredIndex = -1;
         this.selectedIndex = -1;
@@ -30,6 +95,8 @@ export class ResultsGraph {
             hovered: '#f97316',
             selected: '#22c55e',
             best: '#fbbf24',
+            pareto: '#38bdf8',
+            infeasible: '#4b5563',
             text: '#9ca3af'
         };
 
@@ -52,9 +119,92 @@ export class ResultsGraph {
     setData(snapshots) {
         this.snapshots = snapshots || [];
         this.findBestIndex();
+        this.updateParetoFront();
         this.render();
     }
 
+    /**
+     * Switch between cost-vs-iteration and objective scatter
+     * @param {string} mode - GraphMode value
+     * @param {string} xObjective - Objective on the X axis (Pareto mode)
+     * @param {string} yObjective - Objective on the Y axis (Pareto mode)
+     */
+    setMode(mode, xObjective = this.xObjective, yObjective = this.yObjective) {
+        this.mode = mode;
+        if (GraphObjectives[xObjective]) this.xObjective = xObjective;
+        if (GraphObjectives[yObjective]) this.yObjective = yObjective;
+        this.hoveredIndex = -1;
+        this.updateParetoFront();
+        this.render();
+    }
+
+    /**
+     * Recompute the Pareto front for the plotted objectives
+     */
+    updateParetoFront() {
+        this.paretoIndices = this.mode === GraphMode.PARETO
+            ? findParetoFront(this.snapshots, [this.xObjective, this.yObjective])
+                .sort((a, b) => this.snapshots[a].objectives[this.xObjective] - this.snapshots[b].objectives[this.xObjective])
+            : [];
+    }
+
+    /**
+     * Get the snapshots on the Pareto front (sorted along the X objective)
+     */
+    getParetoSnapshots() {
+        return this.paretoIndices.map(i => this.snapshots[i]);
+    }
+
+    /**
+     * Whether a snapshot can be plotted in the current mode
+     */
+    isPlottable(snapshot) {
+        return this.mode === GraphMode.COST || !!snapshot.objectives;
+    }
+
+    /**
+     * Get the data X/Y values of a snapshot in the current mode
+     */
+    getDataPoint(snapshot) {
+        if (this.mode === GraphMode.PARETO) {
+            return { x: snapshot.objectives[this.xObjective], y: snapshot.objectives[this.yObjective] };
+        }
+        return { x: snapshot.iteration, y: snapshot.cost };
+    }
+
+    /**
+     * Calculate the displayed data ranges for the current mode
+     * @returns {Object} { minX, maxX, minY, maxY }
+     */
+    getDataRanges() {
+        const points = this.snapshots.filter(s => this.isPlottable(s)).map(s => this.getDataPoint(s));
+        if (points.length === 0) return null;
+
+        const ys = points.map(p => p.y);
+        const minY = Math.min(...ys);
+        const maxY = Math.max(...ys);
+        // Add 10% padding to top of the range
+        const displayMaxY = maxY + ((maxY - minY) || 1) * 0.1;
+
+        if (this.mode === GraphMode.COST) {
+            return { minX: 0, maxX: this.snapshots[this.snapshots.length - 1].iteration || 1, minY, maxY: displayMaxY };
+        }
+
+        const xs = points.map(p => p.x);
+        const minX = Math.min(...xs);
+        const maxX = Math.max(...xs);
+        const padX = ((maxX - minX) || 1) * 0.05;
+        return { minX: minX - padX, maxX: maxX + padX, minY, maxY: displayMaxY };
+    }
+
+    /**
+     * Convert a snapshot to canvas coordinates
+     */
+    snapshotToCanvas(snapshot, ranges) {
+        const { x, y } = this.getDataPoint(snapshot);
+        return this.dataToCanvas(x, y, ranges);
+    }
+
     /**
      * Find the index of the best (lowest cost) snapshot
      */
@@ -89,10 +239,10 @@ export class ResultsGraph {
     /**
      * Convert data coordinates to canvas coordinates
      */
-    dataToCanvas(dataX, dataY, minCost, maxCost, maxIteration) {
+    dataToCanvas(dataX, dataY, ranges) {
         const area = this.getGraphArea();
-        const x = area.x + (dataX / maxIteration) * area.width;
-        const y = area.y + area.height - ((dataY - minCost) / (maxCost - minCost)) * area.height;
+        const x = area.x + ((dataX - ranges.minX) / ((ranges.maxX - ranges.minX) || 1)) * area.width;
+        const y = area.y + area.height - ((dataY - ranges.minY) / ((ranges.maxY - ranges.minY) || 1)) * area.height;
         return { x, y };
     }
 
@@ -111,18 +261,21 @@ export class ResultsGraph {
         }
 
         // Find the nearest snapshot
-        const maxIteration = this.snapshots[this.snapshots.length - 1].iteration;
-        const costs = this.snapshots.map(s => s.cost);
-        const minCost = Math.min(...costs);
-        const maxCost = Math.max(...costs);
-        const costRange = maxCost - minCost || 1;
+        const ranges = this.getDataRanges();
+        if (!ranges) return -1;
+
+        // In Pareto mode, front points win over the cloud behind them
+        const order = this.mode === GraphMode.PARETO
+            ? [...this.paretoIndices, ...this.snapshots.keys()]
+            : [...this.snapshots.keys()];
 
         let nearestIndex = -1;
         let nearestDistance = Infinity;
 
-        for (let i = 0; i < this.snapshots.length; i++) {
+        for (const i of order) {
             const snapshot = this.snapshots[i];
-            const point = this.dataToCanvas(snapshot.iteration, snapshot.cost, minCost, maxCost + costRange * 0.1, maxIteration);
+            if (!this.isPlottable(snapshot)) continue;
+            const point = this.snapshotToCanvas(snapshot, ranges);
             const distance = Math.sqrt(
                 Math.pow(canvasX - point.x, 2) +
                 Math.pow(canvasY - point.y, 2)
@@ -228,21 +381,33 @@ export class ResultsGraph {
             return;
         }
 
-        // Calculate ranges
-        const costs = this.snapshots.map(s => s.cost);
-        const minCost = Math.min(...costs);
-        const maxCost = Math.max(...costs);
-        const costRange = maxCost - minCost || 1;
-        const maxIteration = this.snapshots[this.snapshots.length - 1].iteration;
-
-        // Add 10% padding to top of cost range
-        const displayMaxCost = maxCost + costRange * 0.1;
+        const ranges = this.getDataRanges();
+        if (!ranges) {
+            ctx.fillStyle = this.colors.text;
+            ctx.font = '14px monospace';
+            ctx.textAlign = 'center';
+            ctx.fillText('No objective data', this.canvas.width / 2, this.canvas.height / 2);
+            return;
+        }
 
         // Draw grid
-        this.drawGrid(area, minCost, displayMaxCost, maxIteration);
+        this.drawGrid(area);
 
         // Draw axes
-        this.drawAxes(area, minCost, displayMaxCost, maxIteration);
+        this.drawAxes(area, ranges);
+
+        if (this.mode === GraphMode.PARETO) {
+            this.renderScatter(ranges);
+        } else {
+            this.renderCostLine(ranges);
+        }
+    }
+
+    /**
+     * Draw cost vs iteration
+     */
+    renderCostLine(ranges) {
+        const ctx = this.ctx;
 
         // Draw line connecting points
         ctx.beginPath();
@@ -250,8 +415,7 @@ export class ResultsGraph {
         ctx.lineWidth = 1.5;
 
         for (let i = 0; i < this.snapshots.length; i++) {
-            const snapshot = this.snapshots[i];
-            const point = this.dataToCanvas(snapshot.iteration, snapshot.cost, minCost, displayMaxCost, maxIteration);
+            const point = this.snapshotToCanvas(this.snapshots[i], ranges);
 
             if (i === 0) {
                 ctx.moveTo(point.x, point.y);
@@ -263,46 +427,12 @@ export class ResultsGraph {
 
         // Draw points
         for (let i = 0; i < this.snapshots.length; i++) {
-            const snapshot = this.snapshots[i];
-            const point = this.dataToCanvas(snapshot.iteration, snapshot.cost, minCost, displayMaxCost, maxIteration);
-
-            // Determine point color and size
-            let color = this.colors.point;
-            let radius = 3;
-
-            if (i === this.bestIndex) {
-                color = this.colors.best;
-                radius = 5;
-            }
-            if (i === this.selectedIndex) {
-                color = this.colors.selected;
-                radius = 6;
-            }
-            if (i === this.hoveredIndex) {
-                color = this.colors.hovered;
-                radius = 7;
-            }
-
-            // Draw point
-            ctx.beginPath();
-            ctx.fillStyle = color;
-            ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
-            ctx.fill();
-
-            // Draw highlight ring for special points
-            if (i === this.bestIndex || i === this.selectedIndex || i === this.hoveredIndex) {
-                ctx.beginPath();
-                ctx.strokeStyle = color;
-                ctx.lineWidth = 2;
-                ctx.arc(point.x, point.y, radius + 3, 0, Math.PI * 2);
-                ctx.stroke();
-            }
+            this.drawPoint(i, ranges, this.colors.point, 3, i === this.bestIndex);
         }
 
         // Draw "Best" label
         if (this.bestIndex >= 0) {
-            const bestSnapshot = this.snapshots[this.bestIndex];
-            const bestPoint = this.dataToCanvas(bestSnapshot.iteration, bestSnapshot.cost, minCost, displayMaxCost, maxIteration);
+            const bestPoint = this.snapshotToCanvas(this.snapshots[this.bestIndex], ranges);
 
             ctx.fillStyle = this.colors.best;
             ctx.font = 'bold 10px monospace';
@@ -311,10 +441,89 @@ export class ResultsGraph {
         }
     }
 
+    /**
+     * Draw the objective scatter with the Pareto front highlighted
+     */
+    renderScatter(ranges) {
+        const ctx = this.ctx;
+        const front = new Set(this.paretoIndices);
+
+        // Dominated and infeasible layouts first so the front draws on top
+        for (let i = 0; i < this.snapshots.length; i++) {
+            const snapshot = this.snapshots[i];
+            if (front.has(i) || !this.isPlottable(snapshot)) continue;
+            const color = snapshot.objectives.violations > 0 ? this.colors.infeasible : this.colors.point;
+            this.drawPoint(i, ranges, color, 2, false);
+        }
+
+        // Step line along the front, sorted by the X objective
+        const frontPoints = this.paretoIndices.map(i => this.snapshotToCanvas(this.snapshots[i], ranges));
+
+        if (frontPoints.length > 1) {
+            ctx.beginPath();
+            ctx.strokeStyle = this.colors.pareto;
+            ctx.lineWidth = 1.5;
+            ctx.setLineDash([4, 3]);
+            frontPoints.forEach((point, j) => {
+                if (j === 0) {
+                    ctx.moveTo(point.x, point.y);
+                } else {
+                    ctx.lineTo(point.x, frontPoints[j - 1].y);
+                    ctx.lineTo(point.x, point.y);
+                }
+            });
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        this.paretoIndices.forEach(i => this.drawPoint(i, ranges, this.colors.pareto, 4, true));
+    }
+
+    /**
+     * Draw a single snapshot point with hover/selection highlighting
+     * @param {boolean} ringed - Draw a highlight ring (best / Pareto points)
+     */
+    drawPoint(index, ranges, baseColor, baseRadius, ringed) {
+        const ctx = this.ctx;
+        const point = this.snapshotToCanvas(this.snapshots[index], ranges);
+
+        // Determine point color and size
+        let color = baseColor;
+        let radius = baseRadius;
+
+        if (this.mode === GraphMode.COST && index === this.bestIndex) {
+            color = this.colors.best;
+            radius = 5;
+        }
+        if (index === this.selectedIndex) {
+            color = this.colors.selected;
+            radius = 6;
+        }
+        if (index === this.hoveredIndex) {
+            color = this.colors.hovered;
+            radius = 7;
+        }
+
+        // Draw point
+        ctx.beginPath();
+        ctx.fillStyle = color;
+        ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Draw highlight ring for special points
+        if (ringed || index === this.selectedIndex || index === this.hoveredIndex) {
+            ctx.beginPath();
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.arc(point.x, point.y, radius + 3, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    }
+
     /**
      * Draw grid lines
      */
-    drawGrid(area, minCost, maxCost, maxIteration) {
+    drawGrid(area) {
         const ctx = this.ctx;
         ctx.strokeStyle = this.colors.grid;
         ctx.lineWidth = 1;
@@ -341,7 +550,7 @@ export class ResultsGraph {
     /**
      * Draw axes and labels
      */
-    drawAxes(area, minCost, maxCost, maxIteration) {
+    drawAxes(area, ranges) {
         const ctx = this.ctx;
         ctx.strokeStyle = this.colors.axis;
         ctx.lineWidth = 2;
@@ -365,7 +574,7 @@ export class ResultsGraph {
         // Y-axis labels
         ctx.textAlign = 'right';
         for (let i = 0; i <= 5; i++) {
-            const value = maxCost - (i / 5) * (maxCost - minCost);
+            const value = ranges.maxY - (i / 5) * (ranges.maxY - ranges.minY);
             const y = area.y + (i / 5) * area.height;
             ctx.fillText(value.toFixed(0), area.x - 5, y + 4);
         }
@@ -373,23 +582,34 @@ export class ResultsGraph {
         // X-axis labels
         ctx.textAlign = 'center';
         for (let i = 0; i <= 5; i++) {
-            const value = (i / 5) * maxIteration;
+            const value = ranges.minX + (i / 5) * (ranges.maxX - ranges.minX);
             const x = area.x + (i / 5) * area.width;
             ctx.fillText(Math.round(value).toString(), x, area.y + area.height + 15);
         }
 
         // Axis titles
+        const xTitle = this.mode === GraphMode.PARETO ? this.getObjectiveTitle(this.xObjective) : 'Iteration';
+        const yTitle = this.mode === GraphMode.PARETO ? this.getObjectiveTitle(this.yObjective) : 'Cost';
+
         ctx.font = 'bold 12px monospace';
-        ctx.fillText('Iteration', area.x + area.width / 2, area.y + area.height + 32);
+        ctx.fillText(xTitle, area.x + area.width / 2, area.y + area.height + 32);
 
         ctx.save();
         ctx.translate(15, area.y + area.height / 2);
         ctx.rotate(-Math.PI / 2);
         ctx.textAlign = 'center';
-        ctx.fillText('Cost', 0, 0);
+        ctx.fillText(yTitle, 0, 0);
         ctx.restore();
     }
 
+    /**
+     * Axis title for an objective
+     */
+    getObjectiveTitle(key) {
+        const objective = GraphObjectives[key];
+        return `${objective.label} (${objective.unit})`;
+    }
+
     /**
      * Set selected index programmatically
      */
@@ -5,6 +5,16 @@
 import { Component, ComponentType } from './models/Component.js';
 import { BeamPath, BeamSegment } from './models/BeamPath.js';
 import * as BeamPhysics from './physics/BeamPhysics.js';
+import { traceGaussianBeams } from './physics/GaussianBeam.js';
+import { calculatePowerBudget, applyPowerToSegments } from './physics/PowerBudget.js';
+import { getZoneRect, rectsOverlap, rectContainsPoint, rectOverlapsZone, lineIntersection } from './physics/Geometry.js';
+import { createBreadboard } from './models/Breadboard.js';
+import { registerComponentTypes } from './models/CustomTypes.js';
+import { checkPathLengthConstraints } from './physics/OpticalPath.js';
+import { collectConstraints, solveConstraints, analyzeConstraints, checkGeometricConstraints } from './physics/ConstraintSolver.js';
+import { getDimensionComponentIds } from './models/Dimensions.js';
+import { createWorkspace, resizeWorkspace, getPlateOutline, isRectOnPlate, findCutoutOverlap } from './models/Workspace.js';
+import { DesignRuleType, createRuleSet, updateRule, checkDesignRules, applyDesignRules } from './physics/DesignRules.js';
 
 /**
  * Application version
@@ -62,16 +72,38 @@ export const ActionType = {
     DELETE_COMPONENT: 'DELETE_COMPONENT',
     MOVE_COMPONENT: 'MOVE_COMPONENT',
     ROTATE_CONSTRAINED_PAIR: 'ROTATE_CONSTRAINED_PAIR',
+    APPLY_LAYOUT: 'APPLY_LAYOUT',
+
+    // Group actions
+    ADD_GROUP: 'ADD_GROUP',
+    UPDATE_GROUP: 'UPDATE_GROUP',
+    DELETE_GROUP: 'DELETE_GROUP',
+    INSERT_ASSEMBLY: 'INSERT_ASSEMBLY',
+    REPLACE_COMPONENT: 'REPLACE_COMPONENT',
 
     // Beam path actions
     ADD_BEAM_SEGMENT: 'ADD_BEAM_SEGMENT',
     DELETE_BEAM_SEGMENT: 'DELETE_BEAM_SEGMENT',
+    UPDATE_BEAM_SEGMENT: 'UPDATE_BEAM_SEGMENT',
+    DRAW_BEAM_PATH: 'DRAW_BEAM_PATH',
 
     // Constraint actions
     ADD_KEEPOUT_ZONE: 'ADD_KEEPOUT_ZONE',
     UPDATE_KEEPOUT_ZONE: 'UPDATE_KEEPOUT_ZONE',
     DELETE_KEEPOUT_ZONE: 'DELETE_KEEPOUT_ZONE',
     SET_MOUNTING_ZONE: 'SET_MOUNTING_ZONE',
+    ADD_PATH_LENGTH_CONSTRAINT: 'ADD_PATH_LENGTH_CONSTRAINT',
+    UPDATE_PATH_LENGTH_CONSTRAINT: 'UPDATE_PATH_LENGTH_CONSTRAINT',
+    DELETE_PATH_LENGTH_CONSTRAINT: 'DELETE_PATH_LENGTH_CONSTRAINT',
+    ADD_GEOMETRIC_CONSTRAINT: 'ADD_GEOMETRIC_CONSTRAINT',
+    UPDATE_GEOMETRIC_CONSTRAINT: 'UPDATE_GEOMETRIC_CONSTRAINT',
+    DELETE_GEOMETRIC_CONSTRAINT: 'DELETE_GEOMETRIC_CONSTRAINT',
+
+    // Dimension actions
+    ADD_DIMENSION: 'ADD_DIMENSION',
+    UPDATE_DIMENSION: 'UPDATE_DIMENSION',
+    DELETE_DIMENSION: 'DELETE_DIMENSION',
+    DRIVE_DIMENSION: 'DRIVE_DIMENSION',
 
     // Selection actions
     SELECT_COMPONENT: 'SELECT_COMPONENT',
@@ -79,6 +111,7 @@ export const ActionType = {
     SELECT_ZONE: 'SELECT_ZONE',
     SELECT_SEGMENT: 'SELECT_SEGMENT',
     SELECT_MULTIPLE_SEGMENTS: 'SELECT_MULTIPLE_SEGMENTS',
+    SELECT_DIMENSION: 'SELECT_DIMENSION',
     CLEAR_SELECTION: 'CLEAR_SELECTION',
 
     // Zone actions
@@ -90,11 +123,24 @@ export const ActionType = {
     SET_TOOL: 'SET_TOOL',
     SET_VIEWPORT: 'SET_VIEWPORT',
     SET_WORKSPACE_SIZE: 'SET_WORKSPACE_SIZE',
+    SET_WORKSPACE_OUTLINE: 'SET_WORKSPACE_OUTLINE',
+    SET_BEAM_CLEARANCE: 'SET_BEAM_CLEARANCE',
+    SET_DESIGN_RULE: 'SET_DESIGN_RULE',
+    SET_DESIGN_RULES: 'SET_DESIGN_RULES',
     TOGGLE_LABELS: 'TOGGLE_LABELS',
+    TOGGLE_DIMENSIONS: 'TOGGLE_DIMENSIONS',
     TOGGLE_AUTO_PROPAGATE: 'TOGGLE_AUTO_PROPAGATE',
+    TOGGLE_BEAM_ENVELOPES: 'TOGGLE_BEAM_ENVELOPES',
+    TOGGLE_BEAM_CROSSINGS: 'TOGGLE_BEAM_CROSSINGS',
+    SET_BEAM_ENVELOPE_SCALE: 'SET_BEAM_ENVELOPE_SCALE',
 
     // Grid actions
     SET_GRID_SETTINGS: 'SET_GRID_SETTINGS',
+    SET_BREADBOARD: 'SET_BREADBOARD',
+
+    // Component type actions
+    SET_COMPONENT_TYPE: 'SET_COMPONENT_TYPE',
+    DELETE_COMPONENT_TYPE: 'DELETE_COMPONENT_TYPE',
 
     // Background actions
     SET_BACKGROUND: 'SET_BACKGROUND',
@@ -141,16 +187,26 @@ export function createInitialState() {
         constraints: {
             keepOutZones: [],
             mountingZone: null,
-            workspace: { width: 600, height: 600 }
+            pathLengthConstraints: [],   // Optical path matching between two beam routes (see OpticalPath.js)
+            geometricConstraints: [],    // Distance, segment length, spacing, symmetry (see ConstraintSolver.js)
+            designRules: createRuleSet(),  // Design rule check settings (see physics/DesignRules.js)
+            workspace: createWorkspace()   // Plate outline and cut-outs (see models/Workspace.js)
         },
 
+        // Dimension annotations (see models/Dimensions.js)
+        dimensions: [],
+
         // Calculated values (derived)
         calculated: {
             centerOfMass: null,
             totalMass: 0,
             isCoMInMountingZone: false,
             constraintViolations: [],
-            totalPathLength: 0
+            constraintClusters: [],  // analyzeConstraints() result (under/over-constrained sets)
+            totalPathLength: 0,
+            beamCrossings: [],       // BeamPath.findCrossings() result (crossings and near misses)
+            gaussianBeams: null,     // traceGaussianBeams() result (per-segment and per-component beam size)
+            powerBudget: null        // calculatePowerBudget() result (per-segment and per-detector power)
         },
 
         // UI state
@@ -162,19 +218,27 @@ export function createInitialState() {
                 zoom: 1.0
             },
             selection: {
-                type: null,           // 'component' | 'zone' | 'segment' | null
+                type: null,           // 'component' | 'zone' | 'segment' | 'dimension' | null
                 selectedIds: [],      // component IDs when type='component'
                 selectedZoneId: null, // zone ID when type='zone' (format: 'keepout:id' or 'mounting')
                 selectedSegmentIds: [], // beam segment IDs when type='segment'
+                selectedDimensionId: null, // dimension ID when type='dimension'
                 hoveredId: null,
                 hoveredZoneId: null,
-                hoveredSegmentId: null
+                hoveredSegmentId: null,
+                hoveredDimensionId: null
             },
             selectionBox: null,       // { startX, startY, endX, endY } for drag selection
+            zoneDraft: null,          // Circle/polygon keep-out being drawn: { shape, center, radius } or { shape, points, cursor }
             placingComponent: null, // Component type being placed
-            connectingFrom: null,   // Source component/port for beam connection
+            pathDraft: null,          // Beam path being drawn: { points, cursor, snapId, splitsSegment }
             labelsVisible: true,    // Global label visibility toggle
-            autoPropagate: false    // Automatically propagate beams to components they intersect
+            dimensionsVisible: true, // Dimension layer visibility toggle (D)
+            autoPropagate: false,   // Automatically propagate beams to components they intersect
+            toleranceHighlights: null, // Worst offenders of the last tolerance analysis: [{ componentId, share }]
+            showBeamEnvelopes: false, // Draw the 1/e² Gaussian beam envelope around beams
+            showBeamCrossings: true,  // Mark beam crossings and near misses on the canvas
+            beamEnvelopeScale: 10     // Envelope width exaggeration (beams are ~1 mm wide)
         },
 
         // Grid settings
@@ -184,6 +248,15 @@ export function createInitialState() {
             size: 25         // Grid size in mm (1-50)
         },
 
+        // Breadboard hole pattern (see models/Breadboard.js)
+        breadboard: createBreadboard(),
+
+        // User-defined component types (see models/CustomTypes.js)
+        componentTypes: [],
+
+        // Sub-assemblies: { id, name, componentIds, collapsed } (see models/Assembly.js)
+        groups: [],
+
         // Workspace background
         background: {
             type: 'color',       // 'color' or 'image'
@@ -207,6 +280,107 @@ export function createInitialState() {
     };
 }
 
+/**
+ * Serialize state to the plain-JSON document format used for saving.
+ * The result contains no class instances or Maps, so it can also be
+ * posted to a Web Worker.
+ */
+export function serializeDocument(state) {
+    return {
+        formatVersion: APP_VERSION.toFileFormat(),
+        appVersion: APP_VERSION.toString(),
+        document: state.document,
+        workspace: state.constraints.workspace,
+        components: Array.from(state.components.values()).map(c => c.toJSON()),
+        beamPaths: state.beamPath.toJSON(),
+        constraints: {
+            keepOutZones: state.constraints.keepOutZones,
+            mountingZone: state.constraints.mountingZone,
+            pathLengthConstraints: state.constraints.pathLengthConstraints,
+            geometricConstraints: state.constraints.geometricConstraints,
+            designRules: state.constraints.designRules
+        },
+        ui: {
+            labelsVisible: state.ui.labelsVisible,
+            dimensionsVisible: state.ui.dimensionsVisible,
+            autoPropagate: state.ui.autoPropagate,
+            showBeamEnvelopes: state.ui.showBeamEnvelopes,
+            showBeamCrossings: state.ui.showBeamCrossings,
+            beamEnvelopeScale: state.ui.beamEnvelopeScale
+        },
+        grid: state.grid,
+        breadboard: state.breadboard,
+        componentTypes: state.componentTypes,
+        groups: state.groups,
+        dimensions: state.dimensions,
+        background: {
+            type: state.background.type,
+            color: state.background.color,
+            imagePath: state.background.imagePath,
+            imageDataURL: state.background.imageDataURL, // Save data URL for persistence
+            opacity: state.background.opacity
+            // Note: imageData (Image object) is runtime only, not saved
+        },
+        wavelengths: state.wavelengths,
+        activeWavelengthId: state.activeWavelengthId
+    };
+}
+
+/**
+ * Rebuild the layout part of the state (components, beams, constraints, grid,
+ * breadboard, component types, groups, dimensions) from a serialized document
+ */
+export function deserializeLayout(json) {
+    // Register user-defined types first - components of unknown types fall back to mirrors
+    const componentTypes = registerComponentTypes(json.componentTypes || []);
+
+    // Reconstruct components as a Map
+    const components = new Map();
+    if (json.components && Array.isArray(json.components)) {
+        json.components.forEach(compJson => {
+            const component = Component.fromJSON(compJson);
+            components.set(component.id, component);
+        });
+    }
+
+    // Reconstruct beam path
+    const beamPath = json.beamPaths
+        ? BeamPath.fromJSON(json.beamPaths)
+        : new BeamPath();
+
+    // Reconstruct constraints
+    const constraints = {
+        workspace: createWorkspace(json.workspace || {}),
+        keepOutZones: json.constraints?.keepOutZones || [],
+        mountingZone: json.constraints?.mountingZone || null,
+        pathLengthConstraints: json.constraints?.pathLengthConstraints || [],
+        geometricConstraints: json.constraints?.geometricConstraints || [],
+        // Older files only have the beam clearance
+        designRules: createRuleSet(json.constraints?.designRules, { beamClearance: json.constraints?.beamClearance })
+    };
+
+    const grid = json.grid || {
+        enabled: true,
+        visible: false,
+        size: 25
+    };
+
+    const breadboard = createBreadboard(json.breadboard || {});
+
+    // Drop members that no longer exist
+    const groups = (json.groups || [])
+        .map(group => ({ ...group, componentIds: group.componentIds.filter(id => components.has(id)) }))
+        .filter(group => group.componentIds.length > 1);
+
+    // Drop dimensions of missing components; dimensions whose constraint is gone stop driving
+    const constraintIds = new Set(constraints.geometricConstraints.map(c => c.id));
+    const dimensions = (json.dimensions || [])
+        .filter(dimension => getDimensionComponentIds(dimension).every(id => components.has(id)))
+        .map(dimension => constraintIds.has(dimension.constraintId) ? dimension : { ...dimension, constraintId: null });
+
+    return { components, beamPath, constraints, grid, breadboard, componentTypes, groups, dimensions };
+}
+
 /**
  * Calculate center of mass from components
  */
@@ -236,32 +410,29 @@ export function calculateCenterOfMass(components) {
 
 /**
  * Check if a point is inside a rectangular zone
+ * @param {Object} point - {x, y}
+ * @param {Object} zone - Zone bounds {x, y, width, height}
+ * @param {number} rotation - Zone rotation about its center (degrees)
  */
-export function isPointInZone(point, zone) {
+export function isPointInZone(point, zone, rotation = 0) {
     if (!point || !zone) return false;
-    return (
-        point.x >= zone.x &&
-        point.x <= zone.x + zone.width &&
-        point.y >= zone.y &&
-        point.y <= zone.y + zone.height
-    );
+    return rectContainsPoint(getZoneRect({ bounds: zone, rotation }), point);
 }
 
 /**
- * Check if a component overlaps with a zone
+ * Check if a component body overlaps a (possibly rotated) zone
+ * Circular and polygonal keep-outs are tested against their true outline.
+ * @param {Object} component - Component
+ * @param {Object} zone - Zone with bounds, optional rotation and shape
  */
 export function componentOverlapsZone(component, zone) {
-    const bbox = component.getBoundingBox();
-    return !(
-        bbox.maxX < zone.x ||
-        bbox.minX > zone.x + zone.width ||
-        bbox.maxY < zone.y ||
-        bbox.minY > zone.y + zone.height
-    );
+    return rectOverlapsZone(component.getRect(), zone);
 }
 
 /**
  * Check all constraint violations
+ * Entries carry the design rule they belong to (`rule`, see physics/DesignRules.js);
+ * rules that are switched off are still reported here, see applyDesignRules().
  */
 export function checkConstraintViolations(components, constraints) {
     const violations = [];
@@ -270,9 +441,10 @@ export function checkConstraintViolations(components, constraints) {
     componentArray.forEach(comp => {
         // Check keep-out zones
         constraints.keepOutZones.forEach(zone => {
-            if (componentOverlapsZone(comp, zone.bounds)) {
+            if (componentOverlapsZone(comp, zone)) {
                 violations.push({
                     type: 'keepout',
+                    rule: DesignRuleType.KEEP_OUT,
                     componentId: comp.id,
                     zoneId: zone.id,
                     message: `${comp.name} overlaps keep-out zone "${zone.name}"`
@@ -280,32 +452,38 @@ export function checkConstraintViolations(components, constraints) {
             }
         });
 
-        // Check workspace boundaries
-        const bbox = comp.getBoundingBox();
-        if (bbox.minX < 0 || bbox.minY < 0 ||
-            bbox.maxX > constraints.workspace.width ||
-            bbox.maxY > constraints.workspace.height) {
+        // Check the plate outline and its cut-outs
+        const rect = comp.getRect();
+        if (!isRectOnPlate(constraints.workspace, rect)) {
             violations.push({
                 type: 'boundary',
+                rule: DesignRuleType.PLATE_BOUNDARY,
                 componentId: comp.id,
                 message: `${comp.name} is outside workspace boundaries`
             });
+        } else {
+            const cutout = findCutoutOverlap(constraints.workspace, rect);
+            if (cutout) {
+                violations.push({
+                    type: 'boundary',
+                    rule: DesignRuleType.PLATE_BOUNDARY,
+                    componentId: comp.id,
+                    cutoutId: cutout.id,
+                    message: `${comp.name} overlaps plate cut-out "${cutout.name}"`
+                });
+            }
         }
 
         // Check mount zone violations
         if (comp.mountZone && comp.mountZone.enabled) {
-            const mountBounds = comp.getMountZoneBounds();
-            if (mountBounds) {
+            const mountRect = comp.getMountZoneRect();
+            if (mountRect) {
                 // Check mount zone against keep-out zones
                 constraints.keepOutZones.forEach(zone => {
-                    if (boundsOverlap(mountBounds, {
-                        minX: zone.bounds.x,
-                        minY: zone.bounds.y,
-                        maxX: zone.bounds.x + zone.bounds.width,
-                        maxY: zone.bounds.y + zone.bounds.height
-                    })) {
+                    if (rectOverlapsZone(mountRect, zone)) {
                         violations.push({
                             type: 'mountZone',
+                            rule: DesignRuleType.KEEP_OUT,
                             componentId: comp.id,
                             zoneId: zone.id,
                             message: `${comp.name}'s mount zone overlaps keep-out zone "${zone.name}"`
@@ -318,8 +496,7 @@ export function checkConstraintViolations(components, constraints) {
                     if (other.id === comp.id) return;
 
                     // Check against other component's body
-                    const otherBBox = other.getBoundingBox();
-                    if (boundsOverlap(mountBounds, otherBBox)) {
+                    if (rectsOverlap(mountRect, other.getRect())) {
                         // Only add if not already reported from other side
                         const alreadyReported = violations.some(v =>
                             v.type === 'mountZone' &&
@@ -329,6 +506,7 @@ export function checkConstraintViolations(components, constraints) {
                         if (!alreadyReported) {
                             violations.push({
                                 type: 'mountZone',
+                                rule: DesignRuleType.MOUNT_OVERLAP,
                                 componentId: comp.id,
                                 otherComponentId: other.id,
                                 message: `${comp.name}'s mount zone overlaps ${other.name}`
@@ -338,8 +516,8 @@ export function checkConstraintViolations(components, constraints) {
 
                     // Check against other component's mount zone
                     if (other.mountZone && other.mountZone.enabled) {
-                        const otherMountBounds = other.getMountZoneBounds();
-                        if (otherMountBounds && boundsOverlap(mountBounds, otherMountBounds)) {
+                        const otherMountRect = other.getMountZoneRect();
+                        if (otherMountRect && rectsOverlap(mountRect, otherMountRect)) {
                             // Only add if not already reported from other side
                             const alreadyReported = violations.some(v =>
                                 v.type === 'mountZone' &&
@@ -349,6 +527,7 @@ export function checkConstraintViolations(components, constraints) {
                             if (!alreadyReported) {
                                 violations.push({
                                     type: 'mountZone',
+                                    rule: DesignRuleType.MOUNT_OVERLAP,
                                     componentId: comp.id,
                                     otherComponentId: other.id,
                                     message: `${comp.name}'s mount zone overlaps ${other.name}'s mount zone`
@@ -358,15 +537,25 @@ export function checkConstraintViolations(components, constraints) {
                     }
                 });
 
-                // Check mount zone against workspace boundaries
-                if (mountBounds.minX < 0 || mountBounds.minY < 0 ||
-                    mountBounds.maxX > constraints.workspace.width ||
-                    mountBounds.maxY > constraints.workspace.height) {
+                // Check mount zone against the plate outline and its cut-outs
+                if (!isRectOnPlate(constraints.workspace, mountRect)) {
                     violations.push({
                         type: 'mountZone',
+                        rule: DesignRuleType.PLATE_BOUNDARY,
                         componentId: comp.id,
                         message: `${comp.name}'s mount zone is outside workspace boundaries`
                     });
+                } else {
+                    const cutout = findCutoutOverlap(constraints.workspace, mountRect);
+                    if (cutout) {
+                        violations.push({
+                            type: 'mountZone',
+                            rule: DesignRuleType.PLATE_BOUNDARY,
+                            componentId: comp.id,
+                            cutoutId: cutout.id,
+                            message: `${comp.name}'s mount zone overlaps plate cut-out "${cutout.name}"`
+                        });
+                    }
                 }
             }
         }
@@ -375,14 +564,6 @@ export function checkConstraintViolations(components, constraints) {
     return violations;
 }
 
-/**
- * Check if two axis-aligned bounding boxes overlap
- */
-function boundsOverlap(a, b) {
-    return !(a.maxX < b.minX || a.minX > b.maxX ||
-             a.maxY < b.minY || a.minY > b.maxY);
-}
-
 /**
  * Recalculate derived state values
  */
@@ -397,7 +578,8 @@ export function recalculateDerivedState(state) {
     // Check if CoM is in mounting zone
     state.calculated.isCoMInMountingZone = isPointInZone(
         comPosition,
-        state.constraints.mountingZone?.bounds
+        state.constraints.mountingZone?.bounds,
+        state.constraints.mountingZone?.rotation
     );
 
     // Check constraint violations
@@ -410,10 +592,83 @@ export function recalculateDerivedState(state) {
     state.beamPath.recalculatePathLengths(components);
     state.calculated.totalPathLength = state.beamPath.getTotalPathLength();
 
+    // Path length matching needs the fresh segment lengths
+    state.calculated.constraintViolations.push(...checkPathLengthConstraints(
+        state.constraints.pathLengthConstraints,
+        state.beamPath,
+        state.components
+    ));
+
+    // Geometric constraints: unmet ones are violations, clusters feed the properties panel
+    const geometric = collectConstraints(state.components, state.constraints.geometricConstraints, state.beamPath);
+    state.calculated.constraintViolations.push(...checkGeometricConstraints(state.components, geometric));
+    state.calculated.constraintClusters = analyzeConstraints(state.components, geometric);
+
+    // Propagate power from the sources and write it back into the segments
+    state.calculated.powerBudget = calculatePowerBudget(state.components, state.beamPath);
+    applyPowerToSegments(state.beamPath, state.calculated.powerBudget);
+
+    // Propagate Gaussian beams (spot size at every component)
+    state.calculated.gaussianBeams = traceGaussianBeams(state.components, state.beamPath, state.wavelengths);
+
+    // Beams crossing or running close alongside each other
+    state.calculated.beamCrossings = state.beamPath.findCrossings(state.components);
+
+    // The remaining design rules (beam clearance, spacing, path length, ...), then
+    // drop what the rule set switches off and grade the rest
+    state.calculated.constraintViolations.push(...checkDesignRules(state.components, state.beamPath, state.constraints, {
+        gaussianBeams: state.calculated.gaussianBeams,
+        crossings: state.calculated.beamCrossings
+    }));
+    state.calculated.constraintViolations = applyDesignRules(
+        state.calculated.constraintViolations,
+        state.constraints.designRules
+    );
+
     return state;
 }
 
 
+/**
+ * Turn dimensions driven by removed constraints back into reference dimensions
+ * @param {Array} dimensions - Document dimensions
+ * @param {Set<string>} constraintIds - Removed geometric constraint IDs
+ */
+function unlinkDimensions(dimensions, constraintIds) {
+    return dimensions.map(dimension => constraintIds.has(dimension.constraintId)
+        ? { ...dimension, constraintId: null }
+        : dimension);
+}
+
+/**
+ * Solve the geometric constraints and move the components that have to follow
+ * @param {Object} newState - State being built by the reducer (components and beamPath are replaced)
+ * @param {Array<string>} pinnedIds - Components the user just placed (moved only if unavoidable)
+ */
+function applyGeometricConstraints(newState, pinnedIds = []) {
+    const constraints = collectConstraints(newState.components, newState.constraints.geometricConstraints, newState.beamPath);
+    if (constraints.length === 0) return;
+
+    const { positions } = solveConstraints(newState.components, constraints, { pinnedIds });
+    if (positions.size === 0) return;
+
+    newState.components = new Map(newState.components);
+    positions.forEach((position, componentId) => {
+        const updatedComponent = new Component(newState.components.get(componentId).toJSON());
+        updatedComponent.update({ position });
+        newState.components.set(componentId, updatedComponent);
+    });
+    positions.forEach((position, componentId) => {
+        newState.beamPath = recalculateBeamSegmentsFromComponent(
+            componentId,
+            newState.components.get(componentId),
+            newState.beamPath,
+            newState.constraints.workspace,
+            newState.components
+        );
+    });
+}
+
 /**
  * Recalculate geometry for beam segments originating from a component
  * This updates segments that have explicit endpoints (go to workspace boundary)
@@ -469,29 +724,28 @@ function recalculateBeamSegmentsFromComponent(componentId, component, beamPath,
 }
 
 /**
- * Find where a beam intersects the workspace boundary
+ * Find where a beam leaves the plate
+ * Every edge of the plate outline is tested (cut-outs do not stop a beam);
+ * the nearest crossing at least 1 mm from the start wins.
+ * @param {Object} start - Beam start {x, y}
+ * @param {number} angle - Beam direction (degrees)
+ * @param {Object} workspace - Workspace plate (see models/Workspace.js)
+ * @returns {Object} End point {x, y}
  */
-function findWorkspaceBoundaryIntersection(start, angle, workspace) {
+export function findWorkspaceBoundaryIntersection(start, angle, workspace) {
     const dir = BeamPhysics.angleToVector(angle);
-    const halfW = workspace.width / 2;
-    const halfH = workspace.height / 2;
-
-    // Workspace boundaries
-    const boundaries = [
-        { x1: -halfW, y1: -halfH, x2: halfW, y2: -halfH },  // Top
-        { x1: halfW, y1: -halfH, x2: halfW, y2: halfH },    // Right
-        { x1: halfW, y1: halfH, x2: -halfW, y2: halfH },    // Bottom
-        { x1: -halfW, y1: halfH, x2: -halfW, y2: -halfH }   // Left
-    ];
+    const outline = getPlateOutline(workspace);
+    const reach = 10000;
 
     let closestPoint = null;
     let closestDist = Infinity;
 
-    boundaries.forEach(boundary => {
+    outline.forEach((a, i) => {
+        const b = outline[(i + 1) % outline.length];
         const intersection = lineIntersection(
             start.x, start.y,
-            start.x + dir.x * 10000, start.y + dir.y * 10000,
-            boundary.x1, boundary.y1, boundary.x2, boundary.y2
+            start.x + dir.x * reach, start.y + dir.y * reach,
+            a.x, a.y, b.x, b.y
         );
 
         if (intersection) {
@@ -506,26 +760,6 @@ function findWorkspaceBoundaryIntersection(start, angle, workspace) {
     return closestPoint || { x: start.x + dir.x * 1000, y: start.y + dir.y * 1000 };
 }
 
-/**
- * Calculate line intersection point
- */
-function lineIntersection(x1, y1, x2, y2, x3, y3, x4, y4) {
-    const denom = (x1 - x2) * (y3 - y4) - (y1 - y2) * (x3 - x4);
-    if (Math.abs(denom) < 1e-10) return null;
-
-    const t = ((x1 - x3) * (y3 - y4) - (y1 - y3) * (x3 - x4)) / denom;
-    const u = -((x1 - x2) * (y1 - y3) - (y1 - y2) * (x1 - x3)) / denom;
-
-    if (t >= 0 && t <= 1 && u >= 0 && u <= 1) {
-        return {
-            x: x1 + t * (x2 - x1),
-            y: y1 + t * (y2 - y1)
-        };
-    }
-
-    return null;
-}
-
 /**
  * State reducer
  */
@@ -583,69 +817,11 @@ export function reducer(state, action) {
 
             newState.components = new Map(state.components);
 
-            // Determine the final position after applying constraints from fixed components
-            let finalPosition = { ...position };
-
-            // If this component has constraints to fixed components, enforce them
-            if (!skipConstraints && component.alignmentConstraints && component.alignmentConstraints.length > 0) {
-                component.alignmentConstraints.forEach(constraint => {
-                    const constrainedComponent = state.components.get(constraint.componentId);
-                    if (!constrainedComponent) return;
-
-                    // If constrained to a FIXED component, this component must match its position
-                    if (constrainedComponent.isFixed) {
-                        if (constraint.type === 'vertical') {
-                            // Vertical constraint: must match the fixed component's X
-                            finalPosition.x = constrainedComponent.position.x;
-                        } else if (constraint.type === 'horizontal') {
-                            // Horizontal constraint: must match the fixed component's Y
-                            finalPosition.y = constrainedComponent.position.y;
-                        }
-                    }
-                });
-            }
-
-            // Update the moved component with the constrained position
+            // Update the moved component
             const movedComponent = new Component(component.toJSON());
-            movedComponent.update({ position: finalPosition });
+            movedComponent.update({ position: { ...position } });
             newState.components.set(componentId, movedComponent);
 
-            // Apply alignment constraints (move non-fixed constrained components too)
-            // Skip if this move was triggered by a constraint (to avoid infinite loops)
-            if (!skipConstraints && movedComponent.alignmentConstraints && movedComponent.alignmentConstraints.length > 0) {
-                movedComponent.alignmentConstraints.forEach(constraint => {
-                    const constrainedComponent = newState.components.get(constraint.componentId);
-                    if (!constrainedComponent) return;
-
-                    // Don't move fixed components - they act as anchors
-                    if (constrainedComponent.isFixed) return;
-
-                    let newConstrainedPos = { ...constrainedComponent.position };
-
-                    if (constraint.type === 'vertical') {
-                        // Vertical alignment: match X coordinate
-                        newConstrainedPos.x = finalPosition.x;
-                    } else if (constraint.type === 'horizontal') {
-                        // Horizontal alignment: match Y coordinate
-                        newConstrainedPos.y = finalPosition.y;
-                    }
-
-                    // Move the constrained component (with skipConstraints to avoid loops)
-                    const updatedConstrained = new Component(constrainedComponent.toJSON());
-                    updatedConstrained.update({ position: newConstrainedPos });
-                    newState.components.set(constraint.componentId, updatedConstrained);
-
-                    // Recalculate beam geometry for constrained component
-                    newState.beamPath = recalculateBeamSegmentsFromComponent(
-                        constraint.componentId,
-                        updatedConstrained,
-                        newState.beamPath,
-                        state.constraints.workspace,
-                        newState.components
-                    );
-                });
-            }
-
             // Recalculate beam geometry after move
             newState.beamPath = recalculateBeamSegmentsFromComponent(
                 componentId,
@@ -655,6 +831,11 @@ export function reducer(state, action) {
                 newState.components
             );
 
+            // Constrained components follow (skipped for moves made by a constraint)
+            if (!skipConstraints) {
+                applyGeometricConstraints(newState, [componentId]);
+            }
+
             newState.document = { ...state.document, isDirty: true };
             break;
         }
@@ -686,12 +867,33 @@ export function reducer(state, action) {
                 }
             });
 
+            newState.constraints = {
+                ...state.constraints,
+                geometricConstraints: state.constraints.geometricConstraints.filter(
+                    constraint => !constraint.componentIds.includes(componentId)
+                )
+            };
+
+            // Leave its group (a group needs at least two members)
+            newState.groups = state.groups
+                .map(group => ({ ...group, componentIds: group.componentIds.filter(id => id !== componentId) }))
+                .filter(group => group.componentIds.length > 1);
+
+            // Its dimensions go with it
+            newState.dimensions = state.dimensions.filter(
+                dimension => !getDimensionComponentIds(dimension).includes(componentId)
+            );
+            const dimensionRemoved = !newState.dimensions.some(d => d.id === state.ui.selection.selectedDimensionId);
+
             // Clear selection if deleted component was selected
             newState.ui = {
                 ...state.ui,
                 selection: {
                     ...state.ui.selection,
-                    selectedIds: state.ui.selection.selectedIds.filter(id => id !== componentId)
+                    selectedIds: state.ui.selection.selectedIds.filter(id => id !== componentId),
+                    ...(state.ui.selection.type === 'dimension' && dimensionRemoved
+                        ? { type: null, selectedDimensionId: null }
+                        : {})
                 }
             };
             newState.document = { ...state.document, isDirty: true };
@@ -724,6 +926,123 @@ export function reducer(state, action) {
             break;
         }
 
+        case ActionType.APPLY_LAYOUT: {
+            // Apply a batch of positions/angles (e.g. an optimizer snapshot) as one undoable step
+            const { positions, angles } = action;
+            newState.components = new Map(state.components);
+            newState.beamPath = state.beamPath;
+
+            state.components.forEach((component, componentId) => {
+                const position = positions?.get(componentId);
+                const angle = angles?.get(componentId);
+                const moved = position && (position.x !== component.position.x || position.y !== component.position.y);
+                const rotated = angle !== undefined && angle !== component.angle;
+                if (!moved && !rotated) return;
+
+                const updatedComponent = new Component(component.toJSON());
+                updatedComponent.update({
+                    ...(moved ? { position: { ...position } } : {}),
+                    ...(rotated ? { angle } : {})
+                });
+                newState.components.set(componentId, updatedComponent);
+            });
+
+            // Boundary-terminated beams depend on the final positions of every component
+            newState.components.forEach((component, componentId) => {
+                newState.beamPath = recalculateBeamSegmentsFromComponent(
+                    componentId,
+                    component,
+                    newState.beamPath,
+                    state.constraints.workspace,
+                    newState.components
+                );
+            });
+
+            applyGeometricConstraints(newState, positions ? Array.from(positions.keys()) : []);
+
+            newState.document = { ...state.document, isDirty: true };
+            break;
+        }
+
+        // ===== Group Actions =====
+        case ActionType.ADD_GROUP: {
+            // A component belongs to one group at most
+            const memberIds = new Set(action.group.componentIds);
+            newState.groups = [
+                ...state.groups
+                    .map(group => ({ ...group, componentIds: group.componentIds.filter(id => !memberIds.has(id)) }))
+                    .filter(group => group.componentIds.length > 1),
+                action.group
+            ];
+            newState.document = { ...state.document, isDirty: true };
+            break;
+        }
+
+        case ActionType.UPDATE_GROUP: {
+            newState.groups = state.groups.map(group =>
+                group.id === action.groupId ? { ...group, ...action.updates } : group
+            );
+            newState.document = { ...state.document, isDirty: true };
+            break;
+        }
+
+        case ActionType.DELETE_GROUP: {
+            // Ungroup - the members stay
+            newState.groups = state.groups.filter(group => group.id !== action.groupId);
+            newState.document = { ...state.document, isDirty: true };
+            break;
+        }
+
+        case ActionType.INSERT_ASSEMBLY: {
+            // Components, internal beams and group of a library assembly as one undoable step
+            newState.components = new Map(state.components);
+            action.components.forEach(component => newState.components.set(component.id, component));
+
+            newState.beamPath = new BeamPath();
+            state.beamPath.getAllSegments().forEach(seg => newState.beamPath.addSegment(seg));
+            action.segments.forEach(seg => newState.beamPath.addSegment(seg));
+
+            newState.groups = [...state.groups, action.group];
+            newState.ui = {
+                ...state.ui,
+                selection: {
+                    ...state.ui.selection,
+                    type: 'component',
+                    selectedIds: [...action.group.componentIds],
+                    selectedZoneId: null
+                }
+            };
+            newState.document = { ...state.document, isDirty: true };
+            break;
+        }
+
+        case ActionType.REPLACE_COMPONENT: {
+            // Swap a component (e.g. a drawn path point) for another one with the same ID,
+            // so its beams, constraints and group stay attached
+            const { component, outputPort } = action;
+            if (!state.components.has(component.id)) return state;
+
+            newState.components = new Map(state.components);
+            newState.components.set(component.id, component);
+
+            // Outgoing beams leave through the new component's port, or end here
+            newState.beamPath = new BeamPath();
+            state.beamPath.getAllSegments().forEach(seg => {
+                if (seg.sourceId !== component.id) {
+                    newState.beamPath.addSegment(seg);
+                } else if (outputPort) {
+                    newState.beamPath.addSegment(BeamSegment.fromJSON({ ...seg.toJSON(), sourcePort: outputPort }));
+                }
+            });
+
+            newState.ui = {
+                ...state.ui,
+                selection: { ...state.ui.selection, type: 'component', selectedIds: [component.id], selectedZoneId: null }
+            };
+            newState.document = { ...state.document, isDirty: true };
+            break;
+        }
+
         // ===== Beam Path Actions =====
         case ActionType.ADD_BEAM_SEGMENT: {
             newState.beamPath = new BeamPath();
@@ -746,6 +1065,45 @@ export function reducer(state, action) {
             break;
         }
 
+        case ActionType.UPDATE_BEAM_SEGMENT: {
+            const segment = state.beamPath.segments.get(action.segmentId);
+            if (!segment) return state;
+
+            newState.beamPath = new BeamPath();
+            state.beamPath.getAllSegments().forEach(seg => {
+                newState.beamPath.addSegment(seg.id === action.segmentId
+                    ? BeamSegment.fromJSON({ ...seg.toJSON(), ...action.updates })
+                    : seg);
+            });
+            newState.document = { ...state.document, isDirty: true };
+            break;
+        }
+
+        case ActionType.DRAW_BEAM_PATH: {
+            // Components and beams of a drawn path (or a split segment) as one undoable step
+            const removedSegmentIds = new Set(action.removedSegmentIds);
+            const removedConstraintIds = new Set(action.removedConstraintIds);
+
+            newState.components = new Map(state.components);
+            action.components.forEach(component => newState.components.set(component.id, component));
+
+            newState.beamPath = new BeamPath();
+            state.beamPath.getAllSegments().forEach(seg => {
+                if (!removedSegmentIds.has(seg.id)) newState.beamPath.addSegment(seg);
+            });
+            action.segments.forEach(seg => newState.beamPath.addSegment(seg));
+
+            if (removedConstraintIds.size > 0) {
+                newState.constraints = {
+                    ...state.constraints,
+                    geometricConstraints: state.constraints.geometricConstraints.filter(c => !removedConstraintIds.has(c.id))
+                };
+                newState.dimensions = unlinkDimensions(state.dimensions, removedConstraintIds);
+            }
+            newState.document = { ...state.document, isDirty: true };
+            break;
+        }
+
         // ===== Constraint Actions =====
         case ActionType.ADD_KEEPOUT_ZONE: {
             newState.constraints = {
@@ -785,6 +1143,135 @@ export function reducer(state, action) {
             break;
         }
 
+        case ActionType.ADD_PATH_LENGTH_CONSTRAINT: {
+            newState.constraints = {
+                ...state.constraints,
+                pathLengthConstraints: [...state.constraints.pathLengthConstraints, action.constraint]
+            };
+            newState.document = { ...state.document, isDirty: true };
+            break;
+        }
+
+        case ActionType.UPDATE_PATH_LENGTH_CONSTRAINT: {
+            newState.constraints = {
+                ...state.constraints,
+                pathLengthConstraints: state.constraints.pathLengthConstraints.map(constraint =>
+                    constraint.id === action.constraintId ? { ...constraint, ...action.updates } : constraint
+                )
+            };
+            newState.document = { ...state.document, isDirty: true };
+            break;
+        }
+
+        case ActionType.DELETE_PATH_LENGTH_CONSTRAINT: {
+            newState.constraints = {
+                ...state.constraints,
+                pathLengthConstraints: state.constraints.pathLengthConstraints.filter(
+                    constraint => constraint.id !== action.constraintId
+                )
+            };
+            newState.document = { ...state.document, isDirty: true };
+            break;
+        }
+
+        case ActionType.ADD_GEOMETRIC_CONSTRAINT: {
+            newState.constraints = {
+                ...state.constraints,
+                geometricConstraints: [...state.constraints.geometricConstraints, action.constraint]
+            };
+            applyGeometricConstraints(newState, action.pinnedIds);
+            newState.document = { ...state.document, isDirty: true };
+            break;
+        }
+
+        case ActionType.UPDATE_GEOMETRIC_CONSTRAINT: {
+            newState.constraints = {
+                ...state.constraints,
+                geometricConstraints: state.constraints.geometricConstraints.map(constraint =>
+                    constraint.id === action.constraintId ? { ...constraint, ...action.updates } : constraint
+                )
+            };
+            applyGeometricConstraints(newState, action.pinnedIds);
+            newState.document = { ...state.document, isDirty: true };
+            break;
+        }
+
+        case ActionType.DELETE_GEOMETRIC_CONSTRAINT: {
+            newState.constraints = {
+                ...state.constraints,
+                geometricConstraints: state.constraints.geometricConstraints.filter(
+                    constraint => constraint.id !== action.constraintId
+                )
+            };
+            newState.dimensions = unlinkDimensions(state.dimensions, new Set([action.constraintId]));
+            newState.document = { ...state.document, isDirty: true };
+            break;
+        }
+
+        // ===== Dimension Actions =====
+        case ActionType.ADD_DIMENSION: {
+            newState.dimensions = [...state.dimensions, action.dimension];
+            newState.ui = {
+                ...state.ui,
+                selection: {
+                    ...state.ui.selection,
+                    type: 'dimension',
+                    selectedIds: [],
+                    selectedZoneId: null,
+                    selectedSegmentIds: [],
+                    selectedDimensionId: action.dimension.id
+                }
+            };
+            newState.document = { ...state.document, isDirty: true };
+            break;
+        }
+
+        case ActionType.UPDATE_DIMENSION: {
+            newState.dimensions = state.dimensions.map(dimension =>
+                dimension.id === action.dimensionId ? { ...dimension, ...action.updates } : dimension
+            );
+            newState.document = { ...state.document, isDirty: true };
+            break;
+        }
+
+        case ActionType.DELETE_DIMENSION: {
+            const dimension = state.dimensions.find(d => d.id === action.dimensionId);
+            if (!dimension) return state;
+
+            // A driving dimension takes its constraint with it
+            newState.dimensions = state.dimensions.filter(d => d.id !== action.dimensionId);
+            newState.constraints = {
+                ...state.constraints,
+                geometricConstraints: state.constraints.geometricConstraints.filter(c => c.id !== dimension.constraintId)
+            };
+            if (state.ui.selection.selectedDimensionId === action.dimensionId) {
+                newState.ui = {
+                    ...state.ui,
+                    selection: { ...state.ui.selection, type: null, selectedDimensionId: null }
+                };
+            }
+            newState.document = { ...state.document, isDirty: true };
+            break;
+        }
+
+        case ActionType.DRIVE_DIMENSION: {
+            // Create or replace the constraint behind a dimension and move the layout to match
+            const dimension = state.dimensions.find(d => d.id === action.dimensionId);
+            if (!dimension) return state;
+
+            const others = state.constraints.geometricConstraints.filter(c => c.id !== dimension.constraintId);
+            newState.constraints = {
+                ...state.constraints,
+                geometricConstraints: [...others, action.constraint]
+            };
+            newState.dimensions = state.dimensions.map(d => d.id === dimension.id
+                ? { ...d, ...action.updates, constraintId: action.constraint.id }
+                : d);
+            applyGeometricConstraints(newState, action.pinnedIds);
+            newState.document = { ...state.document, isDirty: true };
+            break;
+        }
+
         case ActionType.SET_MOUNTING_ZONE: {
             newState.constraints = {
                 ...state.constraints,
@@ -931,6 +1418,21 @@ export function reducer(state, action) {
             break;
         }
 
+        case ActionType.SELECT_DIMENSION: {
+            newState.ui = {
+                ...state.ui,
+                selection: {
+                    ...state.ui.selection,
+                    type: action.dimensionId ? 'dimension' : null,
+                    selectedIds: [],
+                    selectedZoneId: null,
+                    selectedSegmentIds: [],
+                    selectedDimensionId: action.dimensionId
+                }
+            };
+            break;
+        }
+
         case ActionType.CLEAR_SELECTION: {
             newState.ui = {
                 ...state.ui,
@@ -939,7 +1441,8 @@ export function reducer(state, action) {
                     type: null,
                     selectedIds: [],
                     selectedZoneId: null,
-                    selectedSegmentIds: []
+                    selectedSegmentIds: [],
+                    selectedDimensionId: null
                 },
                 selectionBox: null
             };
@@ -968,7 +1471,45 @@ export function reducer(state, action) {
         case ActionType.SET_WORKSPACE_SIZE: {
             newState.constraints = {
                 ...state.constraints,
-                workspace: { width: action.width, height: action.height }
+                workspace: resizeWorkspace(state.constraints.workspace, action.width, action.height)
+            };
+            newState.document = { ...state.document, isDirty: true };
+            break;
+        }
+
+        case ActionType.SET_WORKSPACE_OUTLINE: {
+            newState.constraints = {
+                ...state.constraints,
+                workspace: action.workspace
+            };
+            newState.document = { ...state.document, isDirty: true };
+            break;
+        }
+
+        case ActionType.SET_BEAM_CLEARANCE: {
+            newState.constraints = {
+                ...state.constraints,
+                designRules: updateRule(state.constraints.designRules, DesignRuleType.BEAM_CLEARANCE, {
+                    params: { clearance: Math.max(0, action.clearance) }
+                })
+            };
+            newState.document = { ...state.document, isDirty: true };
+            break;
+        }
+
+        case ActionType.SET_DESIGN_RULE: {
+            newState.constraints = {
+                ...state.constraints,
+                designRules: updateRule(state.constraints.designRules, action.ruleType, action.updates)
+            };
+            newState.document = { ...state.document, isDirty: true };
+            break;
+        }
+
+        case ActionType.SET_DESIGN_RULES: {
+            newState.constraints = {
+                ...state.constraints,
+                designRules: createRuleSet(action.ruleSet)
             };
             newState.document = { ...state.document, isDirty: true };
             break;
@@ -982,6 +1523,14 @@ export function reducer(state, action) {
             break;
         }
 
+        case ActionType.TOGGLE_DIMENSIONS: {
+            newState.ui = {
+                ...state.ui,
+                dimensionsVisible: !state.ui.dimensionsVisible
+            };
+            break;
+        }
+
         case ActionType.TOGGLE_AUTO_PROPAGATE: {
             newState.ui = {
                 ...state.ui,
@@ -990,6 +1539,30 @@ export function reducer(state, action) {
             break;
         }
 
+        case ActionType.TOGGLE_BEAM_ENVELOPES: {
+            newState.ui = {
+                ...state.ui,
+                showBeamEnvelopes: !state.ui.showBeamEnvelopes
+            };
+            break;
+        }
+
+        case ActionType.TOGGLE_BEAM_CROSSINGS: {
+            newState.ui = {
+                ...state.ui,
+                showBeamCrossings: !state.ui.showBeamCrossings
+            };
+            break;
+        }
+
+        case ActionType.SET_BEAM_ENVELOPE_SCALE: {
+            newState.ui = {
+                ...state.ui,
+                beamEnvelopeScale: Math.max(1, Math.min(100, action.scale))
+            };
+            break;
+        }
+
         // ===== Grid Actions =====
         case ActionType.SET_GRID_SETTINGS: {
             newState.grid = {
@@ -999,6 +1572,29 @@ export function reducer(state, action) {
             break;
         }
 
+        case ActionType.SET_BREADBOARD: {
+            newState.breadboard = { ...state.breadboard, ...action.settings };
+            newState.document = { ...state.document, isDirty: true };
+            break;
+        }
+
+        // ===== Component Type Actions =====
+        case ActionType.SET_COMPONENT_TYPE: {
+            // Register the type (registerComponentType) before dispatching
+            const exists = state.componentTypes.some(t => t.id === action.definition.id);
+            newState.componentTypes = exists
+                ? state.componentTypes.map(t => t.id === action.definition.id ? action.definition : t)
+                : [...state.componentTypes, action.definition];
+            newState.document = { ...state.document, isDirty: true };
+            break;
+        }
+
+        case ActionType.DELETE_COMPONENT_TYPE: {
+            newState.componentTypes = state.componentTypes.filter(t => t.id !== action.id);
+            newState.document = { ...state.document, isDirty: true };
+            break;
+        }
+
         // ===== Background Actions =====
         case ActionType.SET_BACKGROUND: {
             newState.background = {
@@ -1051,7 +1647,15 @@ export function reducer(state, action) {
 
         // ===== Document Actions =====
         case ActionType.NEW_DOCUMENT: {
-            return createInitialState();
+            if (!action.layout) return createInitialState();
+
+            // Start from a template layout (see models/Templates.js)
+            newState = createInitialState();
+            newState.document.name = action.layout.name;
+            newState.componentTypes = action.layout.componentTypes || [];
+            action.layout.components.forEach(component => newState.components.set(component.id, component));
+            action.layout.segments.forEach(seg => newState.beamPath.addSegment(seg));
+            break;
         }
 
         case ActionType.LOAD_DOCUMENT: {
@@ -1100,9 +1704,19 @@ export const actions = {
     moveComponent: (componentId, position) => ({ type: ActionType.MOVE_COMPONENT, componentId, position }),
     deleteComponent: (componentId) => ({ type: ActionType.DELETE_COMPONENT, componentId }),
     rotateConstrainedPair: (componentId, angleDelta) => ({ type: ActionType.ROTATE_CONSTRAINED_PAIR, componentId, angleDelta }),
+    applyLayout: (positions, angles = null) => ({ type: ActionType.APPLY_LAYOUT, positions, angles }),
+
+    addGroup: (group) => ({ type: ActionType.ADD_GROUP, group }),
+    updateGroup: (groupId, updates) => ({ type: ActionType.UPDATE_GROUP, groupId, updates }),
+    deleteGroup: (groupId) => ({ type: ActionType.DELETE_GROUP, groupId }),
+    insertAssembly: (components, segments, group) => ({ type: ActionType.INSERT_ASSEMBLY, components, segments, group }),
+    replaceComponent: (component, outputPort) => ({ type: ActionType.REPLACE_COMPONENT, component, outputPort }),
 
     addBeamSegment: (segment) => ({ type: ActionType.ADD_BEAM_SEGMENT, segment }),
     deleteBeamSegment: (segmentId) => ({ type: ActionType.DELETE_BEAM_SEGMENT, segmentId }),
+    updateBeamSegment: (segmentId, updates) => ({ type: ActionType.UPDATE_BEAM_SEGMENT, segmentId, updates }),
+    drawBeamPath: (components, segments, removedSegmentIds = [], removedConstraintIds = []) =>
+        ({ type: ActionType.DRAW_BEAM_PATH, components, segments, removedSegmentIds, removedConstraintIds }),
 
     addKeepOutZone: (zone) => ({ type: ActionType.ADD_KEEPOUT_ZONE, zone }),
     updateKeepOutZone: (zoneId, updates) => ({ type: ActionType.UPDATE_KEEPOUT_ZONE, zoneId, updates }),
@@ -1110,6 +1724,17 @@ export const actions = {
     setMountingZone: (zone) => ({ type: ActionType.SET_MOUNTING_ZONE, zone }),
     updateMountingZone: (updates) => ({ type: ActionType.UPDATE_MOUNTING_ZONE, updates }),
     deleteMountingZone: () => ({ type: ActionType.DELETE_MOUNTING_ZONE }),
+    addPathLengthConstraint: (constraint) => ({ type: ActionType.ADD_PATH_LENGTH_CONSTRAINT, constraint }),
+    updatePathLengthConstraint: (constraintId, updates) => ({ type: ActionType.UPDATE_PATH_LENGTH_CONSTRAINT, constraintId, updates }),
+    deletePathLengthConstraint: (constraintId) => ({ type: ActionType.DELETE_PATH_LENGTH_CONSTRAINT, constraintId }),
+    addGeometricConstraint: (constraint, pinnedIds = []) => ({ type: ActionType.ADD_GEOMETRIC_CONSTRAINT, constraint, pinnedIds }),
+    updateGeometricConstraint: (constraintId, updates, pinnedIds = []) => ({ type: ActionType.UPDATE_GEOMETRIC_CONSTRAINT, constraintId, updates, pinnedIds }),
+    deleteGeometricConstraint: (constraintId) => ({ type: ActionType.DELETE_GEOMETRIC_CONSTRAINT, constraintId }),
+    addDimension: (dimension) => ({ type: ActionType.ADD_DIMENSION, dimension }),
+    updateDimension: (dimensionId, updates) => ({ type: ActionType.UPDATE_DIMENSION, dimensionId, updates }),
+    deleteDimension: (dimensionId) => ({ type: ActionType.DELETE_DIMENSION, dimensionId }),
+    driveDimension: (dimensionId, constraint, updates = {}, pinnedIds = []) =>
+        ({ type: ActionType.DRIVE_DIMENSION, dimensionId, constraint, updates, pinnedIds }),
     moveZone: (zoneId, position) => ({ type: ActionType.MOVE_ZONE, zoneId, position }),
 
     selectComponent: (componentId) => ({ type: ActionType.SELECT_COMPONENT, componentId }),
@@ -1117,14 +1742,26 @@ export const actions = {
     selectZone: (zoneId) => ({ type: ActionType.SELECT_ZONE, zoneId }),
     selectSegment: (segmentId) => ({ type: ActionType.SELECT_SEGMENT, segmentId }),
     selectMultipleSegments: (segmentIds) => ({ type: ActionType.SELECT_MULTIPLE_SEGMENTS, segmentIds }),
+    selectDimension: (dimensionId) => ({ type: ActionType.SELECT_DIMENSION, dimensionId }),
     clearSelection: () => ({ type: ActionType.CLEAR_SELECTION }),
 
     setTool: (tool) => ({ type: ActionType.SET_TOOL, tool }),
     setViewport: (viewport) => ({ type: ActionType.SET_VIEWPORT, viewport }),
     setWorkspaceSize: (width, height) => ({ type: ActionType.SET_WORKSPACE_SIZE, width, height }),
+    setWorkspaceOutline: (workspace) => ({ type: ActionType.SET_WORKSPACE_OUTLINE, workspace }),
+    setBeamClearance: (clearance) => ({ type: ActionType.SET_BEAM_CLEARANCE, clearance }),
+    setDesignRule: (ruleType, updates) => ({ type: ActionType.SET_DESIGN_RULE, ruleType, updates }),
+    setDesignRules: (ruleSet) => ({ type: ActionType.SET_DESIGN_RULES, ruleSet }),
     toggleLabels: () => ({ type: ActionType.TOGGLE_LABELS }),
+    toggleDimensions: () => ({ type: ActionType.TOGGLE_DIMENSIONS }),
     toggleAutoPropagate: () => ({ type: ActionType.TOGGLE_AUTO_PROPAGATE }),
+    toggleBeamEnvelopes: () => ({ type: ActionType.TOGGLE_BEAM_ENVELOPES }),
+    toggleBeamCrossings: () => ({ type: ActionType.TOGGLE_BEAM_CROSSINGS }),
+    setBeamEnvelopeScale: (scale) => ({ type: ActionType.SET_BEAM_ENVELOPE_SCALE, scale }),
     setGridSettings: (settings) => ({ type: ActionType.SET_GRID_SETTINGS, settings }),
+    setBreadboard: (settings) => ({ type: ActionType.SET_BREADBOARD, settings }),
+    setComponentType: (definition) => ({ type: ActionType.SET_COMPONENT_TYPE, definition }),
+    deleteComponentType: (id) => ({ type: ActionType.DELETE_COMPONENT_TYPE, id }),
     setBackground: (background) => ({ type: ActionType.SET_BACKGROUND, background }),
 
     addWavelength: (name, color) => ({ type: ActionType.ADD_WAVELENGTH, name, color }),
@@ -1133,7 +1770,7 @@ export const actions = {
     setActiveWavelength: (id) => ({ type: ActionType.SET_ACTIVE_WAVELENGTH, id }),
     updateSegmentWavelengths: (segmentId, wavelengthIds) => ({ type: ActionType.UPDATE_SEGMENT_WAVELENGTHS, segmentId, wavelengthIds }),
 
-    newDocument: () => ({ type: ActionType.NEW_DOCUMENT }),
+    newDocument: (layout = null) => ({ type: ActionType.NEW_DOCUMENT, layout }),
     loadDocument: (state) => ({ type: ActionType.LOAD_DOCUMENT, state }),
     updateDocumentName: (name) => ({ type: ActionType.UPDATE_DOCUMENT_NAME, name }),
     markDirty: () => ({ type: ActionType.MARK_DIRTY }),